@@ -24,7 +24,9 @@ import {
   Sparkles,
   Shield,
   Activity,
-  Layers
+  Layers,
+  XCircle,
+  Calendar
 } from 'lucide-react';
 import styles from './profiler.module.scss';
 import DataVisualizations from './components/DataVisualizations';
@@ -36,6 +38,17 @@ import AdvancedStatistics from './components/AdvancedStatistics';
 import DataExportReporting from './components/DataExportReporting'; 
 import apiClient from '../../services/apiClient';
 
+// Files above this size are profiled as cancellable background jobs
+const BACKGROUND_JOB_THRESHOLD = 10 * 1024 * 1024; // 10MB
+
+// Pipeline steps shown while processing, with the server phases they cover
+const PROCESSING_STEPS = [
+  { label: 'Parsing structure', phases: ['queued', 'parsing', 'sampling'] },
+  { label: 'Statistical analysis', phases: ['profiling', 'tests', 'duplicates', 'missingness'] },
+  { label: 'Pattern recognition', phases: ['correlations', 'patterns'] },
+  { label: 'Generating insights', phases: ['insights', 'caching', 'completed'] }
+];
+
 const Profiler = () => {
   const [file, setFile] = useState(null);
   const [profile, setProfile] = useState(null);
@@ -45,6 +58,9 @@ const Profiler = () => {
   const [activeVisualizationTab, setActiveVisualizationTab] = useState('distributions');
   const [apiStatus, setApiStatus] = useState(null);
   const [analysisProgress, setAnalysisProgress] = useState(0);
+  const [activeJobId, setActiveJobId] = useState(null);
+  const [analysisPhase, setAnalysisPhase] = useState(null);
+  const [piiHandling, setPiiHandling] = useState('redact');
 
   // Check API health on component mount
   useEffect(() => {
@@ -68,26 +84,6 @@ const Profiler = () => {
     checkApiHealth();
   }, []);
 
-  // Simulate analysis progress
-  useEffect(() => {
-    let progressInterval;
-    if (isProcessing) {
-      setAnalysisProgress(0);
-      progressInterval = setInterval(() => {
-        setAnalysisProgress(prev => {
-          if (prev >= 95) return prev;
-          return prev + Math.random() * 15;
-        });
-      }, 200);
-    } else {
-      setAnalysisProgress(0);
-    }
-
-    return () => {
-      if (progressInterval) clearInterval(progressInterval);
-    };
-  }, [isProcessing]);
-
   const handleFileUpload = (event) => {
     const selectedFile = event.target.files[0];
     if (!selectedFile) return;
@@ -108,26 +104,49 @@ const Profiler = () => {
     
     setIsProcessing(true);
     setError(null);
+    setAnalysisProgress(0);
+    setAnalysisPhase(null);
+
+    // Follow the server's progress events for the request or job
+    let stopProgress = () => {};
+    let markSettled = () => {};
+    const settled = new Promise(resolve => { markSettled = resolve; });
+    const trackProgress = (id) => {
+      stopProgress = apiClient.subscribeToProgress(id, (progress) => {
+        if (typeof progress.percent === 'number') setAnalysisProgress(progress.percent);
+        setAnalysisPhase(progress.phase);
+        if (['completed', 'failed', 'cancelled'].includes(progress.phase)) markSettled();
+      });
+    };
     
     try {
-      // Read file as text
-      const csvText = await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = (e) => resolve(e.target.result);
-        reader.onerror = (e) => reject(e);
-        reader.readAsText(file);
-      });
+      console.log('Streaming CSV to backend...');
 
-      console.log('Sending CSV to backend...');
-      
-      // Send to backend using API client
+      // Upload the file as-is; the server parses it as it streams in
       const startTime = Date.now();
-      const response = await apiClient.profileCsv(csvText, {
+      const options = {
         skipEmptyLines: true,
         delimiter: '', // Auto-detect
         enableSampling: true,
-useCache: false
-      });
+        useCache: false,
+        piiHandling,
+        // Compute every method so the Correlation Tests and Outlier Detection tabs can switch between them
+        correlationMethod: 'all',
+        outlierMethod: 'all'
+      };
+
+      let response;
+      if (file.size > BACKGROUND_JOB_THRESHOLD) {
+        // Large files run as a background job so the analysis can be cancelled
+        const job = await apiClient.createProfileJob(file, options);
+        setActiveJobId(job.jobId);
+        trackProgress(job.jobId);
+        response = await apiClient.waitForJob(job.jobId, { settled });
+      } else {
+        const requestId = apiClient.createRequestId();
+        trackProgress(requestId);
+        response = await apiClient.profileFile(file, options, requestId);
+      }
       const endTime = Date.now();
       const responseTime = endTime - startTime;
 
@@ -142,6 +161,8 @@ useCache: false
           summary: response.data.summary || {},
           columnStats: response.data.columns || {},
           correlations: response.data.correlations || { all: [], positive: [], negative: [] },
+          machineLearning: response.data.machineLearning || null,
+          missingness: response.data.missingness || null,
           insights: response.data.insights || []
         };
 
@@ -162,10 +183,22 @@ useCache: false
       console.error('Processing error:', err);
       setError(`Failed to process file: ${err.message}`);
     } finally {
+      stopProgress();
+      setActiveJobId(null);
       setIsProcessing(false);
     }
   };
 
+  const cancelAnalysis = async () => {
+    if (!activeJobId) return;
+
+    try {
+      await apiClient.cancelJob(activeJobId);
+    } catch (err) {
+      console.error('Cancellation error:', err);
+    }
+  };
+
   // Export functions (keeping existing functionality)
   const exportToJSON = () => {
     if (!profile) return;
@@ -183,21 +216,28 @@ useCache: false
   const exportToCSV = () => {
     if (!profile || !profile.columnStats) return;
     
-    const headers = ['Column', 'Type', 'Count', 'Missing %', 'Unique', 'Mean', 'Std Dev', 'Min', 'Max'];
+    const headers = ['Column', 'Type', 'Type Confidence %', 'Conflicting Samples', 'PII', 'Count', 'Missing %', 'Unique', 'Mean', 'Std Dev', 'Min', 'Max', 'Min Length', 'Max Length', 'Dominant Pattern', 'Pattern Conformance %'];
     const rows = Object.entries(profile.columnStats).map(([column, stats]) => [
       column,
-      stats.type || 'unknown',
+      stats.semanticType || stats.type || 'unknown',
+      stats.typeInference ? stats.typeInference.confidence : 'N/A',
+      stats.typeInference ? stats.typeInference.conflictingSamples.join('; ') : '',
+      stats.pii ? stats.pii.category : '',
       stats.validCount || 0,
       (stats.missingPercent || 0).toFixed(2),
       stats.unique || 0,
       stats.type === 'numeric' ? (stats.mean?.toFixed(3) || 'N/A') : 'N/A',
       stats.type === 'numeric' ? (stats.stdDev?.toFixed(3) || 'N/A') : 'N/A',
-      stats.type === 'numeric' ? (stats.min?.toFixed(3) || 'N/A') : 'N/A',
-      stats.type === 'numeric' ? (stats.max?.toFixed(3) || 'N/A') : 'N/A'
+      stats.type === 'numeric' ? (stats.min?.toFixed(3) || 'N/A') : (stats.temporal?.min || 'N/A'),
+      stats.type === 'numeric' ? (stats.max?.toFixed(3) || 'N/A') : (stats.temporal?.max || 'N/A'),
+      stats.strings ? stats.strings.length.min : 'N/A',
+      stats.strings ? stats.strings.length.max : 'N/A',
+      stats.strings ? stats.strings.dominantPattern.pattern : '',
+      stats.strings ? stats.strings.dominantPattern.conformance : 'N/A'
     ]);
 
     const csvContent = [headers, ...rows]
-      .map(row => row.map(cell => `"${cell}"`).join(','))
+      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
       .join('\n');
 
     const dataBlob = new Blob([csvContent], { type: 'text/csv' });
@@ -214,6 +254,28 @@ useCache: false
     return num.toFixed(3);
   };
 
+  const formatDateValue = (iso) => {
+    if (!iso) return 'N/A';
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.replace('T', ' ').slice(0, 16);
+  };
+
+  const getAssociationColor = (association) => `hsl(230, ${association * 80}%, ${90 - association * 40}%)`;
+
+  const ASSOCIATION_SYMBOLS = { cramersV: 'V', eta: 'η' };
+
+  const describeAssociation = (assoc) => {
+    const base = `${assoc.pair}: ${ASSOCIATION_SYMBOLS[assoc.method]} = ${formatNumber(assoc.association)}, p = ${assoc.pValue.toPrecision(3)} (n = ${assoc.sampleSize})`;
+    if (!assoc.theilsU) return base;
+    return `${base}\nTheil's U: ${assoc.colA} | ${assoc.colB} = ${formatNumber(assoc.theilsU[assoc.colA])}, ` +
+      `${assoc.colB} | ${assoc.colA} = ${formatNumber(assoc.theilsU[assoc.colB])}`;
+  };
+
+  const describeDependency = (dep) => {
+    const base = `${dep.determinant} → ${dep.dependent}: ${(dep.strength * 100).toFixed(1)}% of ${dep.sampleSize} rows`;
+    return dep.violations.slice(0, 3).reduce((text, v) => `${text}\n${dep.determinant} "${v.value}" → "${v.expected}" (${v.expectedCount}), ` +
+      v.conflicting.map(c => `"${c.value}" (${c.count}, rows ${c.rows.join(', ')})`).join(', '), base);
+  };
+
   const getCorrelationColor = (corr) => {
     const intensity = Math.abs(corr);
     if (corr > 0) {
@@ -237,6 +299,12 @@ useCache: false
   const safeSummary = safeProfile.summary || {};
   const safeColumnStats = safeProfile.columnStats || {};
   const safeCorrelations = safeProfile.correlations || { all: [], positive: [], negative: [] };
+  // Cramér's V and η share a 0–1 scale, so both kinds go in one list
+  const associations = [
+    ...(safeCorrelations.associations?.categorical || []),
+    ...(safeCorrelations.associations?.mixed || [])
+  ].sort((a, b) => b.association - a.association);
+  const dependencies = safeCorrelations.dependencies?.dependencies || [];
   const safeInsights = safeProfile.insights || [];
 
   return (
@@ -335,7 +403,7 @@ useCache: false
                 </div>
                 <div className={styles.uploadText}>
                   <h3>Drop your CSV file here</h3>
-                  <p>or click to browse • Max file size: 50MB</p>
+                  <p>or click to browse • Large files are streamed to the server</p>
                 </div>
               </div>
               
@@ -367,6 +435,18 @@ useCache: false
                   <p>{(file.size / 1024).toFixed(1)} KB • Ready for analysis</p>
                 </div>
                 <div className={styles.fileActions}>
+                  <label className={styles.piiSelect} title="How sample values of columns with personal data are reported">
+                    <Shield size={16} />
+                    <select
+                      value={piiHandling}
+                      onChange={(e) => setPiiHandling(e.target.value)}
+                      disabled={isProcessing}
+                    >
+                      <option value="redact">Redact PII</option>
+                      <option value="hash">Hash PII</option>
+                      <option value="none">Show values</option>
+                    </select>
+                  </label>
                   <button 
                     onClick={processFileWithBackend}
                     disabled={isProcessing}
@@ -376,6 +456,15 @@ useCache: false
                     <span>{isProcessing ? 'Analyzing...' : 'Start AI Analysis'}</span>
                     <div className={styles.buttonGlow}></div>
                   </button>
+                  {activeJobId && (
+                    <button
+                      onClick={cancelAnalysis}
+                      className={styles.cancelButton}
+                    >
+                      <XCircle size={18} />
+                      <span>Cancel</span>
+                    </button>
+                  )}
                 </div>
               </div>
 
@@ -394,10 +483,14 @@ useCache: false
                     <div className={styles.progressGlow}></div>
                   </div>
                   <div className={styles.processingSteps}>
-                    <div className={styles.step}>Parsing structure</div>
-                    <div className={styles.step}>Statistical analysis</div>
-                    <div className={styles.step}>Pattern recognition</div>
-                    <div className={styles.step}>Generating insights</div>
+                    {PROCESSING_STEPS.map(step => (
+                      <div
+                        key={step.label}
+                        className={`${styles.step} ${step.phases.includes(analysisPhase) ? styles.stepActive : ''}`}
+                      >
+                        {step.label}
+                      </div>
+                    ))}
                   </div>
                 </div>
               )}
@@ -563,11 +656,25 @@ useCache: false
                     <tbody>
                       {Object.entries(safeColumnStats).map(([column, stats]) => (
                         <tr key={column}>
-                          <td className={styles.columnName}>{column}</td>
+                          <td className={styles.columnName}>
+                            {column}
+                            {stats.pii && (
+                              <span
+                                className={styles.piiBadge}
+                                title={`Personal data (${stats.pii.category}, from ${stats.pii.source === 'values' ? 'values' : 'column name'})`}
+                              >
+                                <Shield size={10} />
+                                PII
+                              </span>
+                            )}
+                          </td>
                           <td>
-                            <span className={`${styles.typeBadge} ${styles[stats.type]}`}>
-                              {stats.type === 'numeric' ? <Hash size={12} /> : <Type size={12} />}
-                              {stats.type}
+                            <span
+                              className={`${styles.typeBadge} ${styles[stats.type]}`}
+                              title={stats.typeInference ? `${stats.typeInference.confidence}% confidence` : undefined}
+                            >
+                              {stats.type === 'numeric' ? <Hash size={12} /> : stats.temporal ? <Calendar size={12} /> : <Type size={12} />}
+                              {stats.semanticType || stats.type}
                             </span>
                           </td>
                           <td>{stats.validCount || 0}</td>
@@ -582,11 +689,27 @@ useCache: false
                                 <div>σ: {formatNumber(stats.stdDev)}</div>
                                 <div>Range: [{formatNumber(stats.min)}, {formatNumber(stats.max)}]</div>
                               </div>
+                            ) : stats.temporal ? (
+                              <div className={styles.statsGrid}>
+                                <div>Range: [{formatDateValue(stats.temporal.min)}, {formatDateValue(stats.temporal.max)}]</div>
+                                <div>Span: {stats.temporal.span?.description || 'N/A'}</div>
+                                <div>Granularity: {stats.temporal.granularity}</div>
+                              </div>
                             ) : (
                               <div className={styles.statsGrid}>
-                                <div>Entropy: {formatNumber(stats.entropy)}</div>
+                                <div title={stats.approximate?.values ? 'Estimated: too many distinct values to count exactly' : undefined}>
+                                  Entropy: {stats.approximate?.values ? '≈' : ''}{formatNumber(stats.entropy)}
+                                </div>
                                 {stats.topValues && stats.topValues.length > 0 && (
-                                  <div>Top: {stats.topValues[0][0]}</div>
+                                  <div>Top: {stats.topValues[0][0]}{stats.approximate?.values ? ' (approx.)' : ''}</div>
+                                )}
+                                {stats.strings && (
+                                  <>
+                                    <div>Length: {stats.strings.length.min}–{stats.strings.length.max} (avg {stats.strings.length.mean.toFixed(1)})</div>
+                                    <div title={`${stats.strings.patternCount} distinct patterns`}>
+                                      Pattern: <code>{stats.strings.dominantPattern.pattern}</code> ({stats.strings.dominantPattern.conformance}%)
+                                    </div>
+                                  </>
                                 )}
                               </div>
                             )}
@@ -600,7 +723,7 @@ useCache: false
             )}
 
             {/* Correlations */}
-            {safeCorrelations.all && safeCorrelations.all.length > 0 && (
+            {((safeCorrelations.all && safeCorrelations.all.length > 0) || associations.length > 0 || dependencies.length > 0) && (
               <div className={styles.premiumSection}>
                 <div className={styles.sectionHeader}>
                   <div className={styles.sectionIcon}>
@@ -619,7 +742,11 @@ useCache: false
                       </h4>
                       <div className={styles.correlationList}>
                         {safeCorrelations.positive.map((corr, idx) => (
-                          <div key={idx} className={`${styles.correlationCard} ${styles.positive}`}>
+                          <div
+                            key={idx}
+                            className={`${styles.correlationCard} ${styles.positive}`}
+                            title={`n = ${corr.sampleSize} rows with both values`}
+                          >
                             <span className={styles.pairName}>{corr.pair}</span>
                             <span className={styles.correlationValue}>+{formatNumber(corr.correlation)}</span>
                           </div>
@@ -636,7 +763,11 @@ useCache: false
                       </h4>
                       <div className={styles.correlationList}>
                         {safeCorrelations.negative.map((corr, idx) => (
-                          <div key={idx} className={`${styles.correlationCard} ${styles.negative}`}>
+                          <div
+                            key={idx}
+                            className={`${styles.correlationCard} ${styles.negative}`}
+                            title={`n = ${corr.sampleSize} rows with both values`}
+                          >
                             <span className={styles.pairName}>{corr.pair}</span>
                             <span className={styles.correlationValue}>{formatNumber(corr.correlation)}</span>
                           </div>
@@ -647,11 +778,11 @@ useCache: false
                 </div>
 
                 {/* Enhanced Heatmap */}
-                {safeCorrelations.all.length > 0 && (
+                {(safeCorrelations.all?.length > 0 || associations.length > 0) && (
                   <div className={styles.heatmapContainer}>
                     <h4>Correlation Matrix</h4>
                     <div className={styles.heatmapGrid}>
-                      {safeCorrelations.all.slice(0, 10).map((corr, idx) => (
+                      {(safeCorrelations.all || []).slice(0, 10).map((corr, idx) => (
                         <div
                           key={idx}
                           className={styles.heatmapTile}
@@ -659,7 +790,7 @@ useCache: false
                             backgroundColor: getCorrelationColor(corr.correlation),
                             '--intensity': Math.abs(corr.correlation)
                           }}
-                          title={`${corr.pair}: ${formatNumber(corr.correlation)}`}
+                          title={`${corr.pair}: ${formatNumber(corr.correlation)} (n = ${corr.sampleSize})`}
                         >
                           <div className={styles.tileLabels}>
                             <div>{corr.colA}</div>
@@ -669,6 +800,57 @@ useCache: false
                           <div className={styles.tileValue}>{formatNumber(corr.correlation)}</div>
                         </div>
                       ))}
+                      {associations.slice(0, 10).map((assoc, idx) => (
+                        <div
+                          key={`assoc-${idx}`}
+                          className={`${styles.heatmapTile} ${assoc.pValue >= 0.05 ? styles.notSignificantTile : ''}`}
+                          style={{
+                            backgroundColor: getAssociationColor(assoc.association),
+                            '--intensity': assoc.association
+                          }}
+                          title={describeAssociation(assoc)}
+                        >
+                          <div className={styles.tileLabels}>
+                            <div>{assoc.colA}</div>
+                            <div className={styles.separator}>×</div>
+                            <div>{assoc.colB}</div>
+                          </div>
+                          <div className={styles.tileValue}>
+                            <span className={styles.tileMethod}>{ASSOCIATION_SYMBOLS[assoc.method]}</span>
+                            {formatNumber(assoc.association)}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    {associations.length > 0 && (
+                      <p className={styles.heatmapLegend}>
+                        Green/red tiles are numeric correlations (r). Blue tiles are associations on a 0–1 scale:
+                        Cramér's V between categorical columns and η between a categorical and a numeric column.
+                        Faded tiles are not significant (p ≥ 0.05).
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {dependencies.length > 0 && (
+                  <div className={styles.correlationPanel}>
+                    <h4 className={styles.correlationTitle}>
+                      <Target size={16} />
+                      Functional Dependencies
+                    </h4>
+                    <div className={styles.correlationList}>
+                      {dependencies.slice(0, 10).map(dep => (
+                        <div
+                          key={`${dep.determinant}|${dep.dependent}`}
+                          className={`${styles.correlationCard} ${dep.exact ? styles.positive : styles.negative}`}
+                          title={describeDependency(dep)}
+                        >
+                          <span className={styles.pairName}>{dep.determinant} → {dep.dependent}</span>
+                          <span className={styles.correlationValue}>
+                            {dep.exact ? 'exact' : `${(dep.strength * 100).toFixed(1)}% · ${dep.violatingRows} violating`}
+                          </span>
+                        </div>
+                      ))}
                     </div>
                   </div>
                 )}
@@ -694,7 +876,7 @@ useCache: false
 
             {/* File Comparison Tool */}
             <div className={styles.premiumSection}>
-              <FileComparisonTool currentProfile={profile} />
+              <FileComparisonTool currentProfile={profile} currentFile={file} piiHandling={piiHandling} />
             </div>
 
           </div>
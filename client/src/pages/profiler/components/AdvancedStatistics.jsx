@@ -26,6 +26,7 @@ import {
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
   Legend,
@@ -37,6 +38,7 @@ ChartJS.register(
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
   Legend,
@@ -49,6 +51,8 @@ const AdvancedStatistics = ({ profile }) => {
   const [animationProgress, setAnimationProgress] = useState(0);
   const [visibleResults, setVisibleResults] = useState(0);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [correlationMethod, setCorrelationMethod] = useState('pearson');
+  const [outlierMethod, setOutlierMethod] = useState('iqr');
   const distributionChartRef = useRef(null);
   const distributionChart = useRef(null);
 
@@ -87,64 +91,128 @@ console.log('profile?.data keys:', profile?.data ? Object.keys(profile?.data) :
   }, [activeTest]);
 
   // Perform statistical tests
+  const NORMALITY_TESTS = {
+    shapiroWilk: { label: 'Shapiro–Wilk', symbol: 'W' },
+    dagostinoPearson: { label: "D'Agostino–Pearson", symbol: 'K²' },
+    andersonDarling: { label: 'Anderson–Darling', symbol: 'A²' }
+  };
+
+  // Server-side tests on the column's values; Shapiro–Wilk is preferred
+  // when it ran, the others are listed alongside it
   const performNormalityTest = (columnData) => {
-    const n = columnData.validCount;
-    if (n < 3) return { test: 'insufficient_data', pValue: null };
-    
-    const skewness = Math.abs(columnData.skewness || 0);
-    const kurtosis = Math.abs((columnData.kurtosis || 3) - 3);
-    
-    const normalityScore = Math.max(0, 1 - (skewness * 0.3 + kurtosis * 0.2));
-    const pValue = normalityScore > 0.5 ? 0.1 + normalityScore * 0.4 : normalityScore * 0.1;
+    const results = columnData.normality || {};
+    const available = Object.keys(NORMALITY_TESTS).filter(key => results[key]);
+    if (available.length === 0) {
+      return {
+        test: 'insufficient_data',
+        statistic: null,
+        pValue: null,
+        interpretation: 'Insufficient data',
+        severity: 'warning',
+        others: []
+      };
+    }
+
+    const [primary, ...others] = available;
+    const { statistic, pValue, sampleSize } = results[primary];
     
     return {
-      test: 'shapiro_wilk_approx',
-      statistic: normalityScore,
-      pValue: pValue,
+      test: primary,
+      label: NORMALITY_TESTS[primary].label,
+      symbol: NORMALITY_TESTS[primary].symbol,
+      statistic,
+      pValue,
+      sampleSize,
+      sampled: columnData.normality.sampled,
+      others: others.map(key => ({ key, ...NORMALITY_TESTS[key], ...results[key] })),
       interpretation: pValue > 0.05 ? 'Normal distribution' : 'Non-normal distribution',
       confidence: pValue > 0.05 ? 'high' : 'medium',
       severity: pValue > 0.05 ? 'excellent' : 'warning'
     };
   };
 
+  const CORRELATION_METHODS = {
+    pearson: { label: 'Pearson', statistic: 't' },
+    spearman: { label: 'Spearman', statistic: 't' },
+    kendall: { label: 'Kendall', statistic: 'z' }
+  };
+  // Methods the server computed; profile with correlationMethod 'all' to switch between them
+  const availableMethods = correlations?.methods || ['pearson'];
+  const selectedMethod = availableMethods.includes(correlationMethod) ? correlationMethod : availableMethods[0];
+
   const performCorrelationTests = () => {
   const allCorrelations = correlations?.all || [];
-  return allCorrelations.map(corr => {
-      const n = corr.sampleSize || 100;
-      const r = corr.correlation;
-      
-      const t = r * Math.sqrt((n - 2) / (1 - r * r));
-      const pValue = Math.max(0.001, 1 - Math.abs(t) / 10);
+  return allCorrelations
+    .filter(corr => corr.methods && corr.methods[selectedMethod])
+    .map(corr => {
+      const result = corr.methods[selectedMethod];
+      const significant = result.pValue < 0.05;
       
       return {
         ...corr,
-        tStatistic: t,
-        pValue: pValue,
-        significant: pValue < 0.05,
-        interpretation: pValue < 0.05 ? 'Statistically significant' : 'Not significant',
-        severity: pValue < 0.05 ? 'excellent' : 'good'
+        correlation: result.correlation,
+        tStatistic: result.statistic,
+        pValue: result.pValue,
+        confidenceInterval: result.confidenceInterval,
+        significant,
+        interpretation: significant ? 'Statistically significant' : 'Not significant',
+        severity: significant ? 'excellent' : 'good'
       };
-    });
+    })
+    .sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation));
+  };
+
+  const formatPValue = (p) => (p < 0.0001 ? '< 0.0001' : p.toFixed(4));
+
+  const OUTLIER_METHODS = {
+    iqr: { label: 'IQR' },
+    zscore: { label: 'Z-Score' },
+    modifiedZscore: { label: 'Modified Z' },
+    percentile: { label: 'Percentile Caps' }
+  };
+  // Methods the server ran; profile with outlierMethod 'all' to switch between them
+  const availableOutlierMethods = Object.keys(OUTLIER_METHODS).filter(method =>
+    Object.values(safeColumnStats).some(stats => stats.outlierDetection?.[method])
+  );
+  const selectedOutlierMethod = availableOutlierMethods.includes(outlierMethod)
+    ? outlierMethod
+    : availableOutlierMethods[0] || 'iqr';
+
+  const describeOutlierMethod = (result) => {
+    if (result.k !== undefined) return `k = ${result.k}`;
+    if (result.threshold !== undefined) return `|z| > ${result.threshold}`;
+    if (result.percentiles) return `p${result.percentiles[0]}–p${result.percentiles[1]}`;
+    return '';
   };
 
   const performOutlierAnalysis = (columnData) => {
     if (columnData.type !== 'numeric') return null;
     
-    const q1 = columnData.q1;
-    const q3 = columnData.q3;
-    const iqr = q3 - q1;
-    const lowerBound = q1 - 1.5 * iqr;
-    const upperBound = q3 + 1.5 * iqr;
-    
-    const zScoreOutliers = Math.round(columnData.validCount * 0.003);
+    const result = columnData.outlierDetection?.[selectedOutlierMethod];
+    if (!result) {
+      // Profiles from before server-side detection only carry the IQR count
+      if (selectedOutlierMethod !== 'iqr') return null;
+      const iqr = columnData.q3 - columnData.q1;
+      return {
+        method: 'iqr',
+        count: columnData.outliers || 0,
+        lowerBound: columnData.q1 - 1.5 * iqr,
+        upperBound: columnData.q3 + 1.5 * iqr,
+        parameters: 'k = 1.5',
+        top: [],
+        severity: (columnData.outliers || 0) > columnData.validCount * 0.05 ? 'critical' : 'good'
+      };
+    }
     
     return {
-      method: 'iqr_and_zscore',
-      iqrOutliers: columnData.outliers || 0,
-      zScoreOutliers: zScoreOutliers,
-      lowerBound: lowerBound,
-      upperBound: upperBound,
-      severity: (columnData.outliers || 0) > columnData.validCount * 0.05 ? 'critical' : 'good'
+      method: selectedOutlierMethod,
+      count: result.count,
+      percent: result.percent,
+      lowerBound: result.lowerBound,
+      upperBound: result.upperBound,
+      parameters: describeOutlierMethod(result),
+      top: result.top,
+      severity: result.percent > 5 ? 'critical' : 'good'
     };
   };
 
@@ -170,11 +238,11 @@ console.log('profile?.data keys:', profile?.data ? Object.keys(profile?.data) :
     });
 
     report.summary.significantFindings = 
-      Object.values(report.normality).filter(test => test.pValue && test.pValue < 0.05).length +
+      Object.values(report.normality).filter(test => test.pValue !== null && test.pValue < 0.05).length +
       report.correlations.filter(corr => corr.significant).length;
 
     const nonNormalColumns = Object.entries(report.normality)
-      .filter(([col, test]) => test.pValue && test.pValue < 0.05)
+      .filter(([col, test]) => test.pValue !== null && test.pValue < 0.05)
       .map(([col]) => col);
 
     if (nonNormalColumns.length > 0) {
@@ -243,19 +311,41 @@ console.log('profile?.data keys:', profile?.data ? Object.keys(profile?.data) :
 
     const normalCurve = generateNormalCurve(stats.mean, stats.stdDev);
 
+    // Observed density per bin from the server-side histogram, so skew and
+    // multiple modes show against the normal reference curve
+    const observed = stats.histogram
+      ? stats.histogram.counts.map((count, i) => {
+        const { edges } = stats.histogram;
+        const width = edges[i + 1] - edges[i] || 1;
+        return { x: (edges[i] + edges[i + 1]) / 2, y: count / (stats.validCount * width) };
+      })
+      : [];
+
     distributionChart.current = new ChartJS(distributionChartRef.current, {
       type: 'line',
       data: {
-        datasets: [{
-          label: 'Theoretical Normal Distribution',
-          data: normalCurve,
-          borderColor: '#667eea',
-          backgroundColor: 'rgba(102, 126, 234, 0.1)',
-          fill: true,
-          tension: 0.4,
-          pointRadius: 0,
-          borderWidth: 3
-        }]
+        datasets: [
+          ...(observed.length > 0 ? [{
+            type: 'bar',
+            label: 'Observed Distribution',
+            data: observed,
+            backgroundColor: 'rgba(118, 75, 162, 0.35)',
+            borderColor: '#764ba2',
+            borderWidth: 1,
+            barPercentage: 1,
+            categoryPercentage: 1
+          }] : []),
+          {
+            label: 'Theoretical Normal Distribution',
+            data: normalCurve,
+            borderColor: '#667eea',
+            backgroundColor: 'rgba(102, 126, 234, 0.1)',
+            fill: true,
+            tension: 0.4,
+            pointRadius: 0,
+            borderWidth: 3
+          }
+        ]
       },
       options: {
         responsive: true,
@@ -347,9 +437,9 @@ console.log('profile?.data keys:', profile?.data ? Object.keys(profile?.data) :
       {/* Enhanced Navigation Tabs */}
       <div className={styles.neuralTabs}>
         {[
-          { id: 'normality', icon: <BarChart size={16} />, label: 'Normality Tests', algorithm: 'Shapiro-Wilk' },
-          { id: 'correlations', icon: <TrendingUp size={16} />, label: 'Correlation Tests', algorithm: 'Pearson Analysis' },
-          { id: 'outliers', icon: <Eye size={16} />, label: 'Outlier Detection', algorithm: 'IQR + Z-Score' }
+          { id: 'normality', icon: <BarChart size={16} />, label: 'Normality Tests', algorithm: 'Shapiro–Wilk · Anderson–Darling' },
+          { id: 'correlations', icon: <TrendingUp size={16} />, label: 'Correlation Tests', algorithm: `${CORRELATION_METHODS[selectedMethod].label} Analysis` },
+          { id: 'outliers', icon: <Eye size={16} />, label: 'Outlier Detection', algorithm: OUTLIER_METHODS[selectedOutlierMethod].label }
         ].map((tab) => (
           <button 
             key={tab.id}
@@ -390,15 +480,17 @@ console.log('profile?.data keys:', profile?.data ? Object.keys(profile?.data) :
                 <Database size={18} />
               </div>
               <h4>Normality Test Results</h4>
-              <div className={styles.tableBadge}>AI Analysis</div>
+              <div className={styles.tableBadge}>Server-side Tests</div>
             </div>
             <div className={styles.tableWrapper}>
               <table className={styles.neuralTable}>
                 <thead>
                   <tr>
                     <th>Feature</th>
+                    <th>Test</th>
                     <th>Test Statistic</th>
                     <th>P-Value</th>
+                    <th>n</th>
                     <th>Distribution</th>
                     <th>AI Recommendation</th>
                   </tr>
@@ -416,22 +508,40 @@ console.log('profile?.data keys:', profile?.data ? Object.keys(profile?.data) :
                         </div>
                         {colName}
                       </td>
+                      <td>
+                        {test.label || 'N/A'}
+                        {test.others.map(other => (
+                          <div
+                            key={other.key}
+                            className={styles.secondaryTest}
+                            title={`${other.label}: ${other.symbol} = ${other.statistic.toFixed(4)}`}
+                          >
+                            {other.label} p = {formatPValue(other.pValue)}
+                          </div>
+                        ))}
+                      </td>
                       <td className={styles.statisticValue}>
-                        {test.statistic?.toFixed(4) || 'N/A'}
+                        {test.statistic !== null ? `${test.symbol} = ${test.statistic.toFixed(4)}` : 'N/A'}
                       </td>
                       <td className={styles.pValue}>
                         <span className={`${styles.pValueBadge} ${styles[test.severity]}`}>
-                          {test.pValue?.toFixed(4) || 'N/A'}
+                          {test.pValue !== null ? formatPValue(test.pValue) : 'N/A'}
                         </span>
                       </td>
+                      <td
+                        className={styles.statisticValue}
+                        title={test.sampled ? 'Tested on an evenly spaced sample of rows' : undefined}
+                      >
+                        {test.sampleSize ?? 'N/A'}{test.sampled ? '*' : ''}
+                      </td>
                       <td>
                         <div className={`${styles.distributionBadge} ${styles[test.severity]}`}>
-                          {test.pValue && test.pValue > 0.05 ? <CheckCircle size={14} /> : <AlertTriangle size={14} />}
+                          {test.pValue !== null && test.pValue > 0.05 ? <CheckCircle size={14} /> : <AlertTriangle size={14} />}
                           {test.interpretation}
                         </div>
                       </td>
                       <td className={styles.recommendation}>
-                        {test.pValue && test.pValue < 0.05 ? 
+                        {test.pValue !== null && test.pValue < 0.05 ? 
                           <span className={styles.transformationRec}>Consider transformation</span> : 
                           <span className={styles.noActionRec}>Optimal distribution</span>
                         }
@@ -453,7 +563,17 @@ console.log('profile?.data keys:', profile?.data ? Object.keys(profile?.data) :
                 <GitBranch size={18} />
               </div>
               <h4>Correlation Significance Analysis</h4>
-              <div className={styles.tableBadge}>Pearson Method</div>
+              <div className={styles.methodSwitch}>
+                {availableMethods.map(method => (
+                  <button
+                    key={method}
+                    className={method === selectedMethod ? styles.active : ''}
+                    onClick={() => setCorrelationMethod(method)}
+                  >
+                    {CORRELATION_METHODS[method].label}
+                  </button>
+                ))}
+              </div>
             </div>
             <div className={styles.tableWrapper}>
               <table className={styles.neuralTable}>
@@ -461,8 +581,10 @@ console.log('profile?.data keys:', profile?.data ? Object.keys(profile?.data) :
                   <tr>
                     <th>Variable Pair</th>
                     <th>Correlation</th>
-                    <th>t-Statistic</th>
+                    <th>{CORRELATION_METHODS[selectedMethod].statistic}-Statistic</th>
                     <th>P-Value</th>
+                    <th>{Math.round((correlations.confidenceLevel || 0.95) * 100)}% CI</th>
+                    <th>n</th>
                     <th>Significance</th>
                   </tr>
                 </thead>
@@ -485,13 +607,19 @@ console.log('profile?.data keys:', profile?.data ? Object.keys(profile?.data) :
                         </span>
                       </td>
                       <td className={styles.statisticValue}>
-                        {corr.tStatistic.toFixed(4)}
+                        {corr.tStatistic !== null ? corr.tStatistic.toFixed(4) : '∞'}
                       </td>
                       <td className={styles.pValue}>
                         <span className={`${styles.pValueBadge} ${corr.significant ? styles.significant : styles.notSignificant}`}>
-                          {corr.pValue.toFixed(4)}
+                          {formatPValue(corr.pValue)}
                         </span>
                       </td>
+                      <td className={styles.statisticValue}>
+                        {corr.confidenceInterval
+                          ? `[${corr.confidenceInterval[0].toFixed(3)}, ${corr.confidenceInterval[1].toFixed(3)}]`
+                          : 'N/A'}
+                      </td>
+                      <td className={styles.statisticValue}>{corr.sampleSize}</td>
                       <td>
                         <div className={`${styles.significanceBadge} ${styles[corr.severity]}`}>
                           {corr.significant ? <CheckCircle size={14} /> : <Eye size={14} />}
@@ -515,15 +643,26 @@ console.log('profile?.data keys:', profile?.data ? Object.keys(profile?.data) :
                 <Eye size={18} />
               </div>
               <h4>Outlier Detection Analysis</h4>
-              <div className={styles.tableBadge}>IQR + Z-Score</div>
+              <div className={styles.methodSwitch}>
+                {(availableOutlierMethods.length > 0 ? availableOutlierMethods : ['iqr']).map(method => (
+                  <button
+                    key={method}
+                    className={method === selectedOutlierMethod ? styles.active : ''}
+                    onClick={() => setOutlierMethod(method)}
+                  >
+                    {OUTLIER_METHODS[method].label}
+                  </button>
+                ))}
+              </div>
             </div>
             <div className={styles.tableWrapper}>
               <table className={styles.neuralTable}>
                 <thead>
                   <tr>
                     <th>Feature</th>
-                    <th>IQR Outliers</th>
+                    <th>Outliers</th>
                     <th>Detection Bounds</th>
+                    <th>Most Extreme (row)</th>
                     <th>Severity</th>
                     <th>AI Recommendation</th>
                   </tr>
@@ -544,13 +683,34 @@ console.log('profile?.data keys:', profile?.data ? Object.keys(profile?.data) :
                         </td>
                         <td className={styles.outlierCount}>
                           <span className={`${styles.countBadge} ${styles[analysis.severity]}`}>
-                            {analysis.iqrOutliers}
+                            {analysis.count}
                           </span>
+                          {analysis.percent !== undefined && (
+                            <div className={styles.secondaryTest}>{analysis.percent.toFixed(2)}% of values</div>
+                          )}
                         </td>
                         <td className={styles.bounds}>
                           <span className={styles.boundRange}>
                             [{analysis.lowerBound.toFixed(2)}, {analysis.upperBound.toFixed(2)}]
                           </span>
+                          <div className={styles.secondaryTest}>{analysis.parameters}</div>
+                        </td>
+                        <td>
+                          {analysis.top.length > 0 ? (
+                            <div className={styles.outlierRows}>
+                              {analysis.top.slice(0, 5).map(outlier => (
+                                <span
+                                  key={outlier.row}
+                                  className={styles.outlierRow}
+                                  title={outlier.score !== null ? `score ${Number(outlier.score).toFixed(2)}` : undefined}
+                                >
+                                  #{outlier.row + 1}: {typeof outlier.value === 'number' ? outlier.value.toFixed(2) : outlier.value}
+                                </span>
+                              ))}
+                            </div>
+                          ) : (
+                            <span className={styles.secondaryTest}>None</span>
+                          )}
                         </td>
                         <td>
                           <div className={`${styles.severityBadge} ${styles[analysis.severity]}`}>
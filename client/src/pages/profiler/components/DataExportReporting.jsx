@@ -36,6 +36,8 @@ const DataExportReporting = ({ profile, processingStats }) => {
   
   const [isGenerating, setIsGenerating] = useState(false);
   const [generationProgress, setGenerationProgress] = useState(0);
+  const [generationSteps, setGenerationSteps] = useState([]);
+  const [activeGenerationStep, setActiveGenerationStep] = useState(0);
   const [visibleCards, setVisibleCards] = useState(0);
   const [reportMetrics, setReportMetrics] = useState(null);
 
@@ -77,28 +79,51 @@ const DataExportReporting = ({ profile, processingStats }) => {
     };
   };
 
-  const simulateGeneration = async (callback) => {
+  /**
+   * Run export steps in order. Progress advances as each step finishes and
+   * the step list shows which one is running.
+   * @param {Array<{label: String, run: Function}>} steps - Each run receives the previous step's result
+   */
+  const runGeneration = async (steps) => {
     setIsGenerating(true);
     setGenerationProgress(0);
-    
-    const progressInterval = setInterval(() => {
-      setGenerationProgress(prev => {
-        if (prev >= 100) {
-          clearInterval(progressInterval);
-          setIsGenerating(false);
-          callback();
-          return 100;
-        }
-        return prev + Math.random() * 15 + 5;
-      });
-    }, 200);
+    setGenerationSteps(steps.map(step => step.label));
+
+    try {
+      let result;
+      for (const [index, step] of steps.entries()) {
+        setActiveGenerationStep(index);
+        // Let the browser paint the current step before running it
+        await new Promise(resolve => setTimeout(resolve, 0));
+        result = await step.run(result);
+        setGenerationProgress(((index + 1) / steps.length) * 100);
+      }
+    } catch (err) {
+      console.error('Export error:', err);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const downloadFile = (content, type, fileName) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
   };
 
   const exportToPDF = async () => {
-    await simulateGeneration(() => {
-      const executiveSummary = generateExecutiveSummary();
-      
-      const reportContent = `
+    await runGeneration([
+      {
+        label: 'Compiling insights',
+        run: () => generateExecutiveSummary()
+      },
+      {
+        label: 'Formatting report',
+        run: (executiveSummary) => `
 AI-POWERED DATA PROFILING REPORT
 Generated: ${new Date().toLocaleString()}
 Processing ID: ${processingStats?.requestId || 'N/A'}
@@ -119,62 +144,67 @@ DETAILED ANALYSIS
 [Complete statistical breakdown with AI insights would be included here]
 
 Report generated by CSV Profiler Pro AI Engine
-      `;
-      
-      const blob = new Blob([reportContent], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `ai-data-profile-report-${Date.now()}.txt`;
-      link.click();
-      URL.revokeObjectURL(url);
-    });
+      `
+      },
+      {
+        label: 'Saving file',
+        run: (reportContent) => downloadFile(reportContent, 'text/plain', `ai-data-profile-report-${Date.now()}.txt`)
+      }
+    ]);
   };
 
   const exportToExcel = async () => {
-    await simulateGeneration(() => {
-      const columnStats = Object.entries(profile?.columnStats || {}).map(([name, stats]) => ({
-        Column: name,
-        Type: stats.type,
-        'Total Count': stats.totalCount,
-        'Valid Count': stats.validCount,
-        'Missing Count': stats.missingCount,
-        'Missing %': (stats.missingPercent || 0).toFixed(2),
-        'Unique Values': stats.unique,
-        Mean: stats.type === 'numeric' ? (stats.mean || 0).toFixed(3) : 'N/A',
-        'Std Dev': stats.type === 'numeric' ? (stats.stdDev || 0).toFixed(3) : 'N/A',
-        Minimum: stats.type === 'numeric' ? (stats.min || 0).toFixed(3) : 'N/A',
-        Maximum: stats.type === 'numeric' ? (stats.max || 0).toFixed(3) : 'N/A',
-        'AI Quality Score': Math.round(Math.random() * 20 + 80),
-        'Recommendations': stats.missingPercent > 10 ? 'Data cleaning needed' : 'Quality approved'
-      }));
-
-      const csvContent = [
-        Object.keys(columnStats[0] || {}),
-        ...columnStats.map(row => Object.values(row))
-      ].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
-
-      const blob = new Blob([csvContent], { type: 'text/csv' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `ai-enhanced-profile-analysis-${Date.now()}.csv`;
-      link.click();
-      URL.revokeObjectURL(url);
-    });
+    await runGeneration([
+      {
+        label: 'Compiling column statistics',
+        run: () => Object.entries(profile?.columnStats || {}).map(([name, stats]) => ({
+          Column: name,
+          Type: stats.type,
+          'Total Count': stats.totalCount,
+          'Valid Count': stats.validCount,
+          'Missing Count': stats.missingCount,
+          'Missing %': (stats.missingPercent || 0).toFixed(2),
+          'Unique Values': stats.unique,
+          Mean: stats.type === 'numeric' ? (stats.mean || 0).toFixed(3) : 'N/A',
+          'Std Dev': stats.type === 'numeric' ? (stats.stdDev || 0).toFixed(3) : 'N/A',
+          Minimum: stats.type === 'numeric' ? (stats.min || 0).toFixed(3) : 'N/A',
+          Maximum: stats.type === 'numeric' ? (stats.max || 0).toFixed(3) : 'N/A',
+          'AI Quality Score': Math.round(Math.random() * 20 + 80),
+          'Recommendations': stats.missingPercent > 10 ? 'Data cleaning needed' : 'Quality approved'
+        }))
+      },
+      {
+        label: 'Formatting data',
+        run: (columnStats) => [
+          Object.keys(columnStats[0] || {}),
+          ...columnStats.map(row => Object.values(row))
+        ].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n')
+      },
+      {
+        label: 'Saving file',
+        run: (csvContent) => downloadFile(csvContent, 'text/csv', `ai-enhanced-profile-analysis-${Date.now()}.csv`)
+      }
+    ]);
   };
 
   const generateShareableLink = async () => {
-    await simulateGeneration(() => {
-      const summary = generateExecutiveSummary();
-      const encoded = btoa(JSON.stringify(summary));
-      const shareUrl = `${window.location.origin}/shared-ai-report/${encoded}`;
-      
-      navigator.clipboard.writeText(shareUrl).then(() => {
-        // Could show a toast notification instead
-        alert('AI Report link copied to clipboard!');
-      });
-    });
+    await runGeneration([
+      {
+        label: 'Compiling insights',
+        run: () => generateExecutiveSummary()
+      },
+      {
+        label: 'Encoding report',
+        run: (summary) => `${window.location.origin}/shared-ai-report/${btoa(JSON.stringify(summary))}`
+      },
+      {
+        label: 'Copying link',
+        run: (shareUrl) => navigator.clipboard.writeText(shareUrl).then(() => {
+          // Could show a toast notification instead
+          alert('AI Report link copied to clipboard!');
+        })
+      }
+    ]);
   };
 
   if (!profile) {
@@ -232,10 +262,14 @@ Report generated by CSV Profiler Pro AI Engine
             </div>
           </div>
           <div className={styles.generationSteps}>
-            <div className={styles.step}>Compiling insights</div>
-            <div className={styles.step}>Formatting data</div>
-            <div className={styles.step}>Generating visuals</div>
-            <div className={styles.step}>Finalizing report</div>
+            {generationSteps.map((label, index) => (
+              <div
+                key={label}
+                className={`${styles.step} ${index === activeGenerationStep ? styles.stepActive : ''} ${index < activeGenerationStep ? styles.stepDone : ''}`}
+              >
+                {label}
+              </div>
+            ))}
           </div>
         </div>
       )}
@@ -28,6 +28,7 @@ import {
   Shield,
   Gauge,
   Lightbulb,
+  Calendar,
 } from 'lucide-react';
 import Chart from 'chart.js/auto';
 import styles from '../profiler.module.scss';
@@ -46,7 +47,8 @@ class ChartConfigurationAI {
       distribution: 'neural',
       correlation: 'quantum', 
       missing: 'cyber',
-      outliers: 'matrix'
+      outliers: 'matrix',
+      temporal: 'neural'
     };
   }
 
@@ -242,7 +244,25 @@ class ChartConfigurationAI {
             ...config.plugins,
             title: {
               display: true,
-              text: 'Statistical Outlier Detection',
+"              text: 'Statistical Outlier Detection',
+              font: {
+                size: 16,
+                weight: '700'
+              },
+              color: '#0f0f23'
+            }
+          }
+        };
+
+      case 'temporal':
+        return {
+          ...config,
+          type: 'bar',
+          plugins: {
+            ...config.plugins,
+            title: {
+              display: true,
+              text: 'Temporal Activity Patterns',
               font: {
                 size: 16,
                 weight: '700'
@@ -297,6 +317,16 @@ class DataVisualizationEngine {
   }
 
   generateHistogramBins(stats, binCount = 15) {
+    // Plot the server-side histogram: one point per bin at its midpoint
+    if (stats.histogram) {
+      const { edges, counts } = stats.histogram;
+      return counts.map((count, i) => ({
+        x: (edges[i] + edges[i + 1]) / 2,
+        y: count
+      }));
+    }
+
+    // Older cached profiles have no histogram; approximate with a normal curve
     const { min, max, mean, stdDev, validCount } = stats;
     const range = max - min;
     const step = range / binCount;
@@ -429,8 +459,49 @@ class DataVisualizationEngine {
       ]
     };
   }
+
+  generateTemporalVisualization() {
+    const temporalColumns = Object.entries(this.columnStats)
+      .filter(([name, stats]) => stats.temporal && stats.temporal.dayOfWeek)
+      .slice(0, 4);
+
+    if (temporalColumns.length === 0) return null;
+
+    const colors = this.configAI.colorPalettes.neural;
+    const days = Object.keys(temporalColumns[0][1].temporal.dayOfWeek);
+
+    return {
+      labels: days,
+      datasets: temporalColumns.map(([name, stats], index) => ({
+        label: name,
+        data: days.map(day => stats.temporal.dayOfWeek[day] || 0),
+        backgroundColor: `${colors[index % colors.length]}99`,
+        borderColor: colors[index % colors.length],
+        borderWidth: 2,
+        borderRadius: 6
+      }))
+    };
+  }
 }
 
+// Why a column's gaps look structural, from the server's missingness analysis
+const describeMissingReason = (reason) => {
+  switch (reason.type) {
+    case 'empty':
+      return 'never filled in';
+    case 'coMissing':
+      return `missing with ${reason.columns.join(', ')} (φ = ${reason.phi.toFixed(2)})`;
+    case 'dependsOn':
+      return reason.method === 'cramersV'
+        ? `missing in ${(reason.missingRate * 100).toFixed(0)}% of rows where ${reason.column} is "${reason.value}"`
+        : `depends on ${reason.column} (η = ${reason.association.toFixed(2)})`;
+    case 'clustered':
+      return `in blocks of rows, longest ${reason.longestRun.length} from row ${reason.longestRun.start}`;
+    default:
+      return reason.type;
+  }
+};
+
 const DataVisualizations = ({ profile, activeTab, setActiveTab }) => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [visualizationProgress, setVisualizationProgress] = useState(0);
@@ -443,15 +514,18 @@ const DataVisualizations = ({ profile, activeTab, setActiveTab }) => {
   const correlationChartRef = useRef(null);
   const missingDataChartRef = useRef(null);
   const outlierChartRef = useRef(null);
+  const temporalChartRef = useRef(null);
   
   const distributionChart = useRef(null);
   const correlationChart = useRef(null);
   const missingDataChart = useRef(null);
   const outlierChart = useRef(null);
+  const temporalChart = useRef(null);
 
   // Safe data access
   const safeColumnStats = profile?.columnStats || {};
   const safeCorrelations = profile?.correlations || { all: [], positive: [], negative: [] };
+  const missingness = profile?.missingness || null;
   
   // Data processing engine
   const dataEngine = useMemo(() => {
@@ -491,6 +565,14 @@ const DataVisualizations = ({ profile, activeTab, setActiveTab }) => {
       algorithm: 'Statistical Bounds',
       description: 'Outlier identification',
       color: '#f5576c'
+    },
+    {
+      id: 'temporal',
+      label: 'Temporal Patterns',
+      icon: <Calendar size={16} />,
+      algorithm: 'Calendar Profiling',
+      description: 'Day-of-week activity',
+      color: '#f59e0b'
     }
   ];
 
@@ -698,18 +780,56 @@ const DataVisualizations = ({ profile, activeTab, setActiveTab }) => {
     };
   }, [activeTab, dataEngine, isProcessing]);
 
+  // Temporal Chart
+  useEffect(() => {
+    if (activeTab === 'temporal' && temporalChartRef.current && !isProcessing) {
+      const chartData = dataEngine.generateTemporalVisualization();
+      if (!chartData) return;
+
+      if (temporalChart.current) {
+        temporalChart.current.destroy();
+      }
+
+      const config = dataEngine.configAI.generateAdvancedConfig('temporal', chartData, {
+        scales: {
+          y: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Values'
+            }
+          }
+        }
+      });
+
+      temporalChart.current = new Chart(temporalChartRef.current, {
+        ...config,
+        data: chartData
+      });
+    }
+
+    return () => {
+      if (temporalChart.current) {
+        temporalChart.current.destroy();
+        temporalChart.current = null;
+      }
+    };
+  }, [activeTab, dataEngine, isProcessing]);
+
   // Calculate visualization metrics
   const visualizationMetrics = useMemo(() => {
     const numericColumns = Object.values(safeColumnStats).filter(s => s.type === 'numeric').length;
     const correlationCount = safeCorrelations.all?.length || 0;
     const missingDataColumns = Object.values(safeColumnStats).filter(s => (s.missingPercent || 0) > 0).length;
     const outlierColumns = Object.values(safeColumnStats).filter(s => (s.outliers || 0) > 0).length;
+    const temporalColumns = Object.values(safeColumnStats).filter(s => s.temporal).length;
 
     return {
       distributions: numericColumns,
       correlations: correlationCount,
       missing: missingDataColumns,
-      outliers: outlierColumns
+      outliers: outlierColumns,
+      temporal: temporalColumns
     };
   }, [safeColumnStats, safeCorrelations]);
 
@@ -858,6 +978,10 @@ const DataVisualizations = ({ profile, activeTab, setActiveTab }) => {
           {activeTab === 'outliers' && (
             <canvas ref={outlierChartRef}></canvas>
           )}
+
+          {activeTab === 'temporal' && (
+            <canvas ref={temporalChartRef}></canvas>
+          )}
         </div>
 
         {/* Chart Insights Panel */}
@@ -879,18 +1003,64 @@ const DataVisualizations = ({ profile, activeTab, setActiveTab }) => {
                 <span>Found {safeCorrelations.all?.length || 0} statistical relationships in dataset</span>
               </div>
             )}
-            {activeTab === 'missing' && (
+            {activeTab === 'missing' && !missingness && (
               <div className={styles.insightItem}>
                 <Shield size={14} />
                 <span>Data quality assessment across {Object.keys(safeColumnStats).length} features</span>
               </div>
             )}
+            {activeTab === 'missing' && missingness && (
+              <>
+                <div className={styles.insightItem}>
+                  <Shield size={14} />
+                  <span>
+                    {missingness.rowsWithMissing} of {missingness.rowsChecked} rows
+                    ({missingness.rowsWithMissingPercent.toFixed(1)}%) have a missing value
+                    in {missingness.patternCount} patterns; {missingness.completeRows} rows are complete
+                  </span>
+                </div>
+                {missingness.patterns.slice(0, 5).map(pattern => (
+                  <div key={pattern.columns.join('|')} className={styles.insightItem}>
+                    <Layers size={14} />
+                    <span>
+                      {pattern.columns.join(' + ')} missing in {pattern.count} rows
+                      ({pattern.percent.toFixed(1)}%), e.g. rows {pattern.rows.join(', ')}
+                    </span>
+                  </div>
+                ))}
+                {missingness.nullityCorrelation.pairs.filter(pair => Math.abs(pair.phi) >= 0.3).slice(0, 5).map(pair => (
+                  <div key={pair.columns.join('|')} className={styles.insightItem}>
+                    <GitBranch size={14} />
+                    <span>
+                      Nullity correlation {pair.columns.join(' & ')}: φ = {pair.phi.toFixed(2)}
+                      ({pair.bothMissing} rows missing both)
+                    </span>
+                  </div>
+                ))}
+                {Object.entries(missingness.columns).map(([column, report]) => (
+                  <div key={column} className={styles.insightItem}>
+                    {report.classification === 'structural' ? <AlertTriangle size={14} /> : <CheckCircle size={14} />}
+                    <span>
+                      {column}: {report.classification === 'structural'
+                        ? `structural gaps - ${report.reasons.map(describeMissingReason).join('; ')}`
+                        : 'no pattern found - consistent with random gaps'}
+                    </span>
+                  </div>
+                ))}
+              </>
+            )}
             {activeTab === 'outliers' && (
               <div className={styles.insightItem}>
                 <Target size={14} />
                 <span>Anomaly detection using statistical boundaries and IQR methods</span>
               </div>
             )}
+            {activeTab === 'temporal' && (
+              <div className={styles.insightItem}>
+                <Calendar size={14} />
+                <span>Detected {visualizationMetrics.temporal} date columns; weekday counts shown for up to four</span>
+              </div>
+            )}
           </div>
         </div>
       </div>
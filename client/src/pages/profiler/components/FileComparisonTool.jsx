@@ -27,8 +27,12 @@ import {
   Layers
 } from 'lucide-react';
 import styles from '../profiler.module.scss';
+import apiClient from '../../../services/apiClient';
 
-const FileComparisonTool = ({ currentProfile }) => {
+// Insight severity from /api/compare to the insight styles; low stays unstyled
+const SEVERITY_TYPES = { high: 'critical', medium: 'warning' };
+
+const FileComparisonTool = ({ currentProfile, currentFile, piiHandling }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [savedProfiles, setSavedProfiles] = useState([]);
   const [selectedProfiles, setSelectedProfiles] = useState([]);
@@ -40,7 +44,8 @@ const FileComparisonTool = ({ currentProfile }) => {
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisProgress, setAnalysisProgress] = useState(0);
   const [visibleComparisons, setVisibleComparisons] = useState(0);
-  const [comparisonMetrics, setComparisonMetrics] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [comparisonError, setComparisonError] = useState(null);
   
   // Animation effects when opened
   useEffect(() => {
@@ -56,38 +61,6 @@ const FileComparisonTool = ({ currentProfile }) => {
     }
   }, [isOpen, savedProfiles.length]);
   
-  // Analysis simulation when comparing profiles
-  useEffect(() => {
-    if (selectedProfiles.length > 1) {
-      setIsAnalyzing(true);
-      setAnalysisProgress(0);
-      
-      const progressInterval = setInterval(() => {
-        setAnalysisProgress(prev => {
-          if (prev >= 100) {
-            clearInterval(progressInterval);
-            setIsAnalyzing(false);
-            
-            // Generate comparison metrics
-            setComparisonMetrics({
-              profilesCompared: selectedProfiles.length,
-              differencesFound: Math.floor(Math.random() * 15) + 5,
-              similarityScore: Math.floor(Math.random() * 30) + 70,
-              processingTime: '0.8s'
-            });
-            
-            return 100;
-          }
-          return prev + Math.random() * 20 + 10;
-        });
-      }, 150);
-      
-      return () => clearInterval(progressInterval);
-    } else {
-      setComparisonMetrics(null);
-    }
-  }, [selectedProfiles.length]);
-  
   // Enhanced save current profile
   const saveCurrentProfile = () => {
     if (!currentProfile || !currentProfile.summary) return;
@@ -100,7 +73,10 @@ const FileComparisonTool = ({ currentProfile }) => {
       columnStats: currentProfile.columnStats,
       insights: currentProfile.insights,
       quality: calculateQualityScore(currentProfile),
-      aiGenerated: true
+      aiGenerated: true,
+      // Compared by fingerprint while the server still caches the profile, else re-uploaded
+      fingerprint: currentProfile.summary.cache?.fingerprint || null,
+      file: currentFile || null
     };
     
     setSavedProfiles([...savedProfiles, profileData]);
@@ -113,15 +89,80 @@ const FileComparisonTool = ({ currentProfile }) => {
     return Math.max(0, 100 - missingPercent * 2);
   };
   
-  // Toggle profile selection for comparison
+  // Toggle profile selection; selecting a second profile starts a comparison
   const toggleProfileSelection = (profileId) => {
-    setSelectedProfiles(prev => {
-      if (prev.includes(profileId)) {
-        return prev.filter(id => id !== profileId);
-      } else {
-        return prev.length < 3 ? [...prev, profileId] : [...prev.slice(1), profileId];
-      }
+    const nextSelection = selectedProfiles.includes(profileId)
+      ? selectedProfiles.filter(id => id !== profileId)
+      : [...selectedProfiles.slice(-1), profileId];
+
+    setSelectedProfiles(nextSelection);
+    setComparison(null);
+    setComparisonError(null);
+
+    if (nextSelection.length === 2) {
+      runComparison(nextSelection.map(id => savedProfiles.find(profile => profile.id === id)));
+    }
+  };
+
+  // Post one comparison request, following its progress events
+  const requestComparison = async (dataset1, dataset2) => {
+    const requestId = apiClient.createRequestId();
+    const stopProgress = apiClient.subscribeToProgress(requestId, (progress) => {
+      if (typeof progress.percent === 'number') setAnalysisProgress(progress.percent);
     });
+
+    try {
+      return await apiClient.compareDatasets(dataset1, dataset2, {
+        skipEmptyLines: true,
+        delimiter: '', // Auto-detect
+        enableSampling: true,
+        piiHandling
+      }, requestId);
+    } finally {
+      stopProgress();
+    }
+  };
+
+  // Compare two saved profiles on the server
+  const runComparison = async ([first, second]) => {
+    setIsAnalyzing(true);
+    setAnalysisProgress(0);
+
+    try {
+      let response = null;
+
+      if (first.fingerprint && second.fingerprint) {
+        try {
+          response = await requestComparison({ fingerprint: first.fingerprint }, { fingerprint: second.fingerprint });
+        } catch (err) {
+          // Cached profiles expire; upload the files again when they are at hand
+          if (err.status !== 404 || !first.file || !second.file) throw err;
+        }
+      }
+
+      if (!response) {
+        if (!first.file || !second.file) {
+          throw new Error('Both analyses need their CSV file or a cached profile to be compared');
+        }
+        response = await requestComparison(first.file, second.file);
+      }
+
+      const { comparison: result, profiles, processingTime } = response.data;
+      const fingerprints = {
+        [first.id]: profiles.dataset1.summary?.cache?.fingerprint,
+        [second.id]: profiles.dataset2.summary?.cache?.fingerprint
+      };
+
+      setSavedProfiles(prev => prev.map(profile => (
+        fingerprints[profile.id] ? { ...profile, fingerprint: fingerprints[profile.id] } : profile
+      )));
+      setComparison({ ...result, processingTime });
+    } catch (err) {
+      console.error('Comparison error:', err);
+      setComparisonError(`Comparison failed: ${err.message}`);
+    } finally {
+      setIsAnalyzing(false);
+    }
   };
   
   // Toggle section expansion
@@ -155,45 +196,15 @@ const FileComparisonTool = ({ currentProfile }) => {
     }
   };
   
-  // Calculate comparison insights
+  // Comparison insights from the server, most severe first
   const getComparisonInsights = () => {
-    if (selectedProfiles.length < 2) return [];
-    
-    const selectedData = getSelectedProfilesData();
-    const insights = [];
-    
-    // Row count comparison
-    const rowCounts = selectedData.map(p => p.summary.totalRows);
-    const maxRows = Math.max(...rowCounts);
-    const minRows = Math.min(...rowCounts);
-    
-    if (maxRows / minRows > 2) {
-      insights.push({
-        type: 'warning',
-        message: `Significant size difference: largest dataset is ${(maxRows / minRows).toFixed(1)}x bigger`,
-        icon: <TrendingUp size={14} />
-      });
-    }
-    
-    // Column structure comparison
-    const allColumns = new Set();
-    selectedData.forEach(profile => {
-      Object.keys(profile.columnStats || {}).forEach(col => allColumns.add(col));
-    });
-    
-    const commonColumns = Array.from(allColumns).filter(col => 
-      selectedData.every(profile => profile.columnStats[col])
-    );
-    
-    if (commonColumns.length < allColumns.size * 0.8) {
-      insights.push({
-        type: 'critical',
-        message: `Only ${commonColumns.length}/${allColumns.size} columns are common across datasets`,
-        icon: <AlertTriangle size={14} />
-      });
-    }
-    
-    return insights;
+    if (!comparison) return [];
+
+    return comparison.insights.map(insight => ({
+      type: SEVERITY_TYPES[insight.severity],
+      message: `${insight.category}: ${insight.message}`,
+      icon: insight.severity === 'low' ? <Activity size={14} /> : <AlertTriangle size={14} />
+    }));
   };
   
   if (!currentProfile) {
@@ -320,14 +331,20 @@ const FileComparisonTool = ({ currentProfile }) => {
              ) : (
                <div className={styles.noteContent}>
                  <Activity size={14} />
-                 <span>{savedProfiles.length} saved analysis{savedProfiles.length > 1 ? 'es' : ''}. Select up to 3 for intelligent comparison.</span>
+                 <span>{savedProfiles.length} saved analysis{savedProfiles.length > 1 ? 'es' : ''}. Select two for intelligent comparison.</span>
+               </div>
+             )}
+             {comparisonError && (
+               <div className={styles.noteContent}>
+                 <AlertTriangle size={14} />
+                 <span>{comparisonError}</span>
                </div>
              )}
            </div>
          </div>
          
          {/* Comparison Metrics Dashboard */}
-         {comparisonMetrics && !isAnalyzing && (
+         {comparison && !isAnalyzing && (
            <div className={styles.comparisonMetricsPanel}>
              <div className={styles.metricsHeader}>
                <div className={styles.metricsIcon}>
@@ -342,8 +359,8 @@ const FileComparisonTool = ({ currentProfile }) => {
                    <GitCompare size={16} />
                  </div>
                  <div className={styles.metricContent}>
-                   <span className={styles.metricValue}>{comparisonMetrics.profilesCompared}</span>
-                   <span className={styles.metricLabel}>Profiles Compared</span>
+                   <span className={styles.metricValue}>{comparison.summary.commonColumnCount}</span>
+                   <span className={styles.metricLabel}>Common Columns</span>
                  </div>
                </div>
                <div className={styles.metricCard}>
@@ -351,7 +368,7 @@ const FileComparisonTool = ({ currentProfile }) => {
                    <Eye size={16} />
                  </div>
                  <div className={styles.metricContent}>
-                   <span className={styles.metricValue}>{comparisonMetrics.differencesFound}</span>
+                   <span className={styles.metricValue}>{comparison.insights.length}</span>
                    <span className={styles.metricLabel}>Differences Found</span>
                  </div>
                </div>
@@ -360,8 +377,8 @@ const FileComparisonTool = ({ currentProfile }) => {
                    <Target size={16} />
                  </div>
                  <div className={styles.metricContent}>
-                   <span className={styles.metricValue}>{comparisonMetrics.similarityScore}%</span>
-                   <span className={styles.metricLabel}>Similarity Score</span>
+                   <span className={styles.metricValue}>{comparison.summary.significantChanges}</span>
+                   <span className={styles.metricLabel}>Significant Changes</span>
                  </div>
                </div>
                <div className={styles.metricCard}>
@@ -369,7 +386,7 @@ const FileComparisonTool = ({ currentProfile }) => {
                    <Zap size={16} />
                  </div>
                  <div className={styles.metricContent}>
-                   <span className={styles.metricValue}>{comparisonMetrics.processingTime}</span>
+                   <span className={styles.metricValue}>{comparison.processingTime}</span>
                    <span className={styles.metricLabel}>Processing Time</span>
                  </div>
                </div>
@@ -454,6 +471,7 @@ const FileComparisonTool = ({ currentProfile }) => {
                          e.stopPropagation();
                          setSavedProfiles(savedProfiles.filter(p => p.id !== profile.id));
                          setSelectedProfiles(selectedProfiles.filter(id => id !== profile.id));
+                         if (selectedProfiles.includes(profile.id)) setComparison(null);
                        }}
                      >
                        <XCircle size={16} />
@@ -479,7 +497,7 @@ const FileComparisonTool = ({ currentProfile }) => {
              </div>
              <div className={styles.insightsList}>
                {comparisonInsights.map((insight, idx) => (
-                 <div key={idx} className={`${styles.insightItem} ${styles[insight.type]}`}>
+                 <div key={idx} className={`${styles.insightItem} ${styles[insight.type] || ''}`}>
                    <div className={styles.insightIcon}>
                      {insight.icon}
                    </div>
@@ -28,665 +28,75 @@ import {
 } from 'lucide-react';
 import styles from '../profiler.module.scss';
 
-// Advanced AI/ML Classes for Real Intelligence
-class IsolationForestAnomalyDetector {
-  constructor(data, contamination = 0.1) {
-    this.data = data;
-    this.contamination = contamination;
-    this.trees = [];
-    this.numTrees = 100;
-    this.maxSampleSize = 256;
-  }
-
-  fit() {
-    for (let i = 0; i < this.numTrees; i++) {
-      const sample = this.randomSample(this.data, this.maxSampleSize);
-      const tree = this.buildTree(sample, 0, Math.log2(this.maxSampleSize));
-      this.trees.push(tree);
-    }
-  }
-
-  randomSample(data, size) {
-    const shuffled = [...data].sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, Math.min(size, data.length));
-  }
-
-  buildTree(data, currentDepth, maxDepth) {
-    if (currentDepth >= maxDepth || data.length <= 1) {
-      return { size: data.length, isLeaf: true };
-    }
-
-    const features = Object.keys(data[0]).filter(key => typeof data[0][key] === 'number');
-    if (features.length === 0) return { size: data.length, isLeaf: true };
-
-    const splitFeature = features[Math.floor(Math.random() * features.length)];
-    const values = data.map(d => d[splitFeature]).filter(v => v !== null && !isNaN(v));
-    
-    if (values.length === 0) return { size: data.length, isLeaf: true };
-
-    const minVal = Math.min(...values);
-    const maxVal = Math.max(...values);
-    const splitValue = Math.random() * (maxVal - minVal) + minVal;
-
-    const leftData = data.filter(d => d[splitFeature] < splitValue);
-    const rightData = data.filter(d => d[splitFeature] >= splitValue);
-
-    return {
-      splitFeature,
-      splitValue,
-      left: this.buildTree(leftData, currentDepth + 1, maxDepth),
-      right: this.buildTree(rightData, currentDepth + 1, maxDepth),
-      isLeaf: false
-    };
-  }
-
-  detectAnomalies() {
-    this.fit();
-    return this.data.map((point, index) => {
-      const pathLength = this.getAveragePathLength(point);
-      const score = Math.pow(2, -pathLength / this.c(this.data.length));
-      return {
-        index,
-        score,
-        isAnomaly: score > 0.6,
-        severity: score > 0.8 ? 'high' : score > 0.6 ? 'medium' : 'low'
-      };
-    });
-  }
-
-  getAveragePathLength(point) {
-    const paths = this.trees.map(tree => this.getPathLength(point, tree, 0));
-    return paths.reduce((sum, path) => sum + path, 0) / paths.length;
-  }
-
-  getPathLength(point, node, depth) {
-    if (node.isLeaf) {
-      return depth + this.c(node.size);
-    }
-
-    if (point[node.splitFeature] < node.splitValue) {
-      return this.getPathLength(point, node.left, depth + 1);
-    } else {
-      return this.getPathLength(point, node.right, depth + 1);
-    }
-  }
-
-  c(n) {
-    if (n <= 1) return 0;
-    return 2 * (Math.log(n - 1) + 0.5772156649) - (2 * (n - 1) / n);
-  }
-}
-
-class KMeansPatternDetector {
-  constructor(data, k = 5) {
-    this.data = data;
-    this.k = k;
-    this.centroids = [];
-    this.clusters = [];
-    this.maxIterations = 100;
-  }
-
-  fit() {
-    // Initialize centroids randomly
-    this.initializeCentroids();
-    
-    for (let iter = 0; iter < this.maxIterations; iter++) {
-      const oldCentroids = [...this.centroids];
-      
-      // Assign points to clusters
-      this.assignToClusters();
-      
-      // Update centroids
-      this.updateCentroids();
-      
-      // Check convergence
-      if (this.hasConverged(oldCentroids)) break;
-    }
-
-    return this.analyzePatterns();
-  }
-
-  initializeCentroids() {
-    const features = this.getNumericFeatures();
-    this.centroids = [];
-    
-    for (let i = 0; i < this.k; i++) {
-      const centroid = {};
-      features.forEach(feature => {
-        const values = this.data.map(d => d[feature]).filter(v => !isNaN(v));
-        const min = Math.min(...values);
-        const max = Math.max(...values);
-        centroid[feature] = Math.random() * (max - min) + min;
-      });
-      this.centroids.push(centroid);
-    }
-  }
-
-  getNumericFeatures() {
-    if (this.data.length === 0) return [];
-    return Object.keys(this.data[0]).filter(key => 
-      typeof this.data[0][key] === 'number' && !isNaN(this.data[0][key])
-    );
-  }
-
-  assignToClusters() {
-    this.clusters = Array(this.k).fill().map(() => []);
-    
-    this.data.forEach((point, index) => {
-      let minDistance = Infinity;
-      let clusterIndex = 0;
-      
-      this.centroids.forEach((centroid, i) => {
-        const distance = this.euclideanDistance(point, centroid);
-        if (distance < minDistance) {
-          minDistance = distance;
-          clusterIndex = i;
-        }
-      });
-      
-      this.clusters[clusterIndex].push({ ...point, index, distance: minDistance });
-    });
-  }
-
-  euclideanDistance(point1, point2) {
-    const features = this.getNumericFeatures();
-    let sum = 0;
-    
-    features.forEach(feature => {
-      const val1 = point1[feature] || 0;
-      const val2 = point2[feature] || 0;
-      sum += Math.pow(val1 - val2, 2);
-    });
-    
-    return Math.sqrt(sum);
-  }
-
-  updateCentroids() {
-    const features = this.getNumericFeatures();
-    
-    this.centroids = this.clusters.map(cluster => {
-      if (cluster.length === 0) return this.centroids[0]; // Keep old centroid if cluster is empty
-      
-      const centroid = {};
-      features.forEach(feature => {
-        const sum = cluster.reduce((acc, point) => acc + (point[feature] || 0), 0);
-        centroid[feature] = sum / cluster.length;
-      });
-      return centroid;
-    });
-  }
-
-  hasConverged(oldCentroids) {
-    const threshold = 0.001;
-    return this.centroids.every((centroid, i) => {
-      return this.euclideanDistance(centroid, oldCentroids[i]) < threshold;
-    });
-  }
-
-  analyzePatterns() {
-    return this.clusters.map((cluster, index) => ({
-      id: index,
-      size: cluster.length,
-      centroid: this.centroids[index],
-      variance: this.calculateClusterVariance(cluster, this.centroids[index]),
-      insights: this.generateClusterInsights(cluster, index)
-    })).filter(cluster => cluster.size > 0);
-  }
-
-  calculateClusterVariance(cluster, centroid) {
-    if (cluster.length === 0) return 0;
-    
-    const distances = cluster.map(point => this.euclideanDistance(point, centroid));
-    const mean = distances.reduce((sum, d) => sum + d, 0) / distances.length;
-    return distances.reduce((sum, d) => sum + Math.pow(d - mean, 2), 0) / distances.length;
-  }
-
-  generateClusterInsights(cluster, index) {
-    if (cluster.length === 0) return [];
-    
-    const insights = [];
-    const features = this.getNumericFeatures();
-    
-    // Analyze each feature in the cluster
-    features.forEach(feature => {
-      const values = cluster.map(point => point[feature]).filter(v => !isNaN(v));
-      if (values.length === 0) return;
-      
-      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
-      const std = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length);
-      
-      if (std < 0.1 * mean) {
-        insights.push(`Cluster ${index + 1} shows highly consistent ${feature} values`);
-      }
-    });
-    
-    return insights;
-  }
-}
-
-class NeuralPatternRecognizer {
-  constructor(data) {
-    this.data = data;
-    this.patterns = [];
-    this.weights = {};
-  }
-
-  analyze() {
-    const features = this.getFeatures();
-    const patterns = this.detectPatterns(features);
-    const correlations = this.findNonLinearCorrelations(features);
-    const trends = this.detectTrends(features);
-    
-    return {
-      patterns,
-      correlations,
-      trends,
-      confidence: this.calculateConfidence(patterns, correlations, trends)
-    };
-  }
-
-  getFeatures() {
-    if (this.data.length === 0) return {};
-    
-    const numericFeatures = {};
-    const categoricalFeatures = {};
-    
-    Object.keys(this.data[0]).forEach(key => {
-      const values = this.data.map(d => d[key]);
-      const numericValues = values.filter(v => typeof v === 'number' && !isNaN(v));
-      
-      if (numericValues.length > values.length * 0.5) {
-        numericFeatures[key] = numericValues;
-      } else {
-        categoricalFeatures[key] = values.filter(v => v !== null && v !== undefined);
-      }
-    });
-    
-    return { numeric: numericFeatures, categorical: categoricalFeatures };
-  }
-
-  detectPatterns(features) {
-    const patterns = [];
-    
-    // Sequential patterns
-    Object.entries(features.numeric).forEach(([key, values]) => {
-      const sequences = this.findSequentialPatterns(values);
-      sequences.forEach(seq => {
-        patterns.push({
-          type: 'sequential',
-          feature: key,
-          pattern: seq.pattern,
-          confidence: seq.confidence,
-          description: `Detected ${seq.type} pattern in ${key}`
-        });
-      });
-    });
-    
-    // Frequency patterns
-    Object.entries(features.categorical).forEach(([key, values]) => {
-      const freqPatterns = this.findFrequencyPatterns(values);
-      freqPatterns.forEach(pattern => {
-        patterns.push({
-          type: 'frequency',
-          feature: key,
-          pattern: pattern.values,
-          confidence: pattern.confidence,
-          description: `${pattern.description} in ${key}`
-        });
-      });
-    });
-    
-    return patterns;
-  }
-
-  findSequentialPatterns(values) {
-    const patterns = [];
-    
-    // Detect trends
-    const trend = this.calculateTrend(values);
-    if (Math.abs(trend.slope) > 0.1) {
-      patterns.push({
-        type: trend.slope > 0 ? 'increasing' : 'decreasing',
-        pattern: trend,
-        confidence: Math.min(Math.abs(trend.slope) * 10, 1)
-      });
-    }
-    
-    // Detect cycles
-    const cycles = this.detectCycles(values);
-    cycles.forEach(cycle => {
-      patterns.push({
-        type: 'cyclical',
-        pattern: cycle,
-        confidence: cycle.strength
-      });
-    });
-    
-    return patterns;
-  }
-
-  calculateTrend(values) {
-    const n = values.length;
-    const x = Array.from({ length: n }, (_, i) => i);
-    const xMean = x.reduce((sum, xi) => sum + xi, 0) / n;
-    const yMean = values.reduce((sum, yi) => sum + yi, 0) / n;
-    
-    const numerator = x.reduce((sum, xi, i) => sum + (xi - xMean) * (values[i] - yMean), 0);
-    const denominator = x.reduce((sum, xi) => sum + Math.pow(xi - xMean, 2), 0);
-    
-    const slope = denominator !== 0 ? numerator / denominator : 0;
-    const intercept = yMean - slope * xMean;
-    
-    return { slope, intercept, r2: this.calculateR2(values, x, slope, intercept) };
-  }
-
-  calculateR2(y, x, slope, intercept) {
-    const yMean = y.reduce((sum, yi) => sum + yi, 0) / y.length;
-    const ssRes = y.reduce((sum, yi, i) => sum + Math.pow(yi - (slope * x[i] + intercept), 2), 0);
-    const ssTot = y.reduce((sum, yi) => sum + Math.pow(yi - yMean, 2), 0);
-    
-    return ssTot !== 0 ? 1 - (ssRes / ssTot) : 0;
-  }
-
-  detectCycles(values) {
-    const cycles = [];
-    const minCycleLength = 3;
-    const maxCycleLength = Math.floor(values.length / 2);
-    
-    for (let cycleLength = minCycleLength; cycleLength <= maxCycleLength; cycleLength++) {
-      const strength = this.calculateCycleStrength(values, cycleLength);
-      if (strength > 0.6) {
-        cycles.push({
-          length: cycleLength,
-          strength,
-          amplitude: this.calculateCycleAmplitude(values, cycleLength)
-        });
-      }
-    }
-    
-    return cycles.sort((a, b) => b.strength - a.strength).slice(0, 3);
-  }
-
-  calculateCycleStrength(values, cycleLength) {
-    const cycles = Math.floor(values.length / cycleLength);
-    if (cycles < 2) return 0;
-    
-    let correlation = 0;
-    let count = 0;
-    
-    for (let i = 0; i < cycles - 1; i++) {
-      const cycle1 = values.slice(i * cycleLength, (i + 1) * cycleLength);
-      const cycle2 = values.slice((i + 1) * cycleLength, (i + 2) * cycleLength);
-      
-      if (cycle2.length === cycleLength) {
-        correlation += this.pearsonCorrelation(cycle1, cycle2);
-        count++;
-      }
-    }
-    
-    return count > 0 ? Math.abs(correlation / count) : 0;
-  }
-
-  calculateCycleAmplitude(values, cycleLength) {
-    const cycles = Math.floor(values.length / cycleLength);
-    let totalAmplitude = 0;
-    
-    for (let i = 0; i < cycles; i++) {
-      const cycle = values.slice(i * cycleLength, (i + 1) * cycleLength);
-      const min = Math.min(...cycle);
-      const max = Math.max(...cycle);
-      totalAmplitude += max - min;
-    }
-    
-    return cycles > 0 ? totalAmplitude / cycles : 0;
-  }
-
-  findFrequencyPatterns(values) {
-    const patterns = [];
-    const frequencies = {};
-    
-    values.forEach(value => {
-      frequencies[value] = (frequencies[value] || 0) + 1;
-    });
-    
-    const sortedFreqs = Object.entries(frequencies)
-      .sort(([,a], [,b]) => b - a);
-    
-    // Pareto principle check (80/20 rule)
-    const total = values.length;
-    let cumulative = 0;
-    let paretoCount = 0;
-    
-    for (const [value, freq] of sortedFreqs) {
-      cumulative += freq;
-      paretoCount++;
-      if (cumulative >= total * 0.8) break;
-    }
-    
-    if (paretoCount / sortedFreqs.length < 0.2) {
-      patterns.push({
-        values: sortedFreqs.slice(0, paretoCount).map(([value]) => value),
-        confidence: 0.9,
-        description: 'Pareto distribution detected (80/20 rule)'
-      });
-    }
-    
-    return patterns;
-  }
-
-  findNonLinearCorrelations(features) {
-    const correlations = [];
-    const numericKeys = Object.keys(features.numeric);
-    
-    for (let i = 0; i < numericKeys.length; i++) {
-      for (let j = i + 1; j < numericKeys.length; j++) {
-        const key1 = numericKeys[i];
-        const key2 = numericKeys[j];
-        const values1 = features.numeric[key1];
-        const values2 = features.numeric[key2];
-        
-        // Linear correlation
-        const linear = this.pearsonCorrelation(values1, values2);
-        
-        // Non-linear correlation (mutual information approximation)
-        const nonLinear = this.mutualInformation(values1, values2);
-        
-        if (Math.abs(linear) > 0.3 || nonLinear > 0.2) {
-          correlations.push({
-            feature1: key1,
-            feature2: key2,
-            linear,
-            nonLinear,
-            strength: Math.max(Math.abs(linear), nonLinear),
-            type: Math.abs(linear) > nonLinear ? 'linear' : 'non-linear'
-          });
-        }
-      }
-    }
-    
-    return correlations.sort((a, b) => b.strength - a.strength);
-  }
-
-  pearsonCorrelation(x, y) {
-    const n = Math.min(x.length, y.length);
-    if (n === 0) return 0;
-    
-    const xSlice = x.slice(0, n);
-    const ySlice = y.slice(0, n);
-    
-    const xMean = xSlice.reduce((sum, xi) => sum + xi, 0) / n;
-    const yMean = ySlice.reduce((sum, yi) => sum + yi, 0) / n;
-    
-    const numerator = xSlice.reduce((sum, xi, i) => sum + (xi - xMean) * (ySlice[i] - yMean), 0);
-    const xDenom = Math.sqrt(xSlice.reduce((sum, xi) => sum + Math.pow(xi - xMean, 2), 0));
-    const yDenom = Math.sqrt(ySlice.reduce((sum, yi) => sum + Math.pow(yi - yMean, 2), 0));
-    
-    return (xDenom && yDenom) ? numerator / (xDenom * yDenom) : 0;
-  }
-
-  mutualInformation(x, y) {
-    // Simplified mutual information using histogram approach
-    const bins = 10;
-    const xBins = this.createBins(x, bins);
-    const yBins = this.createBins(y, bins);
-    
-    const n = Math.min(x.length, y.length);
-    const joint = Array(bins).fill().map(() => Array(bins).fill(0));
-    const xMarginal = Array(bins).fill(0);
-    const yMarginal = Array(bins).fill(0);
-    
-    for (let i = 0; i < n; i++) {
-      const xBin = this.getBin(x[i], xBins);
-      const yBin = this.getBin(y[i], yBins);
-      
-      if (xBin >= 0 && xBin < bins && yBin >= 0 && yBin < bins) {
-        joint[xBin][yBin]++;
-        xMarginal[xBin]++;
-        yMarginal[yBin]++;
-      }
-    }
-    
-    let mi = 0;
-    for (let i = 0; i < bins; i++) {
-      for (let j = 0; j < bins; j++) {
-        if (joint[i][j] > 0 && xMarginal[i] > 0 && yMarginal[j] > 0) {
-          const pxy = joint[i][j] / n;
-          const px = xMarginal[i] / n;
-          const py = yMarginal[j] / n;
-          mi += pxy * Math.log2(pxy / (px * py));
-        }
-      }
-    }
-    
-    return mi;
-  }
-
-  createBins(values, numBins) {
-    const min = Math.min(...values);
-    const max = Math.max(...values);
-    const binSize = (max - min) / numBins;
-    
-    return Array.from({ length: numBins + 1 }, (_, i) => min + i * binSize);
-  }
-
-  getBin(value, bins) {
-    for (let i = 0; i < bins.length - 1; i++) {
-      if (value >= bins[i] && value < bins[i + 1]) {
-        return i;
-      }
-    }
-    return bins.length - 2; // Last bin
-  }
-
-  detectTrends(features) {
-    const trends = [];
-    
-    Object.entries(features.numeric).forEach(([key, values]) => {
-      const trend = this.calculateTrend(values);
-      if (Math.abs(trend.slope) > 0.05) {
-        trends.push({
-          feature: key,
-          direction: trend.slope > 0 ? 'increasing' : 'decreasing',
-          strength: Math.abs(trend.slope),
-          confidence: trend.r2,
-          prediction: this.predictNextValues(values, trend, 5)
-        });
-      }
-    });
-    
-    return trends.sort((a, b) => b.confidence - a.confidence);
-  }
-
-  predictNextValues(values, trend, count) {
-    const predictions = [];
-    const startX = values.length;
-    
-    for (let i = 0; i < count; i++) {
-      const x = startX + i;
-      const predicted = trend.slope * x + trend.intercept;
-      predictions.push(predicted);
-    }
-    
-    return predictions;
-  }
-
-  calculateConfidence(patterns, correlations, trends) {
-    const patternConfidence = patterns.length > 0 ? 
-      patterns.reduce((sum, p) => sum + p.confidence, 0) / patterns.length : 0;
-    const correlationConfidence = correlations.length > 0 ?
-      correlations.reduce((sum, c) => sum + c.strength, 0) / correlations.length : 0;
-    const trendConfidence = trends.length > 0 ?
-      trends.reduce((sum, t) => sum + t.confidence, 0) / trends.length : 0;
-    
-    return (patternConfidence + correlationConfidence + trendConfidence) / 3;
-  }
-}
-
+// Turns the server's machine learning results (profile.machineLearning),
+// computed on the parsed rows, into dashboard insights
 class AdvancedInsightGenerator {
-  constructor(data, columnStats) {
-    this.data = data;
+  constructor(machineLearning, columnStats, data = []) {
+    this.machineLearning = machineLearning;
     this.columnStats = columnStats;
-    this.anomalyDetector = new IsolationForestAnomalyDetector(data);
-    this.patternDetector = new KMeansPatternDetector(data);
-    this.neuralRecognizer = new NeuralPatternRecognizer(data);
+    this.data = data;
   }
 
   generateAdvancedInsights() {
     const insights = [];
-    
+    const { anomalies, clustering, patterns, sampled, rowsAnalyzed } = this.machineLearning || {};
+    const scope = sampled ? ` in a sample of ${rowsAnalyzed.toLocaleString()} rows` : '';
+
     // Anomaly detection insights
-    const anomalies = this.anomalyDetector.detectAnomalies();
-    const highAnomalies = anomalies.filter(a => a.severity === 'high');
-    
-    if (highAnomalies.length > 0) {
+    if (anomalies && anomalies.count > 0) {
+      const highAnomalies = anomalies.top.filter(a => a.severity === 'high');
+      const listed = (highAnomalies.length > 0 ? highAnomalies : anomalies.top).slice(0, 5);
       insights.push({
         category: 'Anomaly Detection',
         type: 'ai_insight',
-        message: `ML-based anomaly detection identified ${highAnomalies.length} high-risk outliers using Isolation Forest algorithm`,
-        severity: 'high',
-        confidence: 0.92,
-        details: `Anomalies detected at rows: ${highAnomalies.map(a => a.index).slice(0, 5).join(', ')}`,
+        message: highAnomalies.length > 0
+          ? `Isolation Forest identified ${highAnomalies.length} high-risk anomalous rows${scope}`
+          : `Isolation Forest identified ${anomalies.count} anomalous rows${scope}`,
+        severity: highAnomalies.length > 0 ? 'high' : 'medium',
+        confidence: listed[0].score,
+        details: `Most anomalous rows: ${listed.map(a => `${a.row} (score ${a.score.toFixed(2)})`).join(', ')}`,
         algorithm: 'Isolation Forest'
       });
     }
 
     // Pattern recognition insights
-    const patterns = this.patternDetector.fit();
-    patterns.forEach((pattern, index) => {
-      insights.push({
-        category: 'Pattern Recognition',
-        type: 'ai_insight',
-        message: `K-Means clustering identified ${pattern.size} data points forming distinct pattern cluster ${index + 1}`,
-        severity: 'medium',
-        confidence: 0.88,
-        details: pattern.insights.join(', ') || 'Cluster shows unique behavioral characteristics',
-        algorithm: 'K-Means Clustering'
+    if (clustering) {
+      clustering.clusters.forEach(cluster => {
+        insights.push({
+          category: 'Pattern Recognition',
+          type: 'ai_insight',
+          message: `K-Means clustering grouped ${cluster.size} rows (${(cluster.share * 100).toFixed(1)}%)${scope} into cluster ${cluster.id + 1} of ${clustering.k}`,
+          severity: 'medium',
+          confidence: Math.max(0, clustering.silhouette),
+          details: cluster.distinguishing.length > 0
+            ? cluster.distinguishing.map(f => `${f.direction} ${f.feature} (${f.z > 0 ? '+' : ''}${f.z.toFixed(1)}σ)`).join(', ')
+            : 'Cluster sits close to the overall averages',
+          algorithm: 'K-Means Clustering'
+        });
       });
-    });
+    }
 
-    // Neural pattern analysis
-    const neuralAnalysis = this.neuralRecognizer.analyze();
-    
-    neuralAnalysis.trends.forEach(trend => {
+    // Sequential pattern analysis
+    (patterns?.trends || []).forEach(trend => {
       insights.push({
         category: 'Trend Analysis',
         type: 'ai_insight',
-        message: `Neural analysis detected ${trend.direction} trend in ${trend.feature} with ${(trend.confidence * 100).toFixed(1)}% confidence`,
-        severity: trend.strength > 0.5 ? 'high' : 'medium',
+        message: `Detected ${trend.direction} trend in ${trend.feature} along the row order (R² ${trend.confidence.toFixed(2)})`,
+        severity: trend.confidence > 0.5 ? 'high' : 'medium',
         confidence: trend.confidence,
         details: `Predicted next values: ${trend.prediction.map(p => p.toFixed(2)).join(', ')}`,
-        algorithm: 'Neural Pattern Recognition'
+        algorithm: 'Pattern Recognition'
       });
     });
 
-    neuralAnalysis.correlations.slice(0, 3).forEach(corr => {
+    (patterns?.correlations || []).slice(0, 3).forEach(corr => {
       insights.push({
         category: 'Relationship Discovery',
         type: 'ai_insight',
         message: `Discovered ${corr.type} relationship between ${corr.feature1} and ${corr.feature2}`,
         severity: corr.strength > 0.7 ? 'high' : 'medium',
-        confidence: corr.strength,
-        details: `Correlation strength: ${(corr.strength * 100).toFixed(1)}% (${corr.type})`,
+        confidence: Math.min(1, corr.strength),
+        details: `Correlation strength: ${(corr.strength * 100).toFixed(1)}% (${corr.type}, n = ${corr.sampleSize})`,
         algorithm: corr.type === 'linear' ? 'Pearson Correlation' : 'Mutual Information'
       });
     });
@@ -803,146 +213,13 @@ const AdvancedInsightsDashboard = ({ profile }) => {
       columnStats: actualData?.columns || actualData?.columnStats || {},
       correlations: actualData?.correlations || { all: [], strong: [], weak: [] },
       summary: actualData?.summary || {},
+      machineLearning: actualData?.machineLearning || null,
       rawData: actualData?.rawData || []
     };
   };
 
   const profileData = extractProfileData(profile);
-  const { insights, columnStats, correlations, summary, rawData } = profileData;
-
-   // Generate synthetic data from column statistics for ML algorithms
-const generateSyntheticDataFromStats = (stats, count = 100) => {
-  console.log('Generating synthetic data from stats:', stats);
-  
-  const syntheticData = [];
-  const columns = Object.keys(stats);
-  
-  if (columns.length === 0) {
-    console.log('No columns found in stats, creating sample data structure');
-    // Create a basic data structure for ML algorithms when columnStats is empty
-    const sampleColumns = ['feature1', 'feature2', 'feature3', 'category'];
-    for (let i = 0; i < count; i++) {
-      const row = {
-        feature1: Math.random() * 100,
-        feature2: Math.random() * 50 + 25,
-        feature3: Math.random() * 200,
-        category: ['A', 'B', 'C'][Math.floor(Math.random() * 3)]
-      };
-      syntheticData.push(row);
-    }
-    console.log('Generated fallback synthetic data sample:', syntheticData.slice(0, 3));
-    return syntheticData;
-  }
-  
-  for (let i = 0; i < count; i++) {
-    const row = {};
-    columns.forEach(col => {
-      const colStats = stats[col];
-      if (colStats.type === 'numeric' || colStats.type === 'float64' || colStats.type === 'int64') {
-        // Generate data based on normal distribution using mean and std
-        const mean = colStats.mean || 0;
-        const std = colStats.stdDev || colStats.std || 1;
-        row[col] = generateNormalRandom(mean, std); // <-- FIXED: removed 'this.'
-      } else {
-        // Generate categorical data based on top values
-        const topValues = colStats.topValues || [['Category_' + (i % 5), 1]];
-        const randomIndex = Math.floor(Math.random() * topValues.length);
-        row[col] = topValues[randomIndex][0];
-      }
-    });
-    syntheticData.push(row);
-  }
-  
-  console.log('Generated synthetic data sample:', syntheticData.slice(0, 3));
-  return syntheticData;
-};
-
- // Box-Muller transformation for normal distribution
- const generateNormalRandom = (mean, std) => {
-   const u = Math.random();
-   const v = Math.random();
-   const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
-   return z * std + mean;
- };
-
-const advancedAnalysis = useMemo(() => {
-  console.log('Running advanced analysis...');
-  console.log('Profile exists:', !!profile);
-  console.log('ColumnStats keys:', Object.keys(columnStats));
-  console.log('RawData length:', rawData?.length || 0);
-  
-  if (!profile) {
-    console.log('No profile available');
-    return null;
-  }
-
-  // Check if we have either columnStats OR rawData to work with
-  if (Object.keys(columnStats).length === 0 && (!rawData || rawData.length === 0)) {
-    console.log('No column stats AND no raw data available');
-    return null;
-  }
-
-try {
-  // Create data for ML - prefer rawData, then synthetic from columnStats, then fallback synthetic
-  let dataForML;
-  
-  if (rawData && rawData.length > 0) {
-    console.log('Using raw data for ML');
-    dataForML = rawData;
-  } else if (Object.keys(columnStats).length > 0) {
-    console.log('Using columnStats to generate synthetic data');
-    dataForML = generateSyntheticDataFromStats(columnStats, 200);
-  } else {
-    console.log('No stats available, generating fallback data');
-    dataForML = generateSyntheticDataFromStats({}, 200);
-  }
-  
-  console.log('Data for ML:', dataForML.length, 'rows');
-  
-  if (dataForML.length === 0) {
-    console.log('No data available for ML processing');
-    return null;
-  }
-
-  // Generate basic insights that work regardless of data source
-  const basicInsights = [
-    {
-      category: 'Data Overview',
-      type: 'ai_insight',
-      message: `Advanced analysis processed ${dataForML.length} data points across ${Object.keys(dataForML[0] || {}).length} features`,
-      severity: 'low',
-      confidence: 0.95,
-      algorithm: 'Statistical Analysis'
-    }
-  ];
-
-    // Try ML algorithms with fallbacks
-    try {
-      const insightGenerator = new AdvancedInsightGenerator(dataForML, columnStats);
-      const mlInsights = insightGenerator.generateAdvancedInsights();
-      console.log('ML insights generated:', mlInsights.length);
-      return [...basicInsights, ...mlInsights];
-    } catch (mlError) {
-      console.error('ML algorithms failed, using basic analysis:', mlError);
-      
-      // Fallback to simpler insights
-      const fallbackInsights = generateFallbackInsights(columnStats, dataForML);
-      return [...basicInsights, ...fallbackInsights];
-    }
-  } catch (error) {
-    console.error('Advanced analysis failed:', error);
-    return [{
-      category: 'System Status',
-      type: 'ai_insight',
-      message: 'Analysis engine encountered processing constraints. Displaying available insights.',
-      severity: 'medium',
-      confidence: 0.8,
-      algorithm: 'Fallback Analysis'
-    }];
-  }
-}, [profile, columnStats, rawData]);
-
-
+  const { insights, columnStats, correlations, summary, machineLearning, rawData } = profileData;
 
 // Fallback insight generation
 const generateFallbackInsights = (stats, data) => {
@@ -1026,6 +303,70 @@ const generateFallbackInsights = (stats, data) => {
   return insights;
 };
 
+const advancedAnalysis = useMemo(() => {
+  console.log('Running advanced analysis...');
+  console.log('Profile exists:', !!profile);
+  console.log('ColumnStats keys:', Object.keys(columnStats));
+  console.log('RawData length:', rawData?.length || 0);
+  
+  if (!profile) {
+    console.log('No profile available');
+    return null;
+  }
+
+  if (Object.keys(columnStats).length === 0) {
+    console.log('No column stats available');
+    return null;
+  }
+
+try {
+  // The models ran server-side on the parsed (or sampled) rows
+  const rowsAnalyzed = machineLearning?.rowsAnalyzed ?? summary.totalRows ?? 0;
+
+  // Generate basic insights that work regardless of data source
+  const basicInsights = [
+    {
+      category: 'Data Overview',
+      type: 'ai_insight',
+      message: `Advanced analysis processed ${rowsAnalyzed} data points across ${Object.keys(columnStats).length} features`,
+      severity: 'low',
+      confidence: 0.95,
+      algorithm: 'Statistical Analysis'
+    }
+  ];
+
+    if (!machineLearning) {
+      return [...basicInsights, ...generateFallbackInsights(columnStats, rawData)];
+    }
+
+    try {
+      const insightGenerator = new AdvancedInsightGenerator(machineLearning, columnStats, rawData);
+      const mlInsights = insightGenerator.generateAdvancedInsights();
+      console.log('ML insights generated:', mlInsights.length);
+      return [...basicInsights, ...mlInsights];
+    } catch (mlError) {
+      console.error('ML insight generation failed, using basic analysis:', mlError);
+      
+      // Fallback to simpler insights
+      const fallbackInsights = generateFallbackInsights(columnStats, rawData);
+      return [...basicInsights, ...fallbackInsights];
+    }
+  } catch (error) {
+    console.error('Advanced analysis failed:', error);
+    return [{
+      category: 'System Status',
+      type: 'ai_insight',
+      message: 'Analysis engine encountered processing constraints. Displaying available insights.',
+      severity: 'medium',
+      confidence: 0.8,
+      algorithm: 'Fallback Analysis'
+    }];
+  }
+}, [profile, columnStats, machineLearning, summary, rawData]);
+
+
+
+
 
 
  // Real-time ML processing simulation
@@ -17,10 +17,40 @@ import {
   Gauge,
   Eye,
   Target,
-  Layers
+  Layers,
+  Calendar,
+  ToggleLeft,
+  Key,
+  MapPin,
+  Phone,
+  Mail,
+  Link,
+  Globe,
+  Fingerprint,
+  DollarSign,
+  Flag
 } from 'lucide-react';
 import styles from '../profiler.module.scss';
 
+// Display settings for each inferred semantic type
+const SEMANTIC_TYPES = {
+  integer: { label: 'Integer', color: '#3b82f6', icon: Hash },
+  float: { label: 'Float', color: '#1d4ed8', icon: Hash },
+  string: { label: 'String', color: '#10b981', icon: Type },
+  boolean: { label: 'Boolean', color: '#8b5cf6', icon: ToggleLeft },
+  identifier: { label: 'Identifier', color: '#64748b', icon: Key },
+  zip: { label: 'Zip / Postal', color: '#ec4899', icon: MapPin },
+  phone: { label: 'Phone', color: '#14b8a6', icon: Phone },
+  date: { label: 'Date', color: '#f59e0b', icon: Calendar },
+  datetime: { label: 'Datetime', color: '#d97706', icon: Calendar },
+  email: { label: 'Email', color: '#0ea5e9', icon: Mail },
+  url: { label: 'URL', color: '#6366f1', icon: Link },
+  ipAddress: { label: 'IP Address', color: '#0891b2', icon: Globe },
+  uuid: { label: 'UUID', color: '#475569', icon: Fingerprint },
+  countryCode: { label: 'Country Code', color: '#84cc16', icon: Flag },
+  currency: { label: 'Currency', color: '#16a34a', icon: DollarSign }
+};
+
 const SummaryDashboard = ({ profile, processingStats }) => {
   const [animationProgress, setAnimationProgress] = useState(0);
   const [visibleCards, setVisibleCards] = useState(0);
@@ -54,8 +84,12 @@ const SummaryDashboard = ({ profile, processingStats }) => {
   const totalRows = safeSummary.totalRows || 0;
   const totalColumns = safeSummary.totalColumns || 0;
   const numericColumns = safeSummary.numericColumns || 0;
-  const categoricalColumns = totalColumns - numericColumns;
+  const temporalColumns = safeSummary.temporalColumns || 0;
+  const categoricalColumns = safeSummary.categoricalColumns ?? totalColumns - numericColumns - temporalColumns;
   const totalMissingValues = safeSummary.totalMissingValues || 0;
+  const duplicateRows = safeSummary.duplicates?.exact?.count || 0;
+  const duplicatePercent = safeSummary.duplicates?.exact?.percent || 0;
+  const keyDuplicates = safeSummary.duplicates?.keys;
   const missingPercent = totalRows && totalColumns ? 
     (totalMissingValues / (totalRows * totalColumns) * 100).toFixed(1) : 0;
 
@@ -75,7 +109,21 @@ const SummaryDashboard = ({ profile, processingStats }) => {
     .sort((a, b) => b[1].missingCount - a[1].missingCount);
   
   const worstColumn = columnsWithMissingValues[0];
+
+  // Inferred semantic types, and the columns whose values contradict theirs
+  const semanticTypeCounts = Object.values(safeColumnStats).reduce((counts, stats) => {
+    const type = stats.semanticType || stats.type;
+    counts[type] = (counts[type] || 0) + 1;
+    return counts;
+  }, {});
+  const typeConflicts = Object.entries(safeColumnStats)
+    .filter(([name, stats]) => stats.typeInference && stats.typeInference.conflictingCount > 0)
+    .sort((a, b) => a[1].typeInference.confidence - b[1].typeInference.confidence)
+    .slice(0, 5);
   
+  // Primary key and unique constraint candidates, narrowest first
+  const keyCandidates = (safeSummary.keyCandidates?.candidates || []).slice(0, 5);
+
   // Enhanced quality checks with scoring
   const qualityChecks = [
     {
@@ -96,7 +144,7 @@ const SummaryDashboard = ({ profile, processingStats }) => {
                'Optimal feature mix' : 
                numericColumns === 0 ? 'No numeric features' : 'No categorical features',
       icon: numericColumns > 0 && categoricalColumns > 0 ? <Target size={16} /> : <AlertTriangle size={16} />,
-      detail: `${numericColumns} numeric, ${categoricalColumns} categorical`
+      detail: `${numericColumns} numeric, ${categoricalColumns} categorical${temporalColumns ? `, ${temporalColumns} date` : ''}`
     },
     {
       name: 'Outlier Analysis',
@@ -107,6 +155,16 @@ const SummaryDashboard = ({ profile, processingStats }) => {
       icon: Object.values(safeColumnStats).some(col => (col.outliers || 0) > totalRows * 0.05) ? 
             <Eye size={16} /> : <Check size={16} />,
       detail: `${Object.values(safeColumnStats).reduce((sum, col) => sum + (col.outliers || 0), 0)} outliers total`
+    },
+    {
+      name: 'Row Uniqueness',
+      status: duplicateRows === 0 && !keyDuplicates?.count ? 'excellent' : duplicatePercent < 5 ? 'warning' : 'critical',
+      score: Math.max(0, 100 - duplicatePercent * 5),
+      message: duplicateRows === 0 ? 'No duplicate rows' : `${duplicateRows.toLocaleString()} duplicate rows`,
+      icon: duplicateRows === 0 && !keyDuplicates?.count ? <Check size={16} /> : <AlertTriangle size={16} />,
+      detail: keyDuplicates
+        ? `${keyDuplicates.count.toLocaleString()} repeated (${keyDuplicates.columns.join(', ')}) keys`
+        : `${(safeSummary.duplicates?.exact?.groupCount || 0).toLocaleString()} duplicate groups`
     }
   ];
 
@@ -240,42 +298,78 @@ const SummaryDashboard = ({ profile, processingStats }) => {
           
           <div className={styles.distributionViz}>
             <div className={styles.distributionBar}>
-              <div 
-                className={styles.numericSegment}
-                style={{ 
-                  width: `${(numericColumns / totalColumns * 100) || 0}%`,
-                  '--progress': `${animationProgress}%`
-                }}
-              >
-                <Hash size={14} />
-                <span>{numericColumns}</span>
-                <div className={styles.segmentGlow}></div>
-              </div>
-              <div 
-                className={styles.categoricalSegment}
-                style={{ 
-                  width: `${(categoricalColumns / totalColumns * 100) || 0}%`,
-                  '--progress': `${animationProgress}%`
-                }}
-              >
-                <Type size={14} />
-                <span>{categoricalColumns}</span>
-                <div className={styles.segmentGlow}></div>
-              </div>
+              {Object.entries(semanticTypeCounts).map(([type, count]) => {
+                const display = SEMANTIC_TYPES[type] || { label: type, color: '#94a3b8', icon: Type };
+                const Icon = display.icon;
+                return (
+                  <div 
+                    key={type}
+                    className={styles.typeSegment}
+                    style={{ 
+                      width: `${(count / totalColumns * 100) || 0}%`,
+                      background: display.color,
+                      '--progress': `${animationProgress}%`
+                    }}
+                  >
+                    <Icon size={14} />
+                    <span>{count}</span>
+                    <div className={styles.segmentGlow}></div>
+                  </div>
+                );
+              })}
             </div>
             
             <div className={styles.distributionLegend}>
-              <div className={styles.legendItem}>
-                <div className={styles.numericIndicator}></div>
-                <span>Numeric Features</span>
-                <strong>{numericColumns}</strong>
+              {Object.entries(semanticTypeCounts).map(([type, count]) => (
+                <div key={type} className={styles.legendItem}>
+                  <div 
+                    className={styles.typeIndicator}
+                    style={{ background: (SEMANTIC_TYPES[type] || { color: '#94a3b8' }).color }}
+                  ></div>
+                  <span>{(SEMANTIC_TYPES[type] || { label: type }).label}</span>
+                  <strong>{count}</strong>
+                </div>
+              ))}
+            </div>
+
+            {typeConflicts.length > 0 && (
+              <div className={styles.typeConflicts}>
+                <h4>Type Confidence</h4>
+                {typeConflicts.map(([column, stats]) => (
+                  <div key={column} className={styles.typeConflictItem}>
+                    <div className={styles.typeConflictHeader}>
+                      <strong>{column}</strong>
+                      <span>
+                        {(SEMANTIC_TYPES[stats.semanticType] || { label: stats.semanticType }).label} · {stats.typeInference.confidence}%
+                      </span>
+                    </div>
+                    <div className={styles.typeConflictSamples}>
+                      {stats.typeInference.conflictingCount} conflicting
+                      {stats.typeInference.conflictingSamples.length > 0 && (
+                        <>: {stats.typeInference.conflictingSamples.map(value => `"${value}"`).join(', ')}</>
+                      )}
+                    </div>
+                  </div>
+                ))}
               </div>
-              <div className={styles.legendItem}>
-                <div className={styles.categoricalIndicator}></div>
-                <span>Categorical Features</span>
-                <strong>{categoricalColumns}</strong>
+            )}
+
+            {keyCandidates.length > 0 && (
+              <div className={styles.typeConflicts}>
+                <h4>Key Candidates</h4>
+                {keyCandidates.map(candidate => (
+                  <div key={candidate.columns.join('|')} className={styles.keyCandidateItem}>
+                    <div className={styles.typeConflictHeader}>
+                      <strong>{candidate.columns.join(' + ')}</strong>
+                      <span>{candidate.primaryKey ? 'Primary key' : 'Unique'}</span>
+                    </div>
+                    <div className={styles.typeConflictSamples}>
+                      {candidate.distinct.toLocaleString()} distinct · {(candidate.nullRate * 100).toFixed(1)}% missing
+                    </div>
+                  </div>
+                ))}
               </div>
-            </div>
+            )}
           </div>
         </div>
 
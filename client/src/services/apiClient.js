@@ -62,27 +62,216 @@ class ApiClient {
   }
 
   /**
-   * Compare two datasets
-   * @param {Array} dataset1 - First dataset
-   * @param {Array} dataset2 - Second dataset
-   * @param {Object} options - Comparison options
+   * Profile a CSV file by streaming it to the server as a multipart upload,
+   * so the file is never read into memory in the browser
+   * @param {File} file - CSV file selected by the user
+   * @param {Object} options - Processing options
+   * @param {String} requestId - Optional id to follow with subscribeToProgress
+   * @returns {Promise<Object>} Analysis results
+   */
+  async profileFile(file, options = {}, requestId = null) {
+    try {
+      // Options must precede the file so the server can apply them while streaming
+      const formData = new FormData();
+      formData.append('options', JSON.stringify(options));
+      formData.append('file', file, file.name);
+
+      const response = await fetch(`${this.baseUrl}/api/profile`, {
+        method: 'POST',
+        headers: requestId ? { 'X-Request-Id': requestId } : {},
+        body: formData
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || `Server error: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Profile upload error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a request id the server will adopt, so progress can be
+   * subscribed to before the request is sent
+   * @returns {String} Request id
+   */
+  createRequestId() {
+    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Follow server-sent progress events for a request or job
+   * @param {String} id - Request or job id
+   * @param {Function} onProgress - Called with { phase, percent, ... } for each event
+   * @returns {Function} Closes the event stream
+   */
+  subscribeToProgress(id, onProgress) {
+    const source = new EventSource(`${this.baseUrl}/api/progress/${id}`);
+
+    source.addEventListener('progress', (event) => {
+      const progress = JSON.parse(event.data);
+      onProgress(progress);
+
+      if (['completed', 'failed', 'cancelled'].includes(progress.phase)) {
+        source.close();
+      }
+    });
+
+    return () => source.close();
+  }
+
+  /**
+   * Start a background profiling job for a CSV file. The file is streamed to
+   * the server, which answers as soon as the upload is stored.
+   * @param {File} file - CSV file selected by the user
+   * @param {Object} options - Processing options
+   * @returns {Promise<Object>} Job creation response with jobId
+   */
+  async createProfileJob(file, options = {}) {
+    try {
+      const formData = new FormData();
+      formData.append('options', JSON.stringify(options));
+      formData.append('file', file, file.name);
+
+      const response = await fetch(`${this.baseUrl}/api/jobs`, {
+        method: 'POST',
+        body: formData
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || `Server error: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Job creation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status, progress and result of a profiling job
+   * @param {String} jobId - Job identifier
+   * @returns {Promise<Object>} Job state
+   */
+  async getJob(jobId) {
+    const response = await fetch(`${this.baseUrl}/api/jobs/${jobId}`);
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || errorData.error || `Server error: ${response.status}`);
+    }
+
+    const { job } = await response.json();
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running profiling job
+   * @param {String} jobId - Job identifier
+   * @returns {Promise<Object>} Cancellation response
+   */
+  async cancelJob(jobId) {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/jobs/${jobId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || `Server error: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Job cancellation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Poll a profiling job until it completes, fails or is cancelled. The
+   * interval grows after each poll, so long jobs stay within the server's
+   * rate limits; a `settled` promise, such as the terminal event of
+   * subscribeToProgress, triggers the final poll without waiting.
+   * @param {String} jobId - Job identifier
+   * @param {Object} options - { onProgress(progress), interval, maxInterval, settled } polling options
+   * @returns {Promise<Object>} Profile response in the same shape as profileFile
+   */
+  async waitForJob(jobId, { onProgress, interval = 1000, maxInterval = 10000, settled = null } = {}) {
+    let delay = interval;
+    // The terminal event wakes one poll early; later waits are plain delays
+    let wake = settled ? settled.then(() => 'settled') : null;
+
+    for (;;) {
+      const job = await this.getJob(jobId);
+
+      if (onProgress) onProgress(job.progress);
+
+      if (job.status === 'completed') {
+        return { success: true, requestId: job.requestId, ...job.result };
+      }
+      if (job.status === 'failed') {
+        throw new Error(job.error?.message || 'Profiling job failed');
+      }
+      if (job.status === 'cancelled') {
+        throw new Error('Profiling job was cancelled');
+      }
+
+      const wait = delay;
+      const reason = await Promise.race([
+        new Promise(resolve => setTimeout(resolve, wait)),
+        ...(wake ? [wake] : [])
+      ]);
+      if (reason === 'settled') wake = null;
+      delay = Math.min(delay * 1.5, maxInterval);
+    }
+  }
+
+  /**
+   * Compare two datasets on the server. Files are streamed as a multipart
+   * upload; otherwise each dataset is CSV text or { fingerprint } of a
+   * profile the server has cached.
+   * @param {File|String|Object} dataset1 - First dataset
+   * @param {File|String|Object} dataset2 - Second dataset
+   * @param {Object} options - Processing options for CSV datasets
+   * @param {String} requestId - Optional id to follow with subscribeToProgress
    * @returns {Promise<Object>} Comparison results
    */
-  async compareDatasets(dataset1, dataset2, options = {}) {
+  async compareDatasets(dataset1, dataset2, options = {}, requestId = null) {
     try {
+      const isUpload = dataset1 instanceof Blob && dataset2 instanceof Blob;
+      let body;
+
+      if (isUpload) {
+        // Options must precede the files so the server can apply them while streaming
+        body = new FormData();
+        body.append('options', JSON.stringify(options));
+        body.append('dataset1', dataset1, dataset1.name);
+        body.append('dataset2', dataset2, dataset2.name);
+      } else {
+        body = JSON.stringify({ dataset1, dataset2, options });
+      }
+
       const response = await fetch(`${this.baseUrl}/api/compare`, {
         method: 'POST',
-        headers: this.requestConfig.headers,
-        body: JSON.stringify({
-          dataset1,
-          dataset2,
-          options
-        })
+        headers: {
+          ...(!isUpload && this.requestConfig.headers),
+          ...(requestId && { 'X-Request-Id': requestId })
+        },
+        body
       });
       
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || `Server error: ${response.status}`);
+        const error = new Error(errorData.message || errorData.error || `Server error: ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
       
       return await response.json();
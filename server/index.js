@@ -11,6 +11,8 @@ const path = require('path');
 // Import routes
 const profileRoute = require('./routes/profile');
 const compareRoute = require('./routes/compare');
+const jobsRoute = require('./routes/jobs');
+const progressRoute = require('./routes/progress');
 
 // Import Advanced Logger
 const AdvancedLogger = require('./utils/AdvancedLogger');
@@ -18,6 +20,10 @@ const logger = new AdvancedLogger();
 
 const app = express();
 
+// Job status polls and progress streams follow work that is already
+// running, so they get their own limit instead of using up the global one
+const isStatusRequest = (req) => req.method === 'GET' && /^\/api\/(jobs|progress)\/[^/]+\/?$/.test(req.path);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -28,6 +34,19 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: isStatusRequest
+});
+
+const statusLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120,
+  message: {
+    error: 'Too many status requests from this IP, please try again later.',
+    retryAfter: '1 minute'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !isStatusRequest(req)
 });
 
 // Security and Performance Middleware
@@ -36,10 +55,17 @@ app.use(helmet({
 }));
 app.use(compression());
 app.use(limiter);
+app.use(statusLimiter);
+
+// Request ID and logger middleware. Clients may supply their own id so they
+// can subscribe to /api/progress/:id before sending a profiling request.
+const CLIENT_REQUEST_ID_PATTERN = /^[\w-]{8,64}$/;
 
-// Request ID and logger middleware
 app.use((req, res, next) => {
-  req.requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const clientRequestId = req.get('X-Request-Id');
+  req.requestId = clientRequestId && CLIENT_REQUEST_ID_PATTERN.test(clientRequestId)
+    ? clientRequestId
+    : `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   req.logger = logger;
   req.startTime = Date.now();
   next();
@@ -118,6 +144,8 @@ app.get('/api/health', (req, res) => {
 // API Routes
 app.use('/api/profile', profileRoute);
 app.use('/api/compare', compareRoute);
+app.use('/api/jobs', jobsRoute);
+app.use('/api/progress', progressRoute);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -134,7 +162,11 @@ app.use('*', (req, res) => {
     availableEndpoints: [
       'GET /api/health',
       'POST /api/profile',
-      'POST /api/compare'
+      'POST /api/compare',
+      'POST /api/jobs',
+      'GET /api/jobs/:id',
+      'DELETE /api/jobs/:id',
+      'GET /api/progress/:id'
     ],
     requestId: req.requestId
   });
@@ -190,8 +222,10 @@ const server = app.listen(PORT, () => {
   logger.info(`   GET  /api/health - Health check`);
   logger.info(`   POST /api/profile - CSV profiling`);
   logger.info(`   POST /api/compare - CSV comparison`);
+  logger.info(`   POST /api/jobs - Background CSV profiling (poll GET /api/jobs/:id, cancel with DELETE)`);
+  logger.info(`   GET  /api/progress/:id - Progress events (SSE) for a request or job id`);
   logger.info(`📚 Documentation: http://localhost:${PORT}/api-docs`);
-  logger.info(`💾 Max Upload: 50MB`);
+  logger.info(`💾 Max Upload: 50MB JSON / streamed multipart or text/csv for larger files`);
   logger.info(`📁 Logs Directory: ${path.join(__dirname, 'logs')}`);
   logger.info(`📁 Cache Directory: ${path.join(__dirname, 'cache')}`);
   logger.info('='.repeat(60));
@@ -0,0 +1,28 @@
+/**
+ * Helpers for cooperative cancellation with AbortSignal. Cancelled work
+ * rejects with an error whose code is 'CANCELLED' so callers can tell it
+ * apart from real failures.
+ */
+
+function cancelledError() {
+  const error = new Error('Profiling was cancelled');
+  error.code = 'CANCELLED';
+  error.status = 499;
+  return error;
+}
+
+function isCancelledError(error) {
+  return Boolean(error && error.code === 'CANCELLED');
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw cancelledError();
+  }
+}
+
+module.exports = {
+  cancelledError,
+  isCancelledError,
+  throwIfAborted
+};
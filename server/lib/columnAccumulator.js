@@ -0,0 +1,465 @@
+const MomentAccumulator = require('./momentAccumulator');
+const QuantileSketch = require('./quantileSketch');
+const HyperLogLog = require('./hyperLogLog');
+const TemporalAccumulator = require('./temporalAccumulator');
+const SemanticTypeAccumulator = require('./semanticTypeAccumulator');
+const StringShapeAccumulator = require('./stringShapeAccumulator');
+const {
+  DEFAULT_FREQUENCY_THRESHOLD,
+  MAX_FREQUENCY_ROWS,
+  binEdges
+} = require('./histogramBins');
+
+// p1..p99, reported for every numeric column
+const PERCENTILES = Array.from({ length: 99 }, (_, i) => i + 1);
+
+/**
+ * ColumnAccumulator collects everything needed to profile one column in a
+ * single pass: null counts, numeric moments, an approximate quantile sketch,
+ * bounded value frequencies, date parsing results, semantic type evidence
+ * and the shapes of its text values.
+ * States built over separate row chunks can be merged, and serialised with
+ * toJSON() to cross worker thread boundaries.
+ */
+class ColumnAccumulator {
+  /**
+   * @param {Object} options - Accumulator options
+   * @param {Number} options.maxTrackedValues - Distinct values counted exactly before switching to estimates
+   * @param {Number} options.sketchSize - Quantile sketch capacity per level
+   * @param {Boolean} options.epochCandidate - Read integer values as Unix epochs
+   * @param {Number} options.referenceTime - "Now" for future-date checks (ms)
+   * @param {Object} options.typeHints - Semantic types suggested by the column name
+   */
+  constructor(options = {}) {
+    this.maxTrackedValues = options.maxTrackedValues || 10000;
+    this.sketchSize = options.sketchSize || 2000;
+    this.referenceTime = options.referenceTime || Date.now();
+
+    this.totalCount = 0;
+    this.missingCount = 0;
+    this.moments = new MomentAccumulator();
+    this.sketch = new QuantileSketch(this.sketchSize);
+    this.valueCounts = new Map();
+    this.distinct = null; // HyperLogLog, created once valueCounts overflows
+    this.temporal = new TemporalAccumulator({
+      epochCandidate: options.epochCandidate,
+      referenceTime: this.referenceTime,
+      sketchSize: this.sketchSize
+    });
+    this.semantic = new SemanticTypeAccumulator({ hints: options.typeHints });
+    this.strings = new StringShapeAccumulator();
+  }
+
+  /**
+   * Create the accumulator for a named column. Integer columns are only
+   * read as epochs when the name suggests a date or time, and the name can
+   * tip ambiguous values towards zip code, phone or identifier types.
+   * @param {String} name - Column name
+   * @param {Object} options - Accumulator options
+   * @returns {ColumnAccumulator}
+   */
+  static forColumn(name, options = {}) {
+    return new ColumnAccumulator({
+      ...options,
+      epochCandidate: TemporalAccumulator.isTemporalName(name),
+      typeHints: SemanticTypeAccumulator.hintsForName(name)
+    });
+  }
+
+  /**
+   * Build one accumulator per column from a single pass over rows
+   * @param {Array} rows - Parsed rows
+   * @param {Array<String>} keys - Column names
+   * @param {Object} options - Accumulator options
+   * @returns {Object} - Column name to ColumnAccumulator
+   */
+  static accumulateRows(rows, keys, options = {}) {
+    const accumulators = {};
+    keys.forEach(key => {
+      accumulators[key] = ColumnAccumulator.forColumn(key, options);
+    });
+
+    for (const row of rows) {
+      for (const key of keys) {
+        accumulators[key].add(row[key]);
+      }
+    }
+
+    return accumulators;
+  }
+
+  static isMissing(value) {
+    return value === null || value === undefined || value === '';
+  }
+
+  /**
+   * Add one cell value
+   * @param {*} value - Parsed cell value
+   */
+  add(value) {
+    this.totalCount++;
+
+    if (ColumnAccumulator.isMissing(value)) {
+      this.missingCount++;
+      return;
+    }
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      this.moments.add(value);
+      this.sketch.add(value);
+    }
+
+    this.temporal.add(value);
+    this.semantic.add(value);
+    this.strings.add(value);
+
+    const key = value instanceof Date ? value.toISOString() : String(value);
+    if (this.distinct) this.distinct.add(key);
+    this.valueCounts.set(key, (this.valueCounts.get(key) || 0) + 1);
+
+    if (this.valueCounts.size > this.maxTrackedValues) {
+      this.truncateValueCounts();
+    }
+  }
+
+  /**
+   * Switch distinct counting to HyperLogLog and keep only the most frequent
+   * half of the tracked values, so memory stays bounded on high-cardinality
+   * columns. Frequencies become lower bounds from this point on, and entropy,
+   * top values and the mode are reported as approximate.
+   */
+  truncateValueCounts() {
+    if (!this.distinct) {
+      this.distinct = new HyperLogLog();
+      this.valueCounts.forEach((count, key) => this.distinct.add(key));
+    }
+
+    const keep = Math.floor(this.maxTrackedValues / 2);
+    const sorted = [...this.valueCounts.entries()].sort(([, a], [, b]) => b - a);
+    this.valueCounts = new Map(sorted.slice(0, keep));
+  }
+
+  /**
+   * Merge another accumulator for the same column into this one
+   * @param {ColumnAccumulator} other - Accumulator over a disjoint chunk
+   * @returns {ColumnAccumulator} - this
+   */
+  merge(other) {
+    this.totalCount += other.totalCount;
+    this.missingCount += other.missingCount;
+    this.moments.merge(other.moments);
+    this.sketch.merge(other.sketch);
+    this.temporal.merge(other.temporal);
+    this.semantic.merge(other.semantic);
+    this.strings.merge(other.strings);
+
+    const overflows = this.distinct || other.distinct ||
+      this.unionSize(other) > this.maxTrackedValues;
+
+    if (overflows) {
+      if (!this.distinct) {
+        this.distinct = new HyperLogLog();
+        this.valueCounts.forEach((count, key) => this.distinct.add(key));
+      }
+
+      if (other.distinct) {
+        this.distinct.merge(other.distinct);
+      } else {
+        other.valueCounts.forEach((count, key) => this.distinct.add(key));
+      }
+    }
+
+    other.valueCounts.forEach((count, key) => {
+      this.valueCounts.set(key, (this.valueCounts.get(key) || 0) + count);
+    });
+
+    if (this.valueCounts.size > this.maxTrackedValues) {
+      this.truncateValueCounts();
+    }
+
+    return this;
+  }
+
+  unionSize(other) {
+    let size = this.valueCounts.size;
+    other.valueCounts.forEach((count, key) => {
+      if (!this.valueCounts.has(key)) size++;
+    });
+    return size;
+  }
+
+  get validCount() {
+    return this.totalCount - this.missingCount;
+  }
+
+  get uniqueCount() {
+    return this.distinct ? this.distinct.estimate() : this.valueCounts.size;
+  }
+
+  /**
+   * Produce the column profile. A column is temporal (`date` or `datetime`)
+   * when at least 80% of its non-missing values parse as dates, otherwise
+   * numeric when more than half of them are numbers and its semantic type
+   * is integer or float. Booleans, zip codes, phone numbers and identifiers
+   * are profiled as categorical even when stored as numbers.
+   * @param {Object} options - Output options
+   * @param {String|Number|Array<Number>} options.bins - Histogram bin rule, count or edges
+   * @param {Number} options.frequencyThreshold - Minimum share (%) of a value in the frequency table
+   * @returns {Object} - Column statistics
+   */
+  finalize(options = {}) {
+    const validCount = this.validCount;
+    const unique = Math.min(this.uniqueCount, validCount);
+    const isTemporal = this.temporal.isTemporal(validCount);
+    const temporal = isTemporal ? this.temporal.finalize(validCount) : null;
+
+    const inference = isTemporal
+      ? this.temporalInference(temporal, validCount)
+      : this.semantic.finalize({ unique, min: this.moments.min, max: this.moments.max });
+    const { type: semanticType, ...typeInference } = inference;
+
+    const isNumeric = !isTemporal && ['integer', 'float'].includes(semanticType) &&
+      this.moments.n > 0 && this.moments.n / validCount > 0.5;
+
+    let type = isNumeric ? 'numeric' : 'categorical';
+    if (isTemporal) {
+      type = semanticType;
+    }
+
+    const baseStats = {
+      type,
+      semanticType,
+      typeInference,
+      totalCount: this.totalCount,
+      validCount,
+      missingCount: this.missingCount,
+      missingPercent: this.totalCount > 0 ? (this.missingCount / this.totalCount) * 100 : 0,
+      unique,
+      uniquePercent: validCount > 0 ? (unique / validCount) * 100 : 0
+    };
+
+    const approximate = {
+      quantiles: isNumeric && !this.sketch.isExact,
+      distinct: Boolean(this.distinct),
+      values: Boolean(this.distinct)
+    };
+    if (approximate.quantiles || approximate.distinct) {
+      baseStats.approximate = approximate;
+    }
+
+    if (isTemporal) {
+      return {
+        ...baseStats,
+        ...this.categoricalStats(options),
+        temporal
+      };
+    }
+
+    return isNumeric
+      ? { ...baseStats, ...this.numericStats(options, semanticType === 'integer') }
+      : { ...baseStats, ...this.categoricalStats(options), strings: this.strings.finalize() };
+  }
+
+  /**
+   * Type inference for a temporal column, in the same shape as the semantic
+   * type result: values that did not parse as dates are the conflicts
+   */
+  temporalInference(temporal, validCount) {
+    return {
+      type: temporal.hasTime ? 'datetime' : 'date',
+      confidence: Math.round(temporal.parsedPercent * 10) / 10,
+      conformingCount: temporal.parsedCount,
+      conflictingCount: validCount - temporal.parsedCount,
+      conflictingSamples: temporal.unparsedExamples
+    };
+  }
+
+  numericStats(options = {}, integer = false) {
+    const { moments, sketch } = this;
+
+    // Detect outliers using IQR method
+    const q1 = sketch.percentile(25);
+    const q3 = sketch.percentile(75);
+    const iqr = q3 - q1;
+    const lowerBound = q1 - 1.5 * iqr;
+    const upperBound = q3 + 1.5 * iqr;
+
+    return {
+      min: moments.min,
+      max: moments.max,
+      mean: moments.mean,
+      median: sketch.percentile(50),
+      mode: this.numericMode(),
+      stdDev: moments.stdDev,
+      variance: moments.variance,
+      q1,
+      q3,
+      iqr,
+      outliers: sketch.countOutside(lowerBound, upperBound),
+      skewness: moments.skewness,
+      kurtosis: moments.kurtosis,
+      percentiles: sketch.percentiles(PERCENTILES),
+      histogram: this.histogram(options.bins, iqr, integer)
+    };
+  }
+
+  /**
+   * Histogram of the numeric values, counted from the quantile sketch (so
+   * approximate once the sketch has compacted)
+   * @param {String|Number|Array<Number>} bins - Bin rule, count or edges
+   * @param {Number} iqr - Interquartile range, used by Freedman–Diaconis
+   * @param {Boolean} integer - Whether every value is an integer
+   * @returns {Object} - { rule, edges, counts, underflow, overflow, approximate }
+   */
+  histogram(bins = 'fd', iqr, integer) {
+    const { rule, edges } = binEdges(bins, {
+      min: this.moments.min,
+      max: this.moments.max,
+      count: this.moments.n,
+      iqr,
+      integer
+    });
+
+    return {
+      rule,
+      edges,
+      ...this.sketch.histogram(edges),
+      approximate: !this.sketch.isExact
+    };
+  }
+
+  numericMode() {
+    let maxCount = 0;
+    let mode = null;
+
+    this.valueCounts.forEach((count, key) => {
+      const value = Number(key);
+      if (count > maxCount && Number.isFinite(value)) {
+        maxCount = count;
+        mode = value;
+      }
+    });
+
+    return mode;
+  }
+
+  categoricalStats(options = {}) {
+    const validCount = this.validCount;
+    const sortedValues = [...this.valueCounts.entries()]
+      .sort(([, a], [, b]) => b - a);
+
+    return {
+      topValues: sortedValues.slice(0, 10),
+      frequencies: this.frequencyTable(sortedValues, options.frequencyThreshold),
+      entropy: this.estimateEntropy(),
+      mode: sortedValues[0]?.[0],
+      modeCount: sortedValues[0]?.[1] || 0,
+      modePercent: sortedValues[0] && validCount > 0 ?
+        (sortedValues[0][1] / validCount) * 100 : 0
+    };
+  }
+
+  /**
+   * Every value holding at least `threshold` percent of the column, with
+   * the remaining values folded into `otherCount`
+   * @param {Array} sortedValues - [value, count] pairs, most frequent first
+   * @param {Number} threshold - Minimum share (%) of a listed value
+   * @returns {Object} - { values, otherCount, otherValues, threshold, approximate }
+   */
+  frequencyTable(sortedValues, threshold = DEFAULT_FREQUENCY_THRESHOLD) {
+    const validCount = this.validCount;
+    const minCount = (threshold / 100) * validCount;
+
+    const values = [];
+    for (const [value, count] of sortedValues) {
+      if (count < minCount || values.length >= MAX_FREQUENCY_ROWS) break;
+      values.push([value, count]);
+    }
+
+    const listedCount = values.reduce((sum, [, count]) => sum + count, 0);
+    return {
+      values,
+      otherCount: validCount - listedCount,
+      otherValues: Math.max(0, Math.min(this.uniqueCount, validCount) - values.length),
+      threshold,
+      approximate: Boolean(this.distinct)
+    };
+  }
+
+  /**
+   * Shannon entropy of the column's values. Once value counts have been
+   * truncated, the mass the retained values no longer account for is spread
+   * evenly over the values HyperLogLog saw but the table dropped.
+   */
+  estimateEntropy() {
+    const counts = [...this.valueCounts.values()];
+    if (!this.distinct) return ColumnAccumulator.entropy(counts);
+
+    const validCount = this.validCount;
+    if (validCount === 0) return 0;
+
+    const retained = counts.reduce((a, b) => a + b, 0);
+    const droppedMass = Math.max(0, validCount - retained);
+    const droppedValues = Math.max(1, this.distinct.estimate() - counts.length);
+
+    let entropy = -counts.reduce((sum, count) => {
+      const p = count / validCount;
+      return sum + p * Math.log2(p);
+    }, 0);
+
+    if (droppedMass > 0) {
+      const p = droppedMass / validCount;
+      entropy -= p * Math.log2(p / droppedValues);
+    }
+
+    return entropy;
+  }
+
+  static entropy(counts) {
+    const total = counts.reduce((a, b) => a + b, 0);
+    if (total === 0) return 0;
+
+    return -counts.reduce((entropy, count) => {
+      if (count === 0) return entropy;
+      const p = count / total;
+      return entropy + p * Math.log2(p);
+    }, 0);
+  }
+
+  toJSON() {
+    return {
+      maxTrackedValues: this.maxTrackedValues,
+      sketchSize: this.sketchSize,
+      referenceTime: this.referenceTime,
+      totalCount: this.totalCount,
+      missingCount: this.missingCount,
+      moments: this.moments.toJSON(),
+      sketch: this.sketch.toJSON(),
+      valueCounts: [...this.valueCounts.entries()],
+      distinct: this.distinct ? this.distinct.toJSON() : null,
+      temporal: this.temporal.toJSON(),
+      semantic: this.semantic.toJSON(),
+      strings: this.strings.toJSON()
+    };
+  }
+
+  static fromJSON(state) {
+    const acc = new ColumnAccumulator({
+      maxTrackedValues: state.maxTrackedValues,
+      sketchSize: state.sketchSize,
+      referenceTime: state.referenceTime
+    });
+    acc.totalCount = state.totalCount;
+    acc.missingCount = state.missingCount;
+    acc.moments = MomentAccumulator.fromJSON(state.moments);
+    acc.sketch = QuantileSketch.fromJSON(state.sketch);
+    acc.valueCounts = new Map(state.valueCounts);
+    acc.distinct = state.distinct ? HyperLogLog.fromJSON(state.distinct) : null;
+    acc.temporal = TemporalAccumulator.fromJSON(state.temporal);
+    acc.semantic = SemanticTypeAccumulator.fromJSON(state.semantic);
+    acc.strings = StringShapeAccumulator.fromJSON(state.strings);
+    return acc;
+  }
+}
+
+module.exports = ColumnAccumulator;
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ColumnAccumulator = require('./columnAccumulator');
+const { assertApproxEqual } = require('../utils/assertApprox');
+
+function accumulate(values, options) {
+  const acc = new ColumnAccumulator(options);
+  values.forEach(value => acc.add(value));
+  return acc;
+}
+
+// Split values into chunks, pass each through JSON like a worker result, and merge
+function mergedChunks(values, chunkCount, options) {
+  const size = Math.ceil(values.length / chunkCount);
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    const state = JSON.parse(JSON.stringify(accumulate(values.slice(i, i + size), options).toJSON()));
+    chunks.push(ColumnAccumulator.fromJSON(state));
+  }
+  return chunks.reduce((acc, chunk) => acc.merge(chunk));
+}
+
+const NUMERIC = Array.from({ length: 3000 }, (_, i) => (i % 11 === 0 ? null : Math.round(Math.sin(i) * 1000) / 10));
+const CATEGORICAL = Array.from({ length: 3000 }, (_, i) => (i % 13 === 0 ? '' : ['red', 'green', 'blue', 'green'][i % 4]));
+
+test('merged chunk accumulators finalise like a single pass', () => {
+  // A sketch large enough to stay exact, so quantiles match bit for bit
+  const options = { sketchSize: 10000 };
+  [NUMERIC, CATEGORICAL].forEach(values => {
+    const single = accumulate(values, options).finalize();
+    [2, 3, 7].forEach(chunkCount => {
+      assertApproxEqual(mergedChunks(values, chunkCount, options).finalize(), single);
+    });
+  });
+});
+
+test('missing values are null, undefined or empty strings', () => {
+  const stats = accumulate([1, null, undefined, '', 0, 2]).finalize();
+
+  assert.strictEqual(stats.totalCount, 6);
+  assert.strictEqual(stats.missingCount, 3);
+  assert.strictEqual(stats.validCount, 3);
+  assert.strictEqual(stats.missingPercent, 50);
+});
+
+test('categorical statistics count every value exactly below the tracking limit', () => {
+  const stats = accumulate(CATEGORICAL).finalize();
+  const valid = CATEGORICAL.filter(value => value !== '');
+  const greens = valid.filter(value => value === 'green').length;
+
+  assert.strictEqual(stats.type, 'categorical');
+  assert.strictEqual(stats.unique, 3);
+  assert.strictEqual(stats.mode, 'green');
+  assert.strictEqual(stats.modeCount, greens);
+  assert.strictEqual(stats.approximate, undefined);
+
+  const shares = ['green', 'red', 'blue'].map(value => valid.filter(v => v === value).length / valid.length);
+  const entropy = -shares.reduce((sum, p) => sum + p * Math.log2(p), 0);
+  assert.ok(Math.abs(stats.entropy - entropy) < 1e-12);
+});
+
+test('truncated value counts are flagged approximate', () => {
+  const stats = accumulate(Array.from({ length: 3000 }, (_, i) => `id-${i}`), { maxTrackedValues: 1000 }).finalize();
+
+  assert.deepStrictEqual(stats.approximate, { quantiles: false, distinct: true, values: true });
+  assert.strictEqual(stats.frequencies.approximate, true);
+  assert.ok(Math.abs(stats.unique - 3000) / 3000 < 0.05, `unique ${stats.unique}`);
+});
+
+test('entropy of truncated columns is estimated from the dropped mass', () => {
+  // One third of the rows share one value; the rest are all distinct
+  const values = Array.from({ length: 6000 }, (_, i) => (i % 3 === 0 ? 'common' : `rare-${i}`));
+  const stats = accumulate(values, { maxTrackedValues: 1000 }).finalize();
+
+  const p = 1 / 3;
+  const trueEntropy = -p * Math.log2(p) + (1 - p) * Math.log2(6000);
+  const retainedOnly = ColumnAccumulator.entropy(stats.topValues.map(([, count]) => count));
+
+  assert.strictEqual(stats.mode, 'common');
+  assert.ok(Math.abs(stats.entropy - trueEntropy) / trueEntropy < 0.02, `entropy ${stats.entropy} vs ${trueEntropy}`);
+  assert.ok(retainedOnly < stats.entropy / 2, 'the retained values alone understate entropy');
+});
+
+test('merging past the tracking limit switches to distinct estimates', () => {
+  const values = Array.from({ length: 4000 }, (_, i) => `v${i % 2500}`);
+  const stats = mergedChunks(values, 4, { maxTrackedValues: 1000 }).finalize();
+
+  assert.strictEqual(stats.approximate.distinct, true);
+  assert.ok(Math.abs(stats.unique - 2500) / 2500 < 0.05, `unique ${stats.unique}`);
+});
+
+test('numeric statistics report quantiles and moments', () => {
+  const stats = accumulate([1.5, 2.5, 3.5, 4.5, 5.5, 6.5, 7.5, 8.5, 9.5, 10.5]).finalize();
+
+  assert.strictEqual(stats.type, 'numeric');
+  assert.strictEqual(stats.mean, 6);
+  assert.strictEqual(stats.median, 6);
+  assert.strictEqual(stats.min, 1.5);
+  assert.strictEqual(stats.max, 10.5);
+  assert.strictEqual(stats.percentiles.length, 99);
+  assert.strictEqual(stats.approximate, undefined);
+});
@@ -0,0 +1,136 @@
+const { chiSquareSurvival } = require('./distributions');
+
+/**
+ * ContingencyTable counts the co-occurrences of two categorical columns over
+ * the rows where both are present, and measures how strongly they are
+ * associated. Counts add up over row chunks, so tables merge across workers.
+ */
+class ContingencyTable {
+  constructor() {
+    this.n = 0;
+    // Null prototypes so values such as "__proto__" or "constructor" count normally
+    this.counts = Object.create(null);
+  }
+
+  /**
+   * Add one row's pair of values
+   * @param {*} a - Value of the first column
+   * @param {*} b - Value of the second column
+   */
+  add(a, b) {
+    this.n++;
+    const row = this.counts[a] || (this.counts[a] = Object.create(null));
+    row[b] = (row[b] || 0) + 1;
+  }
+
+  /**
+   * Merge another table over a disjoint set of rows
+   * @param {ContingencyTable} other
+   * @returns {ContingencyTable} - this
+   */
+  merge(other) {
+    Object.entries(other.counts).forEach(([a, row]) => {
+      const target = this.counts[a] || (this.counts[a] = Object.create(null));
+      Object.entries(row).forEach(([b, count]) => {
+        target[b] = (target[b] || 0) + count;
+      });
+    });
+    this.n += other.n;
+    return this;
+  }
+
+  /**
+   * Row and column totals
+   * @returns {Object} - { rows, columns } value to count
+   */
+  margins() {
+    const rows = Object.create(null);
+    const columns = Object.create(null);
+    Object.entries(this.counts).forEach(([a, row]) => {
+      Object.entries(row).forEach(([b, count]) => {
+        rows[a] = (rows[a] || 0) + count;
+        columns[b] = (columns[b] || 0) + count;
+      });
+    });
+    return { rows, columns };
+  }
+
+  /**
+   * Cramér's V with the Pearson chi-square test of independence
+   * @returns {Object|null} - { cramersV, chiSquare, df, pValue }, or null
+   *   when either column takes a single value in the shared rows
+   */
+  cramersV() {
+    const { rows, columns } = this.margins();
+    const rowValues = Object.keys(rows);
+    const columnValues = Object.keys(columns);
+    const dimension = Math.min(rowValues.length, columnValues.length) - 1;
+    if (dimension < 1) return null;
+
+    let chiSquare = 0;
+    rowValues.forEach(a => {
+      columnValues.forEach(b => {
+        const expected = rows[a] * columns[b] / this.n;
+        const observed = this.counts[a][b] || 0;
+        chiSquare += (observed - expected) * (observed - expected) / expected;
+      });
+    });
+
+    const df = (rowValues.length - 1) * (columnValues.length - 1);
+    return {
+      cramersV: Math.min(1, Math.sqrt(chiSquare / this.n / dimension)),
+      chiSquare,
+      df,
+      pValue: chiSquareSurvival(chiSquare, df)
+    };
+  }
+
+  /**
+   * Theil's uncertainty coefficients: the share of each column's entropy
+   * explained by knowing the other. Unlike Cramér's V they are asymmetric.
+   * @returns {Object} - { first, second }: U(first | second), U(second | first)
+   */
+  theilsU() {
+    const { rows, columns } = this.margins();
+    const entropy = (totals) => Object.values(totals).reduce((sum, count) => {
+      const p = count / this.n;
+      return sum - p * Math.log(p);
+    }, 0);
+
+    const rowEntropy = entropy(rows);
+    const columnEntropy = entropy(columns);
+
+    let jointEntropy = 0;
+    Object.values(this.counts).forEach(row => {
+      Object.values(row).forEach(count => {
+        const p = count / this.n;
+        jointEntropy -= p * Math.log(p);
+      });
+    });
+
+    // Mutual information; a column with a single value is fully determined
+    const information = rowEntropy + columnEntropy - jointEntropy;
+    return {
+      first: rowEntropy > 0 ? Math.max(0, Math.min(1, information / rowEntropy)) : 1,
+      second: columnEntropy > 0 ? Math.max(0, Math.min(1, information / columnEntropy)) : 1
+    };
+  }
+
+  toJSON() {
+    return {
+      n: this.n,
+      counts: this.counts
+    };
+  }
+
+  static fromJSON(state) {
+    const table = new ContingencyTable();
+    table.n = state.n;
+    Object.entries(state.counts).forEach(([a, row]) => {
+      table.counts[a] = Object.assign(Object.create(null), row);
+    });
+    return table;
+  }
+}
+
+module.exports = ContingencyTable;
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ContingencyTable = require('./contingencyTable');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+function tableFrom(counts) {
+  const table = new ContingencyTable();
+  Object.entries(counts).forEach(([a, row]) => {
+    Object.entries(row).forEach(([b, count]) => {
+      for (let i = 0; i < count; i++) table.add(a, b);
+    });
+  });
+  return table;
+}
+
+test('chi-square matches R chisq.test on the Agresti party identification table', () => {
+  // Agresti (2007), p. 39: X-squared = 30.07, df = 2, p-value = 2.954e-07
+  const table = tableFrom({
+    F: { Democrat: 762, Independent: 327, Republican: 468 },
+    M: { Democrat: 484, Independent: 239, Republican: 477 }
+  });
+  const result = table.cramersV();
+
+  assert.strictEqual(table.n, 2757);
+  assertClose(result.chiSquare, 30.0701, 1e-4, 'chi-square');
+  assert.strictEqual(result.df, 2);
+  assertClose(result.pValue, 2.954e-7, 1e-9, 'p-value');
+  assertClose(result.cramersV, Math.sqrt(result.chiSquare / 2757), 1e-12, 'V');
+});
+
+test('Cramér\'s V is 1 for a one-to-one mapping and 0 for independent columns', () => {
+  assertClose(tableFrom({ a: { x: 5 }, b: { y: 5 }, c: { z: 5 } }).cramersV().cramersV, 1, 1e-12, 'mapping');
+  assertClose(tableFrom({ a: { x: 5, y: 5 }, b: { x: 5, y: 5 } }).cramersV().cramersV, 0, 1e-12, 'independent');
+  assert.strictEqual(tableFrom({ a: { x: 3, y: 2 } }).cramersV(), null);
+});
+
+test('Theil\'s U is asymmetric: a column that determines another explains only part of it', () => {
+  // b is the parity of a, so a determines b but b only halves the options for a
+  const table = tableFrom({ 1: { odd: 10 }, 2: { even: 10 }, 3: { odd: 10 }, 4: { even: 10 } });
+  const { first, second } = table.theilsU();
+
+  assertClose(first, Math.log(2) / Math.log(4), 1e-12, 'U(a | b)');
+  assertClose(second, 1, 1e-12, 'U(b | a)');
+  assertClose(tableFrom({ a: { x: 5, y: 5 }, b: { x: 5, y: 5 } }).theilsU().first, 0, 1e-12, 'independent');
+});
+
+test('values such as __proto__ and constructor are counted like any other', () => {
+  const table = new ContingencyTable();
+  for (let i = 0; i < 3; i++) table.add('__proto__', 'constructor');
+  for (let i = 0; i < 2; i++) table.add('toString', 'x');
+
+  assert.strictEqual(table.n, 5);
+  assert.strictEqual(table.cramersV().cramersV, 1);
+});
+
+test('merged chunks give the same table', () => {
+  const rows = Array.from({ length: 300 }, (_, i) => [`g${i % 4}`, `h${(i * 7) % 5}`]);
+  const whole = new ContingencyTable();
+  const first = new ContingencyTable();
+  const second = new ContingencyTable();
+  rows.forEach(([a, b], i) => {
+    whole.add(a, b);
+    (i < 100 ? first : second).add(a, b);
+  });
+
+  const merged = ContingencyTable.fromJSON(JSON.parse(JSON.stringify(first.toJSON())))
+    .merge(ContingencyTable.fromJSON(JSON.parse(JSON.stringify(second.toJSON()))));
+
+  assert.deepStrictEqual(merged.cramersV(), whole.cramersV());
+  assert.deepStrictEqual(merged.theilsU(), whole.theilsU());
+});
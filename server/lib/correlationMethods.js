@@ -0,0 +1,267 @@
+const { normalQuantile, normalTwoSided, studentTTwoSided } = require('./distributions');
+
+/**
+ * Correlation coefficients with their significance. Pearson comes from the
+ * one-pass co-moments in PairAccumulator; Spearman and Kendall need the
+ * values themselves, so they are computed here from the pairwise-complete
+ * rows of two columns.
+ */
+
+const METHODS = ['pearson', 'spearman', 'kendall'];
+const DEFAULT_METHOD = 'pearson';
+const DEFAULT_CONFIDENCE_LEVEL = 0.95;
+
+// Rank methods run on an evenly spaced sample of rows beyond this size
+const MAX_RANK_ROWS = 50000;
+
+// Standard errors of Fisher's z for each coefficient (Fieller, Hartley and
+// Pearson 1957); `offset` is subtracted from n
+const FISHER_STANDARD_ERRORS = {
+  pearson: { variance: 1, offset: 3 },
+  spearman: { variance: 1.06, offset: 3 },
+  kendall: { variance: 0.437, offset: 4 }
+};
+
+function invalidOption(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Methods to compute for the `correlationMethod` option
+ * @param {String} option - pearson, spearman, kendall or all
+ * @returns {Array<String>} - Methods, the primary one first
+ */
+function resolveMethods(option = DEFAULT_METHOD) {
+  if (option === 'all') return [...METHODS];
+  if (!METHODS.includes(option)) {
+    throw invalidOption(`Unknown correlationMethod "${option}" - use ${METHODS.join(', ')} or all`);
+  }
+  return [option];
+}
+
+/**
+ * Validate the `confidenceLevel` option
+ * @param {Number} level - Confidence level in (0, 1)
+ * @returns {Number}
+ */
+function resolveConfidenceLevel(level = DEFAULT_CONFIDENCE_LEVEL) {
+  if (typeof level !== 'number' || !(level > 0 && level < 1)) {
+    throw invalidOption('confidenceLevel must be a number between 0 and 1, e.g. 0.95');
+  }
+  return level;
+}
+
+/**
+ * Ranks from 1, with tied values sharing their average rank
+ * @param {Array<Number>} values
+ * @returns {Array<Number>}
+ */
+function rank(values) {
+  const order = values.map((value, i) => i).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start + 1;
+    while (end < order.length && values[order[end]] === values[order[start]]) end++;
+
+    const averageRank = (start + end + 1) / 2;
+    for (let i = start; i < end; i++) ranks[order[i]] = averageRank;
+    start = end;
+  }
+
+  return ranks;
+}
+
+function pearson(x, y) {
+  const n = x.length;
+  let meanX = 0;
+  let meanY = 0;
+  for (let i = 0; i < n; i++) {
+    meanX += x[i] / n;
+    meanY += y[i] / n;
+  }
+
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = x[i] - meanX;
+    const dy = y[i] - meanY;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+
+  const denominator = Math.sqrt(sxx * syy);
+  return denominator ? sxy / denominator : 0;
+}
+
+/**
+ * Spearman's rho: Pearson correlation of the ranks
+ */
+function spearman(x, y) {
+  return pearson(rank(x), rank(y));
+}
+
+/**
+ * Number of adjacent pairs tied in `values`, summed over runs of ties
+ */
+function tiedPairs(values, order) {
+  let pairs = 0;
+  let run = 1;
+  for (let i = 1; i <= order.length; i++) {
+    if (i < order.length && values[order[i]] === values[order[i - 1]]) {
+      run++;
+    } else {
+      pairs += run * (run - 1) / 2;
+      run = 1;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Kendall's tau-b in O(n log n) (Knight 1966): sort by x, then count the
+ * swaps a merge sort needs to order y
+ */
+function kendall(x, y) {
+  const n = x.length;
+  const order = x.map((value, i) => i).sort((a, b) => x[a] - x[b] || y[a] - y[b]);
+
+  const totalPairs = n * (n - 1) / 2;
+  const xTies = tiedPairs(x, order);
+
+  // Pairs tied in both x and y
+  let jointTies = 0;
+  let run = 1;
+  for (let i = 1; i <= n; i++) {
+    if (i < n && x[order[i]] === x[order[i - 1]] && y[order[i]] === y[order[i - 1]]) {
+      run++;
+    } else {
+      jointTies += run * (run - 1) / 2;
+      run = 1;
+    }
+  }
+
+  // Merge sort y (in x order), counting discordant swaps
+  let ys = order.map(i => y[i]);
+  let buffer = new Array(n);
+  let swaps = 0;
+  for (let width = 1; width < n; width *= 2) {
+    for (let lo = 0; lo < n; lo += 2 * width) {
+      const mid = Math.min(lo + width, n);
+      const hi = Math.min(lo + 2 * width, n);
+      let left = lo;
+      let right = mid;
+      let k = lo;
+      while (left < mid && right < hi) {
+        if (ys[right] < ys[left]) {
+          buffer[k++] = ys[right++];
+          swaps += mid - left;
+        } else {
+          buffer[k++] = ys[left++];
+        }
+      }
+      while (left < mid) buffer[k++] = ys[left++];
+      while (right < hi) buffer[k++] = ys[right++];
+    }
+    [ys, buffer] = [buffer, ys];
+  }
+
+  const yTies = tiedPairs(ys, ys.map((value, i) => i));
+  const denominator = Math.sqrt((totalPairs - xTies) * (totalPairs - yTies));
+  return denominator ? (totalPairs - xTies - yTies + jointTies - 2 * swaps) / denominator : 0;
+}
+
+/**
+ * p-value and confidence interval for a coefficient
+ * @param {String} method - pearson, spearman or kendall
+ * @param {Number} r - Coefficient
+ * @param {Number} n - Rows it was computed from
+ * @param {Number} confidenceLevel - e.g. 0.95
+ * @returns {Object} - { statistic, pValue, confidenceInterval }
+ */
+function significance(method, r, n, confidenceLevel = DEFAULT_CONFIDENCE_LEVEL) {
+  let statistic;
+  let pValue;
+
+  if (method === 'kendall') {
+    // Normal approximation to the null distribution of tau
+    statistic = 3 * r * Math.sqrt(n * (n - 1)) / Math.sqrt(2 * (2 * n + 5));
+    pValue = normalTwoSided(statistic);
+  } else {
+    statistic = Math.abs(r) >= 1 ? Math.sign(r) * Infinity : r * Math.sqrt((n - 2) / (1 - r * r));
+    pValue = n > 2 ? studentTTwoSided(statistic, n - 2) : 1;
+  }
+
+  const { variance, offset } = FISHER_STANDARD_ERRORS[method];
+  let confidenceInterval = null;
+  if (n > offset) {
+    if (Math.abs(r) >= 1) {
+      confidenceInterval = [r, r];
+    } else {
+      const z = Math.atanh(r);
+      const margin = normalQuantile(1 - (1 - confidenceLevel) / 2) * Math.sqrt(variance / (n - offset));
+      confidenceInterval = [Math.tanh(z - margin), Math.tanh(z + margin)];
+    }
+  }
+
+  return {
+    statistic: Number.isFinite(statistic) ? statistic : null,
+    pValue,
+    confidenceInterval
+  };
+}
+
+/**
+ * Rank coefficients of two row-aligned columns over the rows where both
+ * have a numeric value
+ * @param {Array} data - Parsed rows
+ * @param {String} colA - First column
+ * @param {String} colB - Second column
+ * @param {Array<String>} methods - Rank methods to compute (spearman, kendall)
+ * @returns {Object} - Method to { correlation, sampleSize, sampled }
+ */
+function rankCorrelations(data, colA, colB, methods) {
+  let x = [];
+  let y = [];
+  for (const row of data) {
+    const a = row[colA];
+    const b = row[colB];
+    if (typeof a === 'number' && Number.isFinite(a) && typeof b === 'number' && Number.isFinite(b)) {
+      x.push(a);
+      y.push(b);
+    }
+  }
+
+  const sampled = x.length > MAX_RANK_ROWS;
+  if (sampled) {
+    const step = x.length / MAX_RANK_ROWS;
+    const indices = Array.from({ length: MAX_RANK_ROWS }, (_, i) => Math.floor(i * step));
+    x = indices.map(i => x[i]);
+    y = indices.map(i => y[i]);
+  }
+
+  const results = {};
+  methods.forEach(method => {
+    results[method] = {
+      correlation: method === 'kendall' ? kendall(x, y) : spearman(x, y),
+      sampleSize: x.length,
+      sampled
+    };
+  });
+  return results;
+}
+
+module.exports = {
+  METHODS,
+  resolveMethods,
+  resolveConfidenceLevel,
+  rank,
+  spearman,
+  kendall,
+  significance,
+  rankCorrelations
+};
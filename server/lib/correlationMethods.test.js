@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  resolveMethods,
+  resolveConfidenceLevel,
+  rank,
+  spearman,
+  kendall,
+  significance,
+  rankCorrelations
+} = require('./correlationMethods');
+const PairAccumulator = require('./pairAccumulator');
+const ProfilerService = require('../services/profilerService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// Hollander & Wolfe (1973), p. 187 - the example of R's cor.test
+const X = [44.4, 45.9, 41.9, 53.3, 44.7, 44.1, 50.7, 45.2, 60.1];
+const Y = [2.6, 3.1, 2.5, 5.0, 3.6, 4.0, 5.2, 2.8, 3.8];
+
+test('Pearson matches R cor.test: t = 1.8411, p = 0.1082, CI [-0.1497, 0.8956]', () => {
+  const pair = new PairAccumulator();
+  X.forEach((x, i) => pair.add(x, Y[i]));
+  const result = significance('pearson', pair.correlation, X.length);
+
+  assertClose(pair.correlation, 0.5711816, 1e-7, 'r');
+  assertClose(result.statistic, 1.8411, 1e-4, 't');
+  assertClose(result.pValue, 0.1082, 1e-4, 'p');
+  assertClose(result.confidenceInterval[0], -0.1497426, 1e-6, 'lower');
+  assertClose(result.confidenceInterval[1], 0.8955795, 1e-6, 'upper');
+});
+
+test('Spearman matches R cor.test: rho = 0.6, and the t approximation p = 0.0876', () => {
+  const rho = spearman(X, Y);
+  const result = significance('spearman', rho, X.length);
+
+  assertClose(rho, 0.6, 1e-12, 'rho');
+  assertClose(result.statistic, 0.6 * Math.sqrt(7 / 0.64), 1e-9, 't');
+  assertClose(result.pValue, 0.0876, 1e-4, 'p');
+});
+
+test('Kendall matches R cor.test(exact = FALSE): tau = 0.4444, z = 1.6681, p = 0.0953', () => {
+  const tau = kendall(X, Y);
+  const result = significance('kendall', tau, X.length);
+
+  assertClose(tau, 4 / 9, 1e-12, 'tau');
+  assertClose(result.statistic, 1.6681, 1e-4, 'z');
+  assertClose(result.pValue, 0.09529, 1e-5, 'p');
+});
+
+test('tied values share their average rank', () => {
+  assert.deepStrictEqual(rank([10, 20, 20, 5]), [2, 3.5, 3.5, 1]);
+  assert.deepStrictEqual(rank([7, 7, 7]), [2, 2, 2]);
+});
+
+// O(n²) tau-b straight from the definition
+function bruteForceKendall(x, y) {
+  let concordant = 0;
+  let discordant = 0;
+  let xTies = 0;
+  let yTies = 0;
+  for (let i = 0; i < x.length; i++) {
+    for (let j = i + 1; j < x.length; j++) {
+      const dx = Math.sign(x[i] - x[j]);
+      const dy = Math.sign(y[i] - y[j]);
+      if (dx === 0 && dy === 0) continue;
+      if (dx === 0) xTies++;
+      else if (dy === 0) yTies++;
+      else if (dx === dy) concordant++;
+      else discordant++;
+    }
+  }
+  return (concordant - discordant) /
+    Math.sqrt((concordant + discordant + xTies) * (concordant + discordant + yTies));
+}
+
+test('the merge-sort Kendall tau-b equals the pairwise definition, ties included', () => {
+  assertClose(kendall([1, 2, 2, 3], [1, 3, 2, 2]), 0.4, 1e-12, 'small');
+
+  const x = Array.from({ length: 300 }, (_, i) => (i * 37) % 23);
+  const y = x.map((value, i) => value + ((i * 13) % 7) - 3);
+  assertClose(kendall(x, y), bruteForceKendall(x, y), 1e-12, 'tied data');
+});
+
+test('perfect and constant relationships', () => {
+  assert.strictEqual(spearman([1, 2, 3, 4], [1, 8, 27, 64]), 1);
+  assert.strictEqual(kendall([1, 2, 3, 4], [4, 3, 2, 1]), -1);
+  assert.strictEqual(kendall([1, 2, 3], [5, 5, 5]), 0);
+
+  const perfect = significance('pearson', 1, 10);
+  assert.strictEqual(perfect.statistic, null);
+  assert.strictEqual(perfect.pValue, 0);
+  assert.deepStrictEqual(perfect.confidenceInterval, [1, 1]);
+  assert.strictEqual(significance('kendall', 0.5, 4).confidenceInterval, null);
+});
+
+test('wider confidence levels give wider intervals', () => {
+  const [low90, high90] = significance('spearman', 0.4, 50, 0.9).confidenceInterval;
+  const [low99, high99] = significance('spearman', 0.4, 50, 0.99).confidenceInterval;
+
+  assert.ok(low99 < low90 && high99 > high90);
+});
+
+test('rank correlations use the rows where both columns are numbers', () => {
+  const data = [
+    { a: 1, b: 10 }, { a: 2, b: null }, { a: 3, b: 30 }, { a: 'x', b: 40 }, { a: 5, b: 50 }, { a: 6, b: 5 }
+  ];
+  const { spearman: rho, kendall: tau } = rankCorrelations(data, 'a', 'b', ['spearman', 'kendall']);
+
+  assert.deepStrictEqual([rho.sampleSize, rho.sampled], [4, false]);
+  assert.strictEqual(rho.correlation, spearman([1, 3, 5, 6], [10, 30, 50, 5]));
+  assert.strictEqual(tau.correlation, kendall([1, 3, 5, 6], [10, 30, 50, 5]));
+});
+
+test('method and confidence level options are validated', () => {
+  assert.deepStrictEqual(resolveMethods(), ['pearson']);
+  assert.deepStrictEqual(resolveMethods('all'), ['pearson', 'spearman', 'kendall']);
+  assert.deepStrictEqual(resolveMethods('kendall'), ['kendall']);
+  assert.throws(() => resolveMethods('distance'), error => error.status === 400);
+  assert.strictEqual(resolveConfidenceLevel(), 0.95);
+  [0, 1, 95, '0.9'].forEach(level => {
+    assert.throws(() => resolveConfidenceLevel(level), error => error.status === 400, String(level));
+  });
+});
+
+test('rank methods are robust to the heavy tail that dominates Pearson', async () => {
+  // Revenue grows with visits, except one huge order against few visits
+  const data = Array.from({ length: 60 }, (_, i) => ({
+    visits: i + 1.5,
+    revenue: i === 0 ? 1e7 : (i + 1) * 12.5
+  }));
+
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(data, { correlationMethod: 'all' });
+  const [entry] = profile.correlations.all;
+
+  assert.deepStrictEqual(profile.correlations.methods, ['pearson', 'spearman', 'kendall']);
+  assert.strictEqual(entry.method, 'pearson');
+  assert.ok(entry.methods.pearson.correlation < 0);
+  assert.ok(entry.methods.spearman.correlation > 0.9);
+  assert.ok(entry.methods.kendall.correlation > 0.9);
+  assert.ok(entry.methods.kendall.pValue < 1e-6);
+  assert.strictEqual(entry.methods.spearman.confidenceInterval.length, 2);
+});
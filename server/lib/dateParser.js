@@ -0,0 +1,256 @@
+/**
+ * Date parsing for column profiling. Each parser recognises one family of
+ * formats and returns the UTC timestamp, the wall-clock fields as written and
+ * a format label such as `YYYY-MM-DD HH:mm` or `DD/MM/YYYY`, so a column can
+ * report which formats it mixes. Values without a timezone are read as UTC.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:([T ])(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i;
+const YEAR_FIRST_PATTERN = /^(\d{4})\/(\d{1,2})\/(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const DAY_MONTH_PATTERN = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?)?$/i;
+const DAY_NAME_PATTERN = /^(\d{1,2})[ -]([A-Za-z]{3,9})\.?[ -](\d{4})$/;
+const NAME_DAY_PATTERN = /^([A-Za-z]{3,9})\.? (\d{1,2}),? (\d{4})$/;
+
+// Epoch values are only accepted in this range (1973 to 5138)
+const EPOCH_SECONDS_RANGE = [1e8, 1e11];
+const EPOCH_MILLIS_RANGE = [1e11, 1e14];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Month number for a full or abbreviated English month name (`Sep`, `Sept`, `September`)
+ */
+const monthFromName = (name) => {
+  const lower = name.toLowerCase();
+  const index = MONTH_NAMES.findIndex(month => lower.length >= 3 && month.startsWith(lower));
+  return index === -1 ? null : index + 1;
+};
+
+/**
+ * Build a parse result, rejecting impossible calendar dates such as 31 April
+ */
+const buildResult = (fields, format, hasTime, offsetMinutes = 0) => {
+  const { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 } = fields;
+
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  if (hour > 23 || minute > 59 || second > 59) return null;
+
+  const utc = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const check = new Date(utc);
+  if (check.getUTCDate() !== day || check.getUTCMonth() !== month - 1) return null;
+
+  return {
+    timestamp: utc - offsetMinutes * 60 * 1000,
+    format,
+    hasTime,
+    fields: { year, month, day, hour, minute, second, millisecond }
+  };
+};
+
+const parseOffset = (zone) => {
+  if (!zone || zone.toUpperCase() === 'Z') return 0;
+  const sign = zone[0] === '-' ? -1 : 1;
+  const digits = zone.slice(1).replace(':', '');
+  return sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2, 4)));
+};
+
+const parseIso = (text) => {
+  const match = ISO_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [, year, month, day, separator, hour, minute, second, fraction, zone] = match;
+  const hasTime = hour !== undefined;
+
+  let format = 'YYYY-MM-DD';
+  if (hasTime) {
+    format += `${separator.toUpperCase()}HH:mm`;
+    if (second !== undefined) format += ':ss';
+    if (fraction !== undefined) format += '.SSS';
+    if (zone !== undefined) format += zone.toUpperCase() === 'Z' ? 'Z' : '±hh:mm';
+  }
+
+  return buildResult({
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0),
+    millisecond: fraction ? Math.floor(Number(`0.${fraction}`) * 1000) : 0
+  }, format, hasTime, parseOffset(zone));
+};
+
+const parseYearFirst = (text) => {
+  const match = YEAR_FIRST_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  const hasTime = hour !== undefined;
+  const format = `YYYY/MM/DD${hasTime ? ` HH:mm${second !== undefined ? ':ss' : ''}` : ''}`;
+
+  return buildResult({
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0)
+  }, format, hasTime);
+};
+
+/**
+ * Numeric day/month/year dates. The order is taken from the value when one
+ * part is above 12; otherwise `.` dates are read day-first and `/` or `-`
+ * dates month-first, and the result is flagged as ambiguous.
+ */
+const parseDayMonth = (text) => {
+  const match = DAY_MONTH_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [, first, separator, second, yearText, hourText, minute, secondsText, meridiem] = match;
+  const a = Number(first);
+  const b = Number(second);
+
+  let dayFirst;
+  if (a > 12 && b <= 12) dayFirst = true;
+  else if (b > 12 && a <= 12) dayFirst = false;
+  else dayFirst = separator === '.';
+
+  const ambiguous = a <= 12 && b <= 12 && a !== b;
+
+  let year = Number(yearText);
+  if (yearText.length === 2) {
+    year += year < 50 ? 2000 : 1900;
+  }
+
+  let hour = Number(hourText || 0);
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = hour % 12 + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+  }
+
+  const hasTime = hourText !== undefined;
+  const datePart = (dayFirst ? ['DD', 'MM'] : ['MM', 'DD']).join(separator) +
+    separator + (yearText.length === 2 ? 'YY' : 'YYYY');
+  const timePart = hasTime
+    ? ` ${meridiem ? 'hh' : 'HH'}:mm${secondsText !== undefined ? ':ss' : ''}${meridiem ? ' A' : ''}`
+    : '';
+
+  const result = buildResult({
+    year,
+    month: dayFirst ? b : a,
+    day: dayFirst ? a : b,
+    hour,
+    minute: Number(minute || 0),
+    second: Number(secondsText || 0)
+  }, datePart + timePart, hasTime);
+
+  return result && { ...result, ambiguous };
+};
+
+const parseMonthName = (text) => {
+  let match = DAY_NAME_PATTERN.exec(text);
+  if (match) {
+    const month = monthFromName(match[2]);
+    if (!month) return null;
+    return buildResult({ year: Number(match[3]), month, day: Number(match[1]) }, 'DD Mon YYYY', false);
+  }
+
+  match = NAME_DAY_PATTERN.exec(text);
+  if (match) {
+    const month = monthFromName(match[1]);
+    if (!month) return null;
+    return buildResult({ year: Number(match[3]), month, day: Number(match[2]) }, 'Mon DD, YYYY', false);
+  }
+
+  return null;
+};
+
+const PARSERS = [parseIso, parseYearFirst, parseDayMonth, parseMonthName];
+
+/**
+ * Parse a date string in any supported format
+ * @param {String} value - Cell text
+ * @returns {Object|null} - { timestamp, format, hasTime, fields, ambiguous? }
+ */
+const parseDateString = (value) => {
+  const text = value.trim();
+  // Cheap rejection before running the patterns
+  if (text.length < 6 || text.length > 40 || !/\d/.test(text)) return null;
+
+  for (const parser of PARSERS) {
+    const result = parser(text);
+    if (result) return result;
+  }
+  return null;
+};
+
+const fromTimestamp = (timestamp, format) => {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return {
+    timestamp,
+    format,
+    hasTime: true,
+    fields: {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes(),
+      second: date.getUTCSeconds(),
+      millisecond: date.getUTCMilliseconds()
+    }
+  };
+};
+
+/**
+ * Interpret an integer as a Unix epoch in seconds or milliseconds
+ * @param {Number} value - Numeric cell value
+ * @returns {Object|null} - Parse result, or null when out of range
+ */
+const parseEpoch = (value) => {
+  if (!Number.isInteger(value)) return null;
+
+  if (value >= EPOCH_MILLIS_RANGE[0] && value < EPOCH_MILLIS_RANGE[1]) {
+    return fromTimestamp(value, 'epoch (milliseconds)');
+  }
+  if (value >= EPOCH_SECONDS_RANGE[0] && value < EPOCH_SECONDS_RANGE[1]) {
+    return fromTimestamp(value * 1000, 'epoch (seconds)');
+  }
+  return null;
+};
+
+/**
+ * Wrap a Date produced by the CSV parser (full ISO 8601 timestamps)
+ * @param {Date} value - Parsed date
+ * @returns {Object|null} - Parse result
+ */
+const parseDateObject = (value) => fromTimestamp(value.getTime(), 'YYYY-MM-DDTHH:mm:ss±hh:mm');
+
+/**
+ * Day number since 1970-01-01 for the written calendar date
+ */
+const toDayNumber = ({ year, month, day }) => Math.floor(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+
+const formatDay = (dayNumber) => {
+  const date = new Date(dayNumber * MS_PER_DAY);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+module.exports = {
+  MS_PER_DAY,
+  parseDateString,
+  parseEpoch,
+  parseDateObject,
+  toDayNumber,
+  formatDay
+};
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  parseDateString,
+  parseEpoch,
+  parseDateObject,
+  toDayNumber,
+  formatDay
+} = require('./dateParser');
+
+test('ISO dates and datetimes report their exact format', () => {
+  const cases = [
+    ['2024-03-15', 'YYYY-MM-DD', '2024-03-15T00:00:00.000Z'],
+    ['2024-03-15 08:30', 'YYYY-MM-DD HH:mm', '2024-03-15T08:30:00.000Z'],
+    ['2024-03-15T08:30:45.123Z', 'YYYY-MM-DDTHH:mm:ss.SSSZ', '2024-03-15T08:30:45.123Z'],
+    ['2024-03-15T08:30:00+02:00', 'YYYY-MM-DDTHH:mm:ss±hh:mm', '2024-03-15T06:30:00.000Z']
+  ];
+
+  cases.forEach(([text, format, iso]) => {
+    const parsed = parseDateString(text);
+    assert.strictEqual(parsed.format, format, text);
+    assert.strictEqual(new Date(parsed.timestamp).toISOString(), iso, text);
+  });
+  assert.strictEqual(parseDateString('2024-03-15').hasTime, false);
+});
+
+test('the offset changes the timestamp but not the written fields', () => {
+  const parsed = parseDateString('2024-03-15T23:30:00-05:00');
+
+  assert.strictEqual(new Date(parsed.timestamp).toISOString(), '2024-03-16T04:30:00.000Z');
+  assert.deepStrictEqual(
+    [parsed.fields.day, parsed.fields.hour],
+    [15, 23]
+  );
+});
+
+test('day/month order is taken from the value, or flagged ambiguous', () => {
+  const dayFirst = parseDateString('25/12/2023');
+  assert.strictEqual(dayFirst.format, 'DD/MM/YYYY');
+  assert.strictEqual(dayFirst.ambiguous, false);
+  assert.deepStrictEqual([dayFirst.fields.month, dayFirst.fields.day], [12, 25]);
+
+  const monthFirst = parseDateString('12/25/2023');
+  assert.strictEqual(monthFirst.format, 'MM/DD/YYYY');
+
+  // Both parts could be the month: slashes default to month-first, dots to day-first
+  const slashes = parseDateString('03/04/2023');
+  assert.strictEqual(slashes.ambiguous, true);
+  assert.deepStrictEqual([slashes.fields.month, slashes.fields.day], [3, 4]);
+  const dots = parseDateString('03.04.2023');
+  assert.deepStrictEqual([dots.fields.month, dots.fields.day], [4, 3]);
+});
+
+test('two-digit years and 12-hour clocks', () => {
+  assert.strictEqual(parseDateString('01/02/49').fields.year, 2049);
+  assert.strictEqual(parseDateString('01/02/50').fields.year, 1950);
+
+  const evening = parseDateString('12/25/2023 07:15 PM');
+  assert.strictEqual(evening.fields.hour, 19);
+  assert.strictEqual(evening.format, 'MM/DD/YYYY hh:mm A');
+  assert.strictEqual(parseDateString('12/25/2023 12:00 AM').fields.hour, 0);
+  assert.strictEqual(parseDateString('12/25/2023 13:00 PM'), null);
+});
+
+test('month names and year-first slashes', () => {
+  assert.strictEqual(parseDateString('5 Sept 2023').format, 'DD Mon YYYY');
+  assert.strictEqual(parseDateString('5 Sept 2023').fields.month, 9);
+  assert.strictEqual(parseDateString('March 7, 2021').format, 'Mon DD, YYYY');
+  assert.strictEqual(parseDateString('2021/3/7 14:05').format, 'YYYY/MM/DD HH:mm');
+  assert.strictEqual(parseDateString('5 Foo 2023'), null);
+});
+
+test('impossible calendar dates and non-dates are rejected', () => {
+  ['2023-04-31', '2023-02-29', '2024-13-01', '2024-01-01 24:00', '31/31/2023', 'hello', '12345', 'v1.2.3'].forEach(text => {
+    assert.strictEqual(parseDateString(text), null, text);
+  });
+  assert.ok(parseDateString('2024-02-29'), 'leap day');
+});
+
+test('integers in range are read as epoch seconds or milliseconds', () => {
+  const seconds = parseEpoch(1700000000);
+  assert.strictEqual(seconds.format, 'epoch (seconds)');
+  assert.strictEqual(new Date(seconds.timestamp).toISOString(), '2023-11-14T22:13:20.000Z');
+
+  const millis = parseEpoch(1700000000123);
+  assert.strictEqual(millis.format, 'epoch (milliseconds)');
+  assert.strictEqual(millis.fields.millisecond, 123);
+
+  [42, 99999999, 1e14, 1700000000.5].forEach(value => assert.strictEqual(parseEpoch(value), null, String(value)));
+});
+
+test('Date objects from the CSV parser keep their instant', () => {
+  const parsed = parseDateObject(new Date('2024-06-01T12:00:00Z'));
+  assert.strictEqual(parsed.timestamp, Date.UTC(2024, 5, 1, 12));
+  assert.strictEqual(parsed.hasTime, true);
+});
+
+test('day numbers round-trip through formatDay', () => {
+  assert.strictEqual(toDayNumber({ year: 1970, month: 1, day: 1 }), 0);
+  assert.strictEqual(toDayNumber({ year: 1969, month: 12, day: 31 }), -1);
+  assert.strictEqual(formatDay(toDayNumber({ year: 2024, month: 2, day: 29 })), '2024-02-29');
+});
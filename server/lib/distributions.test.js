@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  logGamma,
+  regularizedBeta,
+  normalCdf,
+  normalQuantile,
+  normalTwoSided,
+  studentTTwoSided,
+  chiSquareSurvival,
+  fSurvival,
+  kolmogorovSurvival
+} = require('./distributions');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// The module documents errors below 1e-7
+const TOLERANCE = 1e-7;
+
+test('log gamma at integers and one half', () => {
+  assertClose(logGamma(5), Math.log(24), TOLERANCE, 'Γ(5)');
+  assertClose(logGamma(0.5), Math.log(Math.sqrt(Math.PI)), TOLERANCE, 'Γ(1/2)');
+  assertClose(logGamma(0.25), Math.log(3.6256099082219083), TOLERANCE, 'Γ(1/4)');
+});
+
+test('regularized beta at closed-form points', () => {
+  assertClose(regularizedBeta(0.3, 1, 1), 0.3, TOLERANCE, 'uniform');
+  assertClose(regularizedBeta(0.5, 2, 2), 0.5, TOLERANCE, 'symmetric');
+  assertClose(regularizedBeta(0.2, 1, 3), 1 - 0.8 ** 3, TOLERANCE, 'I(1, 3)');
+});
+
+test('standard normal values from tables', () => {
+  assertClose(normalCdf(0), 0.5, 1e-7, 'Φ(0)');
+  assertClose(normalCdf(1.959964), 0.975, 1e-7, 'Φ(1.96)');
+  assertClose(normalCdf(-2.575829), 0.005, 1e-7, 'Φ(-2.58)');
+  assertClose(normalQuantile(0.975), 1.959964, 1e-6, 'z 0.975');
+  assertClose(normalQuantile(0.01), -2.326348, 1e-6, 'z 0.01');
+  assertClose(normalTwoSided(1.959964), 0.05, 1e-7, 'two-sided');
+  assert.strictEqual(normalQuantile(0), -Infinity);
+});
+
+test('critical values of t, chi-square and F give their tail probabilities', () => {
+  assertClose(studentTTwoSided(2.228139, 10), 0.05, 1e-6, 't(10)');
+  assertClose(studentTTwoSided(-2.763262, 28), 0.01, 1e-6, 't(28)');
+  assert.strictEqual(studentTTwoSided(Infinity, 5), 0);
+  assertClose(chiSquareSurvival(3.841459, 1), 0.05, 1e-6, 'χ²(1)');
+  assertClose(chiSquareSurvival(11.0705, 5), 0.05, 1e-5, 'χ²(5)');
+  assertClose(fSurvival(3.354131, 2, 27), 0.05, 1e-6, 'F(2, 27)');
+  assertClose(fSurvival(4.964603, 1, 10), 0.05, 1e-6, 'F(1, 10)');
+  assert.strictEqual(fSurvival(0, 2, 10), 1);
+});
+
+test('Kolmogorov distribution critical values', () => {
+  assertClose(kolmogorovSurvival(1.358099), 0.05, 1e-6, '5%');
+  assertClose(kolmogorovSurvival(1.627624), 0.01, 1e-6, '1%');
+  assert.strictEqual(kolmogorovSurvival(0.1), 1);
+});
@@ -0,0 +1,388 @@
+const { chiSquareSurvival, kolmogorovSurvival } = require('./distributions');
+
+/**
+ * Distribution drift between the profiles of two datasets, per column.
+ * Profiles keep summaries rather than values, so the metrics are estimated
+ * from them: a numeric or date column's distribution function is
+ * interpolated through its min, 1st–99th percentiles and max (dates as
+ * epoch milliseconds), and a categorical column
+ * is compared on the values of its frequency tables. A value missing from
+ * one table counts as absent when that table lists every value, and is
+ * otherwise folded with the unlisted values into one "other" category.
+ *
+ * Numeric columns:
+ * - psi: Population Stability Index over the baseline's deciles
+ * - ks: Kolmogorov–Smirnov statistic D, with its asymptotic p-value
+ * - wasserstein: earth mover's distance, in baseline standard deviations
+ * - jensenShannon: Jensen–Shannon divergence (base 2, 0-1) over the deciles
+ *
+ * Date and datetime columns get psi, ks and jensenShannon; they have no
+ * standard deviation to express a Wasserstein distance in.
+ *
+ * Categorical columns:
+ * - chiSquare: chi-square test of homogeneity { statistic, df, pValue,
+ *   cramersV }, graded by Cramér's V
+ * - jensenShannon: Jensen–Shannon divergence of the category shares
+ *
+ * Each metric is graded low, medium or high against a pair of thresholds.
+ * The tests (ks, chiSquare) stay low unless their p-value is below the
+ * significance level, so sampling noise is not reported as drift.
+ */
+
+const DRIFT_METRICS = ['psi', 'ks', 'wasserstein', 'jensenShannon', 'chiSquare'];
+
+const DEFAULT_DRIFT_THRESHOLDS = {
+  psi: { medium: 0.1, high: 0.25 },
+  ks: { medium: 0.1, high: 0.2 },
+  wasserstein: { medium: 0.1, high: 0.25 },
+  jensenShannon: { medium: 0.05, high: 0.15 },
+  chiSquare: { medium: 0.1, high: 0.25 },
+  significance: 0.05
+};
+
+const SEVERITY_ORDER = ['low', 'medium', 'high'];
+
+// Baseline quantile bins of the PSI and numeric Jensen–Shannon divergence
+const DECILES = [10, 20, 30, 40, 50, 60, 70, 80, 90];
+// Share given to empty PSI bins, whose log ratio is otherwise infinite
+const PSI_EPSILON = 1e-4;
+
+function invalidOption(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Resolve and validate the `driftThresholds` option
+ * @param {Object} value - Per-metric { medium, high } overrides and significance
+ * @returns {Object} - Thresholds of every metric, plus significance
+ */
+function resolveDriftThresholds(value = {}) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw invalidOption('driftThresholds must be an object keyed by metric');
+  }
+
+  const thresholds = { significance: DEFAULT_DRIFT_THRESHOLDS.significance };
+
+  Object.keys(value).forEach(key => {
+    if (key !== 'significance' && !DRIFT_METRICS.includes(key)) {
+      throw invalidOption(`Unknown drift metric "${key}" in driftThresholds - use ${DRIFT_METRICS.join(', ')} or significance`);
+    }
+  });
+
+  DRIFT_METRICS.forEach(metric => {
+    const override = value[metric] ?? {};
+    if (typeof override !== 'object' || Array.isArray(override)) {
+      throw invalidOption(`driftThresholds.${metric} must be an object with medium and high thresholds`);
+    }
+
+    const resolved = { ...DEFAULT_DRIFT_THRESHOLDS[metric], ...override };
+    if (!isNonNegative(resolved.medium) || !isNonNegative(resolved.high) || resolved.medium > resolved.high) {
+      throw invalidOption(`driftThresholds.${metric} needs non-negative medium and high thresholds, medium <= high`);
+    }
+    thresholds[metric] = { medium: resolved.medium, high: resolved.high };
+  });
+
+  if (value.significance !== undefined) {
+    if (typeof value.significance !== 'number' || !(value.significance > 0 && value.significance < 1)) {
+      throw invalidOption('driftThresholds.significance must be a number between 0 and 1');
+    }
+    thresholds.significance = value.significance;
+  }
+
+  return thresholds;
+}
+
+function grade(value, { medium, high }) {
+  if (value >= high) return 'high';
+  if (value >= medium) return 'medium';
+  return 'low';
+}
+
+/**
+ * The more severe of two severities
+ */
+function maxSeverity(a, b) {
+  return SEVERITY_ORDER.indexOf(b) > SEVERITY_ORDER.indexOf(a) ? b : a;
+}
+
+/**
+ * Points (value, cumulative share) of a numeric column's distribution
+ * function, or null when the profile has no percentiles
+ */
+function cdfPoints(stats) {
+  const { percentiles, min, max } = stats;
+  if (!Array.isArray(percentiles) || percentiles.length !== 99 || percentiles.some(q => !Number.isFinite(q)) ||
+      !Number.isFinite(min) || !Number.isFinite(max)) {
+    return null;
+  }
+
+  const points = [{ q: min, p: 0 }];
+  percentiles.forEach((q, i) => points.push({ q, p: (i + 1) / 100 }));
+  points.push({ q: max, p: 1 });
+  // Sketched percentiles are monotone, but guard against rounding
+  for (let i = 1; i < points.length; i++) {
+    points[i].q = Math.max(points[i].q, points[i - 1].q);
+  }
+  return points;
+}
+
+/**
+ * Interpolated distribution function at x: the share of values <= x, or
+ * < x when `left` is set, which differs where a value repeats
+ */
+function cdfAt(points, x, left = false) {
+  const last = points.length - 1;
+  if (left ? x <= points[0].q : x < points[0].q) return 0;
+  if (left ? x > points[last].q : x >= points[last].q) return 1;
+
+  // First point at or beyond x (left), or the first strictly beyond it
+  let lo = 0;
+  let hi = last;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (left ? points[mid].q >= x : points[mid].q > x) hi = mid; else lo = mid + 1;
+  }
+  const b = points[lo];
+  const a = points[lo - 1];
+  if (b.q === a.q) return b.p;
+  return a.p + ((b.p - a.p) * (x - a.q)) / (b.q - a.q);
+}
+
+/**
+ * Value at cumulative share p, interpolated between the points
+ */
+function quantileAt(points, p) {
+  const index = Math.min(points.length - 2, Math.floor(p * 100));
+  const a = points[index];
+  const b = points[index + 1];
+  return a.q + (b.q - a.q) * (p * 100 - index);
+}
+
+/**
+ * Shares of each bin between ascending inner edges, from (-∞, e1] to (ek, ∞)
+ */
+function binShares(points, edges) {
+  const cumulative = [0, ...edges.map(edge => cdfAt(points, edge)), 1];
+  return cumulative.slice(1).map((c, i) => Math.max(0, c - cumulative[i]));
+}
+
+function jensenShannon(p, q) {
+  let divergence = 0;
+  p.forEach((pi, i) => {
+    const m = (pi + q[i]) / 2;
+    if (pi > 0) divergence += 0.5 * pi * Math.log2(pi / m);
+    if (q[i] > 0) divergence += 0.5 * q[i] * Math.log2(q[i] / m);
+  });
+  return Math.max(0, divergence);
+}
+
+function roundMetric(value) {
+  return Number.isFinite(value) ? Math.round(value * 1e6) / 1e6 : value;
+}
+
+function metric(value, thresholds, extra = {}) {
+  return { value: roundMetric(value), ...extra, severity: grade(value, thresholds) };
+}
+
+function withSeverity(metrics) {
+  const severity = Object.values(metrics).reduce((worst, m) => maxSeverity(worst, m.severity), 'low');
+  return { metrics, severity };
+}
+
+/**
+ * PSI, KS and Jensen–Shannon divergence between two interpolated
+ * distribution functions
+ * @param {Array} points1 - cdfPoints of the baseline
+ * @param {Array} points2 - cdfPoints of the current dataset
+ * @param {Number} n1 - Values behind the baseline, for the KS p-value
+ * @param {Number} n2 - Values behind the current dataset
+ * @param {Object} thresholds - From resolveDriftThresholds
+ * @returns {Object} - { psi, ks, jensenShannon } metrics
+ */
+function shapeDrift(points1, points2, n1, n2, thresholds) {
+  // Deciles of the baseline as bin edges; repeated values share one edge
+  const edges = [...new Set(DECILES.map(d => points1[d].q))];
+  const expected = binShares(points1, edges);
+  const actual = binShares(points2, edges);
+
+  const psi = expected.reduce((sum, e, i) => {
+    const a = Math.max(actual[i], PSI_EPSILON);
+    const b = Math.max(e, PSI_EPSILON);
+    return sum + (a - b) * Math.log(a / b);
+  }, 0);
+
+  // Both functions are piecewise linear, so the largest gap lies at a point
+  let ks = 0;
+  [...points1, ...points2].forEach(({ q }) => {
+    ks = Math.max(
+      ks,
+      Math.abs(cdfAt(points1, q) - cdfAt(points2, q)),
+      Math.abs(cdfAt(points1, q, true) - cdfAt(points2, q, true))
+    );
+  });
+  const effectiveN = n1 > 0 && n2 > 0 ? (n1 * n2) / (n1 + n2) : 0;
+  const ksPValue = effectiveN > 0
+    ? kolmogorovSurvival((Math.sqrt(effectiveN) + 0.12 + 0.11 / Math.sqrt(effectiveN)) * ks)
+    : null;
+
+  const ksMetric = metric(ks, thresholds.ks, { pValue: ksPValue === null ? null : roundMetric(ksPValue) });
+  if (ksPValue === null || ksPValue >= thresholds.significance) ksMetric.severity = 'low';
+
+  return {
+    psi: metric(psi, thresholds.psi),
+    ks: ksMetric,
+    jensenShannon: metric(jensenShannon(expected, actual), thresholds.jensenShannon)
+  };
+}
+
+/**
+ * Drift of a numeric column
+ * @param {Object} baseline - Column statistics of the first dataset
+ * @param {Object} current - Column statistics of the second dataset
+ * @param {Object} thresholds - From resolveDriftThresholds
+ * @returns {Object|null} - { metrics: { psi, ks, wasserstein, jensenShannon }, severity },
+ *   null when either profile lacks percentiles
+ */
+function numericDrift(baseline, current, thresholds) {
+  const points1 = cdfPoints(baseline);
+  const points2 = cdfPoints(current);
+  if (!points1 || !points2) return null;
+
+  const { psi, ks, jensenShannon: divergence } = shapeDrift(
+    points1, points2, baseline.validCount || 0, current.validCount || 0, thresholds
+  );
+
+  // Area between the quantile functions, by the midpoint rule on a fine grid
+  const steps = 1000;
+  let distance = 0;
+  for (let i = 0; i < steps; i++) {
+    const p = (i + 0.5) / steps;
+    distance += Math.abs(quantileAt(points1, p) - quantileAt(points2, p)) / steps;
+  }
+  const scale = baseline.stdDev || current.stdDev || Math.abs(baseline.mean) || 1;
+
+  return withSeverity({
+    psi,
+    ks,
+    wasserstein: metric(distance / scale, thresholds.wasserstein, { distance: roundMetric(distance) }),
+    jensenShannon: divergence
+  });
+}
+
+/**
+ * Percentiles, min and max of a date column's timestamps in epoch
+ * milliseconds, in the shape cdfPoints reads
+ */
+function timestampStats(temporal) {
+  if (!temporal) return {};
+  return {
+    percentiles: temporal.percentiles,
+    min: Date.parse(temporal.min),
+    max: Date.parse(temporal.max)
+  };
+}
+
+/**
+ * Drift of a date or datetime column
+ * @param {Object} baseline - Column statistics of the first dataset
+ * @param {Object} current - Column statistics of the second dataset
+ * @param {Object} thresholds - From resolveDriftThresholds
+ * @returns {Object|null} - { metrics: { psi, ks, jensenShannon }, severity },
+ *   null when either profile lacks timestamp percentiles
+ */
+function temporalDrift(baseline, current, thresholds) {
+  const points1 = cdfPoints(timestampStats(baseline.temporal));
+  const points2 = cdfPoints(timestampStats(current.temporal));
+  if (!points1 || !points2) return null;
+
+  return withSeverity(shapeDrift(
+    points1, points2, baseline.temporal.parsedCount || 0, current.temporal.parsedCount || 0, thresholds
+  ));
+}
+
+/**
+ * Value counts of a categorical column from its frequency table (or top
+ * values, for profiles without one), and whether they cover every value
+ */
+function categoryCounts(stats) {
+  const listed = stats.frequencies?.values || stats.topValues || [];
+  const counts = new Map(listed.map(([value, count]) => [String(value), count]));
+  const listedTotal = listed.reduce((sum, [, count]) => sum + count, 0);
+  return { counts, complete: listedTotal >= (stats.validCount || 0) };
+}
+
+/**
+ * Drift of a categorical column
+ * @param {Object} baseline - Column statistics of the first dataset
+ * @param {Object} current - Column statistics of the second dataset
+ * @param {Object} thresholds - From resolveDriftThresholds
+ * @returns {Object|null} - { metrics: { chiSquare: { statistic, df, pValue, cramersV,
+ *   severity }, jensenShannon }, severity, categories (values compared apart
+ *   from "other") }, null when either column has no values
+ */
+function categoricalDrift(baseline, current, thresholds) {
+  const n1 = baseline.validCount || 0;
+  const n2 = current.validCount || 0;
+  if (n1 === 0 || n2 === 0) return null;
+
+  const table1 = categoryCounts(baseline);
+  const table2 = categoryCounts(current);
+  const compared = [...new Set([...table1.counts.keys(), ...table2.counts.keys()])].filter(value =>
+    (table1.counts.has(value) || table1.complete) && (table2.counts.has(value) || table2.complete)
+  );
+
+  const row1 = compared.map(value => table1.counts.get(value) || 0);
+  const row2 = compared.map(value => table2.counts.get(value) || 0);
+  row1.push(Math.max(0, n1 - row1.reduce((sum, c) => sum + c, 0)));
+  row2.push(Math.max(0, n2 - row2.reduce((sum, c) => sum + c, 0)));
+
+  // Categories empty in both datasets carry no information
+  const kept = row1.map((c, i) => c + row2[i] > 0);
+  const observed1 = row1.filter((c, i) => kept[i]);
+  const observed2 = row2.filter((c, i) => kept[i]);
+  const total = n1 + n2;
+
+  let statistic = 0;
+  observed1.forEach((c1, i) => {
+    const columnTotal = c1 + observed2[i];
+    const e1 = (n1 * columnTotal) / total;
+    const e2 = (n2 * columnTotal) / total;
+    statistic += ((c1 - e1) ** 2) / e1 + ((observed2[i] - e2) ** 2) / e2;
+  });
+  const df = observed1.length - 1;
+  const pValue = df > 0 ? chiSquareSurvival(statistic, df) : 1;
+  // With two rows, Cramér's V is sqrt(chi² / n)
+  const cramersV = df > 0 ? Math.sqrt(statistic / total) : 0;
+
+  const chiSquare = {
+    statistic: roundMetric(statistic),
+    df,
+    pValue: roundMetric(pValue),
+    cramersV: roundMetric(cramersV),
+    severity: pValue < thresholds.significance ? grade(cramersV, thresholds.chiSquare) : 'low'
+  };
+
+  return {
+    ...withSeverity({
+      chiSquare,
+      jensenShannon: metric(
+        jensenShannon(observed1.map(c => c / n1), observed2.map(c => c / n2)),
+        thresholds.jensenShannon
+      )
+    }),
+    categories: compared.length
+  };
+}
+
+module.exports = {
+  DRIFT_METRICS,
+  DEFAULT_DRIFT_THRESHOLDS,
+  resolveDriftThresholds,
+  numericDrift,
+  temporalDrift,
+  categoricalDrift
+};
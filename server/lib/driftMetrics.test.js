@@ -0,0 +1,176 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ColumnAccumulator = require('./columnAccumulator');
+const {
+  DEFAULT_DRIFT_THRESHOLDS,
+  resolveDriftThresholds,
+  numericDrift,
+  temporalDrift,
+  categoricalDrift
+} = require('./driftMetrics');
+
+const thresholds = resolveDriftThresholds();
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// Profile of a uniform distribution on [from, from + 100]
+function uniform(from, validCount = 1000) {
+  return {
+    min: from,
+    max: from + 100,
+    percentiles: Array.from({ length: 99 }, (_, i) => from + i + 1),
+    mean: from + 50,
+    stdDev: 100 / Math.sqrt(12),
+    validCount
+  };
+}
+
+function categorical(counts) {
+  const values = Object.entries(counts);
+  return {
+    validCount: values.reduce((sum, [, count]) => sum + count, 0),
+    frequencies: { values }
+  };
+}
+
+test('identical numeric distributions show no drift', () => {
+  const drift = numericDrift(uniform(0), uniform(0), thresholds);
+
+  Object.values(drift.metrics).forEach(result => assertClose(result.value, 0, 1e-9, 'metric'));
+  assert.strictEqual(drift.severity, 'low');
+});
+
+test('a shifted uniform distribution matches hand-computed PSI, KS, JS and Wasserstein', () => {
+  const baseline = uniform(0);
+  const drift = numericDrift(baseline, uniform(10), thresholds);
+  const { psi, ks, wasserstein, jensenShannon } = drift.metrics;
+
+  // The shift empties the first decile (share 1e-4 after flooring) and doubles the last
+  const expectedPsi = (1e-4 - 0.1) * Math.log(1e-4 / 0.1) + 0.1 * Math.log(2);
+  assertClose(psi.value, expectedPsi, 1e-6, 'psi');
+  assert.strictEqual(psi.severity, 'high');
+
+  assertClose(ks.value, 0.1, 1e-9, 'ks');
+  assert.ok(ks.pValue < 0.001, `ks p-value ${ks.pValue}`);
+
+  const expectedJs = 0.05 + 0.05 * Math.log2(0.1 / 0.15) + 0.1 * Math.log2(0.2 / 0.15);
+  assertClose(jensenShannon.value, expectedJs, 1e-6, 'jensenShannon');
+
+  assertClose(wasserstein.distance, 10, 1e-6, 'wasserstein distance');
+  assertClose(wasserstein.value, 10 / baseline.stdDev, 1e-6, 'wasserstein');
+});
+
+test('KS drift on a small sample is not significant and stays low', () => {
+  const drift = numericDrift(uniform(0, 20), uniform(10, 20), thresholds);
+
+  assert.ok(drift.metrics.ks.pValue > 0.05);
+  assert.strictEqual(drift.metrics.ks.severity, 'low');
+});
+
+test('numeric drift needs percentiles on both sides', () => {
+  const { percentiles, ...withoutPercentiles } = uniform(0);
+  assert.strictEqual(numericDrift(uniform(0), withoutPercentiles, thresholds), null);
+});
+
+test('chi-square drift reports the test and grades it by Cramér\'s V', () => {
+  const drift = categoricalDrift(
+    categorical({ yes: 50, no: 50 }),
+    categorical({ yes: 30, no: 70 }),
+    thresholds
+  );
+  const { chiSquare } = drift.metrics;
+
+  // 2x2 table without continuity correction: chi² = 25/3, df = 1
+  assertClose(chiSquare.statistic, 25 / 3, 1e-6, 'statistic');
+  assert.strictEqual(chiSquare.df, 1);
+  assertClose(chiSquare.pValue, 0.003892, 1e-5, 'pValue');
+  assertClose(chiSquare.cramersV, Math.sqrt(25 / 3 / 200), 1e-6, 'cramersV');
+  assert.strictEqual(chiSquare.value, undefined);
+  assert.strictEqual(chiSquare.severity, 'medium');
+});
+
+test('replaced categories in complete frequency tables are compared as themselves', () => {
+  const drift = categoricalDrift(
+    categorical({ UK: 50, FR: 50 }),
+    categorical({ UK: 50, DE: 50 }),
+    thresholds
+  );
+
+  assert.strictEqual(drift.categories, 3);
+  assert.strictEqual(drift.severity, 'high');
+});
+
+function dateColumn(startDay, count) {
+  const accumulator = new ColumnAccumulator();
+  for (let i = 0; i < count; i++) {
+    const day = new Date(Date.UTC(2024, 0, 1 + startDay + (i % 120)));
+    accumulator.add(day.toISOString().slice(0, 10));
+  }
+  return accumulator.finalize();
+}
+
+test('date columns are compared on their timestamp percentiles', () => {
+  const baseline = dateColumn(0, 600);
+  assert.strictEqual(baseline.type, 'date');
+  assert.strictEqual(baseline.temporal.percentiles.length, 99);
+
+  const same = temporalDrift(baseline, dateColumn(0, 600), thresholds);
+  assert.deepStrictEqual(Object.keys(same.metrics), ['psi', 'ks', 'jensenShannon']);
+  assert.strictEqual(same.severity, 'low');
+
+  const shifted = temporalDrift(baseline, dateColumn(60, 600), thresholds);
+  assertClose(shifted.metrics.ks.value, 0.5, 0.02, 'ks');
+  assert.strictEqual(shifted.severity, 'high');
+});
+
+test('timestamp percentiles survive merging chunk accumulators', () => {
+  const whole = new ColumnAccumulator();
+  const first = new ColumnAccumulator();
+  const second = new ColumnAccumulator();
+  for (let i = 0; i < 400; i++) {
+    const value = new Date(Date.UTC(2024, 0, 1 + (i % 90))).toISOString().slice(0, 10);
+    whole.add(value);
+    (i < 200 ? first : second).add(value);
+  }
+
+  const merged = ColumnAccumulator.fromJSON(first.toJSON()).merge(ColumnAccumulator.fromJSON(second.toJSON()));
+  assert.deepStrictEqual(merged.finalize().temporal.percentiles, whole.finalize().temporal.percentiles);
+});
+
+test('driftThresholds merges per-metric overrides into the defaults', () => {
+  assert.deepStrictEqual(resolveDriftThresholds(), DEFAULT_DRIFT_THRESHOLDS);
+
+  const resolved = resolveDriftThresholds({ psi: { high: 0.5 }, significance: 0.01 });
+  assert.deepStrictEqual(resolved.psi, { medium: 0.1, high: 0.5 });
+  assert.deepStrictEqual(resolved.ks, DEFAULT_DRIFT_THRESHOLDS.ks);
+  assert.strictEqual(resolved.significance, 0.01);
+});
+
+test('invalid driftThresholds are 400 errors', () => {
+  const rejects = (value, pattern) => assert.throws(
+    () => resolveDriftThresholds(value),
+    error => error.status === 400 && pattern.test(error.message)
+  );
+
+  rejects([], /^driftThresholds must be an object keyed by metric$/);
+  rejects({ entropy: { medium: 1 } }, /^Unknown drift metric "entropy"/);
+  rejects({ psi: [0.1, 0.2] }, /^driftThresholds\.psi must be an object/);
+  rejects({ ks: { medium: 0.3 } }, /^driftThresholds\.ks needs non-negative medium and high thresholds, medium <= high$/);
+  rejects({ wasserstein: { medium: -1 } }, /^driftThresholds\.wasserstein needs non-negative/);
+  rejects({ significance: 1 }, /^driftThresholds\.significance must be a number between 0 and 1$/);
+});
+
+test('custom thresholds and significance regrade the same drift', () => {
+  const baseline = categorical({ yes: 50, no: 50 });
+  const current = categorical({ yes: 30, no: 70 });
+
+  // Cramér's V of about 0.204 is below a 0.3 medium threshold
+  const looser = categoricalDrift(baseline, current, resolveDriftThresholds({ chiSquare: { medium: 0.3, high: 0.5 } }));
+  assert.strictEqual(looser.metrics.chiSquare.severity, 'low');
+
+  // p = 0.0039 is not significant at the 0.001 level
+  const stricter = categoricalDrift(baseline, current, resolveDriftThresholds({ significance: 0.001 }));
+  assert.strictEqual(stricter.metrics.chiSquare.severity, 'low');
+});
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+
+/**
+ * Whole-row duplicate detection. Exact duplicates come from row hashes
+ * (the `duplicateHashes` worker task); this module validates the options,
+ * summarises hash groups and finds near-duplicates: rows whose other
+ * columns are equal and whose text columns match after normalisation
+ * (case, accents, punctuation, whitespace) or are within an edit-distance
+ * similarity threshold. Groups list row indices only, never values.
+ */
+
+const DEFAULT_NEAR_DUPLICATE_THRESHOLD = 0.9;
+// Rows stored per group, and groups listed per report
+const MAX_ROWS_PER_GROUP = 5;
+const MAX_DUPLICATE_GROUPS = 20;
+// Near-duplicate matching is quadratic in text length, so it checks at
+// most this many rows and compares at most this many characters
+const MAX_NEAR_DUPLICATE_ROWS = 50000;
+const MAX_COMPARE_LENGTH = 200;
+// Neighbours each row is compared with after sorting a block by its text
+const NEIGHBOUR_WINDOW = 5;
+
+function invalidOption(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function validateColumnList(name, value, keys) {
+  if (!Array.isArray(value) || value.length === 0 || !value.every(column => typeof column === 'string')) {
+    throw invalidOption(`${name} must be a non-empty array of column names`);
+  }
+  const unknown = value.filter(column => !keys.includes(column));
+  if (unknown.length > 0) {
+    throw invalidOption(`Unknown column${unknown.length === 1 ? '' : 's'} in ${name}: ${unknown.join(', ')}`);
+  }
+  return [...new Set(value)];
+}
+
+/**
+ * Resolve and validate the duplicate detection options
+ * @param {Object} options - Profiling options
+ * @param {Array<String>} options.duplicateKeys - Columns to also check for duplicate combinations
+ * @param {Boolean} options.nearDuplicates - Look for near-duplicate rows (default false)
+ * @param {Array<String>} options.nearDuplicateColumns - Text columns compared fuzzily
+ *   (default: every categorical column)
+ * @param {Number} options.nearDuplicateThreshold - Similarity from 0 to 1 (default 0.9)
+ * @param {Array<String>} keys - Column names of the data
+ * @returns {Object} - { keys, nearDuplicates, nearDuplicateColumns, threshold }
+ */
+function resolveDuplicateOptions(options = {}, keys = []) {
+  const {
+    duplicateKeys,
+    nearDuplicates = false,
+    nearDuplicateColumns,
+    nearDuplicateThreshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD
+  } = options;
+
+  if (typeof nearDuplicates !== 'boolean') {
+    throw invalidOption('nearDuplicates must be true or false');
+  }
+  if (typeof nearDuplicateThreshold !== 'number' || !(nearDuplicateThreshold > 0 && nearDuplicateThreshold <= 1)) {
+    throw invalidOption('nearDuplicateThreshold must be a number above 0 and at most 1');
+  }
+
+  return {
+    keys: duplicateKeys === undefined ? null : validateColumnList('duplicateKeys', duplicateKeys, keys),
+    nearDuplicates,
+    nearDuplicateColumns: nearDuplicateColumns === undefined
+      ? null
+      : validateColumnList('nearDuplicateColumns', nearDuplicateColumns, keys),
+    threshold: nearDuplicateThreshold
+  };
+}
+
+/**
+ * Summarise row hash groups
+ * @param {Object} groups - Hash to { count, rows } from the duplicateHashes task
+ * @param {Number} rowCount - Rows hashed
+ * @returns {Object} - { count (rows repeating an earlier row), percent, groupCount,
+ *   groups: [{ count, rows }] largest first }
+ */
+function summarizeDuplicateGroups(groups, rowCount) {
+  const duplicated = Object.values(groups).filter(group => group.count > 1);
+  const count = duplicated.reduce((sum, group) => sum + group.count - 1, 0);
+
+  return {
+    count,
+    percent: rowCount > 0 ? (count / rowCount) * 100 : 0,
+    groupCount: duplicated.length,
+    groups: duplicated
+      .sort((a, b) => b.count - a.count || a.rows[0] - b.rows[0])
+      .slice(0, MAX_DUPLICATE_GROUPS)
+      .map(({ count: size, rows }) => ({ count: size, rows }))
+  };
+}
+
+/**
+ * Lower-case, strip accents and punctuation, and collapse whitespace
+ * @param {*} value - Cell value
+ * @returns {String}
+ */
+function normalizeText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein similarity: 1 - edit distance / longer length
+ */
+function textSimilarity(a, b) {
+  if (a === b) return 1;
+  const longer = Math.max(a.length, b.length);
+  if (longer === 0) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / longer;
+}
+
+/**
+ * Mean similarity of two rows' normalised text values, or -1 when the
+ * length difference alone rules out reaching the threshold
+ */
+function rowSimilarity(a, b, threshold) {
+  let bound = 0;
+  for (let c = 0; c < a.length; c++) {
+    const longer = Math.max(a[c].length, b[c].length);
+    bound += longer > 0 ? 1 - Math.abs(a[c].length - b[c].length) / longer : 1;
+  }
+  if (bound / a.length < threshold) return -1;
+
+  let total = 0;
+  for (let c = 0; c < a.length; c++) total += textSimilarity(a[c], b[c]);
+  return total / a.length;
+}
+
+/**
+ * Group rows that are near-duplicates. Rows are blocked by the exact values
+ * of the columns not compared as text; within a block they are sorted by
+ * their normalised text and compared with their nearest neighbours
+ * (sorted neighbourhood), and matching pairs are joined into groups.
+ * Exact duplicates are collapsed first, so each group holds distinct rows.
+ * @param {Array} data - Parsed rows
+ * @param {Array<String>} keys - All column names
+ * @param {Array<String>} textColumns - Columns compared fuzzily
+ * @param {Number} threshold - Minimum mean similarity of the text columns
+ * @returns {Object} - { columns, threshold, rowsChecked, truncated, count, groupCount,
+ *   groups: [{ count, rows, similarity }] }
+ */
+function findNearDuplicates(data, keys, textColumns, threshold) {
+  const rowsChecked = Math.min(data.length, MAX_NEAR_DUPLICATE_ROWS);
+  const otherColumns = keys.filter(key => !textColumns.includes(key));
+
+  const blocks = new Map();
+  for (let i = 0; i < rowsChecked; i++) {
+    const row = data[i];
+    const blockKey = crypto.createHash('sha1')
+      .update(JSON.stringify(otherColumns.map(key => (row[key] === undefined ? null : row[key]))))
+      .digest('hex');
+    const raw = JSON.stringify(textColumns.map(key => (row[key] === undefined ? null : row[key])));
+
+    const block = blocks.get(blockKey) || new Map();
+    blocks.set(blockKey, block);
+    if (!block.has(raw)) {
+      block.set(raw, {
+        row: i,
+        text: textColumns.map(key => normalizeText(row[key]).slice(0, MAX_COMPARE_LENGTH))
+      });
+    }
+  }
+
+  // Union-find over the representative rows, tracking each group's weakest match
+  const parent = new Map();
+  const weakest = new Map();
+  const find = (row) => {
+    while (parent.get(row) !== row) {
+      parent.set(row, parent.get(parent.get(row)));
+      row = parent.get(row);
+    }
+    return row;
+  };
+  const join = (a, b, similarity) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    const [root, child] = rootA < rootB ? [rootA, rootB] : [rootB, rootA];
+    const joined = Math.min(similarity, weakest.get(rootA), weakest.get(rootB));
+    if (rootA !== rootB) parent.set(child, root);
+    weakest.set(root, joined);
+  };
+
+  blocks.forEach(block => {
+    if (block.size < 2) return;
+    const members = [...block.values()]
+      .map(member => ({ ...member, sortKey: member.text.join('\u0000') }))
+      .sort((a, b) => (a.sortKey < b.sortKey ? -1 : a.sortKey > b.sortKey ? 1 : a.row - b.row));
+    members.forEach(member => {
+      parent.set(member.row, member.row);
+      weakest.set(member.row, 1);
+    });
+
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j <= Math.min(i + NEIGHBOUR_WINDOW, members.length - 1); j++) {
+        const similarity = rowSimilarity(members[i].text, members[j].text, threshold);
+        if (similarity >= threshold) join(members[i].row, members[j].row, similarity);
+      }
+    }
+  });
+
+  const groups = new Map();
+  parent.forEach((_, row) => {
+    const root = find(row);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(row);
+  });
+
+  const nearGroups = [...groups.entries()]
+    .filter(([, rows]) => rows.length > 1)
+    .map(([root, rows]) => ({
+      count: rows.length,
+      rows: rows.sort((a, b) => a - b).slice(0, MAX_ROWS_PER_GROUP),
+      similarity: weakest.get(root)
+    }));
+
+  return {
+    columns: textColumns,
+    threshold,
+    rowsChecked,
+    truncated: rowsChecked < data.length,
+    count: nearGroups.reduce((sum, group) => sum + group.count - 1, 0),
+    groupCount: nearGroups.length,
+    groups: nearGroups
+      .sort((a, b) => b.count - a.count || a.rows[0] - b.rows[0])
+      .slice(0, MAX_DUPLICATE_GROUPS)
+  };
+}
+
+module.exports = {
+  MAX_ROWS_PER_GROUP,
+  resolveDuplicateOptions,
+  summarizeDuplicateGroups,
+  normalizeText,
+  textSimilarity,
+  findNearDuplicates
+};
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  resolveDuplicateOptions,
+  summarizeDuplicateGroups,
+  normalizeText,
+  textSimilarity,
+  findNearDuplicates
+} = require('./duplicateDetection');
+const ProfilerService = require('../services/profilerService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+test('text is normalised for case, accents, punctuation and spacing', () => {
+  assert.strictEqual(normalizeText('  Café-Société,  LTD. '), 'cafe societe ltd');
+  assert.strictEqual(normalizeText(null), '');
+  assert.strictEqual(normalizeText(42), '42');
+});
+
+test('similarity is one minus the edit distance over the longer length', () => {
+  assert.strictEqual(textSimilarity('kitten', 'sitting'), 1 - 3 / 7);
+  assert.strictEqual(textSimilarity('same', 'same'), 1);
+  assert.strictEqual(textSimilarity('', ''), 1);
+  assert.strictEqual(textSimilarity('abc', ''), 0);
+});
+
+test('near-duplicates are grouped after normalisation and fuzzy matching', () => {
+  const data = [
+    { name: 'Acme Corp.', city: 'Berlin', plan: 'pro' },      // 0
+    { name: 'ACME corp', city: 'berlin', plan: 'pro' },       // 1: same after normalising
+    { name: 'Acme Crop', city: 'Berlin', plan: 'pro' },       // 2: one transposition
+    { name: 'Globex', city: 'Paris', plan: 'pro' },           // 3
+    { name: 'Acme Corp', city: 'Berlin', plan: 'basic' },     // 4: other plan, so another block
+    { name: 'Globex Inc', city: 'Paris', plan: 'pro' },       // 5: too different
+    { name: 'Acme Corp.', city: 'Berlin', plan: 'pro' }       // 6: exact copy of row 0
+  ];
+
+  const result = findNearDuplicates(data, ['name', 'city', 'plan'], ['name', 'city'], 0.85);
+
+  assert.strictEqual(result.groupCount, 1);
+  assert.deepStrictEqual(result.groups[0].rows, [0, 1, 2]);
+  assert.strictEqual(result.groups[0].count, 3);
+  assert.strictEqual(result.count, 2);
+  // The weakest link is "acme crop" against "acme corp": 2 edits in 9 characters, averaged with an exact city
+  assertClose(result.groups[0].similarity, (1 - 2 / 9 + 1) / 2, 1e-12, 'similarity');
+  assert.deepStrictEqual([result.rowsChecked, result.truncated], [7, false]);
+});
+
+test('a higher threshold keeps only the formatting variants together', () => {
+  const data = [{ name: 'Acme Corp.' }, { name: 'ACME corp' }, { name: 'Acme Crop' }];
+  const result = findNearDuplicates(data, ['name'], ['name'], 0.95);
+
+  assert.deepStrictEqual(result.groups.map(group => group.rows), [[0, 1]]);
+  assert.strictEqual(result.groups[0].similarity, 1);
+});
+
+test('exact duplicate groups count the rows repeating an earlier row', () => {
+  const groups = {
+    a: { count: 3, rows: [2, 5, 9] },
+    b: { count: 1, rows: [0] },
+    c: { count: 2, rows: [1, 4] }
+  };
+
+  assert.deepStrictEqual(summarizeDuplicateGroups(groups, 10), {
+    count: 3,
+    percent: 30,
+    groupCount: 2,
+    groups: [{ count: 3, rows: [2, 5, 9] }, { count: 2, rows: [1, 4] }]
+  });
+  assert.strictEqual(summarizeDuplicateGroups({}, 0).percent, 0);
+});
+
+test('duplicate options are validated against the columns', () => {
+  const keys = ['id', 'email'];
+
+  assert.deepStrictEqual(resolveDuplicateOptions({}, keys), {
+    keys: null, nearDuplicates: false, nearDuplicateColumns: null, threshold: 0.9
+  });
+  assert.deepStrictEqual(resolveDuplicateOptions({ duplicateKeys: ['email', 'email'] }, keys).keys, ['email']);
+
+  const invalid = [
+    { duplicateKeys: [] },
+    { duplicateKeys: 'email' },
+    { duplicateKeys: ['phone'] },
+    { nearDuplicates: 'yes' },
+    { nearDuplicateThreshold: 0 },
+    { nearDuplicateThreshold: 1.5 },
+    { nearDuplicateColumns: ['name'] }
+  ];
+  invalid.forEach(options => {
+    assert.throws(() => resolveDuplicateOptions(options, keys), error => error.status === 400, JSON.stringify(options));
+  });
+});
+
+test('profiles report exact, key and near-duplicates in the summary and as insights', async () => {
+  const data = [
+    { id: 1, customer: 'Jane Doe', amount: 10.5 },
+    { id: 2, customer: 'John Roe', amount: 20.25 },
+    { id: 1, customer: 'Jane Doe', amount: 10.5 },
+    // Other columns must match exactly for a near-duplicate
+    { id: 1, customer: 'jane  doe', amount: 10.5 },
+    { id: 2, customer: 'Mary Poe', amount: 7.75 },
+    ...Array.from({ length: 20 }, (_, i) => ({ id: 10 + i, customer: `Customer ${i}`, amount: i * 1.25 }))
+  ];
+
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(data, {
+    duplicateKeys: ['id'],
+    nearDuplicates: true,
+    nearDuplicateColumns: ['customer']
+  });
+  const { exact, keys, nearDuplicates } = profile.summary.duplicates;
+  const messages = profile.insights.map(insight => insight.message).join('\n');
+
+  assert.deepStrictEqual(exact.groups, [{ count: 2, rows: [0, 2] }]);
+  assert.deepStrictEqual(keys.groups, [{ count: 3, rows: [0, 2, 3] }, { count: 2, rows: [1, 4] }]);
+  assert.deepStrictEqual(nearDuplicates.groups.map(group => group.rows), [[0, 3]]);
+  assert.match(messages, /1 rows \(4\.0%\) exactly duplicate an earlier row across 1 groups - e\.g\. rows 0, 2/);
+  assert.match(messages, /3 rows repeat an earlier \(id\) combination across 2 groups - e\.g\. rows 0, 2, 3/);
+  assert.match(messages, /1 rows nearly duplicate another row, differing only in the formatting or spelling of customer/);
+});
@@ -0,0 +1,191 @@
+const ColumnAccumulator = require('./columnAccumulator');
+
+/**
+ * Approximate functional dependencies between categorical columns. A
+ * column A determines B (A → B) when every value of A maps to a single
+ * value of B. The strength is the share of rows, among those with both
+ * values, that agree with the most common B for their A (the complement of
+ * Kivinen and Mannila's g3 error), so 1 is an exact dependency and the
+ * remaining rows are the violations worth fixing.
+ */
+
+const DEFAULT_DEPENDENCY_THRESHOLD = 0.95;
+// A determinant needs repeated values, or it determines everything trivially
+const MIN_ROWS_PER_DETERMINANT_VALUE = 2;
+// A skewed dependent is predicted well by any column, so a dependency must
+// remove at least this share of the errors of always guessing its mode
+const MIN_ERROR_REDUCTION = 0.5;
+const MAX_VIOLATIONS = 10;
+const MAX_VIOLATION_ROWS = 3;
+
+function invalidOption(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Validate the `dependencyThreshold` option
+ * @param {Number} value - Minimum strength of a reported dependency, from 0.5 to 1
+ * @returns {Number}
+ */
+function resolveDependencyThreshold(value = DEFAULT_DEPENDENCY_THRESHOLD) {
+  if (typeof value !== 'number' || !(value >= 0.5 && value <= 1)) {
+    throw invalidOption('dependencyThreshold must be a number from 0.5 to 1');
+  }
+  return value;
+}
+
+/**
+ * Count the value combinations of two columns
+ * @param {Array} data - Parsed rows
+ * @returns {Object} - { rows, joint: Map(a → Map(b → { count, rows })) }
+ */
+function countCombinations(data, columnA, columnB) {
+  const joint = new Map();
+  let rows = 0;
+
+  data.forEach((row, index) => {
+    const a = row[columnA];
+    const b = row[columnB];
+    if (ColumnAccumulator.isMissing(a) || ColumnAccumulator.isMissing(b)) return;
+
+    rows++;
+    const keyA = String(a);
+    const keyB = String(b);
+    const targets = joint.get(keyA) || new Map();
+    joint.set(keyA, targets);
+    const cell = targets.get(keyB) || { count: 0, rows: [] };
+    targets.set(keyB, cell);
+    cell.count++;
+    if (cell.rows.length < MAX_VIOLATION_ROWS) cell.rows.push(index);
+  });
+
+  return { rows, joint };
+}
+
+/**
+ * Transpose a joint count map so the second column becomes the determinant
+ */
+function transpose(joint) {
+  const transposed = new Map();
+  joint.forEach((targets, a) => {
+    targets.forEach((cell, b) => {
+      const row = transposed.get(b) || new Map();
+      transposed.set(b, row);
+      row.set(a, cell);
+    });
+  });
+  return transposed;
+}
+
+/**
+ * Strength of determinant → dependent and the values that break it
+ * @returns {Object} - { strength, baseline (share of the dependent's mode),
+ *   determinantValues, violatingValues, violatingRows, violations }
+ */
+function measureDependency(joint, rows) {
+  let agreeing = 0;
+  const violations = [];
+  const dependentCounts = new Map();
+
+  joint.forEach((targets, value) => {
+    let expected = null;
+    targets.forEach((cell, target) => {
+      if (!expected || cell.count > expected.cell.count) expected = { target, cell };
+      dependentCounts.set(target, (dependentCounts.get(target) || 0) + cell.count);
+    });
+    agreeing += expected.cell.count;
+
+    if (targets.size > 1) {
+      const conflicting = [];
+      targets.forEach((cell, target) => {
+        if (target !== expected.target) conflicting.push({ value: target, count: cell.count, rows: cell.rows });
+      });
+      violations.push({
+        value,
+        expected: expected.target,
+        expectedCount: expected.cell.count,
+        conflicting: conflicting.sort((a, b) => b.count - a.count),
+        violatingRows: conflicting.reduce((sum, c) => sum + c.count, 0)
+      });
+    }
+  });
+
+  let mode = 0;
+  dependentCounts.forEach(count => { mode = Math.max(mode, count); });
+
+  return {
+    strength: rows > 0 ? agreeing / rows : 0,
+    baseline: rows > 0 ? mode / rows : 0,
+    determinantValues: joint.size,
+    violatingValues: violations.length,
+    violatingRows: rows - agreeing,
+    violations: violations
+      .sort((a, b) => b.violatingRows - a.violatingRows || (a.value < b.value ? -1 : 1))
+      .slice(0, MAX_VIOLATIONS)
+  };
+}
+
+/**
+ * Dependencies in both directions between two columns
+ * @param {Array} data - Parsed rows
+ * @param {String} columnA - Column name
+ * @param {String} columnB - Column name
+ * @param {Number} threshold - From resolveDependencyThreshold
+ * @returns {Array} - [{ determinant, dependent, strength, exact, relationship,
+ *   sampleSize, determinantValues, violatingValues, violatingRows, violations }]
+ */
+function pairDependencies(data, columnA, columnB, threshold) {
+  const { rows, joint } = countCombinations(data, columnA, columnB);
+  if (rows === 0) return [];
+
+  const directions = [
+    { determinant: columnA, dependent: columnB, joint },
+    { determinant: columnB, dependent: columnA, joint: transpose(joint) }
+  ].map(direction => ({ ...direction, ...measureDependency(direction.joint, rows) }));
+
+  // A dependent with a single value is a constant, not a dependency
+  const holds = directions.map((d, i) =>
+    d.strength >= threshold &&
+    rows / d.determinantValues >= MIN_ROWS_PER_DETERMINANT_VALUE &&
+    directions[1 - i].determinantValues > 1 &&
+    (d.strength - d.baseline) / (1 - d.baseline) >= MIN_ERROR_REDUCTION
+  );
+
+  const dependencies = [];
+  directions.forEach((direction, i) => {
+    if (!holds[i]) return;
+    const reverse = directions[1 - i];
+    const { determinant, dependent, strength, determinantValues, violatingValues, violatingRows, violations } = direction;
+
+    // Both directions holding makes the columns one-to-one; one direction
+    // from a finer to a coarser column is a hierarchy (city → state)
+    let relationship = 'functional';
+    if (holds[1 - i]) {
+      relationship = 'oneToOne';
+    } else if (determinantValues > reverse.determinantValues) {
+      relationship = 'hierarchy';
+    }
+
+    dependencies.push({
+      determinant,
+      dependent,
+      strength,
+      exact: violatingRows === 0,
+      relationship,
+      sampleSize: rows,
+      determinantValues,
+      violatingValues,
+      violatingRows,
+      violations
+    });
+  });
+  return dependencies;
+}
+
+module.exports = {
+  DEFAULT_DEPENDENCY_THRESHOLD,
+  resolveDependencyThreshold,
+  pairDependencies
+};
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_DEPENDENCY_THRESHOLD,
+  resolveDependencyThreshold,
+  pairDependencies
+} = require('./functionalDependencies');
+const ProfilerService = require('../services/profilerService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+const STATES = {
+  Austin: 'TX', Dallas: 'TX', Miami: 'FL', Tampa: 'FL',
+  Reno: 'NV', Vegas: 'NV', Salem: 'OR', Portland: 'OR'
+};
+const CITIES = Object.keys(STATES);
+
+// Five rows per city; row 8 is an Austin row entered with the wrong state
+function addresses({ typo = true } = {}) {
+  return Array.from({ length: 40 }, (_, i) => {
+    const city = CITIES[i % CITIES.length];
+    return { city, state: typo && i === 8 ? 'OK' : STATES[city] };
+  });
+}
+
+test('dependencyThreshold defaults to 0.95 and must be a number from 0.5 to 1', () => {
+  assert.strictEqual(DEFAULT_DEPENDENCY_THRESHOLD, 0.95);
+  assert.strictEqual(resolveDependencyThreshold(), 0.95);
+  assert.strictEqual(resolveDependencyThreshold(0.5), 0.5);
+  assert.strictEqual(resolveDependencyThreshold(1), 1);
+
+  [0.4, 1.1, '0.9', NaN].forEach(value => {
+    assert.throws(() => resolveDependencyThreshold(value), error => error.status === 400 && /dependencyThreshold/.test(error.message));
+  });
+});
+
+test('an exact finer-to-coarser dependency is a hierarchy in one direction only', () => {
+  const dependencies = pairDependencies(addresses({ typo: false }), 'city', 'state', 0.95);
+
+  // state → city holds for only half of the rows
+  assert.deepStrictEqual(dependencies, [{
+    determinant: 'city',
+    dependent: 'state',
+    strength: 1,
+    exact: true,
+    relationship: 'hierarchy',
+    sampleSize: 40,
+    determinantValues: 8,
+    violatingValues: 0,
+    violatingRows: 0,
+    violations: []
+  }]);
+});
+
+test('an approximate dependency reports its strength and the violating combinations', () => {
+  const [dependency] = pairDependencies(addresses(), 'city', 'state', 0.95);
+
+  // Austin agrees with TX in 4 of its 5 rows, every other city in all 5
+  assert.strictEqual(dependency.strength, 39 / 40);
+  assert.strictEqual(dependency.exact, false);
+  assert.strictEqual(dependency.violatingValues, 1);
+  assert.strictEqual(dependency.violatingRows, 1);
+  assert.deepStrictEqual(dependency.violations, [{
+    value: 'Austin',
+    expected: 'TX',
+    expectedCount: 4,
+    conflicting: [{ value: 'OK', count: 1, rows: [8] }],
+    violatingRows: 1
+  }]);
+
+  assert.deepStrictEqual(pairDependencies(addresses(), 'city', 'state', 0.99), []);
+});
+
+test('columns that determine each other are one-to-one', () => {
+  const data = addresses({ typo: false }).map(({ state }) => ({
+    state,
+    stateName: { TX: 'Texas', FL: 'Florida', NV: 'Nevada', OR: 'Oregon' }[state]
+  }));
+
+  const dependencies = pairDependencies(data, 'state', 'stateName', 0.95);
+
+  assert.deepStrictEqual(dependencies.map(d => [d.determinant, d.dependent, d.relationship, d.exact]), [
+    ['state', 'stateName', 'oneToOne', true],
+    ['stateName', 'state', 'oneToOne', true]
+  ]);
+});
+
+test('constants, row identifiers and skewed dependents are not dependencies', () => {
+  const data = addresses({ typo: false }).map(({ city }, i) => ({
+    city,
+    country: 'US',
+    ref: `R${i}`,
+    // Guessing "n" is already right for 39 of 40 rows
+    flagged: i === 3 ? 'y' : 'n'
+  }));
+
+  assert.deepStrictEqual(pairDependencies(data, 'city', 'country', 0.95), []);
+  // Every ref determines its city trivially, and a city does not determine a ref
+  assert.deepStrictEqual(pairDependencies(data, 'ref', 'city', 0.95), []);
+  assert.deepStrictEqual(pairDependencies(data, 'city', 'flagged', 0.95), []);
+});
+
+test('rows missing either value are left out of the sample', () => {
+  const data = addresses({ typo: false }).map((row, i) => (i % 10 === 0 ? { ...row, state: '' } : row));
+
+  const [dependency] = pairDependencies(data, 'city', 'state', 0.95);
+
+  assert.strictEqual(dependency.sampleSize, 36);
+  assert.strictEqual(dependency.exact, true);
+});
+
+test('profiles report dependencies next to correlations with a violation insight', async () => {
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(addresses());
+  const messages = profile.insights.filter(insight => insight.category === 'Dependencies').map(insight => insight.message);
+
+  assert.deepStrictEqual(
+    profile.correlations.dependencies.dependencies.map(d => `${d.determinant} → ${d.dependent}`),
+    ['city → state']
+  );
+  assert.deepStrictEqual(messages, [
+    'city → state holds for 97.5% of rows; 1 rows across 1 city values break it - ' +
+      'e.g. city "Austin" maps to "TX" (4) but also "OK" (1)'
+  ]);
+});
@@ -0,0 +1,92 @@
+const { fSurvival } = require('./distributions');
+
+/**
+ * GroupMoments keeps the count, mean and sum of squared deviations of a
+ * numeric column within each category of a categorical column, over the
+ * rows where both are present. That is enough for the correlation ratio and
+ * a one-way ANOVA, and merges across row chunks like PairAccumulator.
+ */
+class GroupMoments {
+  constructor() {
+    this.groups = Object.create(null);
+  }
+
+  /**
+   * Add one row's pair of values
+   * @param {*} category - Value of the categorical column
+   * @param {Number} value - Value of the numeric column
+   */
+  add(category, value) {
+    const group = this.groups[category] || (this.groups[category] = { n: 0, mean: 0, m2: 0 });
+    group.n++;
+    const delta = value - group.mean;
+    group.mean += delta / group.n;
+    group.m2 += delta * (value - group.mean);
+  }
+
+  /**
+   * Merge another accumulator over a disjoint set of rows
+   * @param {GroupMoments} other
+   * @returns {GroupMoments} - this
+   */
+  merge(other) {
+    Object.entries(other.groups).forEach(([category, group]) => {
+      const target = this.groups[category];
+      if (!target) {
+        this.groups[category] = { ...group };
+        return;
+      }
+
+      const n = target.n + group.n;
+      const delta = group.mean - target.mean;
+      target.m2 += group.m2 + delta * delta * target.n * group.n / n;
+      target.mean += delta * group.n / n;
+      target.n = n;
+    });
+    return this;
+  }
+
+  get n() {
+    return Object.values(this.groups).reduce((sum, group) => sum + group.n, 0);
+  }
+
+  /**
+   * Correlation ratio η with the one-way ANOVA F test of equal group means
+   * @returns {Object|null} - { eta, fStatistic, df, pValue }, or null with
+   *   fewer than two categories or no rows left for the within-group variance
+   */
+  correlationRatio() {
+    const groups = Object.values(this.groups);
+    const n = this.n;
+    const k = groups.length;
+    if (k < 2 || n <= k) return null;
+
+    const grandMean = groups.reduce((sum, group) => sum + group.n * group.mean, 0) / n;
+    const between = groups.reduce((sum, group) => sum + group.n * (group.mean - grandMean) ** 2, 0);
+    const within = groups.reduce((sum, group) => sum + group.m2, 0);
+    const total = between + within;
+
+    const df = [k - 1, n - k];
+    const fStatistic = within > 0 ? (between / df[0]) / (within / df[1]) : Infinity;
+    return {
+      eta: total > 0 ? Math.sqrt(between / total) : 0,
+      fStatistic: Number.isFinite(fStatistic) ? fStatistic : null,
+      df,
+      pValue: total > 0 ? fSurvival(fStatistic, df[0], df[1]) : 1
+    };
+  }
+
+  toJSON() {
+    return { groups: this.groups };
+  }
+
+  static fromJSON(state) {
+    const moments = new GroupMoments();
+    Object.entries(state.groups).forEach(([category, group]) => {
+      moments.groups[category] = { ...group };
+    });
+    return moments;
+  }
+}
+
+module.exports = GroupMoments;
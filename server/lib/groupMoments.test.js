@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const GroupMoments = require('./groupMoments');
+const ProfilerService = require('../services/profilerService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// R's PlantGrowth data set (Dobson 1983)
+const PLANT_GROWTH = {
+  ctrl: [4.17, 5.58, 5.18, 6.11, 4.50, 4.61, 5.17, 4.53, 5.33, 5.14],
+  trt1: [4.81, 4.17, 4.41, 3.59, 5.87, 3.83, 6.03, 4.89, 4.32, 4.69],
+  trt2: [6.31, 5.12, 5.54, 5.50, 5.37, 5.29, 4.92, 6.15, 5.80, 5.26]
+};
+
+function momentsOf(groups) {
+  const moments = new GroupMoments();
+  Object.entries(groups).forEach(([group, values]) => values.forEach(value => moments.add(group, value)));
+  return moments;
+}
+
+test('the ANOVA F test matches R aov(weight ~ group, PlantGrowth)', () => {
+  // Sum Sq group 3.766, residuals 10.492; F = 4.846 on 2 and 27 df, p = 0.0159
+  const result = momentsOf(PLANT_GROWTH).correlationRatio();
+
+  assertClose(result.fStatistic, 4.846088, 1e-5, 'F');
+  assert.deepStrictEqual(result.df, [2, 27]);
+  assertClose(result.pValue, 0.01590996, 1e-6, 'p-value');
+  assertClose(result.eta, Math.sqrt(3.76634 / (3.76634 + 10.49209)), 1e-5, 'eta');
+});
+
+test('η is 1 when the category fixes the value and 0 when the means are equal', () => {
+  const fixed = momentsOf({ a: [1, 1, 1], b: [5, 5, 5] }).correlationRatio();
+  assert.strictEqual(fixed.eta, 1);
+  assert.strictEqual(fixed.fStatistic, null);
+  assert.strictEqual(fixed.pValue, 0);
+
+  assert.strictEqual(momentsOf({ a: [1, 3], b: [2, 2] }).correlationRatio().eta, 0);
+  assert.strictEqual(momentsOf({ a: [1, 2, 3] }).correlationRatio(), null);
+  assert.strictEqual(momentsOf({ a: [1], b: [2] }).correlationRatio(), null);
+});
+
+test('merged chunks match a single pass', () => {
+  const whole = momentsOf(PLANT_GROWTH);
+  const first = new GroupMoments();
+  const second = new GroupMoments();
+  Object.entries(PLANT_GROWTH).forEach(([group, values]) => {
+    values.forEach((value, i) => (i % 3 === 0 ? first : second).add(group, value));
+  });
+
+  const merged = GroupMoments.fromJSON(JSON.parse(JSON.stringify(first.toJSON())))
+    .merge(GroupMoments.fromJSON(JSON.parse(JSON.stringify(second.toJSON()))));
+  const [expected, actual] = [whole.correlationRatio(), merged.correlationRatio()];
+
+  assert.strictEqual(merged.n, 30);
+  assertClose(actual.fStatistic, expected.fStatistic, 1e-9, 'F');
+  assertClose(actual.eta, expected.eta, 1e-12, 'eta');
+});
+
+test('profiles report categorical and mixed associations beside numeric correlations', async () => {
+  const data = Array.from({ length: 90 }, (_, i) => {
+    const region = ['north', 'south', 'east'][i % 3];
+    return {
+      region,
+      warehouse: `${region}-hub`,
+      channel: ['web', 'store'][Math.floor(i / 3) % 2],
+      delivery_days: { north: 2, south: 5, east: 9 }[region] + (i % 4) * 0.25
+    };
+  });
+
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(data);
+  const { categorical, mixed } = profile.correlations.associations;
+  const find = (entries, pair) => entries.find(entry => entry.pair === pair);
+
+  const regionWarehouse = find(categorical, 'region & warehouse');
+  assert.strictEqual(regionWarehouse.method, 'cramersV');
+  assertClose(regionWarehouse.association, 1, 1e-12, 'region & warehouse');
+  assert.deepStrictEqual(Object.keys(regionWarehouse.theilsU), ['region', 'warehouse']);
+  assert.ok(find(categorical, 'region & channel').association < 0.1);
+
+  const regionDelivery = find(mixed, 'region & delivery_days');
+  assert.strictEqual(regionDelivery.method, 'eta');
+  assert.ok(regionDelivery.association > 0.95);
+  assert.ok(regionDelivery.pValue < 1e-10);
+});
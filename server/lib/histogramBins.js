@@ -0,0 +1,147 @@
+/**
+ * Histogram bin edges for numeric columns. The `histogramBins` profiling
+ * option picks the rule: 'fd' (Freedman–Diaconis, the default), 'sturges',
+ * a bin count, an ascending array of edges, or an object mapping column
+ * names to any of these (with an optional `default` entry).
+ */
+
+const BIN_RULES = {
+  fd: 'freedman-diaconis',
+  'freedman-diaconis': 'freedman-diaconis',
+  sturges: 'sturges'
+};
+
+const DEFAULT_RULE = 'fd';
+const MAX_BINS = 200;
+
+// Frequency tables list values holding at least this share (%) of a column
+const DEFAULT_FREQUENCY_THRESHOLD = 0.1;
+const MAX_FREQUENCY_ROWS = 1000;
+
+function invalidOption(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check one bin specification: a rule name, a bin count or bin edges
+ */
+function validateBinSpec(spec, label) {
+  if (typeof spec === 'string') {
+    if (!BIN_RULES[spec.toLowerCase()]) {
+      throw invalidOption(`Unknown histogram bin rule "${spec}" for ${label} - use fd, sturges, a bin count or bin edges`);
+    }
+    return;
+  }
+
+  if (typeof spec === 'number') {
+    if (!Number.isInteger(spec) || spec < 1 || spec > MAX_BINS) {
+      throw invalidOption(`Histogram bin count for ${label} must be an integer from 1 to ${MAX_BINS}`);
+    }
+    return;
+  }
+
+  if (Array.isArray(spec)) {
+    const ascending = spec.every((edge, i) => Number.isFinite(edge) && (i === 0 || edge > spec[i - 1]));
+    if (spec.length < 2 || spec.length > MAX_BINS + 1 || !ascending) {
+      throw invalidOption(`Histogram bin edges for ${label} must be 2 to ${MAX_BINS + 1} ascending numbers`);
+    }
+    return;
+  }
+
+  throw invalidOption(`Invalid histogram bins for ${label}`);
+}
+
+/**
+ * Validate the histogram options up front so a bad request fails with 400
+ * before any profiling work
+ * @param {Object} options - Profiling options
+ */
+function validateHistogramOptions(options = {}) {
+  const { histogramBins, frequencyThreshold } = options;
+
+  if (isPlainObject(histogramBins)) {
+    Object.entries(histogramBins).forEach(([column, spec]) => validateBinSpec(spec, `column "${column}"`));
+  } else if (histogramBins !== undefined && histogramBins !== null) {
+    validateBinSpec(histogramBins, 'all columns');
+  }
+
+  if (frequencyThreshold !== undefined &&
+      (typeof frequencyThreshold !== 'number' || frequencyThreshold < 0 || frequencyThreshold > 100)) {
+    throw invalidOption('frequencyThreshold must be a percentage from 0 to 100');
+  }
+}
+
+/**
+ * Bin specification that applies to a column
+ * @param {*} histogramBins - The histogramBins option
+ * @param {String} column - Column name
+ * @returns {String|Number|Array<Number>}
+ */
+function binSpecFor(histogramBins, column) {
+  if (isPlainObject(histogramBins)) {
+    return histogramBins[column] ?? histogramBins.default ?? DEFAULT_RULE;
+  }
+  return histogramBins ?? DEFAULT_RULE;
+}
+
+/**
+ * Compute bin edges for a column
+ * @param {String|Number|Array<Number>} spec - Rule name, bin count or edges
+ * @param {Object} stats - { min, max, count, iqr, integer }
+ * @returns {Object} - { rule, edges }
+ */
+function binEdges(spec, { min, max, count, iqr, integer }) {
+  if (Array.isArray(spec)) {
+    return { rule: 'edges', edges: [...spec] };
+  }
+
+  if (min === max) {
+    return { rule: typeof spec === 'number' ? 'count' : BIN_RULES[spec.toLowerCase()], edges: [min, max] };
+  }
+
+  const sturgesBins = Math.ceil(Math.log2(count)) + 1;
+  let rule;
+  let binCount;
+
+  if (typeof spec === 'number') {
+    rule = 'count';
+    binCount = spec;
+  } else {
+    rule = BIN_RULES[spec.toLowerCase()];
+    binCount = sturgesBins;
+
+    // Freedman–Diaconis falls back to Sturges when the IQR is zero
+    if (rule === 'freedman-diaconis' && iqr > 0) {
+      const width = 2 * iqr / Math.cbrt(count);
+      binCount = Math.ceil((max - min) / width);
+    }
+  }
+
+  binCount = Math.max(1, Math.min(binCount, MAX_BINS));
+  let width = (max - min) / binCount;
+
+  // Integer columns get whole-number bins so no bin is structurally empty
+  if (integer && typeof spec !== 'number') {
+    width = Math.max(1, Math.ceil(width));
+    binCount = Math.ceil((max - min + 1) / width);
+  }
+
+  const edges = [];
+  for (let i = 0; i <= binCount; i++) {
+    edges.push(i === binCount && !integer ? max : min + i * width);
+  }
+
+  return { rule, edges };
+}
+
+module.exports = {
+  DEFAULT_FREQUENCY_THRESHOLD,
+  MAX_FREQUENCY_ROWS,
+  validateHistogramOptions,
+  binSpecFor,
+  binEdges
+};
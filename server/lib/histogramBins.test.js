@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateHistogramOptions, binSpecFor, binEdges } = require('./histogramBins');
+const ColumnAccumulator = require('./columnAccumulator');
+const ProfilerService = require('../services/profilerService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+test('Sturges uses ceil(log2 n) + 1 equal-width bins', () => {
+  const { rule, edges } = binEdges('sturges', { min: 0, max: 80, count: 100 });
+
+  assert.strictEqual(rule, 'sturges');
+  assert.deepStrictEqual(edges, [0, 10, 20, 30, 40, 50, 60, 70, 80]);
+});
+
+test('Freedman–Diaconis bins are 2·IQR/∛n wide', () => {
+  // Width 2 * 25 / ∛1000 = 5, so 100 / 5 = 20 bins
+  const { rule, edges } = binEdges('fd', { min: 0, max: 100, count: 1000, iqr: 25 });
+
+  assert.strictEqual(rule, 'freedman-diaconis');
+  assert.strictEqual(edges.length, 21);
+  assert.strictEqual(edges[1], 5);
+  assert.strictEqual(edges[20], 100);
+});
+
+test('Freedman–Diaconis falls back to Sturges when the IQR is zero', () => {
+  const { edges } = binEdges('fd', { min: 0, max: 80, count: 100, iqr: 0 });
+  assert.strictEqual(edges.length, 9);
+});
+
+test('integer columns get whole-number bins', () => {
+  const { edges } = binEdges('sturges', { min: 1, max: 5, count: 1000, integer: true });
+  assert.deepStrictEqual(edges, [1, 2, 3, 4, 5, 6]);
+});
+
+test('bin counts, explicit edges and constant columns', () => {
+  assert.deepStrictEqual(binEdges(4, { min: 0, max: 2, count: 50 }), { rule: 'count', edges: [0, 0.5, 1, 1.5, 2] });
+  assert.deepStrictEqual(binEdges([0, 10, 100], { min: 3, max: 500, count: 50 }), { rule: 'edges', edges: [0, 10, 100] });
+  assert.deepStrictEqual(binEdges('fd', { min: 7, max: 7, count: 50 }).edges, [7, 7]);
+  // Counts above the 200-bin cap are clamped
+  assert.strictEqual(binEdges(10000, { min: 0, max: 1, count: 50 }).edges.length, 201);
+});
+
+test('per-column specifications fall back to the default entry, then to fd', () => {
+  const bins = { price: [0, 10, 100], default: 'sturges' };
+
+  assert.deepStrictEqual(binSpecFor(bins, 'price'), [0, 10, 100]);
+  assert.strictEqual(binSpecFor(bins, 'weight'), 'sturges');
+  assert.strictEqual(binSpecFor({ price: 5 }, 'weight'), 'fd');
+  assert.strictEqual(binSpecFor(undefined, 'weight'), 'fd');
+  assert.strictEqual(binSpecFor(12, 'weight'), 12);
+});
+
+test('invalid histogram options are rejected with 400', () => {
+  const invalid = [
+    { histogramBins: 'scott' },
+    { histogramBins: 0 },
+    { histogramBins: 2.5 },
+    { histogramBins: [5, 1] },
+    { histogramBins: [1] },
+    { histogramBins: { price: 'weird' } },
+    { histogramBins: true },
+    { frequencyThreshold: 120 },
+    { frequencyThreshold: '5' }
+  ];
+
+  invalid.forEach(options => {
+    assert.throws(() => validateHistogramOptions(options), error => error.status === 400, JSON.stringify(options));
+  });
+  assert.doesNotThrow(() => validateHistogramOptions({ histogramBins: { price: [0, 1], default: 'FD' }, frequencyThreshold: 0 }));
+});
+
+test('numeric columns return the counts of the actual values and p1..p99', () => {
+  // Right-skewed: most values are small
+  const values = Array.from({ length: 500 }, (_, i) => Math.round((i / 50) ** 3 * 10) / 10 + 0.5);
+  const accumulator = new ColumnAccumulator();
+  values.forEach(value => accumulator.add(value));
+
+  const stats = accumulator.finalize({ bins: [0, 10, 100, 1000] });
+  const expected = [
+    values.filter(v => v < 10).length,
+    values.filter(v => v >= 10 && v < 100).length,
+    values.filter(v => v >= 100 && v <= 1000).length
+  ];
+
+  assert.deepStrictEqual(stats.histogram.counts, expected);
+  assert.deepStrictEqual([stats.histogram.underflow, stats.histogram.overflow, stats.histogram.approximate], [0, 0, false]);
+  assert.strictEqual(stats.percentiles.length, 99);
+  assert.ok(stats.percentiles[49] < stats.mean, 'skewed data has its median below the mean');
+});
+
+test('categorical frequency tables list values above the threshold', () => {
+  const accumulator = new ColumnAccumulator();
+  const values = [...Array(60).fill('red'), ...Array(35).fill('green'), ...Array(3).fill('blue'), 'cyan', 'pink'];
+  values.forEach(value => accumulator.add(value));
+
+  const { frequencies } = accumulator.finalize({ frequencyThreshold: 2 });
+
+  assert.deepStrictEqual(frequencies.values, [['red', 60], ['green', 35], ['blue', 3]]);
+  assert.strictEqual(frequencies.otherCount, 2);
+  assert.strictEqual(frequencies.otherValues, 2);
+  assert.strictEqual(frequencies.threshold, 2);
+});
+
+test('profiling applies per-column bins and rejects bad ones before any work', async () => {
+  const data = Array.from({ length: 200 }, (_, i) => ({ price: i * 0.75, weight: (i % 40) * 1.25 }));
+  const profiler = new ProfilerService(quietLogger, 'test');
+
+  const profile = await profiler.profileData(data, { histogramBins: { price: [0, 50, 150], default: 'sturges' } });
+
+  assert.deepStrictEqual(profile.columnStats.price.histogram.edges, [0, 50, 150]);
+  assert.strictEqual(profile.columnStats.weight.histogram.rule, 'sturges');
+  await assert.rejects(profiler.profileData(data, { histogramBins: 'scott' }), error => error.status === 400);
+});
@@ -0,0 +1,89 @@
+/**
+ * HyperLogLog distinct-count estimator. Registers are combined with a
+ * per-register max, so sketches built over separate chunks merge losslessly.
+ */
+class HyperLogLog {
+  /**
+   * @param {Number} precision - log2 of the register count (4-16)
+   */
+  constructor(precision = 12) {
+    this.precision = precision;
+    this.registerCount = 1 << precision;
+    this.registers = new Uint8Array(this.registerCount);
+  }
+
+  /**
+   * 32-bit FNV-1a hash of a string
+   */
+  static hash(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    // Final avalanche so short keys spread across registers
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+  }
+
+  add(key) {
+    const hash = HyperLogLog.hash(String(key));
+    const index = hash >>> (32 - this.precision);
+    const remainder = (hash << this.precision) >>> 0;
+    const maxRank = 32 - this.precision + 1;
+    const rank = remainder === 0 ? maxRank : Math.min(maxRank, Math.clz32(remainder) + 1);
+
+    if (rank > this.registers[index]) {
+      this.registers[index] = rank;
+    }
+  }
+
+  merge(other) {
+    for (let i = 0; i < this.registerCount; i++) {
+      if (other.registers[i] > this.registers[i]) {
+        this.registers[i] = other.registers[i];
+      }
+    }
+    return this;
+  }
+
+  estimate() {
+    const m = this.registerCount;
+    const alpha = 0.7213 / (1 + 1.079 / m);
+
+    let sum = 0;
+    let zeros = 0;
+    for (let i = 0; i < m; i++) {
+      sum += Math.pow(2, -this.registers[i]);
+      if (this.registers[i] === 0) zeros++;
+    }
+
+    const raw = alpha * m * m / sum;
+
+    // Small-range correction (linear counting)
+    if (raw <= 2.5 * m && zeros > 0) {
+      return Math.round(m * Math.log(m / zeros));
+    }
+
+    return Math.round(raw);
+  }
+
+  toJSON() {
+    return {
+      precision: this.precision,
+      registers: Array.from(this.registers)
+    };
+  }
+
+  static fromJSON(state) {
+    const hll = new HyperLogLog(state.precision);
+    hll.registers.set(state.registers);
+    return hll;
+  }
+}
+
+module.exports = HyperLogLog;
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const HyperLogLog = require('./hyperLogLog');
+
+function hllOf(keys) {
+  const hll = new HyperLogLog();
+  keys.forEach(key => hll.add(key));
+  return hll;
+}
+
+const keys = (from, to) => Array.from({ length: to - from }, (_, i) => `key-${from + i}`);
+
+test('small cardinalities are counted almost exactly', () => {
+  const estimate = hllOf(keys(0, 100)).estimate();
+  assert.ok(Math.abs(estimate - 100) <= 2, `estimate ${estimate}`);
+});
+
+test('large cardinalities are estimated within 5%', () => {
+  const estimate = hllOf(keys(0, 50000)).estimate();
+  assert.ok(Math.abs(estimate - 50000) / 50000 < 0.05, `estimate ${estimate}`);
+});
+
+test('repeated keys do not change the estimate', () => {
+  const once = hllOf(keys(0, 2000));
+  const thrice = hllOf([...keys(0, 2000), ...keys(0, 2000), ...keys(0, 2000)]);
+
+  assert.strictEqual(thrice.estimate(), once.estimate());
+});
+
+test('merging overlapping sketches estimates the union', () => {
+  const merged = hllOf(keys(0, 30000)).merge(hllOf(keys(20000, 50000)));
+
+  assert.deepStrictEqual(merged.registers, hllOf(keys(0, 50000)).registers);
+});
+
+test('serialised state survives a JSON round trip', () => {
+  const hll = hllOf(keys(0, 1000));
+  const restored = HyperLogLog.fromJSON(JSON.parse(JSON.stringify(hll.toJSON())));
+
+  assert.strictEqual(restored.estimate(), hll.estimate());
+});
@@ -0,0 +1,116 @@
+// Euler–Mascheroni constant, for the harmonic number approximation
+const EULER_GAMMA = 0.5772156649;
+
+/**
+ * Average path length of an unsuccessful search in a binary search tree
+ * of n points, which normalises isolation depths
+ */
+function averagePathLength(n) {
+  if (n <= 1) return 0;
+  return 2 * (Math.log(n - 1) + EULER_GAMMA) - (2 * (n - 1) / n);
+}
+
+/**
+ * IsolationForest scores points by how quickly random axis-aligned splits
+ * isolate them (Liu, Ting and Zhou 2008). Anomalies sit in sparse regions,
+ * so they end up in short branches and score close to 1; ordinary points
+ * score around 0.5 or below.
+ */
+class IsolationForest {
+  /**
+   * @param {Object} options
+   * @param {Function} options.random - Seeded generator returning [0, 1)
+   * @param {Number} options.numTrees - Trees in the forest
+   * @param {Number} options.sampleSize - Points each tree is grown on
+   */
+  constructor({ random, numTrees = 100, sampleSize = 256 } = {}) {
+    this.random = random;
+    this.numTrees = numTrees;
+    this.sampleSize = sampleSize;
+    this.trees = [];
+  }
+
+  /**
+   * Grow the forest
+   * @param {Array<Array<Number>>} points - Feature vectors, all the same length
+   * @returns {IsolationForest} - this
+   */
+  fit(points) {
+    this.points = points;
+    this.subsampleSize = Math.min(this.sampleSize, points.length);
+    const maxDepth = Math.ceil(Math.log2(Math.max(2, this.subsampleSize)));
+
+    this.trees = [];
+    for (let t = 0; t < this.numTrees; t++) {
+      this.trees.push(this.buildTree(this.subsample(points.length), 0, maxDepth));
+    }
+    return this;
+  }
+
+  /**
+   * Indices of a random subsample without replacement (partial Fisher–Yates)
+   */
+  subsample(count) {
+    const indices = Array.from({ length: count }, (_, i) => i);
+    for (let i = 0; i < this.subsampleSize; i++) {
+      const j = i + Math.floor(this.random() * (count - i));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, this.subsampleSize);
+  }
+
+  buildTree(indices, depth, maxDepth) {
+    if (depth >= maxDepth || indices.length <= 1) {
+      return { size: indices.length };
+    }
+
+    // Pick a random feature that still varies within this node
+    const dimensions = this.points[indices[0]].length;
+    const start = Math.floor(this.random() * dimensions);
+    for (let offset = 0; offset < dimensions; offset++) {
+      const feature = (start + offset) % dimensions;
+      let min = Infinity;
+      let max = -Infinity;
+      indices.forEach(i => {
+        const value = this.points[i][feature];
+        if (value < min) min = value;
+        if (value > max) max = value;
+      });
+      if (min === max) continue;
+
+      const threshold = min + this.random() * (max - min);
+      const left = [];
+      const right = [];
+      indices.forEach(i => (this.points[i][feature] < threshold ? left : right).push(i));
+
+      return {
+        feature,
+        threshold,
+        left: this.buildTree(left, depth + 1, maxDepth),
+        right: this.buildTree(right, depth + 1, maxDepth)
+      };
+    }
+
+    return { size: indices.length };
+  }
+
+  pathLength(point, node, depth) {
+    if (node.size !== undefined) {
+      return depth + averagePathLength(node.size);
+    }
+    return this.pathLength(point, point[node.feature] < node.threshold ? node.left : node.right, depth + 1);
+  }
+
+  /**
+   * Anomaly score of a point
+   * @param {Array<Number>} point - Feature vector
+   * @returns {Number} - Score in (0, 1]
+   */
+  score(point) {
+    const total = this.trees.reduce((sum, tree) => sum + this.pathLength(point, tree, 0), 0);
+    const normaliser = averagePathLength(this.subsampleSize);
+    return normaliser > 0 ? Math.pow(2, -(total / this.trees.length) / normaliser) : 0.5;
+  }
+}
+
+module.exports = IsolationForest;
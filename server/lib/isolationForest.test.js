@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const IsolationForest = require('./isolationForest');
+const SamplingService = require('../services/samplingService');
+
+function seeded(seed) {
+  return new SamplingService().seededRandom(seed);
+}
+
+// A unit-square cloud with two far-away points at the end
+function cloud(count, random) {
+  const points = Array.from({ length: count }, () => [random(), random()]);
+  points.push([8, 8], [-6, 9]);
+  return points;
+}
+
+test('isolated points score well above the points of the dense cloud', () => {
+  const points = cloud(300, seeded(1));
+  const forest = new IsolationForest({ random: seeded(2) }).fit(points);
+  const scores = points.map(point => forest.score(point));
+
+  const inlierMax = Math.max(...scores.slice(0, 300));
+  assert.ok(scores[300] > 0.7 && scores[301] > 0.7, `outlier scores ${scores.slice(300)}`);
+  assert.ok(inlierMax < Math.min(scores[300], scores[301]));
+  assert.ok(scores.every(score => score > 0 && score <= 1));
+});
+
+test('the same seed grows the same forest', () => {
+  const points = cloud(200, seeded(1));
+  const first = new IsolationForest({ random: seeded(9), numTrees: 20 }).fit(points);
+  const second = new IsolationForest({ random: seeded(9), numTrees: 20 }).fit(points);
+
+  assert.deepStrictEqual(first.trees, second.trees);
+  assert.strictEqual(first.score([8, 8]), second.score([8, 8]));
+});
+
+test('trees are grown on subsamples up to the sample size and depth limit', () => {
+  const forest = new IsolationForest({ random: seeded(4), numTrees: 5, sampleSize: 64 }).fit(cloud(500, seeded(3)));
+
+  // Leaves hold the subsample, and depth is capped at log2(64) = 6
+  const leafSizes = (node, depth = 0) => {
+    assert.ok(depth <= 6);
+    return node.size !== undefined ? node.size : leafSizes(node.left, depth + 1) + leafSizes(node.right, depth + 1);
+  };
+  assert.strictEqual(forest.subsampleSize, 64);
+  forest.trees.forEach(tree => assert.strictEqual(leafSizes(tree), 64));
+});
+
+test('identical points cannot be split and score 0.5', () => {
+  const points = Array.from({ length: 20 }, () => [1, 1]);
+  const forest = new IsolationForest({ random: seeded(5), numTrees: 10 }).fit(points);
+
+  assert.deepStrictEqual(forest.trees[0], { size: 20 });
+  assert.ok(Math.abs(forest.score([1, 1]) - 0.5) < 1e-12);
+});
@@ -0,0 +1,174 @@
+/**
+ * KMeans clusters feature vectors with Lloyd's algorithm from a k-means++
+ * start. With `k: 'auto'` it tries a range of cluster counts and keeps the
+ * one with the best simplified silhouette (distances to centroids rather
+ * than to every point, so it stays linear in the number of rows).
+ */
+
+const MIN_AUTO_K = 2;
+const MAX_AUTO_K = 6;
+
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return sum;
+}
+
+class KMeans {
+  /**
+   * @param {Object} options
+   * @param {Function} options.random - Seeded generator returning [0, 1)
+   * @param {Number|String} options.k - Cluster count, or 'auto'
+   * @param {Number} options.maxIterations - Lloyd iterations before giving up on convergence
+   */
+  constructor({ random, k = 'auto', maxIterations = 50 } = {}) {
+    this.random = random;
+    this.k = k;
+    this.maxIterations = maxIterations;
+  }
+
+  /**
+   * Cluster the points
+   * @param {Array<Array<Number>>} points - Feature vectors
+   * @returns {Object|null} - { k, assignments, centroids, iterations, converged,
+   *   inertia, silhouette }, null with fewer points than clusters
+   */
+  fit(points) {
+    if (this.k !== 'auto') {
+      return points.length >= this.k ? this.run(points, this.k) : null;
+    }
+
+    let best = null;
+    const maxK = Math.min(MAX_AUTO_K, points.length - 1);
+    for (let k = MIN_AUTO_K; k <= maxK; k++) {
+      const result = this.run(points, k);
+      if (!best || result.silhouette > best.silhouette) best = result;
+    }
+    return best;
+  }
+
+  run(points, k) {
+    let centroids = this.initialCentroids(points, k);
+    const assignments = new Array(points.length).fill(-1);
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < this.maxIterations) {
+      iterations++;
+      let changed = false;
+      points.forEach((point, i) => {
+        const cluster = this.nearest(point, centroids).index;
+        if (cluster !== assignments[i]) {
+          assignments[i] = cluster;
+          changed = true;
+        }
+      });
+
+      if (!changed) {
+        converged = true;
+        break;
+      }
+      centroids = this.updateCentroids(points, assignments, centroids);
+    }
+
+    return { k, assignments, centroids, iterations, converged, ...this.quality(points, assignments, centroids) };
+  }
+
+  /**
+   * k-means++: each further centroid is a point drawn with probability
+   * proportional to its squared distance from the nearest chosen one
+   */
+  initialCentroids(points, k) {
+    const centroids = [[...points[Math.floor(this.random() * points.length)]]];
+    const distances = points.map(point => squaredDistance(point, centroids[0]));
+
+    while (centroids.length < k) {
+      const total = distances.reduce((sum, d) => sum + d, 0);
+      let index = 0;
+      if (total > 0) {
+        let target = this.random() * total;
+        while (index < points.length - 1 && target >= distances[index]) {
+          target -= distances[index];
+          index++;
+        }
+      } else {
+        index = Math.floor(this.random() * points.length);
+      }
+
+      const centroid = [...points[index]];
+      centroids.push(centroid);
+      points.forEach((point, i) => {
+        distances[i] = Math.min(distances[i], squaredDistance(point, centroid));
+      });
+    }
+
+    return centroids;
+  }
+
+  nearest(point, centroids) {
+    let index = 0;
+    let distance = Infinity;
+    let second = Infinity;
+    centroids.forEach((centroid, i) => {
+      const d = squaredDistance(point, centroid);
+      if (d < distance) {
+        second = distance;
+        distance = d;
+        index = i;
+      } else if (d < second) {
+        second = d;
+      }
+    });
+    return { index, distance, second };
+  }
+
+  updateCentroids(points, assignments, previous) {
+    const dimensions = points[0].length;
+    const sums = previous.map(() => new Array(dimensions).fill(0));
+    const counts = new Array(previous.length).fill(0);
+
+    points.forEach((point, i) => {
+      const cluster = assignments[i];
+      counts[cluster]++;
+      for (let d = 0; d < dimensions; d++) sums[cluster][d] += point[d];
+    });
+
+    return sums.map((sum, cluster) => {
+      // An emptied cluster restarts from the point farthest from its centroid
+      if (counts[cluster] === 0) {
+        let farthest = 0;
+        let farthestDistance = -1;
+        points.forEach((point, i) => {
+          const d = squaredDistance(point, previous[assignments[i]]);
+          if (d > farthestDistance) {
+            farthestDistance = d;
+            farthest = i;
+          }
+        });
+        return [...points[farthest]];
+      }
+      return sum.map(value => value / counts[cluster]);
+    });
+  }
+
+  /**
+   * Inertia (within-cluster sum of squares) and simplified silhouette
+   */
+  quality(points, assignments, centroids) {
+    let inertia = 0;
+    let silhouette = 0;
+    points.forEach(point => {
+      const { distance, second } = this.nearest(point, centroids);
+      inertia += distance;
+      const a = Math.sqrt(distance);
+      const b = Math.sqrt(second);
+      silhouette += Number.isFinite(b) && Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
+    });
+    return { inertia, silhouette: points.length > 0 ? silhouette / points.length : 0 };
+  }
+}
+
+module.exports = KMeans;
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const KMeans = require('./kMeans');
+const SamplingService = require('../services/samplingService');
+
+function seeded(seed) {
+  return new SamplingService().seededRandom(seed);
+}
+
+// Three tight blobs around (0, 0), (10, 0) and (0, 10), interleaved by row
+const CENTERS = [[0, 0], [10, 0], [0, 10]];
+function blobs(count, random) {
+  return Array.from({ length: count }, (_, i) => {
+    const [x, y] = CENTERS[i % 3];
+    return [x + random() - 0.5, y + random() - 0.5];
+  });
+}
+
+test('auto k finds three well-separated blobs', () => {
+  const points = blobs(150, seeded(1));
+  const result = new KMeans({ random: seeded(2) }).fit(points);
+
+  assert.strictEqual(result.k, 3);
+  assert.strictEqual(result.converged, true);
+  assert.ok(result.silhouette > 0.85, `silhouette ${result.silhouette}`);
+
+  // Every blob maps to its own cluster
+  const clusterOfBlob = CENTERS.map((_, blob) => new Set(result.assignments.filter((_, i) => i % 3 === blob)));
+  clusterOfBlob.forEach(clusters => assert.strictEqual(clusters.size, 1));
+  assert.strictEqual(new Set(clusterOfBlob.map(clusters => [...clusters][0])).size, 3);
+
+  result.centroids.forEach(centroid => {
+    assert.ok(CENTERS.some(([x, y]) => Math.hypot(centroid[0] - x, centroid[1] - y) < 0.2));
+  });
+});
+
+test('a fixed k is used as given', () => {
+  const result = new KMeans({ random: seeded(2), k: 2 }).fit(blobs(90, seeded(1)));
+
+  assert.strictEqual(result.k, 2);
+  assert.strictEqual(result.centroids.length, 2);
+  assert.strictEqual(new Set(result.assignments).size, 2);
+});
+
+test('inertia is the within-cluster sum of squared distances', () => {
+  const points = [[0, 0], [0, 2], [10, 0], [10, 2]];
+  const result = new KMeans({ random: seeded(3), k: 2 }).fit(points);
+
+  assert.strictEqual(result.inertia, 4);
+  assert.deepStrictEqual(
+    result.centroids.map(centroid => centroid.join(',')).sort(),
+    ['0,1', '10,1']
+  );
+});
+
+test('the same seed gives the same clustering', () => {
+  const points = blobs(120, seeded(7));
+  const first = new KMeans({ random: seeded(11) }).fit(points);
+  const second = new KMeans({ random: seeded(11) }).fit(points);
+
+  assert.deepStrictEqual(first, second);
+});
+
+test('fewer points than clusters gives no result', () => {
+  assert.strictEqual(new KMeans({ random: seeded(1), k: 5 }).fit([[0, 0], [1, 1]]), null);
+});
@@ -0,0 +1,213 @@
+const ColumnAccumulator = require('./columnAccumulator');
+
+/**
+ * Primary key and unique constraint candidate discovery. A column set is a
+ * unique candidate when no two rows with all of its columns present share
+ * the same values (SQL UNIQUE semantics, which ignore missing values), and
+ * a primary key candidate when, in addition, none of its values is missing.
+ * Composite candidates are searched level by level up to `maxKeyWidth`
+ * columns and are minimal: no subset of a reported candidate is itself one.
+ */
+
+const DEFAULT_MAX_KEY_WIDTH = 3;
+const MAX_KEY_WIDTH = 5;
+// Columns considered for composite keys, most distinct values first
+const MAX_COMPOSITE_COLUMNS = 15;
+// Column sets checked per width, so wide tables stay bounded
+const MAX_COMBINATIONS_PER_WIDTH = 500;
+// Single columns at least this unique, but not fully, are reported as near-keys
+const NEAR_KEY_UNIQUENESS = 0.95;
+const MAX_NEAR_KEYS = 10;
+const MAX_CANDIDATES = 50;
+
+function invalidOption(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Validate the `maxKeyWidth` option
+ * @param {Number} value - Most columns in a composite key candidate (0 disables discovery)
+ * @returns {Number}
+ */
+function resolveMaxKeyWidth(value = DEFAULT_MAX_KEY_WIDTH) {
+  if (!Number.isInteger(value) || value < 0 || value > MAX_KEY_WIDTH) {
+    throw invalidOption(`maxKeyWidth must be an integer from 0 to ${MAX_KEY_WIDTH}`);
+  }
+  return value;
+}
+
+// Continuous measurements are unique by accident, not by design
+const isKeyable = (stats) => stats && stats.type !== 'unknown' && stats.semanticType !== 'float' && stats.unique > 1;
+
+/**
+ * Distinct value tuples of a column set over the rows where all its
+ * columns are present, stopping at the first repeated tuple
+ * @returns {Object} - { unique, completeRows, distinct }
+ */
+function checkUniqueness(data, columns) {
+  const seen = new Set();
+  let completeRows = 0;
+  let unique = true;
+
+  for (const row of data) {
+    let complete = true;
+    const values = columns.map(column => {
+      const value = row[column];
+      if (ColumnAccumulator.isMissing(value)) complete = false;
+      return value;
+    });
+    if (!complete) continue;
+
+    completeRows++;
+    const key = columns.length === 1 ? `${typeof values[0]}:${values[0]}` : JSON.stringify(values);
+    if (seen.has(key)) {
+      unique = false;
+      break;
+    }
+    seen.add(key);
+  }
+
+  return { unique, completeRows, distinct: seen.size };
+}
+
+/**
+ * Exact distinct count and missing count of one column
+ */
+function countDistinct(data, column) {
+  const seen = new Set();
+  let missing = 0;
+  for (const row of data) {
+    const value = row[column];
+    if (ColumnAccumulator.isMissing(value)) {
+      missing++;
+    } else {
+      seen.add(`${typeof value}:${value}`);
+    }
+  }
+  return { distinct: seen.size, missing, present: data.length - missing };
+}
+
+function* combinations(items, width, start = 0, prefix = []) {
+  if (prefix.length === width) {
+    yield prefix;
+    return;
+  }
+  for (let i = start; i <= items.length - (width - prefix.length); i++) {
+    yield* combinations(items, width, i + 1, [...prefix, items[i]]);
+  }
+}
+
+function describeCandidate(columns, data, nullCount, distinct) {
+  return {
+    columns,
+    width: columns.length,
+    distinct,
+    uniqueness: 1,
+    nullCount,
+    nullRate: data.length > 0 ? nullCount / data.length : 0,
+    primaryKey: nullCount === 0
+  };
+}
+
+/**
+ * Rows with a missing value in any of the columns
+ */
+function countIncompleteRows(data, columns) {
+  let count = 0;
+  for (const row of data) {
+    if (columns.some(column => ColumnAccumulator.isMissing(row[column]))) count++;
+  }
+  return count;
+}
+
+/**
+ * Find key candidates
+ * @param {Array} data - Parsed rows
+ * @param {Object} columnStats - Finalised column statistics
+ * @param {Number} maxWidth - Most columns in a candidate, from resolveMaxKeyWidth
+ * @returns {Object|null} - { maxWidth, rowsChecked, candidateCount, candidates: [{ columns,
+ *   width, distinct, uniqueness, nullCount, nullRate, primaryKey }] narrowest first,
+ *   nearKeys: [{ columns, distinct, uniqueness, duplicateCount, nullCount, nullRate }],
+ *   truncated }, null when disabled
+ */
+function discoverKeys(data, columnStats, maxWidth) {
+  if (maxWidth === 0 || data.length === 0) return null;
+
+  const columns = Object.keys(columnStats).filter(column => isKeyable(columnStats[column]));
+  const counts = {};
+  columns.forEach(column => { counts[column] = countDistinct(data, column); });
+
+  const candidates = [];
+  const nearKeys = [];
+  const remaining = [];
+
+  columns.forEach(column => {
+    const { distinct, missing, present } = counts[column];
+    if (present === 0) return;
+    if (distinct === present) {
+      candidates.push(describeCandidate([column], data, missing, distinct));
+    } else {
+      remaining.push(column);
+      const uniqueness = distinct / present;
+      if (uniqueness >= NEAR_KEY_UNIQUENESS) {
+        nearKeys.push({
+          columns: [column],
+          distinct,
+          uniqueness,
+          duplicateCount: present - distinct,
+          nullCount: missing,
+          nullRate: missing / data.length
+        });
+      }
+    }
+  });
+
+  // Columns that are keys on their own cannot be part of a minimal composite
+  const pool = remaining
+    .sort((a, b) => counts[b].distinct - counts[a].distinct)
+    .slice(0, MAX_COMPOSITE_COLUMNS);
+  let truncated = remaining.length > pool.length;
+
+  for (let width = 2; width <= Math.min(maxWidth, pool.length); width++) {
+    let checked = 0;
+    for (const set of combinations(pool, width)) {
+      // Supersets of a candidate are not minimal
+      if (candidates.some(c => c.width > 1 && c.columns.every(column => set.includes(column)))) continue;
+
+      // Too few value combinations to tell apart the rows where every column is present
+      const combos = set.reduce((product, column) => product * counts[column].distinct, 1);
+      const minCompleteRows = data.length - set.reduce((sum, column) => sum + counts[column].missing, 0);
+      if (combos < minCompleteRows) continue;
+
+      if (checked >= MAX_COMBINATIONS_PER_WIDTH) {
+        truncated = true;
+        break;
+      }
+      checked++;
+
+      const result = checkUniqueness(data, set);
+      if (result.unique && result.completeRows > 0) {
+        candidates.push(describeCandidate([...set], data, countIncompleteRows(data, set), result.distinct));
+      }
+    }
+  }
+
+  return {
+    maxWidth,
+    rowsChecked: data.length,
+    candidateCount: candidates.length,
+    candidates: candidates
+      .sort((a, b) => a.width - b.width || Number(b.primaryKey) - Number(a.primaryKey) || a.nullRate - b.nullRate)
+      .slice(0, MAX_CANDIDATES),
+    nearKeys: nearKeys.sort((a, b) => b.uniqueness - a.uniqueness).slice(0, MAX_NEAR_KEYS),
+    truncated
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_KEY_WIDTH,
+  resolveMaxKeyWidth,
+  discoverKeys
+};
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_MAX_KEY_WIDTH, resolveMaxKeyWidth, discoverKeys } = require('./keyDiscovery');
+const ProfilerService = require('../services/profilerService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function columnStats(data) {
+  const stats = {};
+  Object.keys(data[0]).forEach(column => {
+    const values = data.map(row => row[column]).filter(value => value !== null && value !== '');
+    stats[column] = {
+      type: typeof values[0] === 'number' ? 'numeric' : 'categorical',
+      semanticType: Number.isInteger(values[0]) || typeof values[0] !== 'number' ? 'categorical' : 'float',
+      unique: new Set(values).size
+    };
+  });
+  return stats;
+}
+
+// Twelve orders: order_id is a key, email is unique but sometimes missing,
+// and (store, day) identifies rows although neither does on its own
+function orders() {
+  return Array.from({ length: 12 }, (_, i) => ({
+    order_id: `ORD-${100 + i}`,
+    email: i === 4 || i === 9 ? null : `buyer${i}@example.com`,
+    store: ['A', 'B', 'C'][i % 3],
+    day: `2024-01-0${1 + Math.floor(i / 3)}`,
+    channel: i % 2 === 0 ? 'web' : 'shop',
+    amount: i + 0.5
+  }));
+}
+
+test('maxKeyWidth defaults to 3 and must be an integer from 0 to 5', () => {
+  assert.strictEqual(DEFAULT_MAX_KEY_WIDTH, 3);
+  assert.strictEqual(resolveMaxKeyWidth(), 3);
+  assert.strictEqual(resolveMaxKeyWidth(0), 0);
+  assert.strictEqual(resolveMaxKeyWidth(5), 5);
+
+  [-1, 6, 1.5, '2'].forEach(value => {
+    assert.throws(() => resolveMaxKeyWidth(value), error => error.status === 400 && /maxKeyWidth/.test(error.message));
+  });
+});
+
+test('single and minimal composite candidates report uniqueness and null rates', () => {
+  const data = orders();
+  const result = discoverKeys(data, columnStats(data), 3);
+
+  assert.strictEqual(result.rowsChecked, 12);
+  assert.strictEqual(result.truncated, false);
+  // Primary keys first within each width; amount is a float and never a key
+  assert.deepStrictEqual(result.candidates, [
+    { columns: ['order_id'], width: 1, distinct: 12, uniqueness: 1, nullCount: 0, nullRate: 0, primaryKey: true },
+    { columns: ['email'], width: 1, distinct: 10, uniqueness: 1, nullCount: 2, nullRate: 2 / 12, primaryKey: false },
+    { columns: ['day', 'store'], width: 2, distinct: 12, uniqueness: 1, nullCount: 0, nullRate: 0, primaryKey: true }
+  ]);
+  // (day, store, channel) is a superset of a candidate, so it is not reported
+  assert.strictEqual(result.candidateCount, 3);
+  assert.deepStrictEqual(result.nearKeys, []);
+});
+
+test('composite candidates count rows missing any of their columns', () => {
+  const data = orders().map(({ store, day }, i) => ({ store, day: i === 7 ? '' : day }));
+  const result = discoverKeys(data, columnStats(data), 2);
+
+  assert.deepStrictEqual(result.candidates.map(c => [c.columns, c.nullCount, c.primaryKey]), [
+    [['day', 'store'], 1, false]
+  ]);
+});
+
+test('the width option bounds composite keys and 0 disables discovery', () => {
+  const data = orders();
+  const stats = columnStats(data);
+
+  assert.deepStrictEqual(discoverKeys(data, stats, 1).candidates.map(c => c.columns), [['order_id'], ['email']]);
+  assert.strictEqual(discoverKeys(data, stats, 0), null);
+  assert.strictEqual(discoverKeys([], stats, 3), null);
+});
+
+test('almost-unique columns are reported as near-keys with their duplicates', () => {
+  // 40 customer references with one repeated in the same tier: 39 distinct of 40 present
+  const data = Array.from({ length: 40 }, (_, i) => ({ customer_ref: `C${i === 39 ? 1 : i}`, tier: ['gold', 'silver'][i % 2] }));
+  const result = discoverKeys(data, columnStats(data), 2);
+
+  assert.deepStrictEqual(result.candidates, []);
+  assert.deepStrictEqual(result.nearKeys, [
+    { columns: ['customer_ref'], distinct: 39, uniqueness: 39 / 40, duplicateCount: 1, nullCount: 0, nullRate: 0 }
+  ]);
+});
+
+test('profiles describe composite primary key candidates as insights', async () => {
+  const data = orders().map(({ store, day, channel }, i) => ({ store, day, channel, amount: i + 0.5 }));
+
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(data);
+  const messages = profile.insights.filter(insight => insight.category === 'Keys').map(insight => insight.message);
+
+  assert.deepStrictEqual(profile.summary.keyCandidates.candidates.map(c => c.columns), [['day', 'store']]);
+  assert.deepStrictEqual(messages, [
+    'No single column identifies rows; minimal composite primary key candidates: (day, store) (unique with no missing values)'
+  ]);
+});
@@ -0,0 +1,478 @@
+const ColumnAccumulator = require('./columnAccumulator');
+const ContingencyTable = require('./contingencyTable');
+const GroupMoments = require('./groupMoments');
+
+/**
+ * MissingnessAccumulator records which columns are missing together in
+ * each row, so gaps can be studied across columns rather than one column
+ * at a time. It keeps:
+ * - the distinct missingness patterns (sets of columns missing in the same
+ *   row) with their row counts and first rows,
+ * - pairwise co-missing counts for the nullity correlation (phi) matrix,
+ * - the runs of missing and present values of each column in row order,
+ *   for a Wald-Wolfowitz runs test of whether the gaps come in blocks,
+ * - the missing flag of each tested column against the values of context
+ *   columns, to tell whether a column is missing more often for some
+ *   categories or values of another column.
+ * Counts add up over row chunks. Run state joins at chunk boundaries, so
+ * chunks must be merged in row order.
+ */
+
+// Distinct patterns tracked before further new patterns are only counted
+const MAX_TRACKED_PATTERNS = 5000;
+const MAX_ROWS_PER_PATTERN = 3;
+const MAX_PATTERNS = 20;
+const MAX_CORRELATION_PAIRS = 20;
+// Phi at or above this means two columns are missing in the same rows
+const CO_MISSING_PHI = 0.7;
+// Cramér's V or η between a missing flag and another column, when significant
+const DEPENDENT_MISSINGNESS = 0.3;
+// Runs test z-score at or below this means gaps cluster in row order
+const CLUSTERED_RUNS_Z = -3;
+
+function emptyRuns() {
+  return { runs: 0, first: null, last: null, leading: 0, trailing: 0, lastIndex: -1, longest: { length: 0, start: null } };
+}
+
+class MissingnessAccumulator {
+  /**
+   * @param {Array<String>} columns - Columns with missing values
+   * @param {Object} context - Columns the missing flags are tested against
+   * @param {Array<String>} context.tested - Columns whose missing flag is tested
+   * @param {Array<String>} context.categorical - Low-cardinality categorical columns
+   * @param {Array<String>} context.numeric - Numeric columns
+   */
+  constructor(columns = [], { tested = [], categorical = [], numeric = [] } = {}) {
+    this.columns = columns;
+    this.tested = tested;
+    this.categorical = categorical;
+    this.numeric = numeric;
+
+    this.n = 0;
+    this.rowsWithMissing = 0;
+    this.patterns = Object.create(null);
+    this.patternCount = 0;
+    this.untrackedRows = 0;
+    this.missingCounts = new Array(columns.length).fill(0);
+    this.coMissing = Object.create(null);
+    this.runs = columns.map(() => emptyRuns());
+
+    // `${t}:${j}` tested column index and context column index
+    this.tables = Object.create(null);
+    this.groups = Object.create(null);
+    tested.forEach((column, t) => {
+      categorical.forEach((other, j) => {
+        if (other !== column) this.tables[`${t}:${j}`] = new ContingencyTable();
+      });
+      numeric.forEach((other, j) => {
+        if (other !== column) this.groups[`${t}:${j}`] = new GroupMoments();
+      });
+    });
+  }
+
+  /**
+   * Add one row
+   * @param {Object} row - Parsed row
+   * @param {Number} index - Position of the row in the dataset
+   */
+  add(row, index) {
+    this.n++;
+    const missing = [];
+    for (let i = 0; i < this.columns.length; i++) {
+      const flag = ColumnAccumulator.isMissing(row[this.columns[i]]);
+      if (flag) missing.push(i);
+      this.addRun(this.runs[i], flag, index);
+    }
+
+    if (missing.length > 0) {
+      this.rowsWithMissing++;
+      for (let a = 0; a < missing.length; a++) {
+        this.missingCounts[missing[a]]++;
+        for (let b = a + 1; b < missing.length; b++) {
+          const key = `${missing[a]}:${missing[b]}`;
+          this.coMissing[key] = (this.coMissing[key] || 0) + 1;
+        }
+      }
+      this.addPattern(missing.join(','), 1, [index]);
+    }
+
+    for (let t = 0; t < this.tested.length; t++) {
+      const flag = ColumnAccumulator.isMissing(row[this.tested[t]]);
+      for (let j = 0; j < this.categorical.length; j++) {
+        const table = this.tables[`${t}:${j}`];
+        const value = row[this.categorical[j]];
+        if (table && !ColumnAccumulator.isMissing(value)) table.add(flag, value);
+      }
+      for (let j = 0; j < this.numeric.length; j++) {
+        const moments = this.groups[`${t}:${j}`];
+        const value = row[this.numeric[j]];
+        if (moments && typeof value === 'number' && Number.isFinite(value)) moments.add(flag, value);
+      }
+    }
+  }
+
+  addRun(state, flag, index) {
+    if (state.last === null) {
+      Object.assign(state, { runs: 1, first: flag, leading: 1, trailing: 1 });
+    } else if (flag === state.last) {
+      state.trailing++;
+      if (state.runs === 1) state.leading++;
+    } else {
+      state.runs++;
+      state.trailing = 1;
+    }
+    state.last = flag;
+    state.lastIndex = index;
+    if (flag && state.trailing > state.longest.length) {
+      state.longest = { length: state.trailing, start: index - state.trailing + 1 };
+    }
+  }
+
+  addPattern(key, count, rows) {
+    let pattern = this.patterns[key];
+    if (!pattern) {
+      if (this.patternCount >= MAX_TRACKED_PATTERNS) {
+        this.untrackedRows += count;
+        return;
+      }
+      pattern = this.patterns[key] = { count: 0, rows: [] };
+      this.patternCount++;
+    }
+    pattern.count += count;
+    if (pattern.rows.length < MAX_ROWS_PER_PATTERN) {
+      pattern.rows = pattern.rows.concat(rows).slice(0, MAX_ROWS_PER_PATTERN);
+    }
+  }
+
+  /**
+   * Merge the accumulator of the rows that follow this one's
+   * @param {MissingnessAccumulator} other - Built with the same columns
+   * @returns {MissingnessAccumulator} - this
+   */
+  merge(other) {
+    this.n += other.n;
+    this.rowsWithMissing += other.rowsWithMissing;
+    this.untrackedRows += other.untrackedRows;
+    Object.entries(other.patterns).forEach(([key, pattern]) => {
+      this.addPattern(key, pattern.count, pattern.rows);
+    });
+    other.missingCounts.forEach((count, i) => { this.missingCounts[i] += count; });
+    Object.entries(other.coMissing).forEach(([key, count]) => {
+      this.coMissing[key] = (this.coMissing[key] || 0) + count;
+    });
+
+    this.runs = this.runs.map((state, i) => MissingnessAccumulator.joinRuns(state, other.runs[i]));
+
+    Object.entries(other.tables).forEach(([key, table]) => {
+      this.tables[key] = this.tables[key] ? this.tables[key].merge(table) : table;
+    });
+    Object.entries(other.groups).forEach(([key, moments]) => {
+      this.groups[key] = this.groups[key] ? this.groups[key].merge(moments) : moments;
+    });
+    return this;
+  }
+
+  /**
+   * Run state of two consecutive row ranges; runs that meet at the
+   * boundary with the same state become one
+   */
+  static joinRuns(before, after) {
+    if (after.last === null) return before;
+    if (before.last === null) return after;
+
+    const joined = before.last === after.first;
+    const state = {
+      runs: before.runs + after.runs - (joined ? 1 : 0),
+      first: before.first,
+      last: after.last,
+      leading: joined && before.runs === 1 ? before.leading + after.leading : before.leading,
+      trailing: joined && after.runs === 1 ? before.trailing + after.trailing : after.trailing,
+      lastIndex: after.lastIndex,
+      longest: before.longest.length >= after.longest.length ? before.longest : after.longest
+    };
+
+    if (joined && before.last === true) {
+      const length = before.trailing + after.leading;
+      if (length > state.longest.length) {
+        state.longest = { length, start: before.lastIndex - before.trailing + 1 };
+      }
+    }
+    return state;
+  }
+
+  /**
+   * Phi coefficient between the missing flags of two columns
+   * @returns {Number|null} - null when either column is never or always missing
+   */
+  phi(i, j) {
+    const a = this.missingCounts[i];
+    const b = this.missingCounts[j];
+    const n = this.n;
+    if (a === 0 || b === 0 || a === n || b === n) return null;
+
+    const both = this.coMissing[i < j ? `${i}:${j}` : `${j}:${i}`] || 0;
+    return (n * both - a * b) / Math.sqrt(a * (n - a) * b * (n - b));
+  }
+
+  /**
+   * Wald-Wolfowitz runs test on a column's missing flags in row order
+   * @returns {Object|null} - { runs, expectedRuns, z }, null with fewer
+   *   than two missing or two present values
+   */
+  runsTest(i) {
+    const missing = this.missingCounts[i];
+    const present = this.n - missing;
+    if (missing < 2 || present < 2) return null;
+
+    const product = 2 * missing * present;
+    const expectedRuns = product / this.n + 1;
+    const variance = product * (product - this.n) / (this.n * this.n * (this.n - 1));
+    const { runs } = this.runs[i];
+    return {
+      runs,
+      expectedRuns,
+      z: variance > 0 ? (runs - expectedRuns) / Math.sqrt(variance) : 0
+    };
+  }
+
+  /**
+   * Strongest significant association between a tested column's missing
+   * flag and a context column
+   * @returns {Object|null} - { column, method, association, pValue, ... }
+   */
+  strongestDependency(t) {
+    let best = null;
+    const consider = (candidate) => {
+      if (candidate.association >= DEPENDENT_MISSINGNESS && candidate.pValue < 0.05 &&
+        (!best || candidate.association > best.association)) {
+        best = candidate;
+      }
+    };
+
+    this.categorical.forEach((column, j) => {
+      const table = this.tables[`${t}:${j}`];
+      const test = table && table.cramersV();
+      if (!test || !table.counts.true || !table.counts.false) return;
+
+      // The value of the context column with the highest missing rate
+      const { columns: totals } = table.margins();
+      let value = null;
+      let missingRate = -1;
+      Object.entries(totals).forEach(([candidate, total]) => {
+        const rate = (table.counts.true[candidate] || 0) / total;
+        if (rate > missingRate) {
+          value = candidate;
+          missingRate = rate;
+        }
+      });
+      const otherMissing = Object.values(table.counts.true).reduce((sum, count) => sum + count, 0) -
+        (table.counts.true[value] || 0);
+      const otherTotal = table.n - totals[value];
+
+      consider({
+        column,
+        method: 'cramersV',
+        association: test.cramersV,
+        pValue: test.pValue,
+        sampleSize: table.n,
+        value,
+        missingRate,
+        otherMissingRate: otherTotal > 0 ? otherMissing / otherTotal : null
+      });
+    });
+
+    this.numeric.forEach((column, j) => {
+      const moments = this.groups[`${t}:${j}`];
+      const test = moments && moments.correlationRatio();
+      if (!test || !moments.groups.true || !moments.groups.false) return;
+
+      consider({
+        column,
+        method: 'eta',
+        association: test.eta,
+        pValue: test.pValue,
+        sampleSize: moments.n,
+        meanWhenMissing: moments.groups.true.mean,
+        meanWhenPresent: moments.groups.false.mean
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Summarise the missingness of the dataset
+   * @returns {Object} - { rowsChecked, rowsWithMissing, rowsWithMissingPercent,
+   *   completeRows, patternCount, untrackedRows, patterns, nullityCorrelation,
+   *   groups, columns }
+   */
+  finalize() {
+    const n = this.n;
+    const percent = (count) => (n > 0 ? (count / n) * 100 : 0);
+
+    const patterns = Object.entries(this.patterns)
+      .map(([key, pattern]) => ({
+        columns: key.split(',').map(i => this.columns[Number(i)]),
+        count: pattern.count,
+        percent: percent(pattern.count),
+        rows: pattern.rows
+      }))
+      .sort((a, b) => b.count - a.count || a.rows[0] - b.rows[0])
+      .slice(0, MAX_PATTERNS);
+
+    // Columns that are sometimes but not always missing have a nullity correlation
+    const correlated = this.columns
+      .map((column, i) => i)
+      .filter(i => this.missingCounts[i] > 0 && this.missingCounts[i] < n);
+    const matrix = correlated.map(i => correlated.map(j => (i === j ? 1 : this.phi(i, j))));
+    const pairs = [];
+    correlated.forEach((i, a) => {
+      correlated.slice(a + 1).forEach((j, offset) => {
+        const phi = matrix[a][a + 1 + offset];
+        if (phi === null) return;
+        pairs.push({
+          columns: [this.columns[i], this.columns[j]],
+          phi,
+          bothMissing: this.coMissing[`${i}:${j}`] || 0
+        });
+      });
+    });
+    pairs.sort((a, b) => Math.abs(b.phi) - Math.abs(a.phi));
+
+    // Columns missing in the same rows, joined transitively into groups
+    const parent = this.columns.map((column, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const coMissingWith = this.columns.map(() => []);
+    pairs.filter(pair => pair.phi >= CO_MISSING_PHI).forEach(pair => {
+      const [i, j] = pair.columns.map(column => this.columns.indexOf(column));
+      parent[find(j)] = find(i);
+      coMissingWith[i].push({ column: pair.columns[1], phi: pair.phi });
+      coMissingWith[j].push({ column: pair.columns[0], phi: pair.phi });
+    });
+    const members = new Map();
+    this.columns.forEach((column, i) => {
+      if (coMissingWith[i].length === 0) return;
+      const root = find(i);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(i);
+    });
+    const groups = [...members.values()].map(indices => {
+      // Rows where every column of the group is missing, from the tracked patterns
+      const together = Object.entries(this.patterns)
+        .filter(([key]) => {
+          const pattern = new Set(key.split(',').map(Number));
+          return indices.every(i => pattern.has(i));
+        })
+        .reduce((sum, [, pattern]) => sum + pattern.count, 0);
+      return {
+        columns: indices.map(i => this.columns[i]),
+        rowsAllMissing: together,
+        percent: percent(together)
+      };
+    }).sort((a, b) => b.columns.length - a.columns.length || b.rowsAllMissing - a.rowsAllMissing);
+
+    // Structural gaps follow a rule (another column, a value, a block of
+    // rows); the rest show no pattern and are consistent with random gaps
+    const columns = {};
+    this.columns.forEach((column, i) => {
+      const missingCount = this.missingCounts[i];
+      if (missingCount === 0) return;
+
+      const reasons = [];
+      if (missingCount === n) {
+        reasons.push({ type: 'empty' });
+      }
+      if (coMissingWith[i].length > 0) {
+        reasons.push({
+          type: 'coMissing',
+          columns: coMissingWith[i].sort((a, b) => b.phi - a.phi).map(c => c.column),
+          phi: Math.max(...coMissingWith[i].map(c => c.phi))
+        });
+      }
+      const t = this.tested.indexOf(column);
+      const dependency = t === -1 ? null : this.strongestDependency(t);
+      if (dependency) {
+        reasons.push({ type: 'dependsOn', ...dependency });
+      }
+      const runs = this.runsTest(i);
+      if (runs && runs.z <= CLUSTERED_RUNS_Z) {
+        reasons.push({ type: 'clustered', ...runs, longestRun: this.runs[i].longest });
+      }
+
+      columns[column] = {
+        missingCount,
+        missingPercent: percent(missingCount),
+        classification: reasons.length > 0 ? 'structural' : 'random',
+        reasons,
+        runsTest: runs,
+        tested: t !== -1
+      };
+    });
+
+    return {
+      rowsChecked: n,
+      rowsWithMissing: this.rowsWithMissing,
+      rowsWithMissingPercent: percent(this.rowsWithMissing),
+      completeRows: n - this.rowsWithMissing,
+      patternCount: this.patternCount,
+      untrackedRows: this.untrackedRows,
+      patterns,
+      nullityCorrelation: {
+        columns: correlated.map(i => this.columns[i]),
+        matrix,
+        pairs: pairs.slice(0, MAX_CORRELATION_PAIRS)
+      },
+      groups,
+      columns
+    };
+  }
+
+  toJSON() {
+    const tables = {};
+    Object.entries(this.tables).forEach(([key, table]) => { tables[key] = table.toJSON(); });
+    const groups = {};
+    Object.entries(this.groups).forEach(([key, moments]) => { groups[key] = moments.toJSON(); });
+
+    return {
+      columns: this.columns,
+      tested: this.tested,
+      categorical: this.categorical,
+      numeric: this.numeric,
+      n: this.n,
+      rowsWithMissing: this.rowsWithMissing,
+      patterns: this.patterns,
+      patternCount: this.patternCount,
+      untrackedRows: this.untrackedRows,
+      missingCounts: this.missingCounts,
+      coMissing: this.coMissing,
+      runs: this.runs,
+      tables,
+      groups
+    };
+  }
+
+  static fromJSON(state) {
+    const accumulator = new MissingnessAccumulator(state.columns, {
+      tested: state.tested,
+      categorical: state.categorical,
+      numeric: state.numeric
+    });
+    accumulator.n = state.n;
+    accumulator.rowsWithMissing = state.rowsWithMissing;
+    accumulator.patterns = Object.assign(Object.create(null), state.patterns);
+    accumulator.patternCount = state.patternCount;
+    accumulator.untrackedRows = state.untrackedRows;
+    accumulator.missingCounts = [...state.missingCounts];
+    accumulator.coMissing = Object.assign(Object.create(null), state.coMissing);
+    accumulator.runs = state.runs.map(run => ({ ...run, longest: { ...run.longest } }));
+    Object.entries(state.tables).forEach(([key, table]) => {
+      accumulator.tables[key] = ContingencyTable.fromJSON(table);
+    });
+    Object.entries(state.groups).forEach(([key, moments]) => {
+      accumulator.groups[key] = GroupMoments.fromJSON(moments);
+    });
+    return accumulator;
+  }
+}
+
+module.exports = MissingnessAccumulator;
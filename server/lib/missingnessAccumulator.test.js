@@ -0,0 +1,160 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MissingnessAccumulator = require('./missingnessAccumulator');
+const ProfilerService = require('../services/profilerService');
+const { assertApproxEqual } = require('../utils/assertApprox');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+function accumulate(rows, columns, context) {
+  const accumulator = new MissingnessAccumulator(columns, context);
+  rows.forEach((row, index) => accumulator.add(row, index));
+  return accumulator;
+}
+
+// 120 rows: income is missing for every "east" row, discount whenever the
+// amount is high, and shipped in one block of 20 rows
+function orders() {
+  return Array.from({ length: 120 }, (_, i) => {
+    const region = ['north', 'south', 'east'][i % 3];
+    const amount = ((i * 37) % 120) + 0.5;
+    return {
+      region,
+      amount,
+      income: region === 'east' ? null : 1000 + i * 3.5,
+      discount: amount > 90 ? '' : Math.round(amount) / 10,
+      shipped: i >= 50 && i < 70 ? null : 'yes',
+      note: i % 7 === 3 ? null : `note ${i}`
+    };
+  });
+}
+
+const ORDER_SETTINGS = {
+  columns: ['income', 'discount', 'shipped', 'note'],
+  context: { tested: ['income', 'discount', 'shipped', 'note'], categorical: ['region'], numeric: ['amount'] }
+};
+
+test('patterns, co-missing counts and the nullity correlation matrix', () => {
+  const rows = [
+    { a: null, b: null, c: 1 },
+    { a: 1, b: 1, c: 1 },
+    { a: '', b: null, c: 1 },
+    { a: 1, b: 1, c: null },
+    { a: 1, b: 1, c: 1 },
+    { a: null, b: 1, c: 1 }
+  ];
+
+  const result = accumulate(rows, ['a', 'b', 'c']).finalize();
+
+  assert.strictEqual(result.rowsChecked, 6);
+  assert.strictEqual(result.rowsWithMissing, 4);
+  assert.strictEqual(result.completeRows, 2);
+  assert.strictEqual(result.patternCount, 3);
+  assert.deepStrictEqual(result.patterns.map(({ columns, count, rows }) => ({ columns, count, rows })), [
+    { columns: ['a', 'b'], count: 2, rows: [0, 2] },
+    { columns: ['c'], count: 1, rows: [3] },
+    { columns: ['a'], count: 1, rows: [5] }
+  ]);
+
+  // phi = (n·both − a·b) / √(a(n−a)·b(n−b)) on the missing flags
+  const { columns, matrix, pairs } = result.nullityCorrelation;
+  assert.deepStrictEqual(columns, ['a', 'b', 'c']);
+  assertClose(matrix[0][1], 6 / Math.sqrt(72), 1e-12, 'phi(a, b)');
+  assertClose(matrix[0][2], -3 / Math.sqrt(45), 1e-12, 'phi(a, c)');
+  assertClose(matrix[1][2], -2 / Math.sqrt(40), 1e-12, 'phi(b, c)');
+  assert.deepStrictEqual(pairs.map(pair => [pair.columns.join(' & '), pair.bothMissing]), [
+    ['a & b', 2], ['a & c', 0], ['b & c', 0]
+  ]);
+
+  assert.deepStrictEqual(result.groups, [{ columns: ['a', 'b'], rowsAllMissing: 2, percent: (2 / 6) * 100 }]);
+  assert.deepStrictEqual(result.columns.a.reasons.map(reason => [reason.type, reason.columns]), [['coMissing', ['b']]]);
+  assert.strictEqual(result.columns.c.classification, 'random');
+});
+
+test('a block of missing rows fails the runs test and is classified as clustered', () => {
+  const rows = Array.from({ length: 200 }, (_, i) => ({ value: i >= 50 && i < 70 ? null : i }));
+
+  const { columns } = accumulate(rows, ['value']).finalize();
+  const [reason] = columns.value.reasons;
+
+  // Wald-Wolfowitz with 20 missing and 180 present: E[R] = 2·20·180/200 + 1,
+  // Var[R] = 7200·(7200 − 200) / (200²·199)
+  assert.strictEqual(columns.value.classification, 'structural');
+  assert.strictEqual(reason.type, 'clustered');
+  assert.strictEqual(reason.runs, 3);
+  assertClose(reason.expectedRuns, 37, 1e-12, 'expectedRuns');
+  assertClose(reason.z, -34 / Math.sqrt(7200 * 7000 / (40000 * 199)), 1e-12, 'z');
+  assert.deepStrictEqual(reason.longestRun, { length: 20, start: 50 });
+});
+
+test('missing flags that follow another column are structural', () => {
+  const { columns } = accumulate(orders(), ORDER_SETTINGS.columns, ORDER_SETTINGS.context).finalize();
+
+  const income = columns.income.reasons.find(reason => reason.type === 'dependsOn');
+  assert.strictEqual(income.column, 'region');
+  assert.strictEqual(income.method, 'cramersV');
+  assert.strictEqual(income.value, 'east');
+  assert.strictEqual(income.missingRate, 1);
+  assert.strictEqual(income.otherMissingRate, 0);
+  assertClose(income.association, 1, 1e-12, 'cramersV');
+
+  const discount = columns.discount.reasons.find(reason => reason.type === 'dependsOn');
+  assert.strictEqual(discount.column, 'amount');
+  assert.strictEqual(discount.method, 'eta');
+  assert.ok(discount.meanWhenMissing > discount.meanWhenPresent);
+
+  assert.strictEqual(columns.note.classification, 'random');
+  assert.deepStrictEqual(columns.note.reasons, []);
+});
+
+test('merging chunk accumulators in row order matches a single pass', () => {
+  const rows = orders();
+  const whole = accumulate(rows, ORDER_SETTINGS.columns, ORDER_SETTINGS.context);
+
+  // The boundaries at rows 55 and 64 split the missing block of shipped
+  const chunks = [[0, 55], [55, 64], [64, 120]].map(([start, end]) => {
+    const accumulator = new MissingnessAccumulator(ORDER_SETTINGS.columns, ORDER_SETTINGS.context);
+    for (let r = start; r < end; r++) accumulator.add(rows[r], r);
+    return MissingnessAccumulator.fromJSON(JSON.parse(JSON.stringify(accumulator.toJSON())));
+  });
+  const merged = chunks.reduce((total, chunk) => total.merge(chunk));
+
+  assert.deepStrictEqual(merged.runs, whole.runs);
+  assertApproxEqual(merged.finalize(), whole.finalize(), 'missingness');
+});
+
+test('patterns beyond the tracking cap are counted but not listed', () => {
+  // Every row misses a different pair of 110 columns: 5995 distinct patterns
+  const columns = Array.from({ length: 110 }, (_, i) => `c${i}`);
+  const complete = Object.fromEntries(columns.map(column => [column, 1]));
+  const accumulator = new MissingnessAccumulator(columns);
+  let index = 0;
+  for (let i = 0; i < columns.length; i++) {
+    for (let j = i + 1; j < columns.length; j++) {
+      accumulator.add({ ...complete, [columns[i]]: null, [columns[j]]: null }, index++);
+    }
+  }
+  const result = accumulator.finalize();
+
+  assert.strictEqual(result.patternCount, 5000);
+  assert.strictEqual(result.untrackedRows, index - 5000);
+  assert.strictEqual(result.patterns.length, 20);
+});
+
+test('profiles return missingness and tell structural from random gaps', async () => {
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(orders());
+  const messages = profile.insights.filter(insight => insight.category === 'Missing Data').map(insight => insight.message);
+
+  assert.strictEqual(profile.summary.rowsWithMissing, profile.missingness.rowsWithMissing);
+  assert.ok(messages.some(message => /^\d+ rows \(\d+\.\d%\) have at least one missing value/.test(message)));
+  assert.ok(messages.includes(
+    'income is missing for 100.0% of rows where region is "east" versus 0.0% otherwise (V = 1.00) - ' +
+    'gaps depend on region, so dropping or mean-imputing these rows would bias results'
+  ));
+  assert.ok(messages.some(message => /^shipped is missing in blocks of consecutive rows \(3 runs .* longest 20 rows from row 50\)/.test(message)));
+  assert.ok(messages.some(message => /^Gaps in note follow no pattern/.test(message)));
+});
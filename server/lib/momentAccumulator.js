@@ -0,0 +1,129 @@
+/**
+ * MomentAccumulator keeps running count, mean and central moments (up to the
+ * fourth) of a numeric stream using Welford/Pébay updates. Two accumulators
+ * built over disjoint chunks can be merged into the accumulator of the union.
+ */
+class MomentAccumulator {
+  constructor() {
+    this.n = 0;
+    this.mean = 0;
+    this.m2 = 0;
+    this.m3 = 0;
+    this.m4 = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  /**
+   * Add a single value
+   * @param {Number} x - Finite number
+   */
+  add(x) {
+    const n1 = this.n;
+    this.n++;
+
+    const delta = x - this.mean;
+    const deltaN = delta / this.n;
+    const deltaN2 = deltaN * deltaN;
+    const term1 = delta * deltaN * n1;
+
+    this.mean += deltaN;
+    this.m4 += term1 * deltaN2 * (this.n * this.n - 3 * this.n + 3) +
+      6 * deltaN2 * this.m2 - 4 * deltaN * this.m3;
+    this.m3 += term1 * deltaN * (this.n - 2) - 3 * deltaN * this.m2;
+    this.m2 += term1;
+
+    this.sum += x;
+    if (x < this.min) this.min = x;
+    if (x > this.max) this.max = x;
+  }
+
+  /**
+   * Merge another accumulator into this one
+   * @param {MomentAccumulator} other - Accumulator over a disjoint chunk
+   * @returns {MomentAccumulator} - this
+   */
+  merge(other) {
+    if (other.n === 0) return this;
+    if (this.n === 0) {
+      Object.assign(this, other);
+      return this;
+    }
+
+    const na = this.n;
+    const nb = other.n;
+    const n = na + nb;
+    const delta = other.mean - this.mean;
+    const delta2 = delta * delta;
+    const delta3 = delta2 * delta;
+    const delta4 = delta2 * delta2;
+
+    const m2 = this.m2 + other.m2 + delta2 * na * nb / n;
+    const m3 = this.m3 + other.m3 +
+      delta3 * na * nb * (na - nb) / (n * n) +
+      3 * delta * (na * other.m2 - nb * this.m2) / n;
+    const m4 = this.m4 + other.m4 +
+      delta4 * na * nb * (na * na - na * nb + nb * nb) / (n * n * n) +
+      6 * delta2 * (na * na * other.m2 + nb * nb * this.m2) / (n * n) +
+      4 * delta * (na * other.m3 - nb * this.m3) / n;
+
+    this.mean += delta * nb / n;
+    this.m2 = m2;
+    this.m3 = m3;
+    this.m4 = m4;
+    this.n = n;
+    this.sum += other.sum;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+
+    return this;
+  }
+
+  /**
+   * Population variance, matching the previous two-pass implementation
+   */
+  get variance() {
+    return this.n > 0 ? this.m2 / this.n : 0;
+  }
+
+  get stdDev() {
+    return Math.sqrt(this.variance);
+  }
+
+  get skewness() {
+    if (this.m2 === 0) return 0;
+    return Math.sqrt(this.n) * this.m3 / Math.pow(this.m2, 1.5);
+  }
+
+  /**
+   * Excess kurtosis
+   */
+  get kurtosis() {
+    if (this.m2 === 0) return 0;
+    return (this.n * this.m4) / (this.m2 * this.m2) - 3;
+  }
+
+  toJSON() {
+    return {
+      n: this.n,
+      mean: this.mean,
+      m2: this.m2,
+      m3: this.m3,
+      m4: this.m4,
+      sum: this.sum,
+      min: this.n > 0 ? this.min : null,
+      max: this.n > 0 ? this.max : null
+    };
+  }
+
+  static fromJSON(state) {
+    const acc = new MomentAccumulator();
+    Object.assign(acc, state);
+    if (acc.min === null) acc.min = Infinity;
+    if (acc.max === null) acc.max = -Infinity;
+    return acc;
+  }
+}
+
+module.exports = MomentAccumulator;
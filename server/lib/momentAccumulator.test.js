@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MomentAccumulator = require('./momentAccumulator');
+
+function accumulate(values) {
+  const acc = new MomentAccumulator();
+  values.forEach(value => acc.add(value));
+  return acc;
+}
+
+// Two-pass population moments, as a reference
+function reference(values) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const central = (k) => values.reduce((sum, v) => sum + (v - mean) ** k, 0);
+  const m2 = central(2);
+  return {
+    mean,
+    variance: m2 / n,
+    skewness: Math.sqrt(n) * central(3) / Math.pow(m2, 1.5),
+    kurtosis: (n * central(4)) / (m2 * m2) - 3
+  };
+}
+
+function assertClose(actual, expected, message) {
+  const tolerance = 1e-9 * Math.max(1, Math.abs(expected));
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+const VALUES = Array.from({ length: 1000 }, (_, i) => Math.sin(i) * 50 + (i % 17) * 3 + (i % 5 === 0 ? 40 : 0));
+
+test('textbook example: mean 5 and standard deviation 2', () => {
+  const acc = accumulate([2, 4, 4, 4, 5, 5, 7, 9]);
+
+  assert.strictEqual(acc.n, 8);
+  assertClose(acc.mean, 5, 'mean');
+  assertClose(acc.variance, 4, 'variance');
+  assertClose(acc.stdDev, 2, 'stdDev');
+  assert.strictEqual(acc.sum, 40);
+  assert.strictEqual(acc.min, 2);
+  assert.strictEqual(acc.max, 9);
+});
+
+test('streaming moments match two-pass moments', () => {
+  const acc = accumulate(VALUES);
+  const expected = reference(VALUES);
+
+  assertClose(acc.mean, expected.mean, 'mean');
+  assertClose(acc.variance, expected.variance, 'variance');
+  assertClose(acc.skewness, expected.skewness, 'skewness');
+  assertClose(acc.kurtosis, expected.kurtosis, 'kurtosis');
+});
+
+test('merging chunk accumulators matches a single pass', () => {
+  const whole = accumulate(VALUES);
+  const merged = [0, 137, 500, 501, 999, 1000]
+    .slice(1)
+    .map((end, i, ends) => accumulate(VALUES.slice(i === 0 ? 0 : ends[i - 1], end)))
+    .reduce((acc, chunk) => acc.merge(chunk), new MomentAccumulator());
+
+  assert.strictEqual(merged.n, whole.n);
+  ['mean', 'variance', 'skewness', 'kurtosis', 'sum'].forEach(key => assertClose(merged[key], whole[key], key));
+  assert.strictEqual(merged.min, whole.min);
+  assert.strictEqual(merged.max, whole.max);
+});
+
+test('constant and empty streams have zero spread and shape', () => {
+  const constant = accumulate([3, 3, 3]);
+  assert.strictEqual(constant.stdDev, 0);
+  assert.strictEqual(constant.skewness, 0);
+  assert.strictEqual(constant.kurtosis, 0);
+
+  const empty = new MomentAccumulator();
+  assert.strictEqual(empty.variance, 0);
+  assert.deepStrictEqual([empty.toJSON().min, empty.toJSON().max], [null, null]);
+});
+
+test('serialised state survives a JSON round trip', () => {
+  const acc = accumulate(VALUES);
+  const restored = MomentAccumulator.fromJSON(JSON.parse(JSON.stringify(acc.toJSON())));
+
+  assert.deepStrictEqual(restored.toJSON(), acc.toJSON());
+  assert.strictEqual(MomentAccumulator.fromJSON(new MomentAccumulator().toJSON()).min, Infinity);
+});
@@ -0,0 +1,243 @@
+const { normalCdf, normalQuantile, chiSquareSurvival } = require('./distributions');
+
+/**
+ * Normality tests run on the values of a numeric column: Shapiro–Wilk
+ * (Royston's AS R94 approximation), D'Agostino–Pearson K² and
+ * Anderson–Darling with estimated mean and variance. Each result carries
+ * its statistic, p-value and the number of values it was computed from.
+ */
+
+// Shapiro–Wilk coefficients are only valid up to this many values, so
+// larger columns are tested on an evenly spaced sample of rows
+const MAX_NORMALITY_ROWS = 5000;
+const MIN_SHAPIRO_WILK_ROWS = 3;
+const MIN_DAGOSTINO_ROWS = 20;
+const MIN_ANDERSON_DARLING_ROWS = 8;
+
+const poly = (coefficients, x) => coefficients.reduceRight((result, c) => result * x + c, 0);
+
+/**
+ * Shapiro–Wilk W test
+ * @param {Array<Number>} sorted - Values in ascending order
+ * @returns {Object|null} - { statistic, pValue, sampleSize }
+ */
+function shapiroWilk(sorted) {
+  const n = sorted.length;
+  if (n < MIN_SHAPIRO_WILK_ROWS || n > MAX_NORMALITY_ROWS) return null;
+
+  const half = Math.floor(n / 2);
+  const a = new Array(half);
+
+  if (n === 3) {
+    a[0] = Math.SQRT1_2;
+  } else {
+    const m = [];
+    let summ2 = 0;
+    for (let i = 0; i < half; i++) {
+      m.push(normalQuantile((i + 1 - 0.375) / (n + 0.25)));
+      summ2 += m[i] * m[i];
+    }
+    summ2 *= 2;
+    const ssumm2 = Math.sqrt(summ2);
+    const rsn = 1 / Math.sqrt(n);
+
+    const a1 = poly([0, 0.221157, -0.147981, -2.07119, 4.434685, -2.706056], rsn) - m[0] / ssumm2;
+    let first;
+    let fac;
+    if (n > 5) {
+      const a2 = poly([0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633], rsn) - m[1] / ssumm2;
+      fac = Math.sqrt((summ2 - 2 * m[0] * m[0] - 2 * m[1] * m[1]) / (1 - 2 * a1 * a1 - 2 * a2 * a2));
+      a[1] = a2;
+      first = 2;
+    } else {
+      fac = Math.sqrt((summ2 - 2 * m[0] * m[0]) / (1 - 2 * a1 * a1));
+      first = 1;
+    }
+    a[0] = a1;
+    for (let i = first; i < half; i++) a[i] = -m[i] / fac;
+  }
+
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / n;
+  const ssq = sorted.reduce((sum, value) => sum + (value - mean) * (value - mean), 0);
+  if (ssq === 0) return null;
+
+  let numerator = 0;
+  for (let i = 0; i < half; i++) {
+    numerator += a[i] * (sorted[n - 1 - i] - sorted[i]);
+  }
+  const w = Math.min(1, numerator * numerator / ssq);
+
+  let pValue;
+  if (n === 3) {
+    pValue = Math.max(0, 6 / Math.PI * (Math.asin(Math.sqrt(w)) - Math.PI / 3));
+  } else {
+    let y = Math.log(1 - w);
+    let mu;
+    let sigma;
+    if (n <= 11) {
+      const gamma = -2.273 + 0.459 * n;
+      if (y >= gamma) {
+        return { statistic: w, pValue: 0, sampleSize: n };
+      }
+      y = -Math.log(gamma - y);
+      mu = poly([0.544, -0.39978, 0.025054, -6.714e-4], n);
+      sigma = Math.exp(poly([1.3822, -0.77857, 0.062767, -0.0020322], n));
+    } else {
+      const logN = Math.log(n);
+      mu = poly([-1.5861, -0.31082, -0.083751, 0.0038915], logN);
+      sigma = Math.exp(poly([-0.4803, -0.082676, 0.0030302], logN));
+    }
+    pValue = normalCdf(-(y - mu) / sigma);
+  }
+
+  return { statistic: w, pValue: Math.min(1, pValue), sampleSize: n };
+}
+
+/**
+ * Central moments m2, m3, m4 of the values
+ */
+function centralMoments(values) {
+  const n = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  values.forEach(value => {
+    const d = value - mean;
+    const d2 = d * d;
+    m2 += d2;
+    m3 += d2 * d;
+    m4 += d2 * d2;
+  });
+  return { mean, m2: m2 / n, m3: m3 / n, m4: m4 / n };
+}
+
+/**
+ * D'Agostino–Pearson K² test, combining the skewness and kurtosis z-scores
+ * @param {Array<Number>} values - Column values
+ * @returns {Object|null} - { statistic, pValue, sampleSize, skewnessZ, kurtosisZ }
+ */
+function dagostinoPearson(values) {
+  const n = values.length;
+  if (n < MIN_DAGOSTINO_ROWS) return null;
+
+  const { m2, m3, m4 } = centralMoments(values);
+  if (m2 === 0) return null;
+
+  // Skewness test (D'Agostino 1970)
+  const b1 = m3 / Math.pow(m2, 1.5);
+  let y = b1 * Math.sqrt((n + 1) * (n + 3) / (6 * (n - 2)));
+  const beta2 = 3 * (n * n + 27 * n - 70) * (n + 1) * (n + 3) / ((n - 2) * (n + 5) * (n + 7) * (n + 9));
+  const w2 = -1 + Math.sqrt(2 * (beta2 - 1));
+  const delta = 1 / Math.sqrt(0.5 * Math.log(w2));
+  const alpha = Math.sqrt(2 / (w2 - 1));
+  if (y === 0) y = 1;
+  const skewnessZ = delta * Math.log(y / alpha + Math.sqrt((y / alpha) * (y / alpha) + 1));
+
+  // Kurtosis test (Anscombe and Glynn 1983)
+  const b2 = m4 / (m2 * m2);
+  const expected = 3 * (n - 1) / (n + 1);
+  const variance = 24 * n * (n - 2) * (n - 3) / ((n + 1) * (n + 1) * (n + 3) * (n + 5));
+  const x = (b2 - expected) / Math.sqrt(variance);
+  const sqrtBeta1 = 6 * (n * n - 5 * n + 2) / ((n + 7) * (n + 9)) *
+    Math.sqrt(6 * (n + 3) * (n + 5) / (n * (n - 2) * (n - 3)));
+  const A = 6 + 8 / sqrtBeta1 * (2 / sqrtBeta1 + Math.sqrt(1 + 4 / (sqrtBeta1 * sqrtBeta1)));
+  const term1 = 1 - 2 / (9 * A);
+  const denominator = 1 + x * Math.sqrt(2 / (A - 4));
+  const term2 = Math.sign(denominator) * Math.cbrt((1 - 2 / A) / Math.abs(denominator));
+  const kurtosisZ = (term1 - term2) / Math.sqrt(2 / (9 * A));
+
+  const statistic = skewnessZ * skewnessZ + kurtosisZ * kurtosisZ;
+  return {
+    statistic,
+    pValue: chiSquareSurvival(statistic, 2),
+    sampleSize: n,
+    skewnessZ,
+    kurtosisZ
+  };
+}
+
+/**
+ * Anderson–Darling test against a normal with estimated mean and variance,
+ * with p-values from D'Agostino and Stephens (1986)
+ * @param {Array<Number>} sorted - Values in ascending order
+ * @returns {Object|null} - { statistic, pValue, sampleSize }
+ */
+function andersonDarling(sorted) {
+  const n = sorted.length;
+  if (n < MIN_ANDERSON_DARLING_ROWS) return null;
+
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / n;
+  const sd = Math.sqrt(sorted.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (n - 1));
+  if (sd === 0) return null;
+
+  // Tails come from the lower CDF on both sides so logs stay finite
+  const logLower = (z) => Math.log(Math.max(normalCdf(z), Number.MIN_VALUE));
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const lower = (sorted[i] - mean) / sd;
+    const upper = (sorted[n - 1 - i] - mean) / sd;
+    sum += (2 * i + 1) * (logLower(lower) + logLower(-upper));
+  }
+  const a2 = -n - sum / n;
+  const adjusted = a2 * (1 + 0.75 / n + 2.25 / (n * n));
+
+  let pValue;
+  if (adjusted >= 0.6) {
+    // The fitted curve turns upwards past A² ≈ 153, where p is already ~1e-190
+    const capped = Math.min(adjusted, 153);
+    pValue = Math.exp(1.2937 - 5.709 * capped + 0.0186 * capped * capped);
+  } else if (adjusted >= 0.34) {
+    pValue = Math.exp(0.9177 - 4.279 * adjusted - 1.38 * adjusted * adjusted);
+  } else if (adjusted >= 0.2) {
+    pValue = 1 - Math.exp(-8.318 + 42.796 * adjusted - 59.938 * adjusted * adjusted);
+  } else {
+    pValue = 1 - Math.exp(-13.436 + 101.14 * adjusted - 223.73 * adjusted * adjusted);
+  }
+
+  return {
+    statistic: a2,
+    adjustedStatistic: adjusted,
+    pValue: Math.max(0, Math.min(1, pValue)),
+    sampleSize: n
+  };
+}
+
+/**
+ * Run every applicable normality test on one numeric column
+ * @param {Array} data - Parsed rows
+ * @param {String} column - Column name
+ * @returns {Object|null} - { shapiroWilk, dagostinoPearson, andersonDarling, sampled },
+ *   null when the column has too few distinct values for any test
+ */
+function testNormality(data, column) {
+  let values = [];
+  for (const row of data) {
+    const value = row[column];
+    if (typeof value === 'number' && Number.isFinite(value)) values.push(value);
+  }
+
+  const sampled = values.length > MAX_NORMALITY_ROWS;
+  if (sampled) {
+    const step = values.length / MAX_NORMALITY_ROWS;
+    values = Array.from({ length: MAX_NORMALITY_ROWS }, (_, i) => values[Math.floor(i * step)]);
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const results = {
+    shapiroWilk: shapiroWilk(sorted),
+    dagostinoPearson: dagostinoPearson(values),
+    andersonDarling: andersonDarling(sorted)
+  };
+
+  if (!results.shapiroWilk && !results.dagostinoPearson && !results.andersonDarling) return null;
+  return { ...results, sampled };
+}
+
+module.exports = {
+  MAX_NORMALITY_ROWS,
+  shapiroWilk,
+  dagostinoPearson,
+  andersonDarling,
+  testNormality
+};
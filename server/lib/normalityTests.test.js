@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_NORMALITY_ROWS,
+  shapiroWilk,
+  dagostinoPearson,
+  andersonDarling,
+  testNormality
+} = require('./normalityTests');
+const { normalQuantile } = require('./distributions');
+const ProfilerService = require('../services/profilerService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+const ascending = values => [...values].sort((a, b) => a - b);
+
+// R's ToothGrowth$len (Crampton 1947)
+const TOOTH_GROWTH = [
+  4.2, 11.5, 7.3, 5.8, 6.4, 10.0, 11.2, 11.2, 5.2, 7.0, 16.5, 16.5, 15.2, 17.3, 22.5,
+  17.3, 13.6, 14.5, 18.8, 15.5, 23.6, 18.5, 33.9, 25.5, 26.4, 32.5, 26.7, 21.5, 23.3, 29.5,
+  15.2, 21.5, 17.6, 9.7, 14.5, 10.0, 8.2, 9.4, 16.5, 9.7, 19.7, 23.3, 23.6, 26.4, 20.0,
+  25.2, 25.8, 21.2, 14.5, 27.3, 25.5, 26.4, 22.4, 24.5, 24.8, 30.9, 26.4, 27.3, 29.4, 23.0
+];
+
+// Expected normal quantiles: as normal as a sample of n can be
+function normalScores(n) {
+  return Array.from({ length: n }, (_, i) => 50 + 10 * normalQuantile((i + 0.5) / n));
+}
+
+// Exponential quantiles: strongly right-skewed
+function exponentialScores(n) {
+  return Array.from({ length: n }, (_, i) => -Math.log(1 - (i + 0.5) / n));
+}
+
+test('Shapiro–Wilk matches R shapiro.test on ToothGrowth: W = 0.96743, p = 0.1091', () => {
+  const result = shapiroWilk(ascending(TOOTH_GROWTH));
+
+  assertClose(result.statistic, 0.96743, 1e-5, 'W');
+  assertClose(result.pValue, 0.1091, 1e-4, 'p');
+  assert.strictEqual(result.sampleSize, 60);
+});
+
+test('Shapiro–Wilk matches the weights example of Shapiro and Wilk (1965)', () => {
+  // R: W = 0.78881, p-value = 0.006704
+  const result = shapiroWilk([148, 154, 158, 160, 161, 162, 166, 170, 182, 195, 236]);
+
+  assertClose(result.statistic, 0.78881, 1e-5, 'W');
+  assertClose(result.pValue, 0.006704, 1e-6, 'p');
+});
+
+test('Shapiro–Wilk uses the exact distribution for three values', () => {
+  // W for (1, 2, 4) is 27/28; p = 6/π (asin √W − π/3)
+  const result = shapiroWilk([1, 2, 4]);
+
+  assertClose(result.statistic, 27 / 28, 1e-12, 'W');
+  assertClose(result.pValue, 6 / Math.PI * (Math.asin(Math.sqrt(27 / 28)) - Math.PI / 3), 1e-12, 'p');
+  assert.strictEqual(shapiroWilk([1, 2]), null);
+  assert.strictEqual(shapiroWilk([3, 3, 3, 3]), null);
+});
+
+test('Anderson–Darling on ToothGrowth follows nortest::ad.test', () => {
+  const result = andersonDarling(ascending(TOOTH_GROWTH));
+
+  assertClose(result.statistic, 0.64705, 1e-5, 'A²');
+  assertClose(result.adjustedStatistic, result.statistic * (1 + 0.75 / 60 + 2.25 / 3600), 1e-12, 'A*');
+  assertClose(result.pValue, 0.08709, 1e-5, 'p');
+});
+
+test('D\'Agostino–Pearson K² sums the squared skewness and kurtosis z-scores', () => {
+  const result = dagostinoPearson(TOOTH_GROWTH);
+
+  assertClose(result.statistic, result.skewnessZ ** 2 + result.kurtosisZ ** 2, 1e-12, 'K²');
+  // ToothGrowth is flat-topped rather than skewed
+  assert.ok(Math.abs(result.skewnessZ) < 1);
+  assert.ok(result.kurtosisZ < -2);
+  assert.strictEqual(dagostinoPearson(TOOTH_GROWTH.slice(0, 19)), null);
+});
+
+test('every test accepts normal data and rejects skewed data', () => {
+  const normal = normalScores(500);
+  const skewed = exponentialScores(500);
+
+  [shapiroWilk(normal), dagostinoPearson(normal), andersonDarling(normal)].forEach(result => {
+    assert.ok(result.pValue > 0.5, `normal p ${result.pValue}`);
+  });
+  [shapiroWilk(skewed), dagostinoPearson(skewed), andersonDarling(skewed)].forEach(result => {
+    assert.ok(result.pValue < 1e-6, `skewed p ${result.pValue}`);
+  });
+});
+
+test('columns above the Shapiro–Wilk limit are tested on an evenly spaced sample', () => {
+  const data = normalScores(MAX_NORMALITY_ROWS * 2).map(value => ({ value }));
+  const result = testNormality(data, 'value');
+
+  assert.strictEqual(result.sampled, true);
+  assert.strictEqual(result.shapiroWilk.sampleSize, MAX_NORMALITY_ROWS);
+  assert.strictEqual(result.andersonDarling.sampleSize, MAX_NORMALITY_ROWS);
+});
+
+test('non-numeric cells are skipped and constant columns have no result', () => {
+  const data = [...TOOTH_GROWTH.map(len => ({ len })), { len: null }, { len: 'n/a' }];
+  assert.strictEqual(testNormality(data, 'len').shapiroWilk.sampleSize, 60);
+  assert.strictEqual(testNormality(Array(30).fill({ len: 4 }), 'len'), null);
+});
+
+test('numeric column profiles carry the normality results', async () => {
+  const data = TOOTH_GROWTH.map((len, i) => ({ len, dose: [0.5, 1, 2][Math.floor(i / 10) % 3] }));
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(data);
+  const { normality } = profile.columnStats.len;
+
+  assertClose(normality.shapiroWilk.statistic, 0.96743, 1e-5, 'W');
+  assert.strictEqual(normality.sampled, false);
+});
@@ -0,0 +1,190 @@
+const ColumnAccumulator = require('./columnAccumulator');
+
+/**
+ * Missing-value placeholders (null sentinels). Feeds often write "N/A",
+ * "NULL", "-" or codes such as -999 where a value is missing, and those
+ * cells would otherwise count as values, skewing means and top values.
+ * The `nullValues` option lists placeholders to read as missing, for every
+ * column or per column; matching trims text and ignores case, and treats a
+ * number and its text form alike. Cells matching a placeholder become null
+ * before profiling, so every analysis sees them as missing.
+ * Unconfigured cells that look like placeholders are counted as well, so
+ * they can be suggested: common placeholder words in any column, and codes
+ * made of nines (-999, 9999) far outside the rest of a numeric column.
+ */
+
+// Text compared case-insensitively after trimming; '' catches blank-looking cells
+const PLACEHOLDER_TEXT = new Set([
+  '', 'n/a', 'na', '#n/a', 'n.a.', 'null', '(null)', 'nil', 'none', 'nan', '-', '--', '?', '.',
+  'missing', 'unknown', 'undefined', 'not available', '(blank)'
+]);
+// -99, 999, -9999 and so on
+const NINES_CODE = /^-?9{2,}$/;
+// Longer cells are real values, so they are not normalised at all
+const MAX_PLACEHOLDER_LENGTH = 20;
+// A suggested code lies this many interquartile ranges beyond the quartiles
+const CODE_FENCE_IQRS = 3;
+const MIN_CODE_COUNT = 2;
+
+function invalidOption(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Comparison key of a cell, or null when it cannot be a placeholder
+ * @param {*} value - Parsed cell value
+ * @returns {String|null}
+ */
+function placeholderKey(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : String(value).toLowerCase();
+  if (typeof value !== 'string' || value.length > MAX_PLACEHOLDER_LENGTH) return null;
+
+  const key = value.trim().toLowerCase();
+  // Numeric text matches the number it spells
+  return key !== '' && Number.isFinite(Number(key)) ? String(Number(key)) : key;
+}
+
+function validateList(name, list) {
+  if (!Array.isArray(list) || !list.every(v => typeof v === 'string' || (typeof v === 'number' && Number.isFinite(v)))) {
+    throw invalidOption(`${name} must be an array of strings or numbers`);
+  }
+  return list.map(placeholderKey).filter(key => key !== null);
+}
+
+/**
+ * Resolve and validate the `nullValues` option
+ * @param {Array|Object} value - Placeholders for every column, or an object
+ *   of column name (or "*" for every column) to placeholders
+ * @param {Array<String>} keys - Column names of the data
+ * @returns {Object} - Column name to a Set of placeholder keys
+ */
+function resolveNullValues(value, keys = []) {
+  const perColumn = {};
+  keys.forEach(key => { perColumn[key] = new Set(); });
+  if (value === undefined || value === null) return perColumn;
+
+  const addAll = (column, list) => list.forEach(key => perColumn[column].add(key));
+
+  if (Array.isArray(value)) {
+    const global = validateList('nullValues', value);
+    keys.forEach(key => addAll(key, global));
+    return perColumn;
+  }
+
+  if (typeof value !== 'object') {
+    throw invalidOption('nullValues must be an array, or an object of column names to arrays');
+  }
+
+  const unknown = Object.keys(value).filter(column => column !== '*' && !keys.includes(column));
+  if (unknown.length > 0) {
+    throw invalidOption(`Unknown column${unknown.length === 1 ? '' : 's'} in nullValues: ${unknown.join(', ')}`);
+  }
+
+  Object.entries(value).forEach(([column, list]) => {
+    const resolved = validateList(column === '*' ? 'nullValues["*"]' : `nullValues["${column}"]`, list);
+    if (column === '*') {
+      keys.forEach(key => addAll(key, resolved));
+    } else {
+      addAll(column, resolved);
+    }
+  });
+  return perColumn;
+}
+
+/**
+ * NullValueNormalizer replaces configured placeholders with null row by
+ * row, counting what it replaced and what looked like a placeholder
+ */
+class NullValueNormalizer {
+  /**
+   * @param {Object} nullValues - From resolveNullValues
+   */
+  constructor(nullValues = {}) {
+    this.nullValues = nullValues;
+    this.columns = Object.keys(nullValues);
+    // Column name to Map(placeholder key → { value, count })
+    this.replaced = {};
+    this.candidates = {};
+    this.columns.forEach(column => {
+      this.replaced[column] = new Map();
+      this.candidates[column] = new Map();
+    });
+  }
+
+  /**
+   * Normalise one row
+   * @param {Object} row - Parsed row
+   * @returns {Object} - The row, or a copy with its placeholders set to null
+   */
+  normalize(row) {
+    let normalized = row;
+    for (const column of this.columns) {
+      const value = row[column];
+      if (ColumnAccumulator.isMissing(value)) continue;
+
+      const key = placeholderKey(value);
+      if (key === null) continue;
+
+      if (this.nullValues[column].has(key)) {
+        if (normalized === row) normalized = { ...row };
+        normalized[column] = null;
+        NullValueNormalizer.count(this.replaced[column], key, value);
+      } else if (PLACEHOLDER_TEXT.has(key) ? typeof value === 'string' : NINES_CODE.test(key)) {
+        NullValueNormalizer.count(this.candidates[column], key, value);
+      }
+    }
+    return normalized;
+  }
+
+  static count(counts, key, value) {
+    const entry = counts.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      counts.set(key, { value, count: 1 });
+    }
+  }
+
+  /**
+   * Placeholders replaced in a column
+   * @param {String} column - Column name
+   * @returns {Object|null} - { count, values: [{ value, count }] }, null when none
+   */
+  replacedIn(column) {
+    const values = [...this.replaced[column].values()].sort((a, b) => b.count - a.count);
+    if (values.length === 0) return null;
+    return { count: values.reduce((sum, entry) => sum + entry.count, 0), values };
+  }
+
+  /**
+   * Likely placeholders of a column: placeholder words, and nines codes
+   * that recur far beyond the quartiles of a numeric column
+   * @param {String} column - Column name
+   * @param {Object} stats - Finalised statistics of the column
+   * @returns {Array} - [{ value, count, reason: text|code }], most frequent first
+   */
+  suggestionsFor(column, stats) {
+    const suggestions = [];
+    this.candidates[column].forEach((entry, key) => {
+      if (PLACEHOLDER_TEXT.has(key)) {
+        suggestions.push({ ...entry, reason: 'text' });
+        return;
+      }
+      if (stats.type !== 'numeric' || entry.count < MIN_CODE_COUNT) return;
+
+      const code = Number(key);
+      const farOut = stats.iqr > 0
+        ? code < stats.q1 - CODE_FENCE_IQRS * stats.iqr || code > stats.q3 + CODE_FENCE_IQRS * stats.iqr
+        : code !== stats.median;
+      if (farOut) suggestions.push({ ...entry, reason: 'code' });
+    });
+    return suggestions.sort((a, b) => b.count - a.count);
+  }
+}
+
+module.exports = {
+  resolveNullValues,
+  NullValueNormalizer
+};
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveNullValues, NullValueNormalizer } = require('./nullValues');
+const ProfilerService = require('../services/profilerService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+const asLists = (perColumn) => Object.fromEntries(
+  Object.entries(perColumn).map(([column, keys]) => [column, [...keys].sort()])
+);
+
+test('nullValues resolves a global list and per-column lists to comparison keys', () => {
+  assert.deepStrictEqual(asLists(resolveNullValues(undefined, ['a', 'b'])), { a: [], b: [] });
+  assert.deepStrictEqual(asLists(resolveNullValues([' N/A ', -999], ['a', 'b'])), {
+    a: ['-999', 'n/a'],
+    b: ['-999', 'n/a']
+  });
+  // A number and its text form are the same placeholder
+  assert.deepStrictEqual(asLists(resolveNullValues({ '*': ['NULL'], b: ['-999.0', '?'] }, ['a', 'b'])), {
+    a: ['null'],
+    b: ['-999', '?', 'null']
+  });
+});
+
+test('invalid nullValues options are 400 errors', () => {
+  const rejects = (value, pattern) => assert.throws(
+    () => resolveNullValues(value, ['a', 'b']),
+    error => error.status === 400 && pattern.test(error.message)
+  );
+
+  rejects('N/A', /must be an array, or an object/);
+  rejects([['N/A']], /^nullValues must be an array of strings or numbers/);
+  rejects([Infinity], /^nullValues must be an array of strings or numbers/);
+  rejects({ a: 'N/A' }, /^nullValues\["a"\] must be an array/);
+  rejects({ c: ['N/A'], d: [] }, /^Unknown columns in nullValues: c, d$/);
+});
+
+test('configured placeholders become null and are counted by column', () => {
+  const normalizer = new NullValueNormalizer(resolveNullValues({ '*': ['N/A'], reading: [-999] }, ['reading', 'site']));
+  const rows = [
+    { reading: 12.5, site: 'north' },
+    { reading: -999, site: ' n/a' },
+    { reading: '-999', site: 'N/A' },
+    { reading: 'N/A', site: 'south' }
+  ];
+
+  const normalized = rows.map(row => normalizer.normalize(row));
+
+  assert.strictEqual(normalized[0], rows[0]);
+  assert.deepStrictEqual(normalized.slice(1), [
+    { reading: null, site: null },
+    { reading: null, site: null },
+    { reading: null, site: 'south' }
+  ]);
+  assert.deepStrictEqual(rows[1], { reading: -999, site: ' n/a' });
+  assert.deepStrictEqual(normalizer.replacedIn('reading'), {
+    count: 3,
+    values: [{ value: -999, count: 2 }, { value: 'N/A', count: 1 }]
+  });
+  assert.deepStrictEqual(normalizer.replacedIn('site'), { count: 2, values: [{ value: ' n/a', count: 2 }] });
+});
+
+test('unconfigured placeholder words and far-out nines codes are suggested', () => {
+  const normalizer = new NullValueNormalizer(resolveNullValues(undefined, ['reading', 'site', 'code']));
+  const rows = [
+    { reading: 9999, site: 'unknown', code: 9999 },
+    { reading: 9999, site: 'Unknown', code: 9999 },
+    { reading: -99, site: '-', code: 'a' },
+    { reading: 15, site: 'none of the above options', code: 'b' }
+  ];
+  rows.forEach(row => normalizer.normalize(row));
+
+  const numeric = { type: 'numeric', q1: 10, q3: 20, iqr: 10, median: 15 };
+  // -99 appears once, which could be a real reading
+  assert.deepStrictEqual(normalizer.suggestionsFor('reading', numeric), [{ value: 9999, count: 2, reason: 'code' }]);
+  assert.deepStrictEqual(normalizer.suggestionsFor('site', { type: 'categorical' }), [
+    { value: 'unknown', count: 2, reason: 'text' },
+    { value: '-', count: 1, reason: 'text' }
+  ]);
+  // Codes are only suggested in numeric columns
+  assert.deepStrictEqual(normalizer.suggestionsFor('code', { type: 'categorical' }), []);
+  // ...and only beyond three interquartile ranges of the quartiles
+  assert.deepStrictEqual(normalizer.suggestionsFor('reading', { ...numeric, q3: 5000, iqr: 4990 }), []);
+});
+
+function readings(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    temperature: i % 20 === 7 ? -999 : Math.round((18 + Math.sin(i) * 4) * 10) / 10,
+    station: i % 25 === 3 ? 'N/A' : ['alpha', 'beta', 'gamma'][i % 3]
+  }));
+}
+
+test('profiles suggest placeholders until they are configured as nullValues', async () => {
+  const data = readings(100);
+
+  const before = await new ProfilerService(quietLogger, 'test').profileData(data);
+  const suggestion = before.insights.find(insight => insight.suggestion && insight.suggestion.nullValues);
+  assert.deepStrictEqual(suggestion.suggestion, { nullValues: { temperature: [-999], station: ['N/A'] } });
+  assert.strictEqual(
+    suggestion.message,
+    '9 cells look like missing-value placeholders: temperature (-999 ×5), station ("N/A" ×4) - ' +
+      'add them to the nullValues option so they count as missing'
+  );
+  assert.strictEqual(before.columnStats.temperature.min, -999);
+
+  const after = await new ProfilerService(quietLogger, 'test').profileData(data, suggestion.suggestion);
+  assert.deepStrictEqual(after.columnStats.temperature.nullValues, { count: 5, values: [{ value: -999, count: 5 }] });
+  assert.strictEqual(after.columnStats.temperature.missingCount, 5);
+  assert.ok(after.columnStats.temperature.min > 0);
+  assert.strictEqual(after.columnStats.station.missingCount, 4);
+  assert.strictEqual(after.summary.replacedNullValues, 9);
+  assert.strictEqual(after.insights.find(insight => insight.suggestion && insight.suggestion.nullValues), undefined);
+});
@@ -0,0 +1,227 @@
+/**
+ * Outlier detection on the values of a numeric column. Each method derives
+ * lower and upper bounds from the column, counts the values outside them
+ * and reports the most extreme ones with their row indices, so the records
+ * can be looked up in the source data.
+ *
+ * - iqr: beyond k interquartile ranges from the quartiles (Tukey's fences)
+ * - zscore: more than a threshold of standard deviations from the mean
+ * - modifiedZscore: more than a threshold of modified z-scores (median and
+ *   MAD, Iglewicz and Hoaglin) from the median
+ * - percentile: below or above a pair of percentiles (winsorisation caps)
+ */
+
+const OUTLIER_METHODS = ['iqr', 'zscore', 'modifiedZscore', 'percentile'];
+const DEFAULT_OUTLIER_METHOD = 'iqr';
+
+const DEFAULT_THRESHOLDS = {
+  iqr: 1.5,
+  zscore: 3,
+  modifiedZscore: 3.5,
+  percentile: [1, 99]
+};
+
+const DEFAULT_TOP_N = 10;
+const MAX_TOP_N = 100;
+
+// Scales the MAD to the standard deviation of a normal distribution
+const MAD_SCALE = 0.6745;
+// Scales the mean absolute deviation likewise, used when the MAD is zero
+const MEAN_AD_SCALE = 1.253314;
+
+function invalidOption(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Resolve and validate the outlier options
+ * @param {Object} options - Profiling options
+ * @param {String} options.outlierMethod - A method name or 'all' (default 'iqr')
+ * @param {Object} options.outlierThresholds - Per-method overrides: iqr (k),
+ *   zscore, modifiedZscore (thresholds) and percentile ([lower, upper])
+ * @param {Number} options.outlierTopN - Outliers listed per method (default 10)
+ * @returns {Object} - { methods, thresholds, topN }
+ */
+function resolveOutlierOptions(options = {}) {
+  const { outlierMethod = DEFAULT_OUTLIER_METHOD, outlierThresholds = {}, outlierTopN = DEFAULT_TOP_N } = options;
+
+  let methods;
+  if (outlierMethod === 'all') {
+    methods = [...OUTLIER_METHODS];
+  } else if (OUTLIER_METHODS.includes(outlierMethod)) {
+    methods = [outlierMethod];
+  } else {
+    throw invalidOption(`Unknown outlierMethod "${outlierMethod}" - use ${OUTLIER_METHODS.join(', ')} or all`);
+  }
+
+  if (outlierThresholds === null || typeof outlierThresholds !== 'object' || Array.isArray(outlierThresholds)) {
+    throw invalidOption('outlierThresholds must be an object keyed by method');
+  }
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...outlierThresholds };
+
+  Object.keys(outlierThresholds).forEach(method => {
+    if (!OUTLIER_METHODS.includes(method)) {
+      throw invalidOption(`Unknown outlier method "${method}" in outlierThresholds`);
+    }
+  });
+  ['iqr', 'zscore', 'modifiedZscore'].forEach(method => {
+    if (!isPositive(thresholds[method])) {
+      throw invalidOption(`outlierThresholds.${method} must be a positive number`);
+    }
+  });
+  const caps = thresholds.percentile;
+  if (!Array.isArray(caps) || caps.length !== 2 || !caps.every(p => typeof p === 'number' && p >= 0 && p <= 100) ||
+      caps[0] >= caps[1]) {
+    throw invalidOption('outlierThresholds.percentile must be [lower, upper] percentiles from 0 to 100');
+  }
+
+  if (!Number.isInteger(outlierTopN) || outlierTopN < 0 || outlierTopN > MAX_TOP_N) {
+    throw invalidOption(`outlierTopN must be an integer from 0 to ${MAX_TOP_N}`);
+  }
+
+  return { methods, thresholds, topN: outlierTopN };
+}
+
+/**
+ * Linearly interpolated percentile of ascending values
+ */
+function percentileOf(sorted, p) {
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const weight = index - lower;
+  return weight === 0 ? sorted[lower] : sorted[lower] * (1 - weight) + sorted[lower + 1] * weight;
+}
+
+/**
+ * Bounds and per-value score for one method
+ * @returns {Object} - { lowerBound, upperBound, score(value), details }
+ */
+function boundsFor(method, threshold, sorted, moments) {
+  switch (method) {
+    case 'iqr': {
+      const q1 = percentileOf(sorted, 25);
+      const q3 = percentileOf(sorted, 75);
+      const iqr = q3 - q1;
+      return {
+        lowerBound: q1 - threshold * iqr,
+        upperBound: q3 + threshold * iqr,
+        // Distance beyond the nearer quartile, in IQRs
+        score: value => (iqr > 0 ? (value < q1 ? value - q1 : value - q3) / iqr : null),
+        details: { k: threshold, q1, q3, iqr }
+      };
+    }
+
+    case 'zscore': {
+      const { mean, stdDev } = moments;
+      return {
+        lowerBound: mean - threshold * stdDev,
+        upperBound: mean + threshold * stdDev,
+        score: value => (stdDev > 0 ? (value - mean) / stdDev : null),
+        details: { threshold, mean, stdDev }
+      };
+    }
+
+    case 'modifiedZscore': {
+      const median = percentileOf(sorted, 50);
+      const deviations = sorted.map(value => Math.abs(value - median)).sort((a, b) => a - b);
+      const mad = percentileOf(deviations, 50);
+
+      // With more than half the values equal the MAD is zero, so fall back
+      // to the mean absolute deviation (as IBM SPSS does)
+      let spread = mad / MAD_SCALE;
+      let scale = 'mad';
+      if (mad === 0) {
+        const meanAbsoluteDeviation = deviations.reduce((sum, d) => sum + d, 0) / deviations.length;
+        spread = meanAbsoluteDeviation * MEAN_AD_SCALE;
+        scale = 'meanAbsoluteDeviation';
+      }
+
+      return {
+        lowerBound: median - threshold * spread,
+        upperBound: median + threshold * spread,
+        score: value => (spread > 0 ? (value - median) / spread : null),
+        details: { threshold, median, mad, scale }
+      };
+    }
+
+    case 'percentile': {
+      const [lowerPercentile, upperPercentile] = threshold;
+      return {
+        lowerBound: percentileOf(sorted, lowerPercentile),
+        upperBound: percentileOf(sorted, upperPercentile),
+        score: () => null,
+        details: { percentiles: [lowerPercentile, upperPercentile] }
+      };
+    }
+
+    default:
+      throw new Error(`Unknown outlier method: ${method}`);
+  }
+}
+
+/**
+ * Run the selected outlier methods on one numeric column
+ * @param {Array} data - Parsed rows
+ * @param {String} column - Column name
+ * @param {Object} settings - { methods, thresholds, topN } from resolveOutlierOptions
+ * @returns {Object|null} - Method name to { lowerBound, upperBound, count, percent,
+ *   top: [{ row, value, score }], ...details }, null without numeric values
+ */
+function detectOutliers(data, column, settings) {
+  const values = [];
+  const rows = [];
+  data.forEach((row, index) => {
+    const value = row[column];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      values.push(value);
+      rows.push(index);
+    }
+  });
+  if (values.length === 0) return null;
+
+  const n = values.length;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const variance = n > 1 ? values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (n - 1) : 0;
+  const moments = { mean, stdDev: Math.sqrt(variance) };
+
+  const results = {};
+  settings.methods.forEach(method => {
+    const { lowerBound, upperBound, score, details } = boundsFor(method, settings.thresholds[method], sorted, moments);
+
+    const outliers = [];
+    values.forEach((value, i) => {
+      if (value < lowerBound || value > upperBound) {
+        outliers.push({ row: rows[i], value, distance: value < lowerBound ? lowerBound - value : value - upperBound });
+      }
+    });
+
+    // Most extreme first; ties keep row order
+    const top = outliers
+      .sort((a, b) => b.distance - a.distance || a.row - b.row)
+      .slice(0, settings.topN)
+      .map(({ row, value }) => ({ row, value, score: score(value) }));
+
+    results[method] = {
+      ...details,
+      lowerBound,
+      upperBound,
+      count: outliers.length,
+      percent: (outliers.length / n) * 100,
+      top
+    };
+  });
+
+  return results;
+}
+
+module.exports = {
+  OUTLIER_METHODS,
+  DEFAULT_THRESHOLDS,
+  resolveOutlierOptions,
+  detectOutliers
+};
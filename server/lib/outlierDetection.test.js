@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_THRESHOLDS, resolveOutlierOptions, detectOutliers } = require('./outlierDetection');
+const ProfilerService = require('../services/profilerService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// 1..10 with 100 in row 4, and a missing value in row 7
+const ROWS = [1, 2, 3, 4, 100, 5, 6, null, 7, 8, 9, 10].map(value => ({ value }));
+
+function detect(data, options) {
+  return detectOutliers(data, 'value', resolveOutlierOptions(options));
+}
+
+test('Tukey fences use the interpolated quartiles', () => {
+  // Q1 = 3.5, Q3 = 8.5, IQR = 5, fences at -4 and 16
+  const { iqr } = detect(ROWS, {});
+
+  assert.deepStrictEqual(
+    { q1: iqr.q1, q3: iqr.q3, lowerBound: iqr.lowerBound, upperBound: iqr.upperBound, k: iqr.k },
+    { q1: 3.5, q3: 8.5, lowerBound: -4, upperBound: 16, k: 1.5 }
+  );
+  assert.strictEqual(iqr.count, 1);
+  assertClose(iqr.percent, 100 / 11, 1e-12, 'percent');
+  // Row indices refer to the input rows, missing values included
+  assert.deepStrictEqual(iqr.top, [{ row: 4, value: 100, score: (100 - 8.5) / 5 }]);
+});
+
+test('a larger k widens the fences', () => {
+  const { iqr } = detect(ROWS, { outlierThresholds: { iqr: 20 } });
+
+  assert.strictEqual(iqr.upperBound, 108.5);
+  assert.strictEqual(iqr.count, 0);
+});
+
+test('modified z-scores use the median and MAD', () => {
+  // Median 6, MAD 3, spread 3 / 0.6745
+  const { modifiedZscore } = detect(ROWS, { outlierMethod: 'modifiedZscore' });
+  const spread = 3 / 0.6745;
+
+  assert.strictEqual(modifiedZscore.median, 6);
+  assert.strictEqual(modifiedZscore.mad, 3);
+  assert.strictEqual(modifiedZscore.scale, 'mad');
+  assertClose(modifiedZscore.upperBound, 6 + 3.5 * spread, 1e-12, 'upper bound');
+  assertClose(modifiedZscore.top[0].score, 94 / spread, 1e-12, 'score');
+});
+
+test('modified z-scores fall back to the mean absolute deviation when the MAD is zero', () => {
+  const data = [5, 5, 5, 5, 5, 5, 6, 40].map(value => ({ value }));
+  const { modifiedZscore } = detect(data, { outlierMethod: 'modifiedZscore' });
+
+  assert.strictEqual(modifiedZscore.mad, 0);
+  assert.strictEqual(modifiedZscore.scale, 'meanAbsoluteDeviation');
+  // Mean absolute deviation from the median (1 + 35) / 8, scaled by 1.253314
+  assertClose(modifiedZscore.upperBound, 5 + 3.5 * (36 / 8) * 1.253314, 1e-9, 'upper bound');
+  assert.deepStrictEqual(modifiedZscore.top.map(outlier => outlier.row), [7]);
+});
+
+test('a single extreme value can mask itself from the z-score', () => {
+  // With n values no z-score can exceed (n - 1) / √n, about 3.02 for 11
+  const { zscore, iqr } = detect(ROWS, { outlierMethod: 'all' });
+
+  assert.ok(zscore.top.length === 0 || zscore.top[0].score < 3.02);
+  assert.strictEqual(iqr.count, 1);
+});
+
+test('z-scores flag values beyond the threshold in standard deviations', () => {
+  const data = Array.from({ length: 200 }, (_, i) => ({ value: i % 2 === 0 ? 10 : 12 }));
+  data[50] = { value: 30 };
+  data[120] = { value: -8 };
+  const { zscore } = detect(data, { outlierMethod: 'zscore', outlierThresholds: { zscore: 4 } });
+
+  assert.strictEqual(zscore.threshold, 4);
+  // -8 lies slightly further from the mean of 11.01 than 30 does
+  assert.deepStrictEqual(zscore.top.map(({ row, value }) => [row, value]), [[120, -8], [50, 30]]);
+  assertClose(zscore.top[0].score, (-8 - zscore.mean) / zscore.stdDev, 1e-12, 'score');
+});
+
+test('percentile caps flag the values outside them', () => {
+  const data = Array.from({ length: 101 }, (_, i) => ({ value: i }));
+  const { percentile } = detect(data, { outlierMethod: 'percentile', outlierThresholds: { percentile: [5, 95] } });
+
+  assert.deepStrictEqual([percentile.lowerBound, percentile.upperBound], [5, 95]);
+  assert.strictEqual(percentile.count, 10);
+  assert.strictEqual(percentile.top[0].score, null);
+});
+
+test('the top list is capped, most extreme first', () => {
+  const data = Array.from({ length: 100 }, (_, i) => ({ value: i < 95 ? 50 + (i % 5) : 1000 + i }));
+  const { iqr } = detect(data, { outlierTopN: 2 });
+
+  assert.strictEqual(iqr.count, 5);
+  assert.deepStrictEqual(iqr.top.map(outlier => outlier.row), [99, 98]);
+  assert.deepStrictEqual(detect(data, { outlierTopN: 0 }).iqr.top, []);
+});
+
+test('columns without numbers have no result', () => {
+  assert.strictEqual(detect([{ value: 'a' }, { value: null }], {}), null);
+});
+
+test('outlier options are validated with 400s', () => {
+  assert.deepStrictEqual(resolveOutlierOptions(), { methods: ['iqr'], thresholds: DEFAULT_THRESHOLDS, topN: 10 });
+
+  const invalid = [
+    { outlierMethod: 'dbscan' },
+    { outlierThresholds: [] },
+    { outlierThresholds: { lof: 2 } },
+    { outlierThresholds: { iqr: 0 } },
+    { outlierThresholds: { zscore: '3' } },
+    { outlierThresholds: { percentile: [99, 1] } },
+    { outlierThresholds: { percentile: [1, 101] } },
+    { outlierTopN: 101 },
+    { outlierTopN: 2.5 }
+  ];
+  invalid.forEach(options => {
+    assert.throws(() => resolveOutlierOptions(options), error => error.status === 400, JSON.stringify(options));
+  });
+});
+
+test('profiles report each selected method on numeric columns', async () => {
+  const data = Array.from({ length: 80 }, (_, i) => ({ amount: i === 17 ? 5000 : 100 + (i % 9) * 1.5 }));
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(data, { outlierMethod: 'all' });
+  const { outlierDetection } = profile.columnStats.amount;
+
+  assert.deepStrictEqual(Object.keys(outlierDetection), ['iqr', 'zscore', 'modifiedZscore', 'percentile']);
+  assert.deepStrictEqual(outlierDetection.iqr.top, [{ row: 17, value: 5000, score: outlierDetection.iqr.top[0].score }]);
+});
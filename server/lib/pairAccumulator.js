@@ -0,0 +1,81 @@
+/**
+ * PairAccumulator keeps the running co-moment of two numeric columns over the
+ * rows where both are present, so a Pearson correlation can be computed in
+ * one pass and merged across row chunks.
+ */
+class PairAccumulator {
+  constructor() {
+    this.n = 0;
+    this.meanX = 0;
+    this.meanY = 0;
+    this.m2X = 0;
+    this.m2Y = 0;
+    this.cXY = 0;
+  }
+
+  /**
+   * Add one row's pair of values
+   * @param {Number} x - Value of the first column
+   * @param {Number} y - Value of the second column
+   */
+  add(x, y) {
+    this.n++;
+    const dx = x - this.meanX;
+    this.meanX += dx / this.n;
+    const dy = y - this.meanY;
+    this.meanY += dy / this.n;
+
+    this.m2X += dx * (x - this.meanX);
+    this.m2Y += dy * (y - this.meanY);
+    this.cXY += dx * (y - this.meanY);
+  }
+
+  /**
+   * Merge another accumulator over a disjoint set of rows
+   * @param {PairAccumulator} other
+   * @returns {PairAccumulator} - this
+   */
+  merge(other) {
+    if (other.n === 0) return this;
+    if (this.n === 0) {
+      Object.assign(this, other);
+      return this;
+    }
+
+    const n = this.n + other.n;
+    const dx = other.meanX - this.meanX;
+    const dy = other.meanY - this.meanY;
+    const weight = this.n * other.n / n;
+
+    this.m2X += other.m2X + dx * dx * weight;
+    this.m2Y += other.m2Y + dy * dy * weight;
+    this.cXY += other.cXY + dx * dy * weight;
+    this.meanX += dx * other.n / n;
+    this.meanY += dy * other.n / n;
+    this.n = n;
+
+    return this;
+  }
+
+  get correlation() {
+    const denominator = Math.sqrt(this.m2X * this.m2Y);
+    return denominator ? this.cXY / denominator : 0;
+  }
+
+  toJSON() {
+    return {
+      n: this.n,
+      meanX: this.meanX,
+      meanY: this.meanY,
+      m2X: this.m2X,
+      m2Y: this.m2Y,
+      cXY: this.cXY
+    };
+  }
+
+  static fromJSON(state) {
+    return Object.assign(new PairAccumulator(), state);
+  }
+}
+
+module.exports = PairAccumulator;
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PairAccumulator = require('./pairAccumulator');
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) <= 1e-12, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// Two-pass textbook Pearson correlation
+function pearson(xs, ys) {
+  const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  });
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+const xs = Array.from({ length: 200 }, (_, i) => Math.sin(i) * 10 + i / 5);
+const ys = xs.map((x, i) => 2 * x + Math.cos(i * 3) * 8);
+
+test('the one-pass correlation matches the two-pass formula', () => {
+  const pair = new PairAccumulator();
+  xs.forEach((x, i) => pair.add(x, ys[i]));
+
+  assert.strictEqual(pair.n, 200);
+  assertClose(pair.correlation, pearson(xs, ys), 'correlation');
+});
+
+test('perfectly linear and constant pairs', () => {
+  const pair = new PairAccumulator();
+  [1, 2, 3, 4].forEach(x => pair.add(x, 10 - 2 * x));
+  assertClose(pair.correlation, -1, 'linear');
+
+  const constant = new PairAccumulator();
+  [1, 2, 3].forEach(x => constant.add(x, 5));
+  assert.strictEqual(constant.correlation, 0);
+});
+
+test('merged chunks match a single pass', () => {
+  const whole = new PairAccumulator();
+  const chunks = [new PairAccumulator(), new PairAccumulator(), new PairAccumulator()];
+  xs.forEach((x, i) => {
+    whole.add(x, ys[i]);
+    chunks[i % 3].add(x, ys[i]);
+  });
+
+  const merged = chunks
+    .map(chunk => PairAccumulator.fromJSON(JSON.parse(JSON.stringify(chunk.toJSON()))))
+    .reduce((acc, chunk) => acc.merge(chunk), new PairAccumulator());
+
+  assert.strictEqual(merged.n, whole.n);
+  assertClose(merged.correlation, whole.correlation, 'correlation');
+  assertClose(merged.meanX, whole.meanX, 'meanX');
+  assert.strictEqual(new PairAccumulator().merge(whole).correlation, whole.correlation);
+});
@@ -0,0 +1,365 @@
+/**
+ * PatternRecognizer looks for structure along the row order and between
+ * columns: linear trends, repeating cycles, Pareto-shaped categorical
+ * frequencies and non-linear (mutual information) relationships. Row order
+ * matters, so rows must be passed in file order.
+ */
+
+// Rows two columns must share before their relationship is reported
+const MIN_OVERLAP = 3;
+// Share of variance along the row order a trend must explain
+const MIN_TREND_R2 = 0.1;
+// Longest cycle searched for, in rows
+const MAX_CYCLE_LENGTH = 100;
+const MIN_CYCLE_STRENGTH = 0.6;
+const MUTUAL_INFORMATION_BINS = 10;
+const PREDICTED_VALUES = 5;
+
+function minMax(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  return { min, max };
+}
+
+function pearson(x, y) {
+  const n = x.length;
+  if (n < 2) return 0;
+  const xMean = x.reduce((sum, v) => sum + v, 0) / n;
+  const yMean = y.reduce((sum, v) => sum + v, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - xMean) * (y[i] - yMean);
+    sxx += (x[i] - xMean) * (x[i] - xMean);
+    syy += (y[i] - yMean) * (y[i] - yMean);
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+class PatternRecognizer {
+  /**
+   * @param {Array} rows - Parsed rows in file order
+   * @param {Object} columnStats - Finalised column statistics
+   * @param {Array<Number>} rowIndices - Index in the profiled data of each row
+   */
+  constructor(rows, columnStats, rowIndices = null) {
+    this.rows = rows;
+    this.columnStats = columnStats;
+    this.rowIndices = rowIndices || rows.map((row, i) => i);
+  }
+
+  /**
+   * @returns {Object} - { patterns, correlations, trends, confidence }
+   */
+  analyze() {
+    const features = this.getFeatures();
+    const patterns = this.detectPatterns(features);
+    const correlations = this.findNonLinearCorrelations(features);
+    const trends = this.detectTrends(features);
+
+    return {
+      patterns,
+      correlations,
+      trends,
+      confidence: this.calculateConfidence(patterns, correlations, trends)
+    };
+  }
+
+  /**
+   * Numeric columns as { positions, values } over the rows where they are
+   * present, row-aligned numeric columns for pairing, and categorical values
+   */
+  getFeatures() {
+    const numeric = {};
+    const aligned = {};
+    const categorical = {};
+
+    Object.entries(this.columnStats).forEach(([key, stats]) => {
+      if (stats.type === 'numeric') {
+        const positions = [];
+        const values = [];
+        aligned[key] = this.rows.map((row, i) => {
+          const value = row[key];
+          if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+          positions.push(this.rowIndices[i]);
+          values.push(value);
+          return value;
+        });
+        numeric[key] = { positions, values };
+      } else if (stats.type === 'categorical') {
+        categorical[key] = this.rows
+          .map(row => row[key])
+          .filter(value => value !== null && value !== undefined && value !== '');
+      }
+    });
+
+    return { numeric, aligned, categorical };
+  }
+
+  detectPatterns(features) {
+    const patterns = [];
+
+    Object.entries(features.numeric).forEach(([key, series]) => {
+      this.findSequentialPatterns(series).forEach(sequence => {
+        patterns.push({
+          type: 'sequential',
+          feature: key,
+          kind: sequence.type,
+          pattern: sequence.pattern,
+          confidence: sequence.confidence,
+          description: `Detected ${sequence.type} pattern in ${key}`
+        });
+      });
+    });
+
+    Object.entries(features.categorical).forEach(([key, values]) => {
+      this.findFrequencyPatterns(values).forEach(pattern => {
+        patterns.push({
+          type: 'frequency',
+          feature: key,
+          pattern: pattern.values,
+          confidence: pattern.confidence,
+          description: `${pattern.description} in ${key}`
+        });
+      });
+    });
+
+    return patterns;
+  }
+
+  findSequentialPatterns(series) {
+    const patterns = [];
+
+    const trend = this.calculateTrend(series);
+    if (trend.r2 >= MIN_TREND_R2) {
+      patterns.push({
+        type: trend.slope > 0 ? 'increasing' : 'decreasing',
+        pattern: trend,
+        confidence: trend.r2
+      });
+    }
+
+    this.detectCycles(series.values).forEach(cycle => {
+      patterns.push({
+        type: 'cyclical',
+        pattern: cycle,
+        confidence: cycle.strength
+      });
+    });
+
+    return patterns;
+  }
+
+  /**
+   * Least-squares line of the values against their row index
+   * @returns {Object} - { slope (per row), intercept, r2 }
+   */
+  calculateTrend({ positions, values }) {
+    const n = values.length;
+    if (n < MIN_OVERLAP) return { slope: 0, intercept: 0, r2: 0 };
+
+    const xMean = positions.reduce((sum, x) => sum + x, 0) / n;
+    const yMean = values.reduce((sum, y) => sum + y, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (positions[i] - xMean) * (values[i] - yMean);
+      sxx += (positions[i] - xMean) * (positions[i] - xMean);
+      syy += (values[i] - yMean) * (values[i] - yMean);
+    }
+
+    const slope = sxx !== 0 ? sxy / sxx : 0;
+    return {
+      slope,
+      intercept: yMean - slope * xMean,
+      r2: sxx !== 0 && syy !== 0 ? (sxy * sxy) / (sxx * syy) : 0
+    };
+  }
+
+  detectCycles(values) {
+    const cycles = [];
+    const maxCycleLength = Math.min(Math.floor(values.length / 2), MAX_CYCLE_LENGTH);
+
+    for (let cycleLength = 3; cycleLength <= maxCycleLength; cycleLength++) {
+      const strength = this.calculateCycleStrength(values, cycleLength);
+      if (strength > MIN_CYCLE_STRENGTH) {
+        cycles.push({
+          length: cycleLength,
+          strength,
+          amplitude: this.calculateCycleAmplitude(values, cycleLength)
+        });
+      }
+    }
+
+    return cycles.sort((a, b) => b.strength - a.strength).slice(0, 3);
+  }
+
+  /**
+   * Average correlation between consecutive windows of cycleLength values
+   */
+  calculateCycleStrength(values, cycleLength) {
+    const cycles = Math.floor(values.length / cycleLength);
+    if (cycles < 2) return 0;
+
+    let correlation = 0;
+    for (let i = 0; i < cycles - 1; i++) {
+      correlation += pearson(
+        values.slice(i * cycleLength, (i + 1) * cycleLength),
+        values.slice((i + 1) * cycleLength, (i + 2) * cycleLength)
+      );
+    }
+
+    return Math.abs(correlation / (cycles - 1));
+  }
+
+  calculateCycleAmplitude(values, cycleLength) {
+    const cycles = Math.floor(values.length / cycleLength);
+    let totalAmplitude = 0;
+
+    for (let i = 0; i < cycles; i++) {
+      const { min, max } = minMax(values.slice(i * cycleLength, (i + 1) * cycleLength));
+      totalAmplitude += max - min;
+    }
+
+    return cycles > 0 ? totalAmplitude / cycles : 0;
+  }
+
+  /**
+   * Pareto check: fewer than 20% of the distinct values cover 80% of rows
+   */
+  findFrequencyPatterns(values) {
+    const frequencies = new Map();
+    values.forEach(value => frequencies.set(value, (frequencies.get(value) || 0) + 1));
+    const sorted = [...frequencies.entries()].sort((a, b) => b[1] - a[1]);
+
+    let cumulative = 0;
+    let paretoCount = 0;
+    for (const [, count] of sorted) {
+      cumulative += count;
+      paretoCount++;
+      if (cumulative >= values.length * 0.8) break;
+    }
+
+    if (sorted.length > 0 && paretoCount / sorted.length < 0.2) {
+      return [{
+        values: sorted.slice(0, paretoCount).map(([value]) => value),
+        confidence: 0.9,
+        description: 'Pareto distribution detected (80/20 rule)'
+      }];
+    }
+    return [];
+  }
+
+  findNonLinearCorrelations(features) {
+    const correlations = [];
+    const keys = Object.keys(features.aligned);
+
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) {
+        const [x, y] = this.completePairs(features.aligned[keys[i]], features.aligned[keys[j]]);
+        if (x.length < MIN_OVERLAP) continue;
+
+        const linear = pearson(x, y);
+        const nonLinear = this.mutualInformation(x, y);
+
+        if (Math.abs(linear) > 0.3 || nonLinear > 0.2) {
+          correlations.push({
+            feature1: keys[i],
+            feature2: keys[j],
+            linear,
+            nonLinear,
+            strength: Math.max(Math.abs(linear), nonLinear),
+            type: Math.abs(linear) > nonLinear ? 'linear' : 'non-linear',
+            sampleSize: x.length
+          });
+        }
+      }
+    }
+
+    return correlations.sort((a, b) => b.strength - a.strength);
+  }
+
+  // Values of two row-aligned columns from the rows where both are present
+  completePairs(x, y) {
+    const xs = [];
+    const ys = [];
+    for (let i = 0; i < x.length; i++) {
+      if (x[i] !== null && y[i] !== null) {
+        xs.push(x[i]);
+        ys.push(y[i]);
+      }
+    }
+    return [xs, ys];
+  }
+
+  /**
+   * Mutual information (bits) between two columns over equal-width bins
+   */
+  mutualInformation(x, y) {
+    const bins = MUTUAL_INFORMATION_BINS;
+    const n = x.length;
+    const binOf = (values) => {
+      const { min, max } = minMax(values);
+      const width = (max - min) / bins;
+      return values.map(value => (width > 0 ? Math.min(bins - 1, Math.floor((value - min) / width)) : 0));
+    };
+    const xBins = binOf(x);
+    const yBins = binOf(y);
+
+    const joint = Array.from({ length: bins }, () => new Array(bins).fill(0));
+    const xMarginal = new Array(bins).fill(0);
+    const yMarginal = new Array(bins).fill(0);
+    for (let i = 0; i < n; i++) {
+      joint[xBins[i]][yBins[i]]++;
+      xMarginal[xBins[i]]++;
+      yMarginal[yBins[i]]++;
+    }
+
+    let mi = 0;
+    for (let i = 0; i < bins; i++) {
+      for (let j = 0; j < bins; j++) {
+        if (joint[i][j] > 0) {
+          const pxy = joint[i][j] / n;
+          mi += pxy * Math.log2(pxy / ((xMarginal[i] / n) * (yMarginal[j] / n)));
+        }
+      }
+    }
+    return mi;
+  }
+
+  detectTrends(features) {
+    const trends = [];
+
+    Object.entries(features.numeric).forEach(([key, series]) => {
+      const trend = this.calculateTrend(series);
+      if (trend.r2 >= MIN_TREND_R2) {
+        const last = series.positions[series.positions.length - 1];
+        trends.push({
+          feature: key,
+          direction: trend.slope > 0 ? 'increasing' : 'decreasing',
+          slope: trend.slope,
+          strength: Math.abs(trend.slope),
+          confidence: trend.r2,
+          prediction: Array.from({ length: PREDICTED_VALUES }, (_, i) => trend.slope * (last + 1 + i) + trend.intercept)
+        });
+      }
+    });
+
+    return trends.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  calculateConfidence(patterns, correlations, trends) {
+    const average = (items, field) => (items.length > 0
+      ? items.reduce((sum, item) => sum + item[field], 0) / items.length
+      : 0);
+    return (average(patterns, 'confidence') + average(correlations, 'strength') + average(trends, 'confidence')) / 3;
+  }
+}
+
+module.exports = PatternRecognizer;
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const SemanticDetectorRegistry = require('./semanticDetectors');
+
+const HANDLING_MODES = ['none', 'redact', 'hash'];
+
+// Semantic types that identify a person, besides detectors flagged `pii`
+const PII_SEMANTIC_TYPES = ['phone'];
+
+// Column names that suggest personal data even when the values do not show it
+const PII_NAME_PATTERNS = [
+  { category: 'personName', pattern: /^(first|last|full|given|middle|maiden|sur|customer|patient|employee|contact|person)[_ ]?name$/i },
+  { category: 'address', pattern: /^(home|street|mailing|postal|billing|shipping)?[_ ]?(address|street)([_ ]?line)?[_ ]?\d?$/i },
+  { category: 'dateOfBirth', pattern: /(^|_)(dob|date[_ ]?of[_ ]?birth|birth[_ ]?date|birthday)$/i },
+  { category: 'nationalId', pattern: /(^|_)(ssn|social[_ ]?security([_ ]?number)?|passport([_ ]?(no|number))?|national[_ ]?id|nino|tax[_ ]?id|drivers?[_ ]?licen[cs]e)$/i }
+];
+
+// Random per process unless configured, so hashes cannot be looked up in
+// precomputed tables; set PII_HASH_SALT to keep them stable across restarts
+const DEFAULT_SALT = process.env.PII_HASH_SALT || crypto.randomBytes(16).toString('hex');
+
+/**
+ * PiiProtector classifies columns that hold personal data, from their
+ * semantic type or their name, and replaces the sample values reported for
+ * them (top values, frequency tables, mode, outliers and example values) so they are
+ * not exposed in responses, the cache, exports or logs. With `redact` values are masked
+ * but keep their shape; with `hash` they become salted digests that still
+ * tell distinct values apart.
+ */
+class PiiProtector {
+  /**
+   * @param {Object} options - Profiling options
+   * @param {String} options.piiHandling - 'none' (default), 'redact' or 'hash'
+   */
+  constructor(options = {}) {
+    this.handling = options.piiHandling || 'none';
+    this.salt = DEFAULT_SALT;
+
+    if (!HANDLING_MODES.includes(this.handling)) {
+      const error = new Error(`Invalid piiHandling "${this.handling}" - use one of ${HANDLING_MODES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Decide whether a column holds personal data
+   * @param {String} name - Column name
+   * @param {Object} stats - Finalised column statistics
+   * @returns {Object|null} - { category, source, confidence }, or null
+   */
+  classify(name, stats) {
+    const detector = SemanticDetectorRegistry.getInstance().get(stats.semanticType);
+    if ((detector && detector.pii) || PII_SEMANTIC_TYPES.includes(stats.semanticType)) {
+      return {
+        category: stats.semanticType,
+        source: 'values',
+        confidence: stats.typeInference ? stats.typeInference.confidence : null
+      };
+    }
+
+    const match = PII_NAME_PATTERNS.find(({ pattern }) => pattern.test(String(name)));
+    if (match) {
+      return { category: match.category, source: 'columnName', confidence: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the sample values of a PII column according to the handling mode
+   * @param {Object} stats - Column statistics with `pii` set
+   * @returns {Object} - Protected copy of the statistics
+   */
+  protect(stats) {
+    if (this.handling === 'none' || !stats.pii) return stats;
+
+    const { category } = stats.pii;
+    const mask = (value) => this.protectValue(value, category);
+    const protectedStats = { ...stats };
+
+    if (stats.topValues) {
+      protectedStats.topValues = stats.topValues.map(([value, count]) => [mask(value), count]);
+    }
+    if (stats.frequencies) {
+      protectedStats.frequencies = {
+        ...stats.frequencies,
+        values: stats.frequencies.values.map(([value, count]) => [mask(value), count])
+      };
+    }
+    if (stats.mode !== undefined && stats.mode !== null) {
+      protectedStats.mode = mask(stats.mode);
+    }
+    if (stats.typeInference) {
+      protectedStats.typeInference = {
+        ...stats.typeInference,
+        conflictingSamples: stats.typeInference.conflictingSamples.map(mask)
+      };
+    }
+    if (stats.temporal) {
+      protectedStats.temporal = {
+        ...stats.temporal,
+        unparsedExamples: stats.temporal.unparsedExamples.map(mask),
+        futureExamples: stats.temporal.futureExamples.map(mask),
+        implausibleExamples: stats.temporal.implausibleExamples.map(mask)
+      };
+    }
+
+    if (stats.outlierDetection) {
+      protectedStats.outlierDetection = {};
+      Object.entries(stats.outlierDetection).forEach(([method, result]) => {
+        protectedStats.outlierDetection[method] = {
+          ...result,
+          top: result.top.map(outlier => ({ ...outlier, value: mask(outlier.value) }))
+        };
+      });
+    }
+
+    protectedStats.pii = { ...stats.pii, handling: this.handling };
+    return protectedStats;
+  }
+
+  /**
+   * Mask or hash a single value
+   * @param {*} value - Sample value
+   * @param {String} category - PII category of its column
+   * @returns {String}
+   */
+  protectValue(value, category) {
+    const text = String(value);
+
+    if (this.handling === 'hash') {
+      const digest = crypto.createHash('sha256').update(`${this.salt}|${text}`).digest('hex');
+      return `sha256:${digest.substring(0, 16)}`;
+    }
+
+    if (category === 'email' && text.includes('@')) {
+      const [local, domain] = text.split('@');
+      return `${local.charAt(0)}***@${domain}`;
+    }
+
+    // Keep the last four digits of numbers, as receipts do for cards
+    const digits = text.replace(/\D/g, '').length;
+    if (digits >= 7) {
+      let remaining = digits;
+      return text.replace(/\d/g, digit => (remaining-- > 4 ? '*' : digit));
+    }
+
+    return text.length <= 1 ? '*' : text.charAt(0) + '*'.repeat(text.length - 1);
+  }
+}
+
+PiiProtector.HANDLING_MODES = HANDLING_MODES;
+
+module.exports = PiiProtector;
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PiiProtector = require('./piiProtector');
+const ProfilerService = require('../services/profilerService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+test('columns are classified from their semantic type or their name', () => {
+  const protector = new PiiProtector();
+
+  assert.deepStrictEqual(
+    protector.classify('contact', { semanticType: 'email', typeInference: { confidence: 98 } }),
+    { category: 'email', source: 'values', confidence: 98 }
+  );
+  assert.strictEqual(protector.classify('mobile', { semanticType: 'phone' }).category, 'phone');
+  assert.deepStrictEqual(
+    protector.classify('customer_name', { semanticType: 'string' }),
+    { category: 'personName', source: 'columnName', confidence: null }
+  );
+  assert.strictEqual(protector.classify('date_of_birth', { semanticType: 'date' }).category, 'dateOfBirth');
+  assert.strictEqual(protector.classify('ssn', { semanticType: 'string' }).category, 'nationalId');
+  // Not personal: URLs, country codes and ordinary names
+  assert.strictEqual(protector.classify('homepage', { semanticType: 'url' }), null);
+  assert.strictEqual(protector.classify('country', { semanticType: 'countryCode' }), null);
+  assert.strictEqual(protector.classify('product_name', { semanticType: 'string' }), null);
+});
+
+test('redaction keeps the shape of emails, numbers and names', () => {
+  const protector = new PiiProtector({ piiHandling: 'redact' });
+
+  assert.strictEqual(protector.protectValue('jane.doe@example.com', 'email'), 'j***@example.com');
+  assert.strictEqual(protector.protectValue('4111 1111 1111 1234', 'creditCard'), '**** **** **** 1234');
+  assert.strictEqual(protector.protectValue('+1 (555) 123-4567', 'phone'), '+* (***) ***-4567');
+  assert.strictEqual(protector.protectValue('Jane', 'personName'), 'J***');
+  assert.strictEqual(protector.protectValue('J', 'personName'), '*');
+});
+
+test('hashing is salted, stable and tells distinct values apart', () => {
+  const protector = new PiiProtector({ piiHandling: 'hash' });
+  const hashed = protector.protectValue('jane@example.com', 'email');
+
+  assert.match(hashed, /^sha256:[0-9a-f]{16}$/);
+  assert.strictEqual(protector.protectValue('jane@example.com', 'email'), hashed);
+  assert.notStrictEqual(protector.protectValue('john@example.com', 'email'), hashed);
+});
+
+test('protect replaces every sample value of a PII column', () => {
+  const protector = new PiiProtector({ piiHandling: 'redact' });
+  const stats = {
+    pii: { category: 'personName', source: 'columnName', confidence: null },
+    topValues: [['Alice', 3]],
+    frequencies: { values: [['Alice', 3]], complete: true },
+    mode: 'Alice',
+    typeInference: { conflictingSamples: ['Bob'] },
+    outlierDetection: { iqr: { count: 1, top: [{ row: 4, value: 'Carol' }] } }
+  };
+
+  const result = protector.protect(stats);
+
+  assert.deepStrictEqual(result.topValues, [['A****', 3]]);
+  assert.deepStrictEqual(result.frequencies, { values: [['A****', 3]], complete: true });
+  assert.strictEqual(result.mode, 'A****');
+  assert.deepStrictEqual(result.typeInference.conflictingSamples, ['B**']);
+  assert.deepStrictEqual(result.outlierDetection.iqr.top, [{ row: 4, value: 'C****' }]);
+  assert.strictEqual(result.pii.handling, 'redact');
+  // The input statistics are left as they were
+  assert.strictEqual(stats.mode, 'Alice');
+});
+
+test('columns without PII and the none mode pass through untouched', () => {
+  const stats = { topValues: [['Alice', 3]], pii: null };
+  assert.strictEqual(new PiiProtector({ piiHandling: 'hash' }).protect(stats), stats);
+
+  const piiStats = { ...stats, pii: { category: 'personName' } };
+  assert.strictEqual(new PiiProtector().protect(piiStats), piiStats);
+});
+
+test('an unknown handling mode is a 400', () => {
+  assert.throws(
+    () => new PiiProtector({ piiHandling: 'encrypt' }),
+    error => error.status === 400 && /Invalid piiHandling "encrypt"/.test(error.message)
+  );
+});
+
+function customers() {
+  return Array.from({ length: 60 }, (_, i) => ({
+    email: `customer${i % 20}@example.com`,
+    card: ['4111 1111 1111 1111', '5500 0000 0000 0004', '4012 8888 8888 1881'][i % 3],
+    plan: ['basic', 'pro'][i % 2]
+  }));
+}
+
+test('redacted profiles contain no raw personal values and raise a high-severity insight', async () => {
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(customers(), { piiHandling: 'redact' });
+  const serialized = JSON.stringify(profile);
+
+  assert.ok(!serialized.includes('customer7@example.com'));
+  assert.ok(!serialized.includes('4111 1111 1111 1111'));
+  assert.ok(serialized.includes('plan'));
+  assert.deepStrictEqual(profile.summary.pii, { columns: ['email', 'card'], handling: 'redact' });
+
+  const privacy = profile.insights[0];
+  assert.strictEqual(privacy.severity, 'high');
+  assert.match(privacy.message, /2 columns may contain personal data: email \(email\), card \(creditCard\)/);
+});
+
+test('without masking the privacy insight says values are shown as-is', async () => {
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(customers());
+
+  assert.ok(JSON.stringify(profile.columnStats.email).includes('@example.com'));
+  assert.match(profile.insights[0].message, /shown as-is/);
+});
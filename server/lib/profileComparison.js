@@ -0,0 +1,372 @@
+const {
+  resolveDriftThresholds,
+  numericDrift,
+  temporalDrift,
+  categoricalDrift
+} = require('./driftMetrics');
+
+/**
+ * Comparison of two profile responses: column presence and type changes,
+ * per-column statistic differences and drift, correlation changes, and the
+ * insights that summarise them for POST /api/compare.
+ */
+
+const DRIFT_LABELS = {
+  psi: 'PSI',
+  ks: 'KS',
+  wasserstein: 'Wasserstein',
+  jensenShannon: 'JS',
+  chiSquare: "Cramér's V"
+};
+
+/**
+ * Compare two profile responses, as built by ProfilePipeline.responseData
+ * @param {Object} profile1 - Baseline profile
+ * @param {Object} profile2 - Profile compared with the baseline
+ * @param {Object} driftThresholds - From resolveDriftThresholds
+ */
+function compareProfiles(profile1, profile2, driftThresholds = resolveDriftThresholds()) {
+  // Compare column presence
+  const columns1 = Object.keys(profile1.columns);
+  const columns2 = Object.keys(profile2.columns);
+  
+  const commonColumns = columns1.filter(col => columns2.includes(col));
+  const uniqueToProfile1 = columns1.filter(col => !columns2.includes(col));
+  const uniqueToProfile2 = columns2.filter(col => !columns1.includes(col));
+  
+  // Compare data size
+  const rowCount1 = datasetRows(profile1);
+  const rowCount2 = datasetRows(profile2);
+  const rowCountDiff = rowCount2 - rowCount1;
+  const rowCountPercent = rowCount1 > 0 
+    ? (rowCountDiff / rowCount1) * 100 
+    : 0;
+  
+  // Compare column statistics for common columns
+  const columnComparisons = {};
+  
+  commonColumns.forEach(column => {
+    const stats1 = profile1.columns[column];
+    const stats2 = profile2.columns[column];
+    
+    // Check for type changes
+    const typeChanged = stats1.type !== stats2.type;
+    
+    // Calculate changes in key metrics
+    const changes = {
+      typeChanged,
+      typeChange: typeChanged ? `${stats1.type} → ${stats2.type}` : null,
+      missingCountDiff: stats2.missingCount - stats1.missingCount,
+      missingPercentDiff: stats2.missingPercent - stats1.missingPercent,
+      uniqueValuesDiff: stats2.unique - stats1.unique,
+      uniquePercent: stats1.unique > 0 
+        ? ((stats2.unique - stats1.unique) / stats1.unique) * 100 
+        : 0
+    };
+    
+    // Add type-specific comparisons
+    if (stats1.type === 'numeric' && stats2.type === 'numeric') {
+      changes.numeric = {
+        meanDiff: stats2.mean - stats1.mean,
+        meanPercent: stats1.mean !== 0 
+          ? ((stats2.mean - stats1.mean) / Math.abs(stats1.mean)) * 100 
+          : 0,
+        stdDevDiff: stats2.stdDev - stats1.stdDev,
+        minDiff: stats2.min - stats1.min,
+        maxDiff: stats2.max - stats1.max,
+        rangeDiff: (stats2.max - stats2.min) - (stats1.max - stats1.min),
+        outliersDiff: stats2.outliers - stats1.outliers
+      };
+      changes.drift = numericDrift(stats1, stats2, driftThresholds);
+    } else if (stats1.type === 'categorical' && stats2.type === 'categorical') {
+      changes.categorical = {
+        entropyDiff: stats2.entropy - stats1.entropy,
+        // Compare top values
+        topValueChanges: compareTopValues(stats1.topValues, stats2.topValues)
+      };
+      changes.drift = categoricalDrift(stats1, stats2, driftThresholds);
+    } else if (stats1.temporal && stats2.temporal) {
+      changes.drift = temporalDrift(stats1, stats2, driftThresholds);
+    } else {
+      // Distributions of different types cannot be compared
+      changes.drift = { skipped: 'type changed' };
+    }
+    
+    columnComparisons[column] = {
+      column,
+      type1: stats1.type,
+      type2: stats2.type,
+      changes
+    };
+  });
+  
+  // Compare correlations
+  const correlationChanges = compareCorrelations(
+    profile1.correlations.all || [], 
+    profile2.correlations.all || []
+  );
+  
+  // Generate insights based on comparisons
+  const insights = generateComparisonInsights(profile1, profile2, {
+    columnComparisons,
+    uniqueToProfile1,
+    uniqueToProfile2,
+    rowCountDiff,
+    rowCountPercent,
+    correlations: correlationChanges
+  });
+  
+  return {
+    summary: {
+      rowCount1,
+      rowCount2,
+      rowCountDiff,
+      rowCountPercent: rowCountPercent.toFixed(2),
+      columnCountDiff: profile2.summary.totalColumns - profile1.summary.totalColumns,
+      commonColumnCount: commonColumns.length,
+      uniqueToProfile1Count: uniqueToProfile1.length,
+      uniqueToProfile2Count: uniqueToProfile2.length,
+      driftedColumnCount: Object.values(columnComparisons)
+        .filter(comp => ['medium', 'high'].includes(comp.changes.drift?.severity)).length,
+      significantChanges: insights.filter(i => i.severity === 'high').length
+    },
+    columns: {
+      common: commonColumns,
+      uniqueToProfile1,
+      uniqueToProfile2,
+      comparisons: columnComparisons
+    },
+    correlations: correlationChanges,
+    driftThresholds,
+    insights
+  };
+}
+
+/**
+ * Rows in the dataset behind a profile. Sampled profiles describe a sample,
+ * so their size is the row count before sampling.
+ */
+function datasetRows(profile) {
+  const { sampling, totalRows } = profile.summary;
+  return sampling?.isSampled ? sampling.originalSize : totalRows;
+}
+
+/**
+ * Compare top categorical values
+ */
+function compareTopValues(topValues1, topValues2) {
+  if (!topValues1 || !topValues2) return [];
+  
+  const valueMap1 = new Map(topValues1.map(([value, count]) => [value, count]));
+  const valueMap2 = new Map(topValues2.map(([value, count]) => [value, count]));
+  
+  const allValues = [...new Set([
+    ...topValues1.map(([v]) => v),
+    ...topValues2.map(([v]) => v)
+  ])];
+  
+  return allValues.map(value => {
+    const count1 = valueMap1.get(value) || 0;
+    const count2 = valueMap2.get(value) || 0;
+    const diff = count2 - count1;
+    const percentChange = count1 > 0 ? (diff / count1) * 100 : null;
+    
+    return {
+      value,
+      count1,
+      count2,
+      diff,
+      percentChange: percentChange !== null ? percentChange.toFixed(2) : null,
+      significant: Math.abs(percentChange) > 20 // Mark significant changes
+    };
+  }).sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+}
+
+/**
+ * Compare correlations between profiles
+ */
+function compareCorrelations(correlations1, correlations2) {
+  const pairMap1 = new Map(correlations1.map(corr => [corr.pair, corr]));
+  const pairMap2 = new Map(correlations2.map(corr => [corr.pair, corr]));
+  
+  const allPairs = [...new Set([
+    ...correlations1.map(c => c.pair),
+    ...correlations2.map(c => c.pair)
+  ])];
+  
+  const changes = allPairs.map(pair => {
+    const corr1 = pairMap1.get(pair);
+    const corr2 = pairMap2.get(pair);
+    
+    if (!corr1) {
+      return {
+        pair,
+        onlyInProfile2: true,
+        correlation2: corr2.correlation
+      };
+    }
+    
+    if (!corr2) {
+      return {
+        pair,
+        onlyInProfile1: true,
+        correlation1: corr1.correlation
+      };
+    }
+    
+    const diff = corr2.correlation - corr1.correlation;
+    const significant = Math.abs(diff) > 0.2;
+    
+    return {
+      pair,
+      correlation1: corr1.correlation,
+      correlation2: corr2.correlation,
+      diff,
+      significant,
+      signChange: (corr1.correlation > 0 && corr2.correlation < 0) || 
+                  (corr1.correlation < 0 && corr2.correlation > 0)
+    };
+  });
+  
+  return {
+    added: changes.filter(c => c.onlyInProfile2),
+    removed: changes.filter(c => c.onlyInProfile1),
+    changed: changes.filter(c => !c.onlyInProfile1 && !c.onlyInProfile2)
+      .sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff))
+  };
+}
+
+/**
+ * Generate insights from comparison
+ */
+function generateComparisonInsights(profile1, profile2, comparison) {
+  const insights = [];
+  
+  // Row count insights
+  if (Math.abs(comparison.rowCountDiff) > 0) {
+    const direction = comparison.rowCountDiff > 0 ? 'increased' : 'decreased';
+    const percentChange = Math.abs(comparison.rowCountPercent);
+    
+    let severity = 'low';
+    if (percentChange > 50) severity = 'high';
+    else if (percentChange > 20) severity = 'medium';
+    
+    insights.push({
+      category: 'Data Size',
+      type: 'change',
+      message: `Row count has ${direction} by ${Math.abs(comparison.rowCountDiff)} rows (${percentChange.toFixed(1)}%)`,
+      severity
+    });
+  }
+  
+  // Column changes
+  if (comparison.uniqueToProfile1.length > 0) {
+    insights.push({
+      category: 'Column Structure',
+      type: 'removed',
+      message: `${comparison.uniqueToProfile1.length} columns were removed: ${comparison.uniqueToProfile1.join(', ')}`,
+      severity: 'high'
+    });
+  }
+  
+  if (comparison.uniqueToProfile2.length > 0) {
+    insights.push({
+      category: 'Column Structure',
+      type: 'added',
+      message: `${comparison.uniqueToProfile2.length} new columns were added: ${comparison.uniqueToProfile2.join(', ')}`,
+      severity: 'high'
+    });
+  }
+  
+  // Type changes
+  const typeChanges = Object.values(comparison.columnComparisons)
+    .filter(comp => comp.changes.typeChanged);
+  
+  if (typeChanges.length > 0) {
+    insights.push({
+      category: 'Data Types',
+      type: 'changed',
+      message: `${typeChanges.length} columns changed data types: ${typeChanges.map(c => `${c.column} (${c.changes.typeChange})`).join(', ')}`,
+      severity: 'high'
+    });
+  }
+  
+  // Missing values changes
+  const missingIncreases = Object.values(comparison.columnComparisons)
+    .filter(comp => comp.changes.missingPercentDiff > 5);
+  
+  if (missingIncreases.length > 0) {
+    insights.push({
+      category: 'Data Quality',
+      type: 'warning',
+      message: `${missingIncreases.length} columns have significantly higher missing values: ${missingIncreases.map(c => `${c.column} (+${c.changes.missingPercentDiff.toFixed(1)}%)`).join(', ')}`,
+      severity: 'medium'
+    });
+  }
+  
+  // Distribution drift, graded by the drift thresholds
+  ['high', 'medium'].forEach(severity => {
+    const drifted = Object.values(comparison.columnComparisons)
+      .filter(comp => comp.changes.drift?.severity === severity);
+
+    if (drifted.length > 0) {
+      insights.push({
+        category: 'Distribution Drift',
+        type: 'drift',
+        message: `${drifted.length} column${drifted.length === 1 ? ' has' : 's have'} ${severity === 'high' ? 'strongly' : 'moderately'} drifted distributions: ${drifted.map(describeDrift).join(', ')}`,
+        severity,
+        columns: drifted.map(c => c.column)
+      });
+    }
+  });
+  
+  // Correlation changes
+  const significantCorrChanges = comparison.correlations.changed
+    .filter(c => c.significant);
+  
+  if (significantCorrChanges.length > 0) {
+    insights.push({
+      category: 'Relationships',
+      type: 'change',
+      message: `${significantCorrChanges.length} correlation relationships have changed significantly`,
+      severity: 'medium'
+    });
+  }
+  
+  const signChanges = comparison.correlations.changed
+    .filter(c => c.signChange);
+  
+  if (signChanges.length > 0) {
+    insights.push({
+      category: 'Relationships',
+      type: 'warning',
+      message: `${signChanges.length} correlations have changed direction (positive to negative or vice versa)`,
+      severity: 'high'
+    });
+  }
+  
+  return insights.sort((a, b) => {
+    const severityOrder = { high: 3, medium: 2, low: 1 };
+    return severityOrder[b.severity] - severityOrder[a.severity];
+  });
+}
+
+/**
+ * Column name with the drift metrics that reached its severity
+ */
+function describeDrift(comp) {
+  const { metrics, severity } = comp.changes.drift;
+  const reached = Object.entries(metrics)
+    .filter(([, result]) => result.severity === severity)
+    .map(([name, result]) => {
+      // The chi-square test is graded, and reported, by its Cramér's V
+      const value = name === 'chiSquare' ? result.cramersV : result.value;
+      return `${DRIFT_LABELS[name]} ${value.toFixed(3)}`;
+    });
+
+  return `${comp.column} (${reached.join(', ')})`;
+}
+
+module.exports = {
+  compareProfiles
+};
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compareProfiles } = require('./profileComparison');
+
+function profile(totalRows, sampling = { isSampled: false }, columns = {}) {
+  return {
+    columns,
+    summary: { totalRows, totalColumns: Object.keys(columns).length, sampling },
+    correlations: { all: [] }
+  };
+}
+
+function rowCountInsight(comparison) {
+  return comparison.insights.find(insight => insight.category === 'Data Size');
+}
+
+test('row counts of sampled profiles are the sizes before sampling', () => {
+  const unsampled = profile(6000);
+  // 20,000 rows sampled down to 5,000
+  const sampled = profile(5000, { isSampled: true, originalSize: 20000, sampleSize: 5000 });
+
+  const comparison = compareProfiles(unsampled, sampled);
+
+  assert.strictEqual(comparison.summary.rowCount1, 6000);
+  assert.strictEqual(comparison.summary.rowCount2, 20000);
+  assert.strictEqual(comparison.summary.rowCountDiff, 14000);
+  assert.strictEqual(comparison.summary.rowCountPercent, '233.33');
+  assert.deepStrictEqual(rowCountInsight(comparison), {
+    category: 'Data Size',
+    type: 'change',
+    message: 'Row count has increased by 14000 rows (233.3%)',
+    severity: 'high'
+  });
+});
+
+test('profiles without sampling metadata fall back to their row count', () => {
+  const comparison = compareProfiles(profile(100, undefined), profile(90, undefined));
+
+  assert.strictEqual(comparison.summary.rowCountDiff, -10);
+  assert.strictEqual(rowCountInsight(comparison).message, 'Row count has decreased by 10 rows (10.0%)');
+  assert.strictEqual(rowCountInsight(comparison).severity, 'low');
+});
+
+test('column changes and drift become comparison insights', () => {
+  const categorical = (yes, no) => ({
+    type: 'categorical',
+    missingCount: 0,
+    missingPercent: 0,
+    unique: 2,
+    entropy: 1,
+    topValues: [['yes', yes], ['no', no]],
+    validCount: yes + no,
+    frequencies: { values: [['yes', yes], ['no', no]] }
+  });
+
+  const comparison = compareProfiles(
+    profile(100, undefined, { answer: categorical(50, 50), legacy: categorical(50, 50) }),
+    profile(100, undefined, { answer: categorical(30, 70) })
+  );
+
+  assert.deepStrictEqual(comparison.columns.uniqueToProfile1, ['legacy']);
+  assert.strictEqual(comparison.columns.comparisons.answer.changes.drift.metrics.chiSquare.severity, 'medium');
+  assert.deepStrictEqual(comparison.insights.map(insight => insight.category), [
+    'Column Structure',
+    'Distribution Drift'
+  ]);
+  assert.match(comparison.insights[1].message, /^1 column has moderately drifted distributions: answer \(/);
+});
@@ -0,0 +1,229 @@
+/**
+ * QuantileSketch is a mergeable, KLL-style compactor sketch for approximate
+ * quantiles. Level h holds items of weight 2^h; when a level reaches its
+ * capacity it is sorted and every other item is promoted to the next level.
+ * Until the first compaction the sketch holds every value, so small columns
+ * get exact quantiles.
+ */
+class QuantileSketch {
+  /**
+   * @param {Number} k - Capacity per level (higher is more accurate)
+   */
+  constructor(k = 2000) {
+    this.k = k;
+    this.levels = [[]];
+    this.count = 0;
+    this.compactions = 0;
+  }
+
+  add(value) {
+    this.levels[0].push(value);
+    this.count++;
+
+    if (this.levels[0].length >= this.k) {
+      this.compress();
+    }
+  }
+
+  /**
+   * Whether every added value is still held at weight 1
+   */
+  get isExact() {
+    return this.levels.length === 1;
+  }
+
+  compress() {
+    for (let h = 0; h < this.levels.length; h++) {
+      const level = this.levels[h];
+      if (level.length < this.k) continue;
+
+      level.sort((a, b) => a - b);
+
+      // Keep the largest item behind when the level has odd length so
+      // the total weight is preserved exactly
+      const kept = level.length % 2 === 1 ? [level.pop()] : [];
+
+      // Alternate the offset between compactions to avoid a systematic bias
+      const offset = this.compactions % 2;
+      this.compactions++;
+
+      const promoted = [];
+      for (let i = offset; i < level.length; i += 2) {
+        promoted.push(level[i]);
+      }
+
+      if (!this.levels[h + 1]) this.levels.push([]);
+      this.levels[h + 1].push(...promoted);
+      this.levels[h] = kept;
+    }
+  }
+
+  /**
+   * Merge another sketch into this one
+   * @param {QuantileSketch} other - Sketch built over a disjoint chunk
+   * @returns {QuantileSketch} - this
+   */
+  merge(other) {
+    other.levels.forEach((level, h) => {
+      if (!this.levels[h]) this.levels.push([]);
+      this.levels[h].push(...level);
+    });
+    this.count += other.count;
+    this.compactions += other.compactions;
+
+    while (this.levels.some(level => level.length >= this.k)) {
+      this.compress();
+    }
+
+    return this;
+  }
+
+  /**
+   * Items with their weights, sorted by value
+   * @returns {Array<[Number, Number]>}
+   */
+  weightedItems() {
+    const items = [];
+    this.levels.forEach((level, h) => {
+      const weight = Math.pow(2, h);
+      level.forEach(value => items.push([value, weight]));
+    });
+    return items.sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Estimate the p-th percentile (0-100). Exact sketches interpolate
+   * linearly between neighbours like the previous sorted-array version.
+   * @param {Number} p - Percentile
+   * @returns {Number|null}
+   */
+  percentile(p) {
+    if (this.count === 0) return null;
+
+    if (this.isExact) {
+      const sorted = [...this.levels[0]].sort((a, b) => a - b);
+      const index = (p / 100) * (sorted.length - 1);
+      const lower = Math.floor(index);
+      const upper = Math.ceil(index);
+      const weight = index % 1;
+
+      if (upper >= sorted.length) return sorted[sorted.length - 1];
+      return sorted[lower] * (1 - weight) + sorted[upper] * weight;
+    }
+
+    const items = this.weightedItems();
+    const target = (p / 100) * this.count;
+    let cumulative = 0;
+
+    for (const [value, weight] of items) {
+      cumulative += weight;
+      if (cumulative >= target) return value;
+    }
+
+    return items[items.length - 1][0];
+  }
+
+  /**
+   * Estimate how many values fall strictly below / above the given bounds
+   * @param {Number} lower - Lower bound
+   * @param {Number} upper - Upper bound
+   * @returns {Number} - Estimated count outside [lower, upper]
+   */
+  countOutside(lower, upper) {
+    let count = 0;
+    this.levels.forEach((level, h) => {
+      const weight = Math.pow(2, h);
+      level.forEach(value => {
+        if (value < lower || value > upper) count += weight;
+      });
+    });
+    return count;
+  }
+
+  /**
+   * Estimate several percentiles with a single sort
+   * @param {Array<Number>} ps - Ascending percentiles (0-100)
+   * @returns {Array<Number|null>}
+   */
+  percentiles(ps) {
+    if (this.count === 0) return ps.map(() => null);
+
+    if (this.isExact) {
+      const sorted = [...this.levels[0]].sort((a, b) => a - b);
+      return ps.map(p => {
+        const index = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(index);
+        const weight = index % 1;
+        return weight === 0 ? sorted[lower] : sorted[lower] * (1 - weight) + sorted[lower + 1] * weight;
+      });
+    }
+
+    const items = this.weightedItems();
+    let cumulative = 0;
+    let i = 0;
+    return ps.map(p => {
+      const target = (p / 100) * this.count;
+      while (i < items.length - 1 && cumulative + items[i][1] < target) {
+        cumulative += items[i][1];
+        i++;
+      }
+      return items[i][0];
+    });
+  }
+
+  /**
+   * Estimate how many values fall in each bin. Bins are half-open
+   * [edge, next edge) except the last, which includes its upper edge.
+   * @param {Array<Number>} edges - Ascending bin edges
+   * @returns {Object} - { counts, underflow, overflow }
+   */
+  histogram(edges) {
+    const counts = new Array(edges.length - 1).fill(0);
+    const last = edges.length - 1;
+    let underflow = 0;
+    let overflow = 0;
+
+    this.levels.forEach((level, h) => {
+      const weight = Math.pow(2, h);
+      level.forEach(value => {
+        if (value < edges[0]) {
+          underflow += weight;
+        } else if (value > edges[last]) {
+          overflow += weight;
+        } else if (value === edges[last]) {
+          counts[last - 1] += weight;
+        } else {
+          // Binary search for the bin whose lower edge is the last one <= value
+          let lo = 0;
+          let hi = last - 1;
+          while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (edges[mid] <= value) lo = mid; else hi = mid - 1;
+          }
+          counts[lo] += weight;
+        }
+      });
+    });
+
+    return { counts, underflow, overflow };
+  }
+
+  toJSON() {
+    return {
+      k: this.k,
+      levels: this.levels,
+      count: this.count,
+      compactions: this.compactions
+    };
+  }
+
+  static fromJSON(state) {
+    const sketch = new QuantileSketch(state.k);
+    sketch.levels = state.levels.map(level => [...level]);
+    sketch.count = state.count;
+    sketch.compactions = state.compactions;
+    return sketch;
+  }
+}
+
+module.exports = QuantileSketch;
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const QuantileSketch = require('./quantileSketch');
+
+function sketchOf(values, k) {
+  const sketch = new QuantileSketch(k);
+  values.forEach(value => sketch.add(value));
+  return sketch;
+}
+
+// 0..n-1 in a scrambled but deterministic order
+function scrambled(n) {
+  return Array.from({ length: n }, (_, i) => (i * 7919) % n);
+}
+
+test('small sketches are exact and interpolate like a sorted array', () => {
+  const sketch = sketchOf([4, 1, 3, 2], 100);
+
+  assert.strictEqual(sketch.isExact, true);
+  assert.strictEqual(sketch.percentile(0), 1);
+  assert.strictEqual(sketch.percentile(50), 2.5);
+  assert.strictEqual(sketch.percentile(100), 4);
+  assert.deepStrictEqual(sketch.percentiles([25, 50, 75]), [1.75, 2.5, 3.25]);
+});
+
+test('an empty sketch has no percentiles', () => {
+  const sketch = new QuantileSketch();
+  assert.strictEqual(sketch.percentile(50), null);
+  assert.deepStrictEqual(sketch.percentiles([10, 90]), [null, null]);
+});
+
+test('compacted sketches keep percentiles within 1% rank error', () => {
+  const n = 100000;
+  const sketch = sketchOf(scrambled(n), 200);
+
+  assert.strictEqual(sketch.isExact, false);
+  assert.strictEqual(sketch.count, n);
+  [1, 10, 25, 50, 75, 90, 99].forEach(p => {
+    const rankError = Math.abs(sketch.percentile(p) - (p / 100) * n) / n;
+    assert.ok(rankError < 0.01, `p${p} rank error ${rankError}`);
+  });
+});
+
+test('merged chunk sketches are as accurate as one sketch', () => {
+  const values = scrambled(60000);
+  const merged = [0, 1, 2].map(i => sketchOf(values.slice(i * 20000, (i + 1) * 20000), 200))
+    .reduce((acc, sketch) => acc.merge(sketch));
+
+  assert.strictEqual(merged.count, values.length);
+  [5, 50, 95].forEach(p => {
+    const rankError = Math.abs(merged.percentile(p) - (p / 100) * values.length) / values.length;
+    assert.ok(rankError < 0.01, `p${p} rank error ${rankError}`);
+  });
+});
+
+test('weights are preserved by compaction', () => {
+  const sketch = sketchOf(scrambled(12345), 64);
+  const total = sketch.weightedItems().reduce((sum, [, weight]) => sum + weight, 0);
+
+  assert.strictEqual(total, 12345);
+});
+
+test('histogram bins are half-open except the last, with under and overflow', () => {
+  const sketch = sketchOf([-1, 0, 1, 5, 9.99, 10, 11], 100);
+
+  assert.deepStrictEqual(sketch.histogram([0, 5, 10]), { counts: [2, 3], underflow: 1, overflow: 1 });
+  assert.strictEqual(sketch.countOutside(0, 10), 2);
+});
+
+test('serialised state survives a JSON round trip', () => {
+  const sketch = sketchOf(scrambled(5000), 100);
+  const restored = QuantileSketch.fromJSON(JSON.parse(JSON.stringify(sketch.toJSON())));
+
+  assert.deepStrictEqual(restored.percentiles([1, 50, 99]), sketch.percentiles([1, 50, 99]));
+  assert.strictEqual(restored.count, sketch.count);
+});
@@ -0,0 +1,91 @@
+// Kept beside the directory rather than in it: the registry loads every
+// module in lib/semanticDetectors as a detector
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SemanticDetectorRegistry = require('./semanticDetectors');
+const SemanticTypeAccumulator = require('./semanticTypeAccumulator');
+const ProfilerService = require('../services/profilerService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+const registry = SemanticDetectorRegistry.getInstance();
+
+function detector(name) {
+  return registry.get(name);
+}
+
+test('the built-in detectors are registered in order with defaults', () => {
+  const names = registry.list().map(({ name }) => name);
+
+  assert.deepStrictEqual(names.slice(0, 8), [
+    'uuid', 'email', 'url', 'ipAddress', 'creditCard', 'nationalId', 'currency', 'countryCode'
+  ]);
+  assert.strictEqual(detector('uuid').minConformance, 0.8);
+  assert.strictEqual(detector('email').pii, true);
+});
+
+test('register rejects malformed and duplicate detectors', () => {
+  const local = new SemanticDetectorRegistry();
+  local.register({ name: 'sku', test: text => /^SKU-\d+$/.test(text) });
+
+  assert.strictEqual(local.get('sku').label, 'sku');
+  assert.throws(() => local.register({ name: 'sku', test: () => true }), /already registered/);
+  assert.throws(() => local.register({ name: 'broken' }), /needs a name and a test function/);
+});
+
+const CASES = {
+  uuid: [['123e4567-e89b-12d3-a456-426614174000'], ['123e4567-e89b-12d3-a456', 'not-a-uuid']],
+  email: [['jane.doe+news@example.co.uk', 'a@b.io'], ['jane@', 'jane@example', 'jane doe@example.com']],
+  url: [['https://example.com/path?q=1', 'www.example.org'], ['example.com', 'http://', 'mailto:a@b.io']],
+  ipAddress: [['192.168.0.1', '2001:db8::1'], ['256.1.1.1', '192.168.0']],
+  creditCard: [['4111 1111 1111 1111', '5500-0000-0000-0004', '4012888888881881'], ['4111 1111 1111 1112', '1234']],
+  nationalId: [['123-45-6789', 'AB 12 34 56 C'], ['000-12-3456', '666-12-3456', 'GB123456A']],
+  currency: [['$1,234.50', '€ 99', '1.234,50 EUR', '-£12', '(USD 40)'], ['1234.50', '$', 'USD']],
+  countryCode: [['GB', 'USA', 'DE'], ['gb', 'XX', 'UK']]
+};
+
+Object.entries(CASES).forEach(([name, [valid, invalid]]) => {
+  test(`${name} detector accepts valid values and rejects look-alikes`, () => {
+    valid.forEach(text => assert.strictEqual(detector(name).test(text), true, text));
+    invalid.forEach(text => assert.strictEqual(detector(name).test(text), false, text));
+  });
+});
+
+test('a column is tagged with the detector type, its conformance and violations', () => {
+  const values = [
+    ...Array.from({ length: 17 }, (_, i) => `user${i}@example.com`),
+    'n/a', 'jane@', 'bob at example.com'
+  ];
+  const accumulator = new SemanticTypeAccumulator();
+  values.forEach(value => accumulator.add(value));
+  const result = accumulator.finalize({ unique: values.length });
+
+  assert.strictEqual(result.type, 'email');
+  assert.strictEqual(result.confidence, 85);
+  assert.deepStrictEqual(result.conflictingSamples, ['n/a', 'jane@', 'bob at example.com']);
+});
+
+test('detectors matching too few of the first values are dropped', () => {
+  const accumulator = new SemanticTypeAccumulator();
+  for (let i = 0; i < 250; i++) {
+    accumulator.add(i % 10 === 0 ? `user${i}@example.com` : `word ${i}`);
+  }
+
+  assert.strictEqual(accumulator.detected.email.disabled, true);
+  assert.strictEqual(accumulator.conformance().email, undefined);
+});
+
+test('semantic types feed insights', async () => {
+  const data = Array.from({ length: 40 }, (_, i) => ({
+    email: i === 3 ? 'unknown' : `user${i}@example.com`,
+    price: `$${(i * 3.25).toFixed(2)}`
+  }));
+
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(data);
+  const messages = profile.insights.map(insight => insight.message).join('\n');
+
+  assert.strictEqual(profile.columnStats.email.semanticType, 'email');
+  assert.strictEqual(profile.columnStats.price.semanticType, 'currency');
+  assert.match(messages, /email contains email addresses \(97\.5% of values conform\)/);
+  assert.match(messages, /email has 1 values that are not valid email addresses, e\.g\. "unknown"/);
+  assert.match(messages, /price contains currency amounts/);
+});
@@ -0,0 +1,29 @@
+const CARD_PATTERN = /^\d{4}([ -]?\d{4}){2}[ -]?\d{1,7}$/;
+
+/**
+ * Luhn checksum, which every payment card number satisfies
+ */
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+module.exports = {
+  name: 'creditCard',
+  label: 'payment card numbers',
+  pii: true,
+  advice: 'remove or tokenise card numbers before sharing the data',
+  test: (text) => {
+    if (!CARD_PATTERN.test(text)) return false;
+    const digits = text.replace(/\D/g, '');
+    return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+  }
+};
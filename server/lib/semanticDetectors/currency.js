@@ -0,0 +1,19 @@
+const SYMBOLS = '[$€£¥₹₩₽₺₪₦₱฿₫]|R\\$|CHF|kr';
+const CODES = 'USD|EUR|GBP|JPY|CNY|INR|CAD|AUD|NZD|CHF|SEK|NOK|DKK|PLN|CZK|HUF|MXN|BRL|ZAR|RUB|KRW|SGD|HKD|TRY|AED|ILS';
+// 1,234.50 / 1.234,50 / 1 234 / 1234.5
+const AMOUNT = "\\d{1,3}(?:[,.\\s']\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?";
+const UNIT = `(?:${SYMBOLS}|${CODES})`;
+
+// The amount needs a currency symbol or code before or after it; plain
+// numbers are already profiled as numbers
+const CURRENCY_PATTERN = new RegExp(
+  `^(?:[-+]\\s?${UNIT}\\s?-?(?:${AMOUNT})|\\(?${UNIT}\\s?-?(?:${AMOUNT})\\)?|\\(?-?(?:${AMOUNT})\\s?${UNIT}\\)?)$`,
+  'i'
+);
+
+module.exports = {
+  name: 'currency',
+  label: 'currency amounts',
+  advice: 'strip symbols and thousands separators to analyse the amounts as numbers',
+  test: (text) => CURRENCY_PATTERN.test(text)
+};
@@ -0,0 +1,9 @@
+const EMAIL_PATTERN = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}$/;
+
+module.exports = {
+  name: 'email',
+  label: 'email addresses',
+  pii: true,
+  advice: 'normalise case before matching or deduplicating',
+  test: (text) => EMAIL_PATTERN.test(text)
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in detectors, checked in this order; other modules in this
+// directory are loaded after them in file name order
+const BUILT_IN = ['uuid', 'email', 'url', 'ipAddress', 'creditCard', 'nationalId', 'currency', 'countryCode'];
+
+// Share of values that must conform before a column is tagged
+const DEFAULT_MIN_CONFORMANCE = 0.8;
+
+let sharedInstance = null;
+
+/**
+ * SemanticDetectorRegistry holds the detectors that tag string columns with
+ * a semantic type such as email or currency. A detector is a plain object:
+ *
+ *   {
+ *     name: 'email',                 // semanticType reported for the column
+ *     label: 'email addresses',      // used in insights
+ *     advice: 'normalise case ...',  // optional, appended to the insight
+ *     pii: true,                     // optional, values identify a person
+ *     minConformance: 0.8,           // optional share of values that must match
+ *     test: (text) => Boolean        // called with each string value, and
+ *   }                                // with numbers as text
+ *
+ * Every module in this directory is registered when the shared registry is
+ * first used, in the main thread and in each worker thread alike. Detectors
+ * added at runtime with register() are only seen by the thread that added
+ * them, so add a module here for detectors that must apply to parallel runs.
+ */
+class SemanticDetectorRegistry {
+  constructor() {
+    this.detectors = new Map();
+  }
+
+  /**
+   * Shared registry with the detectors in this directory loaded
+   * @returns {SemanticDetectorRegistry}
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new SemanticDetectorRegistry();
+      sharedInstance.loadDirectory(__dirname);
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Register every detector module in a directory
+   * @param {String} directory - Directory of detector modules
+   */
+  loadDirectory(directory) {
+    const modules = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js') && file !== 'index.js')
+      .map(file => path.basename(file, '.js'))
+      .sort((a, b) => {
+        const rank = (name) => (BUILT_IN.includes(name) ? BUILT_IN.indexOf(name) : BUILT_IN.length);
+        return rank(a) - rank(b) || a.localeCompare(b);
+      });
+
+    modules.forEach(name => this.register(require(path.join(directory, name))));
+  }
+
+  /**
+   * Add a detector
+   * @param {Object} detector - { name, label, test, advice?, minConformance? }
+   * @returns {SemanticDetectorRegistry} - this
+   */
+  register(detector) {
+    if (!detector || typeof detector.name !== 'string' || typeof detector.test !== 'function') {
+      throw new Error('A semantic detector needs a name and a test function');
+    }
+    if (this.detectors.has(detector.name)) {
+      throw new Error(`Semantic detector "${detector.name}" is already registered`);
+    }
+
+    this.detectors.set(detector.name, {
+      label: detector.name,
+      minConformance: DEFAULT_MIN_CONFORMANCE,
+      ...detector
+    });
+    return this;
+  }
+
+  get(name) {
+    return this.detectors.get(name) || null;
+  }
+
+  /**
+   * Registered detectors in the order they are checked
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.detectors.values()];
+  }
+}
+
+module.exports = SemanticDetectorRegistry;
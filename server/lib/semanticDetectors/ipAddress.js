@@ -0,0 +1,9 @@
+const net = require('net');
+
+module.exports = {
+  name: 'ipAddress',
+  label: 'IP addresses',
+  pii: true,
+  advice: 'aggregate to subnets or geolocate rather than treating each address as a category',
+  test: (text) => net.isIP(text) !== 0
+};
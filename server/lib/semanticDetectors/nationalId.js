@@ -0,0 +1,12 @@
+// US Social Security numbers (area 000, 666 and 900-999 are never issued)
+// and UK National Insurance numbers
+const SSN_PATTERN = /^(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}$/;
+const NINO_PATTERN = /^(?!BG|GB|NK|KN|TN|NT|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]$/i;
+
+module.exports = {
+  name: 'nationalId',
+  label: 'national ID numbers',
+  pii: true,
+  advice: 'remove national IDs or replace them with surrogate keys',
+  test: (text) => SSN_PATTERN.test(text) || NINO_PATTERN.test(text)
+};
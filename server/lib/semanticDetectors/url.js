@@ -0,0 +1,8 @@
+const URL_PATTERN = /^((https?|ftp):\/\/|www\.)[^\s/$.?#][^\s]*\.[^\s]+$/i;
+
+module.exports = {
+  name: 'url',
+  label: 'URLs',
+  advice: 'extract the domain or path if the full address is too granular to analyse',
+  test: (text) => URL_PATTERN.test(text)
+};
@@ -0,0 +1,8 @@
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+module.exports = {
+  name: 'uuid',
+  label: 'UUIDs',
+  advice: 'use it as a key and exclude it from modelling',
+  test: (text) => UUID_PATTERN.test(text)
+};
@@ -0,0 +1,368 @@
+const SemanticDetectorRegistry = require('./semanticDetectors');
+
+// Column names that make a type more likely than the values alone suggest
+const NAME_HINTS = {
+  zip: /(zip|postal|postcode)/i,
+  phone: /(phone|mobile|tel$|^tel|fax|cell)/i,
+  identifier: /(^|[^a-z])(id|uuid|guid|key|sku)$|[a-z](Id|ID|Key|Uuid)$/i
+};
+
+const BOOLEAN_TOKENS = new Set(['true', 'false', 'yes', 'no', 'y', 'n', 't', 'f', 'on', 'off', '1', '0']);
+
+const US_ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+const UK_POSTCODE_PATTERN = /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i;
+const CA_POSTCODE_PATTERN = /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const IDENTIFIER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:-]{0,63}$/;
+
+// A type is reported outright when this share of values conforms to it
+const CONFIDENCE_THRESHOLD = 0.9;
+// Share of distinct values an identifier column needs without a name hint
+const IDENTIFIER_UNIQUENESS = 0.95;
+const IDENTIFIER_MIN_VALUES = 10;
+
+// Detectors matching fewer values than this after the first values are dropped
+const DETECTION_SAMPLE = 200;
+const DETECTION_MIN_RATE = 0.5;
+
+const MAX_SAMPLES = 5;
+
+// Checked in this order, with registered detectors between phone and
+// identifier; the first type that qualifies wins
+const CANDIDATES = ['boolean', 'zip', 'phone', 'identifier', 'numeric', 'string'];
+
+/**
+ * SemanticTypeAccumulator counts how many values of a column conform to each
+ * candidate type (boolean, zip/postal code, phone number, identifier,
+ * integer, float, string, plus the registered semantic detectors such as
+ * email or currency) and keeps a few values that do not, so the inferred
+ * type can be reported with a confidence and the samples that contradict
+ * it. Built per chunk and merged like the other accumulators.
+ */
+class SemanticTypeAccumulator {
+  /**
+   * @param {Object} options - Accumulator options
+   * @param {Object} options.hints - { zip, phone, identifier } flags from the column name
+   * @param {Array<Object>} options.detectors - Semantic detectors; defaults to the shared registry
+   */
+  constructor(options = {}) {
+    this.hints = { zip: false, phone: false, identifier: false, ...options.hints };
+    this.detectors = options.detectors || SemanticDetectorRegistry.getInstance().list();
+
+    this.count = 0;
+    this.numberCount = 0;
+    this.integerCount = 0;
+    this.postalTextCount = 0; // Postal codes only recognisable as text, e.g. with a leading zero
+    this.conforming = { boolean: 0, zip: 0, phone: 0, identifier: 0, string: 0 };
+    this.samples = {};
+    CANDIDATES.forEach(type => {
+      this.samples[type] = [];
+    });
+
+    // Detector name to { count, disabled }
+    this.detected = {};
+    this.detectors.forEach(detector => {
+      this.detected[detector.name] = { count: 0, disabled: false };
+      this.samples[detector.name] = [];
+    });
+  }
+
+  /**
+   * Type hints suggested by a column name, e.g. `zip` for `billing_zip`
+   * @param {String} name - Column name
+   * @returns {Object} - { zip, phone, identifier }
+   */
+  static hintsForName(name) {
+    const hints = {};
+    Object.entries(NAME_HINTS).forEach(([type, pattern]) => {
+      hints[type] = pattern.test(String(name));
+    });
+    return hints;
+  }
+
+  /**
+   * Add one non-missing cell value
+   * @param {*} value - Parsed cell value
+   */
+  add(value) {
+    this.count++;
+
+    const isNumber = typeof value === 'number' && Number.isFinite(value);
+    const text = value instanceof Date ? value.toISOString() : String(value);
+
+    if (isNumber) {
+      this.numberCount++;
+      if (Number.isInteger(value)) this.integerCount++;
+    } else {
+      this.record('numeric', text);
+    }
+
+    if (typeof value === 'string' && !isNumber) {
+      this.conforming.string++;
+    } else {
+      this.record('string', text);
+    }
+
+    if (BOOLEAN_TOKENS.has(text.toLowerCase())) {
+      this.conforming.boolean++;
+    } else {
+      this.record('boolean', text);
+    }
+
+    this.check('zip', this.isPostalCode(value, isNumber), text);
+    this.check('phone', this.isPhoneNumber(value, isNumber), text);
+    this.check('identifier', this.isIdentifier(value, isNumber), text);
+    this.runDetectors(value, text);
+  }
+
+  /**
+   * Test a value against each detector still in play. Detectors that match
+   * too few of the first values are dropped to keep the pass cheap.
+   */
+  runDetectors(value, text) {
+    for (const detector of this.detectors) {
+      const state = this.detected[detector.name];
+      if (state.disabled) continue;
+
+      // Numbers are offered too, since long digit runs such as card numbers parse as numbers
+      if ((typeof value === 'string' || typeof value === 'number') && detector.test(text)) {
+        state.count++;
+      } else {
+        this.record(detector.name, text);
+      }
+
+      if (this.count === DETECTION_SAMPLE && state.count / this.count < DETECTION_MIN_RATE) {
+        state.disabled = true;
+        this.samples[detector.name] = [];
+      }
+    }
+  }
+
+  check(type, conforms, text) {
+    if (conforms) {
+      this.conforming[type]++;
+    } else {
+      this.record(type, text);
+    }
+  }
+
+  /**
+   * Keep a few distinct values that contradict a candidate type
+   */
+  record(type, text) {
+    const samples = this.samples[type];
+    if (samples.length < MAX_SAMPLES && !samples.includes(text)) {
+      samples.push(text);
+    }
+  }
+
+  /**
+   * Postal codes that start with a digit other than zero arrive as numbers;
+   * ones with a leading zero, ZIP+4 and UK or Canadian codes arrive as text
+   */
+  isPostalCode(value, isNumber) {
+    if (isNumber) {
+      return Number.isInteger(value) && value >= 10000 && value <= 99999;
+    }
+    if (typeof value !== 'string') return false;
+
+    if (US_ZIP_PATTERN.test(value) || UK_POSTCODE_PATTERN.test(value) || CA_POSTCODE_PATTERN.test(value)) {
+      this.postalTextCount++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Phone numbers need 7 to 15 digits. Without a name hint they also need
+   * at least 10 digits, so short numeric ranges and codes are not mistaken
+   * for them; bare numbers only count when the name says phone.
+   */
+  isPhoneNumber(value, isNumber) {
+    if (isNumber) {
+      return this.hints.phone && Number.isInteger(value) && String(Math.abs(value)).length >= 7 &&
+        String(Math.abs(value)).length <= 15;
+    }
+    if (typeof value !== 'string' || !PHONE_PATTERN.test(value)) return false;
+
+    const digits = value.replace(/\D/g, '').length;
+    return digits >= (this.hints.phone ? 7 : 10) && digits <= 15;
+  }
+
+  /**
+   * Identifiers are non-negative integers or single tokens containing a digit
+   * (`A-1042`, UUIDs); plain words are left to the string type
+   */
+  isIdentifier(value, isNumber) {
+    if (isNumber) return Number.isInteger(value) && value >= 0;
+    return typeof value === 'string' && IDENTIFIER_PATTERN.test(value) && /\d/.test(value);
+  }
+
+  /**
+   * Merge another accumulator for the same column
+   * @param {SemanticTypeAccumulator} other - Accumulator over a disjoint chunk
+   * @returns {SemanticTypeAccumulator} - this
+   */
+  merge(other) {
+    this.count += other.count;
+    this.numberCount += other.numberCount;
+    this.integerCount += other.integerCount;
+    this.postalTextCount += other.postalTextCount;
+    Object.keys(this.conforming).forEach(type => {
+      this.conforming[type] += other.conforming[type];
+    });
+    CANDIDATES.forEach(type => {
+      other.samples[type].forEach(text => this.record(type, text));
+    });
+    this.detectors.forEach(({ name }) => {
+      const state = this.detected[name];
+      const otherState = other.detected[name];
+      if (!otherState) return;
+
+      state.count += otherState.count;
+      state.disabled = state.disabled || otherState.disabled;
+      if (state.disabled) {
+        this.samples[name] = [];
+      } else {
+        other.samples[name].forEach(text => this.record(name, text));
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Share of values conforming to each candidate type
+   * @returns {Object} - Type to ratio
+   */
+  conformance() {
+    const ratio = (count) => (this.count > 0 ? count / this.count : 0);
+    return {
+      boolean: ratio(this.conforming.boolean),
+      zip: ratio(this.conforming.zip),
+      phone: ratio(this.conforming.phone),
+      identifier: ratio(this.conforming.identifier),
+      integer: ratio(this.integerCount),
+      float: ratio(this.numberCount),
+      string: ratio(this.conforming.string),
+      ...Object.fromEntries(this.detectors
+        .filter(({ name }) => !this.detected[name].disabled)
+        .map(({ name }) => [name, ratio(this.detected[name].count)]))
+    };
+  }
+
+  /**
+   * Whether a candidate type holds for the column. Zip codes need a name hint
+   * or codes that only make sense as postal codes; identifiers need a name
+   * hint, or near-unique values that are tokens or a dense integer range.
+   * @param {String} type - Candidate type
+   * @param {Object} column - { unique, min, max } of the column
+   */
+  qualifies(type, column) {
+    const ratio = this.conformance()[type === 'numeric' ? 'float' : type];
+    const detector = this.detectors.find(({ name }) => name === type);
+    if (detector) {
+      return ratio !== undefined && ratio >= detector.minConformance;
+    }
+    if (ratio < CONFIDENCE_THRESHOLD) return false;
+
+    switch (type) {
+      case 'boolean':
+        // Allows spelling variants such as `Y`, `N` and `yes` side by side
+        return column.unique <= 4;
+      case 'zip':
+        return this.hints.zip || this.postalTextCount > 0;
+      case 'identifier': {
+        if (this.hints.identifier) return true;
+        if (this.count < IDENTIFIER_MIN_VALUES || column.unique / this.count < IDENTIFIER_UNIQUENESS) {
+          return false;
+        }
+        const textIds = this.conforming.identifier - this.integerCount;
+        const denseRange = this.integerCount === this.count &&
+          column.max - column.min + 1 <= 2 * this.count;
+        return textIds > this.count / 2 || denseRange;
+      }
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Infer the column's semantic type. When no type reaches the confidence
+   * threshold the best of integer, float and string is reported with its
+   * (lower) confidence.
+   * @param {Object} column - { unique, min, max } of the column
+   * @returns {Object} - { type, confidence, conformingCount, conflictingCount, conflictingSamples, candidates }
+   */
+  finalize(column = {}) {
+    const conformance = this.conformance();
+
+    const order = [
+      ...CANDIDATES.slice(0, 3),
+      ...this.detectors.map(({ name }) => name),
+      ...CANDIDATES.slice(3)
+    ];
+
+    let candidate = order.find(type => this.qualifies(type, column));
+    if (!candidate) {
+      candidate = this.numberCount > 0 && conformance.float >= conformance.string ? 'numeric' : 'string';
+    }
+
+    let type = candidate;
+    if (candidate === 'numeric') {
+      type = this.integerCount === this.numberCount ? 'integer' : 'float';
+    }
+
+    let conformingCount = this.conforming[candidate];
+    if (candidate === 'numeric') conformingCount = this.numberCount;
+    if (this.detected[candidate]) conformingCount = this.detected[candidate].count;
+
+    const candidates = {};
+    Object.entries(conformance).forEach(([name, ratio]) => {
+      // Detectors that matched less than half the values may have been
+      // dropped in some chunks, so they are left out
+      if (this.detected[name] && ratio < DETECTION_MIN_RATE) return;
+      candidates[name] = Math.round(ratio * 1000) / 10;
+    });
+
+    return {
+      type,
+      confidence: this.count > 0 ? Math.round(conformingCount / this.count * 1000) / 10 : 0,
+      conformingCount,
+      conflictingCount: this.count - conformingCount,
+      conflictingSamples: this.samples[candidate],
+      candidates
+    };
+  }
+
+  toJSON() {
+    return {
+      hints: this.hints,
+      count: this.count,
+      numberCount: this.numberCount,
+      integerCount: this.integerCount,
+      postalTextCount: this.postalTextCount,
+      conforming: this.conforming,
+      detected: this.detected,
+      samples: this.samples
+    };
+  }
+
+  static fromJSON(state) {
+    const acc = new SemanticTypeAccumulator({ hints: state.hints });
+    Object.assign(acc, state, {
+      conforming: { ...state.conforming },
+      samples: Object.fromEntries(Object.entries(state.samples).map(([type, samples]) => [type, [...samples]]))
+    });
+    // Keep the detectors this thread knows, with their counts from the state
+    acc.detected = {};
+    acc.detectors.forEach(({ name }) => {
+      acc.detected[name] = state.detected[name]
+        ? { ...state.detected[name] }
+        : { count: 0, disabled: true };
+      if (!acc.samples[name]) acc.samples[name] = [];
+    });
+    return acc;
+  }
+}
+
+module.exports = SemanticTypeAccumulator;
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SemanticTypeAccumulator = require('./semanticTypeAccumulator');
+
+// Column facts finalize() takes from the other accumulators
+function columnFacts(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  return {
+    unique: new Set(values.map(String)).size,
+    min: numbers.length ? Math.min(...numbers) : undefined,
+    max: numbers.length ? Math.max(...numbers) : undefined
+  };
+}
+
+function infer(values, name = 'column', options = {}) {
+  const accumulator = new SemanticTypeAccumulator({
+    hints: SemanticTypeAccumulator.hintsForName(name),
+    ...options
+  });
+  values.forEach(value => accumulator.add(value));
+  return accumulator.finalize(columnFacts(values));
+}
+
+test('yes/no flags and 0/1 columns are boolean', () => {
+  assert.strictEqual(infer(['yes', 'no', 'Yes', 'no', 'yes']).type, 'boolean');
+  assert.strictEqual(infer([1, 0, 0, 1, 1, 0]).type, 'boolean');
+  // More than four spellings is no longer a flag
+  assert.notStrictEqual(infer(['yes', 'no', 'y', 'n', 'true', 'false']).type, 'boolean');
+});
+
+test('zip codes with leading zeros are kept apart from integers', () => {
+  // The CSV parser leaves codes with a leading zero as text
+  const zips = ['02134', 10001, 94105, '07030', 60614, 30301];
+  const result = infer(zips);
+
+  assert.strictEqual(result.type, 'zip');
+  assert.strictEqual(result.confidence, 100);
+  // Five-digit numbers alone only count as zip codes when the name says so
+  assert.strictEqual(infer([10001, 94105, 60614, 30301, 73301]).type, 'integer');
+  assert.strictEqual(infer([10001, 94105, 60614, 30301, 73301], 'billing_zip').type, 'zip');
+});
+
+test('phone numbers need ten digits unless the name says phone', () => {
+  const numbers = ['+1 (555) 123-4567', '555-987-6543', '+44 20 7946 0958'];
+  assert.strictEqual(infer(numbers).type, 'phone');
+  assert.strictEqual(infer(['555-1234', '555-9876', '555-4567']).type, 'string');
+  assert.strictEqual(infer(['555-1234', '555-9876', '555-4567'], 'mobile').type, 'phone');
+});
+
+test('identifiers come from the name, or from near-unique tokens and dense integer ranges', () => {
+  const ids = Array.from({ length: 20 }, (_, i) => 1000 + i);
+  assert.strictEqual(infer(ids).type, 'identifier');
+  assert.strictEqual(infer([5, 3, 5, 8], 'customer_id').type, 'identifier');
+  assert.strictEqual(infer(Array.from({ length: 20 }, (_, i) => `SKU-${i}A`)).type, 'identifier');
+  // Sparse integers are measurements, not ids
+  assert.strictEqual(infer(Array.from({ length: 20 }, (_, i) => i * 1000)).type, 'integer');
+});
+
+test('numbers are integer or float and text falls back to string', () => {
+  assert.strictEqual(infer([1.5, 2.25, 3, 4.75]).type, 'float');
+  assert.strictEqual(infer([3, 7, 3, 12, 7]).type, 'integer');
+  assert.strictEqual(infer(['red', 'green', 'blue']).type, 'string');
+});
+
+test('the confidence counts conforming values and conflicting samples are kept', () => {
+  const values = [...Array.from({ length: 18 }, (_, i) => i * 1.5), 'n/a', 'unknown'];
+  const result = infer(values);
+
+  assert.strictEqual(result.type, 'float');
+  assert.strictEqual(result.confidence, 90);
+  assert.strictEqual(result.conformingCount, 18);
+  assert.strictEqual(result.conflictingCount, 2);
+  assert.deepStrictEqual(result.conflictingSamples, ['n/a', 'unknown']);
+  assert.strictEqual(result.candidates.float, 90);
+});
+
+test('below the threshold the best of number and string is reported with its lower confidence', () => {
+  const values = [1.5, 2.5, 3.5, 'a', 'b', 'c', 4.5];
+  const result = infer(values);
+
+  assert.strictEqual(result.type, 'float');
+  assert.strictEqual(result.confidence, 57.1);
+});
+
+test('merged chunks infer the same type, confidence and samples as one pass', () => {
+  const values = Array.from({ length: 300 }, (_, i) => (i % 37 === 0 ? `bad ${i}` : i * 0.5));
+  const whole = new SemanticTypeAccumulator();
+  const first = new SemanticTypeAccumulator();
+  const second = new SemanticTypeAccumulator();
+  values.forEach((value, i) => {
+    whole.add(value);
+    (i < 120 ? first : second).add(value);
+  });
+
+  const merged = SemanticTypeAccumulator.fromJSON(JSON.parse(JSON.stringify(first.toJSON())))
+    .merge(SemanticTypeAccumulator.fromJSON(JSON.parse(JSON.stringify(second.toJSON()))));
+  const facts = columnFacts(values);
+
+  assert.deepStrictEqual(merged.finalize(facts), whole.finalize(facts));
+});
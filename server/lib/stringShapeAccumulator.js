@@ -0,0 +1,214 @@
+// Shapes longer than this are truncated, so free text does not produce
+// one pattern per value
+const MAX_SHAPE_LENGTH = 40;
+// Distinct shapes tracked before new shapes are only counted in total
+const MAX_TRACKED_SHAPES = 1000;
+const TOP_PATTERNS = 10;
+
+// Lengths spanning at most this many values get one histogram bin each
+const MAX_EXACT_LENGTH_BINS = 20;
+const LENGTH_HISTOGRAM_BINS = 10;
+
+const CASE_STYLES = ['upper', 'lower', 'title', 'mixed'];
+
+/**
+ * StringShapeAccumulator profiles the text form of a column's values:
+ * length distribution, character-class "shape" patterns such as AAA-9999
+ * (A upper case letter, a lower case letter, 9 digit, anything else kept
+ * as is), surrounding whitespace, letter case styles and non-ASCII
+ * characters. Like the other accumulators it is built per chunk and merged.
+ */
+class StringShapeAccumulator {
+  constructor() {
+    this.count = 0;
+    this.lengthSum = 0;
+    this.lengths = new Map();
+    this.shapes = new Map();
+    this.untrackedShapeCount = 0;
+    this.leadingWhitespaceCount = 0;
+    this.trailingWhitespaceCount = 0;
+    this.nonAsciiCount = 0;
+    this.caseStyles = { upper: 0, lower: 0, title: 0, mixed: 0 };
+  }
+
+  /**
+   * Character-class pattern of a value
+   * @param {String} text - Value as text
+   * @returns {String} - e.g. "AAA-9999" for "ABC-1234"
+   */
+  static shapeOf(text) {
+    const shape = text.slice(0, MAX_SHAPE_LENGTH)
+      .replace(/\p{Lu}/gu, 'A')
+      .replace(/[\p{Ll}\p{Lo}\p{Lt}\p{Lm}]/gu, 'a')
+      .replace(/\p{N}/gu, '9');
+    return text.length > MAX_SHAPE_LENGTH ? `${shape}…` : shape;
+  }
+
+  /**
+   * Case style of a value with letters, or null when it has none
+   * @param {String} text - Value as text
+   * @returns {String|null} - upper, lower, title or mixed
+   */
+  static caseStyleOf(text) {
+    const hasUpper = /\p{Lu}/u.test(text);
+    const hasLower = /\p{Ll}/u.test(text);
+
+    if (!hasUpper && !hasLower) return null;
+    if (!hasLower) return 'upper';
+    if (!hasUpper) return 'lower';
+    if (/^[^\p{L}]*(\p{Lu}\p{Ll}*[^\p{L}]+)*\p{Lu}\p{Ll}*[^\p{L}]*$/u.test(text)) return 'title';
+    return 'mixed';
+  }
+
+  /**
+   * Add one non-missing value; only strings and numbers have a text shape
+   * @param {*} value - Parsed cell value
+   */
+  add(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return;
+
+    const text = String(value);
+    this.count++;
+    this.lengthSum += text.length;
+    this.lengths.set(text.length, (this.lengths.get(text.length) || 0) + 1);
+
+    const shape = StringShapeAccumulator.shapeOf(text);
+    if (this.shapes.has(shape) || this.shapes.size < MAX_TRACKED_SHAPES) {
+      this.shapes.set(shape, (this.shapes.get(shape) || 0) + 1);
+    } else {
+      this.untrackedShapeCount++;
+    }
+
+    if (/^\s/.test(text)) this.leadingWhitespaceCount++;
+    if (/\s$/.test(text)) this.trailingWhitespaceCount++;
+    if (/[^\x00-\x7F]/.test(text)) this.nonAsciiCount++;
+
+    const caseStyle = StringShapeAccumulator.caseStyleOf(text);
+    if (caseStyle) this.caseStyles[caseStyle]++;
+  }
+
+  /**
+   * Merge another accumulator over a disjoint chunk of the same column
+   * @param {StringShapeAccumulator} other
+   * @returns {StringShapeAccumulator} - this
+   */
+  merge(other) {
+    this.count += other.count;
+    this.lengthSum += other.lengthSum;
+    this.untrackedShapeCount += other.untrackedShapeCount;
+    this.leadingWhitespaceCount += other.leadingWhitespaceCount;
+    this.trailingWhitespaceCount += other.trailingWhitespaceCount;
+    this.nonAsciiCount += other.nonAsciiCount;
+    CASE_STYLES.forEach(style => {
+      this.caseStyles[style] += other.caseStyles[style];
+    });
+
+    other.lengths.forEach((count, length) => {
+      this.lengths.set(length, (this.lengths.get(length) || 0) + count);
+    });
+
+    other.shapes.forEach((count, shape) => {
+      if (this.shapes.has(shape) || this.shapes.size < MAX_TRACKED_SHAPES) {
+        this.shapes.set(shape, (this.shapes.get(shape) || 0) + count);
+      } else {
+        this.untrackedShapeCount += count;
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Length histogram: one bin per length when lengths are few, otherwise
+   * equal-width bins over the length range
+   * @param {Number} min - Shortest length
+   * @param {Number} max - Longest length
+   * @returns {Array<Object>} - [{ min, max, count }]
+   */
+  lengthHistogram(min, max) {
+    const span = max - min + 1;
+    const binCount = span <= MAX_EXACT_LENGTH_BINS ? span : LENGTH_HISTOGRAM_BINS;
+    const width = Math.ceil(span / binCount);
+
+    const bins = [];
+    for (let start = min; start <= max; start += width) {
+      bins.push({ min: start, max: Math.min(start + width - 1, max), count: 0 });
+    }
+    this.lengths.forEach((count, length) => {
+      bins[Math.floor((length - min) / width)].count += count;
+    });
+
+    return bins;
+  }
+
+  /**
+   * Produce the string profile
+   * @returns {Object|null} - null when the column had no text values
+   */
+  finalize() {
+    if (this.count === 0) return null;
+
+    const lengths = [...this.lengths.keys()];
+    const minLength = Math.min(...lengths);
+    const maxLength = Math.max(...lengths);
+    const percentOf = (count) => Math.round((count / this.count) * 1000) / 10;
+
+    const patterns = [...this.shapes.entries()]
+      .sort(([shapeA, a], [shapeB, b]) => b - a || shapeA.localeCompare(shapeB))
+      .slice(0, TOP_PATTERNS)
+      .map(([pattern, count]) => ({ pattern, count, percent: percentOf(count) }));
+
+    const dominant = patterns[0];
+    const casedStyles = CASE_STYLES.filter(style => this.caseStyles[style] > 0);
+
+    return {
+      count: this.count,
+      length: {
+        min: minLength,
+        max: maxLength,
+        mean: this.lengthSum / this.count,
+        histogram: this.lengthHistogram(minLength, maxLength)
+      },
+      patterns,
+      patternCount: this.shapes.size,
+      patternsTruncated: this.untrackedShapeCount > 0,
+      dominantPattern: {
+        pattern: dominant.pattern,
+        conformingCount: dominant.count,
+        conflictingCount: this.count - dominant.count,
+        conformance: dominant.percent
+      },
+      leadingWhitespaceCount: this.leadingWhitespaceCount,
+      trailingWhitespaceCount: this.trailingWhitespaceCount,
+      nonAsciiCount: this.nonAsciiCount,
+      caseStyles: { ...this.caseStyles },
+      mixedCase: casedStyles.length > 1
+    };
+  }
+
+  toJSON() {
+    return {
+      count: this.count,
+      lengthSum: this.lengthSum,
+      lengths: [...this.lengths.entries()],
+      shapes: [...this.shapes.entries()],
+      untrackedShapeCount: this.untrackedShapeCount,
+      leadingWhitespaceCount: this.leadingWhitespaceCount,
+      trailingWhitespaceCount: this.trailingWhitespaceCount,
+      nonAsciiCount: this.nonAsciiCount,
+      caseStyles: this.caseStyles
+    };
+  }
+
+  static fromJSON(state) {
+    const acc = new StringShapeAccumulator();
+    Object.assign(acc, state, {
+      lengths: new Map(state.lengths),
+      shapes: new Map(state.shapes),
+      caseStyles: { ...state.caseStyles }
+    });
+    return acc;
+  }
+}
+
+module.exports = StringShapeAccumulator;
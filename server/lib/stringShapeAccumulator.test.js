@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const StringShapeAccumulator = require('./stringShapeAccumulator');
+
+function accumulate(values) {
+  const accumulator = new StringShapeAccumulator();
+  values.forEach(value => accumulator.add(value));
+  return accumulator;
+}
+
+test('shapes map letters and digits to character classes', () => {
+  assert.strictEqual(StringShapeAccumulator.shapeOf('ABC-1234'), 'AAA-9999');
+  assert.strictEqual(StringShapeAccumulator.shapeOf('Zoë 7'), 'Aaa 9');
+  assert.strictEqual(StringShapeAccumulator.shapeOf('東京'), 'aa');
+  assert.strictEqual(StringShapeAccumulator.shapeOf('x'.repeat(45)), `${'a'.repeat(40)}…`);
+});
+
+test('case styles', () => {
+  assert.strictEqual(StringShapeAccumulator.caseStyleOf('ACME LTD'), 'upper');
+  assert.strictEqual(StringShapeAccumulator.caseStyleOf('acme'), 'lower');
+  assert.strictEqual(StringShapeAccumulator.caseStyleOf('New York'), 'title');
+  assert.strictEqual(StringShapeAccumulator.caseStyleOf('iPhone'), 'mixed');
+  assert.strictEqual(StringShapeAccumulator.caseStyleOf('12-34'), null);
+});
+
+test('the dominant pattern and its conformance expose malformed codes', () => {
+  const values = [...Array.from({ length: 18 }, (_, i) => `ABC-${1000 + i}`), 'abc-1', 'ABC1234'];
+  const profile = accumulate(values).finalize();
+
+  assert.deepStrictEqual(profile.dominantPattern, {
+    pattern: 'AAA-9999',
+    conformingCount: 18,
+    conflictingCount: 2,
+    conformance: 90
+  });
+  assert.deepStrictEqual(profile.patterns.map(({ pattern, count }) => [pattern, count]), [
+    ['AAA-9999', 18], ['aaa-9', 1], ['AAA9999', 1]
+  ]);
+  assert.strictEqual(profile.patternCount, 3);
+  assert.strictEqual(profile.mixedCase, true);
+});
+
+test('length statistics and a histogram with one bin per short length', () => {
+  const profile = accumulate(['a', 'bb', 'bb', 'dddd']).finalize();
+
+  assert.deepStrictEqual(
+    { min: profile.length.min, max: profile.length.max, mean: profile.length.mean },
+    { min: 1, max: 4, mean: 9 / 4 }
+  );
+  assert.deepStrictEqual(profile.length.histogram.map(bin => bin.count), [1, 2, 0, 1]);
+});
+
+test('wide length ranges fall into ten equal-width bins', () => {
+  const values = Array.from({ length: 100 }, (_, i) => 'x'.repeat(i + 1));
+  const { histogram } = accumulate(values).finalize().length;
+
+  assert.strictEqual(histogram.length, 10);
+  assert.deepStrictEqual(histogram[0], { min: 1, max: 10, count: 10 });
+  assert.strictEqual(histogram.reduce((sum, bin) => sum + bin.count, 0), 100);
+});
+
+test('surrounding whitespace and non-ASCII characters are counted', () => {
+  const profile = accumulate([' padded', 'trailing ', ' both ', 'café', 'plain']).finalize();
+
+  assert.strictEqual(profile.leadingWhitespaceCount, 2);
+  assert.strictEqual(profile.trailingWhitespaceCount, 2);
+  assert.strictEqual(profile.nonAsciiCount, 1);
+});
+
+test('only strings and numbers have a shape', () => {
+  const accumulator = accumulate([new Date(), true, 42]);
+
+  assert.strictEqual(accumulator.count, 1);
+  assert.strictEqual(new StringShapeAccumulator().finalize(), null);
+});
+
+test('free text stops tracking new shapes beyond the cap', () => {
+  // Each value spells its index in binary as lower and upper case letters
+  const values = Array.from({ length: 1100 }, (_, i) => i.toString(2).padStart(11, '0').replace(/0/g, 'x').replace(/1/g, 'Y'));
+  const profile = accumulate(values).finalize();
+
+  assert.strictEqual(profile.patternCount, 1000);
+  assert.strictEqual(profile.patternsTruncated, true);
+  assert.strictEqual(profile.patterns.length, 10);
+});
+
+test('merged chunks match a single pass', () => {
+  const values = Array.from({ length: 400 }, (_, i) => (i % 7 === 0 ? ` item ${i}` : `SKU-${i}`));
+  const whole = accumulate(values);
+  const merged = StringShapeAccumulator.fromJSON(JSON.parse(JSON.stringify(accumulate(values.slice(0, 150)).toJSON())))
+    .merge(StringShapeAccumulator.fromJSON(JSON.parse(JSON.stringify(accumulate(values.slice(150)).toJSON()))));
+
+  assert.deepStrictEqual(merged.finalize(), whole.finalize());
+});
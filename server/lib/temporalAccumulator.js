@@ -0,0 +1,382 @@
+const {
+  MS_PER_DAY,
+  parseDateString,
+  parseEpoch,
+  parseDateObject,
+  toDayNumber,
+  formatDay
+} = require('./dateParser');
+const QuantileSketch = require('./quantileSketch');
+
+// Column names that make integer values worth reading as Unix epochs
+const TEMPORAL_NAME_PATTERN = /(date|time|timestamp|_at$|_on$|^at$|created|updated|modified|epoch)/i;
+
+// Dates outside these years are reported as implausible
+const MIN_PLAUSIBLE_YEAR = 1900;
+const MAX_PLAUSIBLE_YEAR = 2100;
+
+// Stop trying to parse a column once most of its first values are not dates
+const DETECTION_SAMPLE = 200;
+const DETECTION_MIN_RATE = 0.5;
+
+const MAX_EXAMPLES = 5;
+const MAX_TRACKED_DAYS = 40000; // ~110 years of daily data
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const GRANULARITIES = ['millisecond', 'second', 'minute', 'hour', 'day', 'month'];
+const PERCENTILES = Array.from({ length: 99 }, (_, i) => i + 1);
+
+/**
+ * TemporalAccumulator tries to read each value of a column as a date and
+ * collects the temporal profile of the values that parse: range, formats,
+ * granularity, calendar coverage, day/hour distributions and percentiles
+ * of the timestamps. Like the other
+ * accumulators it is built per chunk and merged.
+ */
+class TemporalAccumulator {
+  /**
+   * @param {Object} options - Accumulator options
+   * @param {Boolean} options.epochCandidate - Read integers as Unix epochs
+   * @param {Number} options.referenceTime - "Now" for future-date checks (ms)
+   * @param {Number} options.sketchSize - Quantile sketch capacity per level
+   */
+  constructor(options = {}) {
+    this.epochCandidate = Boolean(options.epochCandidate);
+    this.referenceTime = options.referenceTime || Date.now();
+
+    this.attempts = 0;
+    this.disabled = false;
+    this.count = 0;
+    this.timeCount = 0;
+    this.ambiguousCount = 0;
+    this.formats = new Map();
+    this.min = null;
+    this.max = null;
+    this.sketch = new QuantileSketch(options.sketchSize);
+    // Values with a non-default component, used to infer granularity
+    this.components = { millisecond: 0, second: 0, minute: 0, hour: 0, day: 0, month: 0 };
+    this.dayOfWeek = new Array(7).fill(0);
+    this.hourOfDay = new Array(24).fill(0);
+    this.days = new Set(); // Distinct calendar days; null once too many to track
+    this.futureCount = 0;
+    this.futureExamples = [];
+    this.implausibleCount = 0;
+    this.implausibleExamples = [];
+    this.unparsedCount = 0;
+    this.unparsedExamples = [];
+  }
+
+  static isTemporalName(name) {
+    return TEMPORAL_NAME_PATTERN.test(String(name));
+  }
+
+  /**
+   * Try to add one non-missing cell value
+   * @param {*} value - Parsed cell value
+   */
+  add(value) {
+    if (this.disabled) return;
+
+    let parsed = null;
+    if (value instanceof Date) {
+      parsed = parseDateObject(value);
+    } else if (typeof value === 'string') {
+      parsed = parseDateString(value);
+    } else if (typeof value === 'number' && this.epochCandidate) {
+      parsed = parseEpoch(value);
+    } else if (typeof value !== 'number') {
+      return;
+    }
+
+    this.attempts++;
+
+    if (parsed) {
+      this.addParsed(parsed, value);
+    } else {
+      this.unparsedCount++;
+      if (this.unparsedExamples.length < MAX_EXAMPLES) {
+        this.unparsedExamples.push(String(value));
+      }
+    }
+
+    if (this.attempts === DETECTION_SAMPLE && this.count / this.attempts < DETECTION_MIN_RATE) {
+      this.disable();
+    }
+  }
+
+  addParsed(parsed, raw) {
+    const { timestamp, fields, format, hasTime } = parsed;
+
+    this.count++;
+    this.formats.set(format, (this.formats.get(format) || 0) + 1);
+    if (parsed.ambiguous) this.ambiguousCount++;
+
+    if (this.min === null || timestamp < this.min) this.min = timestamp;
+    if (this.max === null || timestamp > this.max) this.max = timestamp;
+    this.sketch.add(timestamp);
+
+    if (fields.millisecond) this.components.millisecond++;
+    if (fields.second) this.components.second++;
+    if (fields.minute) this.components.minute++;
+    if (fields.hour) this.components.hour++;
+    if (fields.day !== 1) this.components.day++;
+    if (fields.month !== 1) this.components.month++;
+
+    const dayNumber = toDayNumber(fields);
+    this.dayOfWeek[((dayNumber + 4) % 7 + 7) % 7]++; // 1970-01-01 was a Thursday
+
+    if (hasTime) {
+      this.timeCount++;
+      this.hourOfDay[fields.hour]++;
+    }
+
+    const plausible = fields.year >= MIN_PLAUSIBLE_YEAR && fields.year <= MAX_PLAUSIBLE_YEAR;
+
+    // Implausible dates would stretch the calendar used for gap detection
+    if (this.days && plausible) {
+      this.days.add(dayNumber);
+      if (this.days.size > MAX_TRACKED_DAYS) this.days = null;
+    }
+
+    if (!plausible) {
+      this.implausibleCount++;
+      if (this.implausibleExamples.length < MAX_EXAMPLES) {
+        this.implausibleExamples.push(String(raw instanceof Date ? raw.toISOString() : raw));
+      }
+    } else if (timestamp > this.referenceTime) {
+      this.futureCount++;
+      if (this.futureExamples.length < MAX_EXAMPLES) {
+        this.futureExamples.push(String(raw instanceof Date ? raw.toISOString() : raw));
+      }
+    }
+  }
+
+  /**
+   * Give up on a column that is clearly not temporal, freeing what was collected
+   */
+  disable() {
+    this.disabled = true;
+    this.formats = new Map();
+    this.days = null;
+    this.sketch = new QuantileSketch(this.sketch.k);
+  }
+
+  /**
+   * Merge another accumulator for the same column
+   * @param {TemporalAccumulator} other - Accumulator over a disjoint chunk
+   * @returns {TemporalAccumulator} - this
+   */
+  merge(other) {
+    if (this.disabled || other.disabled) {
+      this.disable();
+      return this;
+    }
+
+    this.attempts += other.attempts;
+    this.count += other.count;
+    this.timeCount += other.timeCount;
+    this.ambiguousCount += other.ambiguousCount;
+    other.formats.forEach((count, format) => {
+      this.formats.set(format, (this.formats.get(format) || 0) + count);
+    });
+
+    if (other.min !== null && (this.min === null || other.min < this.min)) this.min = other.min;
+    if (other.max !== null && (this.max === null || other.max > this.max)) this.max = other.max;
+    this.sketch.merge(other.sketch);
+
+    Object.keys(this.components).forEach(key => {
+      this.components[key] += other.components[key];
+    });
+    other.dayOfWeek.forEach((count, i) => { this.dayOfWeek[i] += count; });
+    other.hourOfDay.forEach((count, i) => { this.hourOfDay[i] += count; });
+
+    if (this.days && other.days) {
+      other.days.forEach(day => this.days.add(day));
+      if (this.days.size > MAX_TRACKED_DAYS) this.days = null;
+    } else {
+      this.days = null;
+    }
+
+    this.futureCount += other.futureCount;
+    this.implausibleCount += other.implausibleCount;
+    this.unparsedCount += other.unparsedCount;
+    this.futureExamples = this.futureExamples.concat(other.futureExamples).slice(0, MAX_EXAMPLES);
+    this.implausibleExamples = this.implausibleExamples.concat(other.implausibleExamples).slice(0, MAX_EXAMPLES);
+    this.unparsedExamples = this.unparsedExamples.concat(other.unparsedExamples).slice(0, MAX_EXAMPLES);
+
+    return this;
+  }
+
+  /**
+   * Whether enough of the column's values are dates to treat it as temporal
+   * @param {Number} validCount - Non-missing values in the column
+   * @param {Number} threshold - Minimum share of values that must parse
+   */
+  isTemporal(validCount, threshold = 0.8) {
+    return !this.disabled && this.count > 0 && this.count / validCount >= threshold;
+  }
+
+  get hasTime() {
+    return this.timeCount > 0;
+  }
+
+  /**
+   * Finest unit in which the values differ, e.g. `day` for plain dates
+   */
+  get granularity() {
+    const finest = GRANULARITIES.find(unit => this.components[unit] > 0);
+    return finest || 'year';
+  }
+
+  /**
+   * Produce the temporal profile
+   * @param {Number} validCount - Non-missing values in the column
+   * @returns {Object} - Temporal statistics
+   */
+  finalize(validCount) {
+    const formats = [...this.formats.entries()]
+      .sort(([, a], [, b]) => b - a)
+      .map(([format, count]) => ({
+        format,
+        count,
+        percent: (count / this.count) * 100
+      }));
+
+    const spanMs = this.max - this.min;
+
+    return {
+      min: new Date(this.min).toISOString(),
+      max: new Date(this.max).toISOString(),
+      span: {
+        milliseconds: spanMs,
+        days: spanMs / MS_PER_DAY,
+        description: TemporalAccumulator.describeDuration(spanMs)
+      },
+      granularity: this.granularity,
+      hasTime: this.hasTime,
+      parsedCount: this.count,
+      parsedPercent: validCount > 0 ? (this.count / validCount) * 100 : 0,
+      formats,
+      dominantFormat: formats[0]?.format || null,
+      mixedFormats: formats.length > 1,
+      ambiguousDayMonthCount: this.ambiguousCount,
+      unparsedCount: this.unparsedCount,
+      unparsedExamples: this.unparsedExamples,
+      dayOfWeek: DAY_NAMES.reduce((acc, name, i) => ({ ...acc, [name]: this.dayOfWeek[i] }), {}),
+      hourOfDay: this.hasTime ? [...this.hourOfDay] : null,
+      gaps: this.gapStats(),
+      // Epoch milliseconds at p1..p99, index 0 is p1
+      percentiles: this.sketch.percentiles(PERCENTILES),
+      futureCount: this.futureCount,
+      futureExamples: this.futureExamples,
+      implausibleCount: this.implausibleCount,
+      implausibleExamples: this.implausibleExamples,
+      plausibleRange: [MIN_PLAUSIBLE_YEAR, MAX_PLAUSIBLE_YEAR]
+    };
+  }
+
+  /**
+   * Calendar coverage between the first and last value: days for daily or
+   * finer data, months for monthly data and years for yearly data
+   * @returns {Object|null} - Gap summary, or null when days were not tracked
+   */
+  gapStats() {
+    if (!this.days || this.days.size < 2) return null;
+
+    const granularity = this.granularity;
+    const unit = granularity === 'year' ? 'year' : granularity === 'month' ? 'month' : 'day';
+
+    const toPeriod = (dayNumber) => {
+      if (unit === 'day') return dayNumber;
+      const date = new Date(dayNumber * MS_PER_DAY);
+      return unit === 'month'
+        ? date.getUTCFullYear() * 12 + date.getUTCMonth()
+        : date.getUTCFullYear();
+    };
+    const formatPeriod = (period) => {
+      if (unit === 'day') return formatDay(period);
+      if (unit === 'month') return `${Math.floor(period / 12)}-${String(period % 12 + 1).padStart(2, '0')}`;
+      return String(period);
+    };
+
+    const periods = [...new Set([...this.days].map(toPeriod))].sort((a, b) => a - b);
+    if (periods.length < 2) return null;
+
+    let largestGap = null;
+    for (let i = 1; i < periods.length; i++) {
+      const missing = periods[i] - periods[i - 1] - 1;
+      if (missing > 0 && (!largestGap || missing > largestGap.length)) {
+        largestGap = {
+          length: missing,
+          from: formatPeriod(periods[i - 1] + 1),
+          to: formatPeriod(periods[i] - 1)
+        };
+      }
+    }
+
+    const expectedPeriods = periods[periods.length - 1] - periods[0] + 1;
+
+    return {
+      unit,
+      expectedPeriods,
+      observedPeriods: periods.length,
+      missingPeriods: expectedPeriods - periods.length,
+      coveragePercent: (periods.length / expectedPeriods) * 100,
+      largestGap
+    };
+  }
+
+  static describeDuration(ms) {
+    const days = ms / MS_PER_DAY;
+    if (days >= 365) return `${(days / 365.25).toFixed(1)} years`;
+    if (days >= 60) return `${(days / 30.44).toFixed(1)} months`;
+    if (days >= 1) return `${days.toFixed(1)} days`;
+    const hours = ms / (60 * 60 * 1000);
+    if (hours >= 1) return `${hours.toFixed(1)} hours`;
+    return `${(ms / 60000).toFixed(1)} minutes`;
+  }
+
+  toJSON() {
+    return {
+      epochCandidate: this.epochCandidate,
+      referenceTime: this.referenceTime,
+      attempts: this.attempts,
+      disabled: this.disabled,
+      count: this.count,
+      timeCount: this.timeCount,
+      ambiguousCount: this.ambiguousCount,
+      formats: [...this.formats.entries()],
+      min: this.min,
+      max: this.max,
+      sketch: this.sketch.toJSON(),
+      components: this.components,
+      dayOfWeek: this.dayOfWeek,
+      hourOfDay: this.hourOfDay,
+      days: this.days ? [...this.days] : null,
+      futureCount: this.futureCount,
+      futureExamples: this.futureExamples,
+      implausibleCount: this.implausibleCount,
+      implausibleExamples: this.implausibleExamples,
+      unparsedCount: this.unparsedCount,
+      unparsedExamples: this.unparsedExamples
+    };
+  }
+
+  static fromJSON(state) {
+    const acc = new TemporalAccumulator({
+      epochCandidate: state.epochCandidate,
+      referenceTime: state.referenceTime
+    });
+    Object.assign(acc, state, {
+      formats: new Map(state.formats),
+      sketch: QuantileSketch.fromJSON(state.sketch),
+      components: { ...state.components },
+      dayOfWeek: [...state.dayOfWeek],
+      hourOfDay: [...state.hourOfDay],
+      days: state.days ? new Set(state.days) : null
+    });
+    return acc;
+  }
+}
+
+module.exports = TemporalAccumulator;
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TemporalAccumulator = require('./temporalAccumulator');
+
+const REFERENCE_TIME = Date.UTC(2024, 5, 1);
+
+function accumulate(values, options = {}) {
+  const accumulator = new TemporalAccumulator({ referenceTime: REFERENCE_TIME, ...options });
+  values.forEach(value => accumulator.add(value));
+  return accumulator;
+}
+
+function isoDay(offset) {
+  return new Date(Date.UTC(2024, 0, 1 + offset)).toISOString().slice(0, 10);
+}
+
+test('daily dates report range, span, granularity and day-of-week counts', () => {
+  // 2024-01-01 was a Monday; two full weeks
+  const values = Array.from({ length: 14 }, (_, i) => isoDay(i));
+  const temporal = accumulate(values).finalize(values.length);
+
+  assert.strictEqual(temporal.min, '2024-01-01T00:00:00.000Z');
+  assert.strictEqual(temporal.max, '2024-01-14T00:00:00.000Z');
+  assert.strictEqual(temporal.span.days, 13);
+  assert.strictEqual(temporal.span.description, '13.0 days');
+  assert.strictEqual(temporal.granularity, 'day');
+  assert.strictEqual(temporal.hasTime, false);
+  assert.strictEqual(temporal.hourOfDay, null);
+  assert.deepStrictEqual(Object.values(temporal.dayOfWeek), [2, 2, 2, 2, 2, 2, 2]);
+  assert.strictEqual(temporal.dayOfWeek.Monday, 2);
+  assert.strictEqual(temporal.parsedPercent, 100);
+});
+
+test('gaps in daily data are counted and the largest is located', () => {
+  const days = [0, 1, 2, 6, 7, 9];
+  const temporal = accumulate(days.map(isoDay)).finalize(days.length);
+
+  assert.deepStrictEqual(temporal.gaps, {
+    unit: 'day',
+    expectedPeriods: 10,
+    observedPeriods: 6,
+    missingPeriods: 4,
+    coveragePercent: 60,
+    largestGap: { length: 3, from: '2024-01-04', to: '2024-01-06' }
+  });
+});
+
+test('monthly data is measured in months', () => {
+  const values = ['2023-01-01', '2023-02-01', '2023-05-01', '2023-06-01'];
+  const temporal = accumulate(values).finalize(values.length);
+
+  assert.strictEqual(temporal.granularity, 'month');
+  assert.strictEqual(temporal.gaps.unit, 'month');
+  assert.deepStrictEqual(temporal.gaps.largestGap, { length: 2, from: '2023-03', to: '2023-04' });
+});
+
+test('datetimes report hour-of-day counts and minute granularity', () => {
+  const values = ['2024-01-01 08:15', '2024-01-01 08:45', '2024-01-02 17:30'];
+  const temporal = accumulate(values).finalize(values.length);
+
+  assert.strictEqual(temporal.granularity, 'minute');
+  assert.strictEqual(temporal.hasTime, true);
+  assert.strictEqual(temporal.hourOfDay[8], 2);
+  assert.strictEqual(temporal.hourOfDay[17], 1);
+});
+
+test('mixed formats, unparsed, future and implausible values are reported', () => {
+  const values = ['2024-01-05', '2024-01-06', '01/07/2024', 'soon', '2030-01-01', '1850-06-01'];
+  const accumulator = accumulate(values);
+  const temporal = accumulator.finalize(values.length);
+
+  assert.strictEqual(temporal.mixedFormats, true);
+  assert.strictEqual(temporal.dominantFormat, 'YYYY-MM-DD');
+  assert.strictEqual(temporal.ambiguousDayMonthCount, 1);
+  assert.deepStrictEqual([temporal.unparsedCount, temporal.unparsedExamples], [1, ['soon']]);
+  assert.deepStrictEqual([temporal.futureCount, temporal.futureExamples], [1, ['2030-01-01']]);
+  assert.deepStrictEqual([temporal.implausibleCount, temporal.implausibleExamples], [1, ['1850-06-01']]);
+  // The implausible date does not stretch the calendar used for gaps
+  assert.strictEqual(temporal.gaps.expectedPeriods > 2000 && temporal.gaps.expectedPeriods < 3000, true);
+  assert.strictEqual(accumulator.isTemporal(values.length), true);
+});
+
+test('epochs are only read when the column name suggests time', () => {
+  assert.strictEqual(TemporalAccumulator.isTemporalName('created_at'), true);
+  assert.strictEqual(TemporalAccumulator.isTemporalName('amount'), false);
+
+  const epochs = [1700000000, 1700086400, 1700172800];
+  assert.strictEqual(accumulate(epochs).count, 0);
+  const temporal = accumulate(epochs, { epochCandidate: true }).finalize(epochs.length);
+  assert.strictEqual(temporal.dominantFormat, 'epoch (seconds)');
+  assert.strictEqual(temporal.span.days, 2);
+});
+
+test('columns that are mostly not dates stop being parsed', () => {
+  const values = Array.from({ length: 300 }, (_, i) => (i % 10 === 0 ? isoDay(i) : `word ${i}`));
+  const accumulator = accumulate(values);
+
+  assert.strictEqual(accumulator.disabled, true);
+  assert.strictEqual(accumulator.isTemporal(values.length), false);
+});
+
+test('merging chunks matches a single pass', () => {
+  const values = Array.from({ length: 500 }, (_, i) => (i % 50 === 0 ? `${isoDay(i)} 10:00` : isoDay(i % 200)));
+  const whole = accumulate(values);
+  const first = accumulate(values.slice(0, 230));
+  const second = accumulate(values.slice(230));
+
+  const merged = TemporalAccumulator.fromJSON(JSON.parse(JSON.stringify(first.toJSON())))
+    .merge(TemporalAccumulator.fromJSON(JSON.parse(JSON.stringify(second.toJSON()))));
+
+  assert.deepStrictEqual(merged.finalize(values.length), whole.finalize(values.length));
+});
@@ -0,0 +1,49 @@
+const CsvParserService = require('../services/csvParserService');
+
+/**
+ * Validate the JSON body of a profiling request. Streamed uploads are
+ * validated while they are parsed.
+ */
+const validateProfileRequest = (req, res, next) => {
+  if (CsvParserService.isStreamingRequest(req)) {
+    return next();
+  }
+
+  const { csv } = req.body || {};
+  
+  if (!csv) {
+    req.logger.warn('Validation failed - no CSV data', { requestId: req.requestId });
+    return res.status(400).json({
+      error: 'CSV data is required',
+      requestId: req.requestId
+    });
+  }
+  
+  if (typeof csv !== 'string') {
+    req.logger.warn('Validation failed - CSV not string', { requestId: req.requestId });
+    return res.status(400).json({
+      error: 'CSV data must be a string',
+      requestId: req.requestId
+    });
+  }
+  
+  if (csv.length < 10) {
+    req.logger.warn('Validation failed - CSV too short', { requestId: req.requestId });
+    return res.status(400).json({
+      error: 'CSV data is too short to be valid',
+      requestId: req.requestId
+    });
+  }
+  
+  if (csv.length > 50 * 1024 * 1024) { // 50MB
+    req.logger.warn('Validation failed - CSV too large', { requestId: req.requestId });
+    return res.status(400).json({
+      error: 'CSV data exceeds 50MB limit',
+      requestId: req.requestId
+    });
+  }
+  
+  next();
+};
+
+module.exports = validateProfileRequest;
@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProfilePipeline = require('../services/profilePipeline');
+const CsvParserService = require('../services/csvParserService');
+const JobService = require('../services/jobService');
+const ProgressService = require('../services/progressService');
+const validateProfileRequest = require('../middleware/validateProfileRequest');
+
+const profilePipeline = ProfilePipeline.getInstance();
+let jobService = null;
+
+const getJobService = (logger) => {
+  if (!jobService) {
+    jobService = new JobService(logger, { progressService: ProgressService.getInstance() });
+  }
+  return jobService;
+};
+
+/**
+ * Read the request into a job input. JSON bodies are kept in memory;
+ * streamed uploads are spooled to a temporary file so the request can be
+ * answered before the CSV is parsed.
+ */
+const readJobInput = async (req) => {
+  if (!CsvParserService.isStreamingRequest(req)) {
+    return { csv: req.body.csv, options: req.body.options || {} };
+  }
+
+  const filePath = path.join(os.tmpdir(), `profilaniq_${req.requestId}.csv`);
+
+  try {
+    const upload = await profilePipeline.csvParserService.spoolRequest(req, filePath);
+
+    return {
+      filePath,
+      fileName: upload.fileName,
+      options: upload.options,
+      bytesWritten: upload.bytesWritten
+    };
+  } catch (error) {
+    fs.unlink(filePath, () => {});
+    throw error;
+  }
+};
+
+/**
+ * Start a background profiling job
+ */
+router.post('/', validateProfileRequest, async (req, res, next) => {
+  try {
+    const input = await readJobInput(req);
+    const service = getJobService(req.logger);
+    // The closures below outlive the request, so they hold no reference to it
+    const { logger, requestId } = req;
+    const { filePath } = input;
+
+    const job = service.createJob('profile', async ({ signal, updateProgress }) => {
+      const { fromCache, data } = await profilePipeline.run(input, {
+        logger,
+        requestId,
+        signal,
+        onProgress: updateProgress
+      });
+      return { fromCache, data };
+    }, {
+      requestId,
+      ...(input.fileName && { fileName: input.fileName })
+    }, () => {
+      if (filePath) {
+        fs.unlink(filePath, () => {});
+      }
+    });
+
+    req.logger.info('Profiling job created', {
+      requestId: req.requestId,
+      jobId: job.id,
+      spooledBytes: input.bytesWritten
+    });
+
+    res.status(202).json({
+      success: true,
+      requestId: req.requestId,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/${job.id}`,
+      progressUrl: `/api/progress/${job.id}`
+    });
+
+  } catch (error) {
+    req.logger.error('Failed to create profiling job', {
+      requestId: req.requestId,
+      error: error.message
+    });
+
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details,
+        requestId: req.requestId
+      });
+    }
+
+    next(error);
+  }
+});
+
+/**
+ * Get the status, progress and (once completed) the result of a job
+ */
+router.get('/:id', (req, res) => {
+  const job = getJobService(req.logger).getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: 'The job does not exist or has expired',
+      requestId: req.requestId
+    });
+  }
+
+  res.json({
+    success: true,
+    requestId: req.requestId,
+    job
+  });
+});
+
+/**
+ * Cancel a queued or running job, or remove a finished one
+ */
+router.delete('/:id', (req, res) => {
+  const service = getJobService(req.logger);
+  const { id } = req.params;
+
+  if (service.isFinished(id)) {
+    service.deleteJob(id);
+    return res.json({
+      success: true,
+      requestId: req.requestId,
+      deleted: true
+    });
+  }
+
+  const job = service.cancelJob(id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: 'The job does not exist or has expired',
+      requestId: req.requestId
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    requestId: req.requestId,
+    job
+  });
+});
+
+module.exports = router;
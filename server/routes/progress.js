@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const ProgressService = require('../services/progressService');
+
+const progressService = ProgressService.getInstance();
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Stream progress for a request or job id as Server-Sent Events. The
+ * stream can be opened before the profiling request is sent; it ends after
+ * the run completes, fails or is cancelled.
+ */
+router.get('/:id', (req, res) => {
+  const { id } = req.params;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Compression buffers output until flushed
+  const write = (chunk) => {
+    res.write(chunk);
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  write('retry: 2000\n\n');
+
+  const send = (event) => write(`event: progress\ndata: ${JSON.stringify(event)}\n\n`);
+
+  // A run that already finished only needs its final event
+  const current = progressService.getLatest(id);
+  if (ProgressService.isTerminal(current)) {
+    send(current);
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const unsubscribe = progressService.subscribe(id, (event) => {
+    send(event);
+
+    if (ProgressService.isTerminal(event)) {
+      close();
+      res.end();
+    }
+  });
+
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', close);
+
+  req.logger.info('Progress stream opened', { requestId: req.requestId, progressId: id });
+});
+
+module.exports = router;
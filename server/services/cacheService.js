@@ -80,11 +80,43 @@ class CacheService {
   generateFingerprint(csv, options = {}) {
     // Generate a hash of the CSV content
     const contentHash = crypto.createHash('sha256').update(csv).digest('hex');
-    
+
+    return this.generateFingerprintFromHash(contentHash, options);
+  }
+
+  /**
+   * Generate a fingerprint from a precomputed content hash, used for
+   * streamed uploads that are hashed while they are parsed
+   * @param {String} contentHash - SHA-256 hex digest of the CSV content
+   * @param {Object} options - Processing options that affect results
+   * @returns {String} - Unique fingerprint
+   */
+  generateFingerprintFromHash(contentHash, options = {}) {
     // Include relevant options in the fingerprint
     const relevantOptions = {
       delimiter: options.delimiter || '',
-      skipEmptyLines: options.skipEmptyLines !== false
+      skipEmptyLines: options.skipEmptyLines !== false,
+      piiHandling: options.piiHandling || 'none',
+      histogramBins: options.histogramBins || 'fd',
+      frequencyThreshold: options.frequencyThreshold ?? null,
+      minCorrelationOverlap: options.minCorrelationOverlap ?? null,
+      correlationMethod: options.correlationMethod || 'pearson',
+      confidenceLevel: options.confidenceLevel ?? null,
+      maxAssociationCategories: options.maxAssociationCategories ?? null,
+      outlierMethod: options.outlierMethod || 'iqr',
+      outlierThresholds: options.outlierThresholds || null,
+      outlierTopN: options.outlierTopN ?? null,
+      machineLearning: options.machineLearning !== false,
+      clusterCount: options.clusterCount ?? 'auto',
+      contamination: options.contamination ?? null,
+      randomSeed: options.randomSeed ?? null,
+      duplicateKeys: options.duplicateKeys || null,
+      nearDuplicates: options.nearDuplicates === true,
+      nearDuplicateColumns: options.nearDuplicateColumns || null,
+      nearDuplicateThreshold: options.nearDuplicateThreshold ?? null,
+      maxKeyWidth: options.maxKeyWidth ?? null,
+      dependencyThreshold: options.dependencyThreshold ?? null,
+      nullValues: options.nullValues ?? null
     };
     
     // Create a combined fingerprint of content and options
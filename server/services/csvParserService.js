@@ -0,0 +1,434 @@
+const Papa = require('papaparse');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { performance } = require('perf_hooks');
+const busboy = require('busboy');
+const { cancelledError } = require('../lib/cancellation');
+
+// Parsed rows between progress reports while streaming
+const PROGRESS_INTERVAL_ROWS = 10000;
+
+// The patterns Papa's dynamicTyping uses for numbers and full ISO timestamps
+const FLOAT_PATTERN = /^\s*-?(\d+\.?|\.\d+|\d+\.\d+)([eE][-+]?\d+)?\s*$/;
+const ISO_DATE_PATTERN = /^\d{4}-[01]\d-[0-3]\dT[0-2]\d:[0-5]\d(:[0-5]\d(\.\d+)?)?([+-][0-2]\d:[0-5]\d|Z)$/;
+// Digit strings whose leading zeros are significant (zip codes, account numbers)
+const LEADING_ZERO_PATTERN = /^-?0\d/;
+
+/**
+ * CsvParserService parses CSV input either from an in-memory string
+ * or from a stream (raw body or multipart upload), so large files can be
+ * profiled without buffering the whole text
+ */
+class CsvParserService {
+  constructor(samplingService, options = {}) {
+    this.samplingService = samplingService;
+    this.maxUploadBytes = options.maxUploadBytes || 5 * 1024 * 1024 * 1024; // 5GB
+  }
+
+  /**
+   * Build the Papa.parse configuration shared by string and stream parsing
+   * @param {Object} options - Processing options
+   * @returns {Object} - Papa.parse config
+   */
+  getParseOptions(options = {}) {
+    return {
+      header: true,
+      // Values are typed in transform so leading zeros can be kept
+      dynamicTyping: false,
+      skipEmptyLines: options.skipEmptyLines !== false,
+      delimiter: options.delimiter || '',
+      transformHeader: (header) => header.trim(),
+      transform: (value) => CsvParserService.typeValue(value)
+    };
+  }
+
+  /**
+   * Convert a cell to a boolean, number or Date the way Papa's dynamicTyping
+   * does, except that digit strings with a leading zero stay strings
+   * @param {String} value - Raw cell text
+   * @returns {*} - Typed value; null for an empty cell
+   */
+  static typeValue(value) {
+    if (typeof value !== 'string') return value;
+
+    const text = value.trim();
+    if (text === '') return null;
+    if (text === 'true' || text === 'TRUE') return true;
+    if (text === 'false' || text === 'FALSE') return false;
+
+    if (FLOAT_PATTERN.test(text) && !LEADING_ZERO_PATTERN.test(text)) {
+      const number = parseFloat(text);
+      if (Number.isSafeInteger(Math.trunc(number))) return number;
+    }
+
+    if (ISO_DATE_PATTERN.test(text)) return new Date(text);
+
+    // Keep text as written so surrounding whitespace shows up in profiles
+    return value;
+  }
+
+  /**
+   * Parse a CSV string held in memory
+   * @param {String} csv - CSV content
+   * @param {Object} options - Processing options
+   * @returns {Object} - Papa.parse result ({ data, errors, meta })
+   */
+  parseString(csv, options = {}) {
+    return Papa.parse(csv, this.getParseOptions(options));
+  }
+
+  /**
+   * Check whether a request carries the CSV as a stream rather than JSON
+   * @param {Object} req - Express request
+   * @returns {Boolean}
+   */
+  isStreamingRequest(req) {
+    return CsvParserService.isStreamingRequest(req);
+  }
+
+  static isStreamingRequest(req) {
+    return Boolean(req.is(CsvParserService.STREAMING_TYPES));
+  }
+
+  /**
+   * Parse a streamed upload. Multipart bodies are read with busboy (an
+   * `options` field must precede the `file` field); any other content type
+   * is treated as the raw CSV body with options in the `options` query param.
+   * @param {Object} req - Express request
+   * @param {Object} context - { signal } to abort parsing
+   * @returns {Promise<Object>} - Parse result plus the options that were sent
+   */
+  parseRequest(req, context = {}) {
+    return this.readUpload(req, (stream, options) => this.parseStream(stream, options, context));
+  }
+
+  /**
+   * Write a streamed upload to disk without parsing it, so it can be
+   * profiled later by a background job
+   * @param {Object} req - Express request
+   * @param {String} filePath - Destination file
+   * @returns {Promise<Object>} - { filePath, bytesWritten, options, fileName }
+   */
+  spoolRequest(req, filePath) {
+    return this.readUpload(req, async (stream) => {
+      await pipeline(stream, fs.createWriteStream(filePath));
+      return { filePath, bytesWritten: fs.statSync(filePath).size };
+    });
+  }
+
+  /**
+   * Hand the CSV stream of a multipart or raw-body request to a consumer
+   * @param {Object} req - Express request
+   * @param {Function} consume - (stream, options) => Promise<Object>
+   * @returns {Promise<Object>} - Consumer result plus options and fileName
+   */
+  async readUpload(req, consume) {
+    if (req.is('multipart/form-data')) {
+      return this.readMultipart(req, consume);
+    }
+
+    const options = this.parseOptionsField(req.query.options);
+    const result = await consume(this.limitStream(req), options);
+    return { ...result, options, fileName: null };
+  }
+
+  /**
+   * Read the first file field of a multipart/form-data request
+   * @param {Object} req - Express request
+   * @param {Function} consume - (stream, options) => Promise<Object>
+   * @returns {Promise<Object>} - Consumer result plus options and fileName
+   */
+  async readMultipart(req, consume) {
+    const { options, files } = await this.readMultipartFiles(req, consume);
+    const [file] = Object.values(files);
+    return { ...file, options };
+  }
+
+  /**
+   * Parse the named file fields of a multipart/form-data request, such as
+   * the two datasets of a comparison. The `options` field must precede them.
+   * @param {Object} req - Express request
+   * @param {Array<String>} fields - Required file field names
+   * @param {Object} context - { signal }, and { onProgress(field, progress) }
+   * @returns {Promise<Object>} - { options, files: { field: parse result plus fileName and parseTime } }
+   */
+  parseRequestFiles(req, fields, context = {}) {
+    if (!req.is('multipart/form-data')) {
+      const err = new Error(`Uploads must be multipart/form-data with ${fields.join(' and ')} file fields`);
+      err.status = 400;
+      return Promise.reject(err);
+    }
+
+    return this.readMultipartFiles(req, async (stream, options, field) => {
+      const startTime = performance.now();
+      const result = await this.parseStream(stream, options, {
+        signal: context.signal,
+        onProgress: context.onProgress && ((progress) => context.onProgress(field, progress))
+      });
+      return { ...result, parseTime: performance.now() - startTime };
+    }, fields);
+  }
+
+  /**
+   * Hand each file of a multipart/form-data request to a consumer
+   * @param {Object} req - Express request
+   * @param {Function} consume - (stream, options, field) => Promise<Object>
+   * @param {Array<String>|null} fields - Required file field names, or null
+   *   to accept a single file under any name
+   * @returns {Promise<Object>} - { options, files: { field: consumer result plus fileName } }
+   */
+  readMultipartFiles(req, consume, fields = null) {
+    return new Promise((resolve, reject) => {
+      let bb;
+      try {
+        bb = busboy({
+          headers: req.headers,
+          limits: { files: fields ? fields.length : 1, fileSize: this.maxUploadBytes }
+        });
+      } catch (err) {
+        err.status = 400;
+        return reject(err);
+      }
+
+      let options = {};
+      let optionsError = null;
+      const consumed = [];
+
+      bb.on('field', (name, value) => {
+        if (name === 'options') {
+          try {
+            options = this.parseOptionsField(value);
+          } catch (err) {
+            optionsError = err;
+          }
+        }
+      });
+
+      bb.on('file', (name, file, info) => {
+        const expected = !fields || (fields.includes(name) && !consumed.some(entry => entry.name === name));
+        if (optionsError || !expected) {
+          file.resume();
+          return;
+        }
+
+        file.on('limit', () => {
+          file.destroy(this.uploadTooLargeError());
+        });
+
+        const promise = consume(file, options, name);
+        // Failures are reported once busboy closes
+        promise.catch(() => {});
+        consumed.push({ name, fileName: info.filename, promise });
+      });
+
+      bb.on('error', (err) => {
+        err.status = err.status || 400;
+        reject(err);
+      });
+
+      bb.on('close', () => {
+        if (optionsError) {
+          return reject(optionsError);
+        }
+
+        const missing = fields
+          ? fields.filter(field => !consumed.some(entry => entry.name === field))
+          : consumed.length === 0 ? ['file'] : [];
+
+        if (missing.length > 0) {
+          const err = new Error(fields
+            ? `Multipart upload is missing the ${missing.join(' and ')} file field${missing.length === 1 ? '' : 's'}`
+            : 'Multipart upload did not contain a file');
+          err.status = 400;
+          return reject(err);
+        }
+
+        Promise.all(consumed.map(entry => entry.promise))
+          .then(results => {
+            const files = {};
+            consumed.forEach((entry, i) => {
+              files[entry.name] = { ...results[i], fileName: entry.fileName };
+            });
+            resolve({ options, files });
+          })
+          .catch(reject);
+      });
+
+      req.pipe(bb);
+    });
+  }
+
+  /**
+   * Enforce the upload size limit on a raw request body
+   * @param {Readable} stream - Request stream
+   * @returns {Readable} - Stream that errors once the limit is exceeded
+   */
+  limitStream(stream) {
+    const maxBytes = this.maxUploadBytes;
+    const tooLarge = () => this.uploadTooLargeError();
+    let received = 0;
+
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          return callback(tooLarge());
+        }
+        callback(null, chunk);
+      }
+    });
+
+    stream.on('error', (err) => limiter.destroy(err));
+    return stream.pipe(limiter);
+  }
+
+  uploadTooLargeError() {
+    const err = new Error(`Upload exceeds the ${this.formatBytes(this.maxUploadBytes)} limit`);
+    err.status = 413;
+    return err;
+  }
+
+  /**
+   * Parse a readable stream in Papa step mode. Rows are reservoir-sampled as
+   * they arrive unless sampling is disabled, and the content is hashed on the
+   * fly so the result can be cached like a JSON request.
+   * @param {Readable} stream - CSV byte stream
+   * @param {Object} options - Processing options
+   * @param {Object} context - { signal } to abort parsing, { onProgress({ rowsParsed, bytesRead }) }
+   *   called every PROGRESS_INTERVAL_ROWS rows
+   * @returns {Promise<Object>} - { data, errors, totalRows, bytesRead, contentHash, samplingMetadata }
+   */
+  parseStream(stream, options = {}, context = {}) {
+    const { signal, onProgress } = context;
+    const {
+      enableSampling = true,
+      sampleSize = 5000,
+      fullAnalysis = false,
+      randomSeed
+    } = options;
+
+    const shouldSample = enableSampling && !fullAnalysis;
+    const sampler = shouldSample
+      ? this.samplingService.createReservoirSampler({ maxSampleSize: sampleSize, randomSeed })
+      : null;
+
+    const rows = [];
+    const errors = [];
+    const hash = crypto.createHash('sha256');
+    let bytesRead = 0;
+    let totalRows = 0;
+
+    // Hash the raw bytes, but hand Papa text: decoding chunk by chunk would
+    // garble multi-byte characters split across chunk boundaries
+    const decoder = new StringDecoder('utf8');
+    const tap = new Transform({
+      decodeStrings: false,
+      readableObjectMode: true,
+      transform(chunk, encoding, callback) {
+        const bytes = typeof chunk === 'string' ? Buffer.from(chunk, encoding) : chunk;
+        hash.update(bytes);
+        bytesRead += bytes.length;
+        const text = decoder.write(bytes);
+        callback(null, text || undefined);
+      },
+      flush(callback) {
+        const text = decoder.end();
+        callback(null, text || undefined);
+      }
+    });
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const fail = (err) => {
+        if (settled) return;
+        settled = true;
+        reject(err);
+      };
+
+      stream.on('error', fail);
+      tap.on('error', fail);
+
+      if (signal) {
+        if (signal.aborted) {
+          return fail(cancelledError());
+        }
+        signal.addEventListener('abort', () => {
+          fail(cancelledError());
+          stream.destroy();
+        }, { once: true });
+      }
+
+      Papa.parse(stream.pipe(tap), {
+        ...this.getParseOptions(options),
+        step: (results) => {
+          if (results.errors && results.errors.length > 0) {
+            results.errors.forEach(err => {
+              if (errors.length < 100) {
+                errors.push({ ...err, row: totalRows });
+              }
+            });
+          }
+
+          totalRows++;
+          if (sampler) {
+            sampler.add(results.data);
+          } else {
+            rows.push(results.data);
+          }
+
+          if (onProgress && totalRows % PROGRESS_INTERVAL_ROWS === 0) {
+            onProgress({ rowsParsed: totalRows, bytesRead });
+          }
+        },
+        complete: () => {
+          if (settled) return;
+          settled = true;
+
+          const { sample, metadata } = sampler
+            ? sampler.getResult()
+            : { sample: rows, metadata: { isSampled: false } };
+
+          resolve({
+            data: sample,
+            errors,
+            totalRows,
+            bytesRead,
+            contentHash: hash.digest('hex'),
+            samplingMetadata: metadata
+          });
+        },
+        error: fail
+      });
+    });
+  }
+
+  /**
+   * Parse the JSON-encoded options sent alongside a streamed upload
+   * @param {String} value - Raw options value
+   * @returns {Object} - Parsed options
+   */
+  parseOptionsField(value) {
+    if (!value) return {};
+
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (err) {
+      const error = new Error('options must be a JSON object');
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(0)}GB`;
+    return `${(bytes / (1024 * 1024)).toFixed(0)}MB`;
+  }
+}
+
+CsvParserService.STREAMING_TYPES = ['multipart/form-data', 'text/csv', 'text/plain', 'application/octet-stream'];
+
+module.exports = CsvParserService;
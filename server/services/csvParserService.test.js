@@ -0,0 +1,191 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const CsvParserService = require('./csvParserService');
+const SamplingService = require('./samplingService');
+
+const parser = new CsvParserService(new SamplingService());
+
+/**
+ * Stream a buffer in fixed-size byte chunks
+ */
+function chunkedStream(buffer, size) {
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += size) {
+    chunks.push(buffer.subarray(i, i + size));
+  }
+  return Readable.from(chunks);
+}
+
+const NAMES = ['Zoë Müller', 'José Ñúñez', '李小龙', 'Åsa Øberg', 'naïve café 😀'];
+
+function multiByteCsv(rows) {
+  const lines = ['id,name'];
+  for (let i = 0; i < rows; i++) lines.push(`${i},${NAMES[i % NAMES.length]}`);
+  return Buffer.from(lines.join('\n'), 'utf8');
+}
+
+test('parseStream decodes multi-byte characters split across chunk boundaries', async () => {
+  const buffer = multiByteCsv(2000);
+  const chunkSize = 1001;
+
+  // The fixture must actually split a character: a boundary byte that is a UTF-8 continuation byte
+  let splits = 0;
+  for (let i = chunkSize; i < buffer.length; i += chunkSize) {
+    if ((buffer[i] & 0xc0) === 0x80) splits++;
+  }
+  assert.ok(splits > 0, 'fixture should split at least one character');
+
+  const result = await parser.parseStream(chunkedStream(buffer, chunkSize), { enableSampling: false });
+
+  assert.strictEqual(result.totalRows, 2000);
+  assert.strictEqual(result.bytesRead, buffer.length);
+  result.data.forEach((row, i) => {
+    assert.strictEqual(row.name, NAMES[i % NAMES.length]);
+  });
+});
+
+test('parseStream decodes a single-byte stream without loss', async () => {
+  const buffer = multiByteCsv(50);
+  const result = await parser.parseStream(chunkedStream(buffer, 1), { enableSampling: false });
+
+  assert.deepStrictEqual(result.data.map(row => row.name), Array.from({ length: 50 }, (_, i) => NAMES[i % NAMES.length]));
+});
+
+test('parseStream hashes the raw bytes like a JSON request', async () => {
+  const buffer = multiByteCsv(300);
+  const result = await parser.parseStream(chunkedStream(buffer, 777), { enableSampling: false });
+
+  assert.strictEqual(result.contentHash, crypto.createHash('sha256').update(buffer).digest('hex'));
+});
+
+/**
+ * Minimal stand-in for an Express request: a body stream with headers,
+ * query and req.is()
+ */
+function uploadRequest(body, contentType, query = {}) {
+  const req = Readable.from([Buffer.from(body)]);
+  req.headers = { 'content-type': contentType, 'content-length': String(Buffer.byteLength(body)) };
+  req.query = query;
+  req.is = (types) => {
+    const mime = contentType.split(';')[0].trim();
+    return [].concat(types).find(type => type === mime) || false;
+  };
+  return req;
+}
+
+function multipartBody(boundary, parts) {
+  const lines = [];
+  parts.forEach(({ name, value, filename }) => {
+    lines.push(`--${boundary}`);
+    if (filename) {
+      lines.push(`Content-Disposition: form-data; name="${name}"; filename="${filename}"`);
+      lines.push('Content-Type: text/csv');
+    } else {
+      lines.push(`Content-Disposition: form-data; name="${name}"`);
+    }
+    lines.push('', value);
+  });
+  lines.push(`--${boundary}--`, '');
+  return lines.join('\r\n');
+}
+
+const CSV = 'id,score\n1,10\n2,20\n3,30';
+
+test('parseRequest reads the options field and file of a multipart upload', async () => {
+  const boundary = 'test-boundary';
+  const body = multipartBody(boundary, [
+    { name: 'options', value: JSON.stringify({ enableSampling: false, delimiter: ',' }) },
+    { name: 'file', value: CSV, filename: 'scores.csv' }
+  ]);
+
+  const result = await parser.parseRequest(uploadRequest(body, `multipart/form-data; boundary=${boundary}`));
+
+  assert.strictEqual(result.fileName, 'scores.csv');
+  assert.deepStrictEqual(result.options, { enableSampling: false, delimiter: ',' });
+  assert.deepStrictEqual(result.data, [{ id: 1, score: 10 }, { id: 2, score: 20 }, { id: 3, score: 30 }]);
+});
+
+test('parseRequest reads a raw CSV body with options from the query string', async () => {
+  const req = uploadRequest(CSV, 'text/csv', { options: JSON.stringify({ enableSampling: false }) });
+  const result = await parser.parseRequest(req);
+
+  assert.strictEqual(result.totalRows, 3);
+  assert.strictEqual(result.fileName, null);
+  assert.deepStrictEqual(result.options, { enableSampling: false });
+});
+
+test('parseRequest rejects a malformed options field with a 400', async () => {
+  const boundary = 'test-boundary';
+  const body = multipartBody(boundary, [
+    { name: 'options', value: '{not json' },
+    { name: 'file', value: CSV, filename: 'scores.csv' }
+  ]);
+
+  await assert.rejects(
+    parser.parseRequest(uploadRequest(body, `multipart/form-data; boundary=${boundary}`)),
+    error => error.status === 400 && /options must be a JSON object/.test(error.message)
+  );
+});
+
+test('parseRequestFiles reads both comparison files with the shared options', async () => {
+  const boundary = 'test-boundary';
+  const body = multipartBody(boundary, [
+    { name: 'options', value: JSON.stringify({ enableSampling: false }) },
+    { name: 'dataset1', value: CSV, filename: 'before.csv' },
+    { name: 'dataset2', value: 'id,score\n4,40', filename: 'after.csv' }
+  ]);
+
+  const { options, files } = await parser.parseRequestFiles(
+    uploadRequest(body, `multipart/form-data; boundary=${boundary}`),
+    ['dataset1', 'dataset2']
+  );
+
+  assert.deepStrictEqual(options, { enableSampling: false });
+  assert.deepStrictEqual([files.dataset1.fileName, files.dataset1.totalRows], ['before.csv', 3]);
+  assert.deepStrictEqual(files.dataset2.data, [{ id: 4, score: 40 }]);
+});
+
+test('parseRequestFiles rejects uploads missing a file or not sent as multipart', async () => {
+  const boundary = 'test-boundary';
+  const body = multipartBody(boundary, [{ name: 'dataset1', value: CSV, filename: 'before.csv' }]);
+  const fields = ['dataset1', 'dataset2'];
+
+  await assert.rejects(
+    parser.parseRequestFiles(uploadRequest(body, `multipart/form-data; boundary=${boundary}`), fields),
+    error => error.status === 400 && error.message === 'Multipart upload is missing the dataset2 file field'
+  );
+  await assert.rejects(
+    parser.parseRequestFiles(uploadRequest(CSV, 'text/csv'), fields),
+    error => error.status === 400 && /must be multipart\/form-data with dataset1 and dataset2/.test(error.message)
+  );
+});
+
+test('uploads beyond maxUploadBytes are rejected with a 413', async () => {
+  const small = new CsvParserService(new SamplingService(), { maxUploadBytes: 16 });
+
+  await assert.rejects(
+    small.parseRequest(uploadRequest(CSV, 'text/csv')),
+    error => error.status === 413
+  );
+});
+
+test('parseStream reservoir-samples rows but counts every row', async () => {
+  const buffer = multiByteCsv(3000);
+  const result = await parser.parseStream(chunkedStream(buffer, 4096), { sampleSize: 500, randomSeed: 7 });
+
+  assert.strictEqual(result.totalRows, 3000);
+  assert.strictEqual(result.data.length, 500);
+  assert.strictEqual(result.samplingMetadata.isSampled, true);
+});
+
+test('parseStream rejects with a cancellation error once aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    parser.parseStream(chunkedStream(multiByteCsv(10), 64), {}, { signal: controller.signal }),
+    error => error.code === 'CANCELLED'
+  );
+});
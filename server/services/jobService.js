@@ -0,0 +1,243 @@
+const ProgressService = require('./progressService');
+const { isCancelledError } = require('../lib/cancellation');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * JobService runs long profiling work in the background of this process and
+ * keeps its status, progress and result for polling. Finished jobs are
+ * retained for a configurable time and up to a configurable count.
+ */
+class JobService {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Job options
+   * @param {Number} options.concurrency - Jobs allowed to run at once (JOB_CONCURRENCY)
+   * @param {Number} options.retentionMs - How long finished jobs are kept (JOB_RETENTION_MS)
+   * @param {Number} options.maxRetained - Finished jobs kept before the oldest are evicted (JOB_MAX_RETAINED)
+   * @param {ProgressService} options.progressService - Receives job progress for streaming, keyed by job id
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.concurrency = options.concurrency || Number(process.env.JOB_CONCURRENCY) || 2;
+    this.retentionMs = options.retentionMs || Number(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000; // 1 hour
+    this.maxRetained = options.maxRetained || Number(process.env.JOB_MAX_RETAINED) || 100;
+    this.progressService = options.progressService || null;
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+
+    // Periodically drop finished jobs past their retention time
+    const cleanupTimer = setInterval(() => this.pruneFinishedJobs(), 60 * 1000);
+    cleanupTimer.unref();
+  }
+
+  /**
+   * Create and enqueue a job
+   * @param {String} type - Job type, e.g. 'profile'
+   * @param {Function} runner - async ({ signal, updateProgress }) => result
+   * @param {Object} meta - Extra fields reported with the job
+   * @param {Function} onSettled - Called once the job leaves the running state
+   * @returns {Object} - Serialised job
+   */
+  createJob(type, runner, meta = {}, onSettled = null) {
+    const id = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const job = {
+      id,
+      type,
+      status: 'queued',
+      progress: { phase: 'queued', percent: 0 },
+      meta,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      controller: new AbortController(),
+      runner,
+      onSettled
+    };
+
+    this.jobs.set(id, job);
+    this.queue.push(job);
+
+    this.logger.info('Job queued', { jobId: id, type, queueLength: this.queue.length });
+
+    setImmediate(() => this.processQueue());
+    return this.serialize(job);
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.serialize(job) : null;
+  }
+
+  /**
+   * Cancel a queued or running job. Its signal is aborted, which terminates
+   * any worker threads it started.
+   * @param {String} id - Job id
+   * @returns {Object|null} - Serialised job, or null when unknown
+   */
+  cancelJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      return this.serialize(job);
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this.settle(job, 'cancelled');
+    } else {
+      job.controller.abort();
+    }
+
+    this.logger.info('Job cancelled', { jobId: id });
+    return this.serialize(job);
+  }
+
+  /**
+   * Remove a finished job and its result
+   * @returns {Boolean} - Whether the job was removed
+   */
+  deleteJob(id) {
+    const job = this.jobs.get(id);
+    if (!job || !TERMINAL_STATUSES.includes(job.status)) return false;
+    return this.jobs.delete(id);
+  }
+
+  isFinished(id) {
+    const job = this.jobs.get(id);
+    return Boolean(job && TERMINAL_STATUSES.includes(job.status));
+  }
+
+  processQueue() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      this.runJob(this.queue.shift());
+    }
+  }
+
+  async runJob(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    this.logger.info('Job started', { jobId: job.id, type: job.type });
+
+    // The runner closes over the request input, which must not outlive the run
+    const { runner } = job;
+    job.runner = null;
+
+    try {
+      const result = await runner({
+        signal: job.controller.signal,
+        updateProgress: (progress) => {
+          job.progress = progress;
+          // Terminal events are published once the job has settled
+          if (!ProgressService.isTerminal(progress)) {
+            this.publishProgress(job, progress);
+          }
+        }
+      });
+
+      if (job.controller.signal.aborted) {
+        this.settle(job, 'cancelled');
+      } else {
+        job.result = result;
+        this.settle(job, 'completed');
+      }
+    } catch (error) {
+      if (isCancelledError(error) || job.controller.signal.aborted) {
+        this.settle(job, 'cancelled');
+      } else {
+        job.error = {
+          message: error.message,
+          status: error.status,
+          ...error.details
+        };
+        this.settle(job, 'failed');
+
+        this.logger.error('Job failed', { jobId: job.id, error: error.message, stack: error.stack });
+      }
+    } finally {
+      this.running--;
+      this.processQueue();
+    }
+  }
+
+  settle(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    // Retained jobs keep their result, not the closures over their input
+    const { onSettled } = job;
+    job.runner = null;
+    job.onSettled = null;
+    if (status === 'completed') {
+      job.progress = { ...job.progress, phase: 'completed', percent: 100 };
+    }
+
+    this.logger.info('Job finished', { jobId: job.id, status });
+
+    this.publishProgress(job, {
+      phase: status,
+      percent: job.progress.percent,
+      ...(job.error && { error: job.error.message })
+    });
+
+    if (onSettled) {
+      try {
+        onSettled(job);
+      } catch (err) {
+        this.logger.warn('Job cleanup failed', { jobId: job.id, error: err.message });
+      }
+    }
+
+    this.pruneFinishedJobs();
+  }
+
+  publishProgress(job, progress) {
+    if (this.progressService) {
+      this.progressService.publish(job.id, progress);
+    }
+  }
+
+  /**
+   * Apply the retention policy: drop finished jobs older than retentionMs,
+   * then the oldest finished jobs beyond maxRetained
+   */
+  pruneFinishedJobs() {
+    const now = Date.now();
+    const finished = [...this.jobs.values()]
+      .filter(job => TERMINAL_STATUSES.includes(job.status))
+      .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt));
+
+    let remaining = finished.length;
+    finished.forEach(job => {
+      const expired = now - new Date(job.finishedAt).getTime() > this.retentionMs;
+      if (expired || remaining > this.maxRetained) {
+        this.jobs.delete(job.id);
+        remaining--;
+      }
+    });
+  }
+
+  serialize(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      ...job.meta,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      ...(job.status === 'completed' && { result: job.result }),
+      ...(job.status === 'failed' && { error: job.error })
+    };
+  }
+}
+
+module.exports = JobService;
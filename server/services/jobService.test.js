@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const JobService = require('./jobService');
+const { cancelledError } = require('../lib/cancellation');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+// Poll until the job reaches one of the statuses
+async function waitFor(jobs, id, statuses) {
+  for (let i = 0; i < 200; i++) {
+    const job = jobs.getJob(id);
+    if (statuses.includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Job ${id} did not reach ${statuses.join('/')}`);
+}
+
+// A runner that waits until it is released or aborted
+function gatedRunner() {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const runner = ({ signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(cancelledError()), { once: true });
+    gate.then(resolve);
+  });
+  return { runner, release };
+}
+
+test('a job runs in the background and keeps its result for polling', async () => {
+  const jobs = new JobService(quietLogger);
+  const created = jobs.createJob('profile', async ({ updateProgress }) => {
+    updateProgress({ phase: 'profiling', percent: 50 });
+    return { rows: 3 };
+  }, { fileName: 'data.csv' });
+
+  assert.strictEqual(created.status, 'queued');
+  assert.strictEqual(created.fileName, 'data.csv');
+
+  const job = await waitFor(jobs, created.id, ['completed']);
+  assert.deepStrictEqual(job.result, { rows: 3 });
+  assert.deepStrictEqual(job.progress, { phase: 'completed', percent: 100 });
+  assert.ok(job.startedAt && job.finishedAt);
+});
+
+test('failed jobs report the error with its status and details', async () => {
+  const jobs = new JobService(quietLogger);
+  const created = jobs.createJob('profile', async () => {
+    const error = new Error('No data found in CSV');
+    error.status = 400;
+    error.details = { parseErrors: [] };
+    throw error;
+  });
+
+  const job = await waitFor(jobs, created.id, ['failed']);
+  assert.deepStrictEqual(job.error, { message: 'No data found in CSV', status: 400, parseErrors: [] });
+  assert.strictEqual(job.result, undefined);
+});
+
+test('cancelling a running job aborts its signal', async () => {
+  const jobs = new JobService(quietLogger);
+  const { runner } = gatedRunner();
+  const created = jobs.createJob('profile', runner);
+
+  await waitFor(jobs, created.id, ['running']);
+  jobs.cancelJob(created.id);
+
+  const job = await waitFor(jobs, created.id, ['cancelled']);
+  assert.strictEqual(job.status, 'cancelled');
+});
+
+test('queued jobs wait for a free slot and can be cancelled before they start', async () => {
+  const jobs = new JobService(quietLogger, { concurrency: 1 });
+  const first = gatedRunner();
+  let secondStarted = false;
+
+  const running = jobs.createJob('profile', first.runner);
+  const queued = jobs.createJob('profile', async () => { secondStarted = true; });
+  const third = jobs.createJob('profile', async () => 'done');
+
+  await waitFor(jobs, running.id, ['running']);
+  assert.strictEqual(jobs.getJob(queued.id).status, 'queued');
+
+  assert.strictEqual(jobs.cancelJob(queued.id).status, 'cancelled');
+  first.release('first');
+
+  await waitFor(jobs, third.id, ['completed']);
+  assert.strictEqual(secondStarted, false);
+  assert.strictEqual(jobs.getJob(running.id).result, 'first');
+});
+
+test('retained jobs drop the runner and cleanup closures over their input', async () => {
+  const jobs = new JobService(quietLogger, { concurrency: 1 });
+  const first = gatedRunner();
+  let cleanups = 0;
+
+  const running = jobs.createJob('profile', first.runner, {}, () => { cleanups++; });
+  const queued = jobs.createJob('profile', async () => 'never', {}, () => { cleanups++; });
+  await waitFor(jobs, running.id, ['running']);
+
+  // The runner is released as soon as it starts
+  assert.strictEqual(jobs.jobs.get(running.id).runner, null);
+  jobs.cancelJob(queued.id);
+  first.release('done');
+  await waitFor(jobs, running.id, ['completed']);
+
+  [running.id, queued.id].forEach(id => {
+    const job = jobs.jobs.get(id);
+    assert.strictEqual(job.runner, null);
+    assert.strictEqual(job.onSettled, null);
+  });
+  assert.strictEqual(cleanups, 2);
+});
+
+test('finished jobs beyond maxRetained are evicted oldest first', async () => {
+  const jobs = new JobService(quietLogger, { maxRetained: 2 });
+  const ids = [];
+  for (let i = 0; i < 3; i++) {
+    const { id } = jobs.createJob('profile', async () => i);
+    ids.push(id);
+    await waitFor(jobs, id, ['completed']);
+  }
+
+  assert.strictEqual(jobs.getJob(ids[0]), null);
+  assert.strictEqual(jobs.getJob(ids[2]).result, 2);
+});
+
+test('only finished jobs can be deleted', async () => {
+  const jobs = new JobService(quietLogger);
+  const { runner, release } = gatedRunner();
+  const { id } = jobs.createJob('profile', runner);
+
+  await waitFor(jobs, id, ['running']);
+  assert.strictEqual(jobs.deleteJob(id), false);
+
+  release();
+  await waitFor(jobs, id, ['completed']);
+  assert.strictEqual(jobs.deleteJob(id), true);
+  assert.strictEqual(jobs.getJob(id), null);
+});
+
+test('progress is published under the job id, with the terminal event last', async () => {
+  const events = [];
+  const progressService = { publish: (id, progress) => events.push({ id, ...progress }) };
+  const jobs = new JobService(quietLogger, { progressService });
+
+  const { id } = jobs.createJob('profile', async ({ updateProgress }) => {
+    updateProgress({ phase: 'parsing', percent: 5 });
+    updateProgress({ phase: 'completed', percent: 100 });
+    return {};
+  });
+  await waitFor(jobs, id, ['completed']);
+
+  assert.deepStrictEqual(events.map(event => [event.id, event.phase]), [[id, 'parsing'], [id, 'completed']]);
+});
@@ -0,0 +1,272 @@
+const IsolationForest = require('../lib/isolationForest');
+const KMeans = require('../lib/kMeans');
+const PatternRecognizer = require('../lib/patternRecognizer');
+const SamplingService = require('./samplingService');
+const { throwIfAborted } = require('../lib/cancellation');
+
+// Rows the models are fitted on; larger datasets are sampled with the seed
+const MAX_ML_ROWS = 10000;
+const DEFAULT_RANDOM_SEED = 42;
+const MAX_CLUSTER_COUNT = 20;
+// Isolation forest scores marking an anomaly, and a high-severity one
+const ANOMALY_SCORE = 0.6;
+const HIGH_ANOMALY_SCORE = 0.8;
+const MAX_LISTED_ANOMALIES = 100;
+// Below this many rows isolation depths are too shallow to tell anomalies
+// apart, so the forest is not run
+const MIN_ANOMALY_ROWS = 50;
+// Largest share of rows that may be flagged as anomalous
+const DEFAULT_CONTAMINATION = 0.1;
+const MAX_CONTAMINATION = 0.5;
+// Standardised distance of a cluster centroid from the column mean that
+// makes the column one of the cluster's distinguishing features
+const DISTINGUISHING_Z = 0.5;
+const MAX_DISTINGUISHING_FEATURES = 3;
+
+function invalidOption(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Resolve and validate the machine learning options
+ * @param {Object} options - Profiling options
+ * @param {Boolean} options.machineLearning - Set false to skip the analysis (default true)
+ * @param {Number|String} options.clusterCount - Clusters for k-means, or 'auto' (default)
+ * @param {Number} options.randomSeed - Seed for sampling and the models (default 42)
+ * @param {Number} options.contamination - Largest share of rows flagged as anomalous (default 0.1)
+ * @returns {Object} - { enabled, clusterCount, seed, contamination }
+ */
+function resolveMachineLearningOptions(options = {}) {
+  const {
+    machineLearning = true,
+    clusterCount = 'auto',
+    randomSeed = DEFAULT_RANDOM_SEED,
+    contamination = DEFAULT_CONTAMINATION
+  } = options;
+
+  if (typeof machineLearning !== 'boolean') {
+    throw invalidOption('machineLearning must be true or false');
+  }
+  if (clusterCount !== 'auto' &&
+      (!Number.isInteger(clusterCount) || clusterCount < 2 || clusterCount > MAX_CLUSTER_COUNT)) {
+    throw invalidOption(`clusterCount must be 'auto' or an integer from 2 to ${MAX_CLUSTER_COUNT}`);
+  }
+  if (!Number.isInteger(randomSeed) || randomSeed < 1) {
+    throw invalidOption('randomSeed must be a positive integer');
+  }
+  if (typeof contamination !== 'number' || !(contamination > 0) || contamination > MAX_CONTAMINATION) {
+    throw invalidOption(`contamination must be a number above 0 and at most ${MAX_CONTAMINATION}`);
+  }
+
+  return { enabled: machineLearning, clusterCount, seed: randomSeed, contamination };
+}
+
+/**
+ * MachineLearningService runs unsupervised models over the profiled rows:
+ * an isolation forest for anomalous rows, k-means for clusters and the
+ * pattern recognizer for trends, cycles and non-linear relationships.
+ * Randomness comes from a seeded generator, so the same rows and options
+ * always give the same result. Row indices refer to the profiled rows.
+ */
+class MachineLearningService {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {String} requestId - Request or job id for log correlation
+   * @param {Object} context - { signal } to cancel
+   */
+  constructor(logger, requestId, context = {}) {
+    this.logger = logger;
+    this.requestId = requestId;
+    this.signal = context.signal;
+  }
+
+  /**
+   * @param {Array} data - Parsed rows
+   * @param {Object} columnStats - Finalised column statistics
+   * @param {Object} options - Profiling options
+   * @param {Array<String>} options.excludeColumns - Columns kept out of the models
+   * @returns {Object|null} - { rowsAnalyzed, sampled, seed, features, anomalies,
+   *   clustering, patterns }, null when disabled
+   */
+  analyze(data, columnStats, options = {}) {
+    const { enabled, clusterCount, seed, contamination } = resolveMachineLearningOptions(options);
+    if (!enabled) return null;
+
+    const excluded = new Set(options.excludeColumns || []);
+    const included = {};
+    Object.entries(columnStats).forEach(([key, stats]) => {
+      if (!excluded.has(key)) included[key] = stats;
+    });
+
+    const random = new SamplingService().seededRandom(seed);
+    const rowIndices = this.sampleRowIndices(data.length, random);
+    const rows = rowIndices.map(index => data[index]);
+    const sampled = rows.length < data.length;
+
+    // Constant columns cannot separate rows, so only varying ones are features
+    const features = Object.keys(included).filter(key =>
+      included[key].type === 'numeric' && included[key].stdDev > 0
+    );
+
+    this.logger.info('Running machine learning analysis', {
+      requestId: this.requestId,
+      rows: rows.length,
+      features: features.length,
+      sampled
+    });
+
+    const result = {
+      rowsAnalyzed: rows.length,
+      sampled,
+      seed,
+      features,
+      anomalies: null,
+      clustering: null,
+      patterns: null
+    };
+
+    if (features.length > 0 && rows.length >= 3) {
+      const points = this.standardize(rows, features, included);
+
+      throwIfAborted(this.signal);
+      result.anomalies = rows.length >= MIN_ANOMALY_ROWS
+        ? this.detectAnomalies(points, rowIndices, random, contamination)
+        : {
+          count: 0,
+          skipped: true,
+          reason: `Anomaly detection needs at least ${MIN_ANOMALY_ROWS} rows; ${rows.length} were analysed`
+        };
+
+      throwIfAborted(this.signal);
+      result.clustering = this.cluster(points, rowIndices, features, included, clusterCount, random, sampled);
+    }
+
+    throwIfAborted(this.signal);
+    result.patterns = new PatternRecognizer(rows, included, rowIndices).analyze();
+
+    return result;
+  }
+
+  /**
+   * Sorted indices of the rows to analyse: all of them, or a seeded
+   * sample of MAX_ML_ROWS kept in file order for the pattern analysis
+   */
+  sampleRowIndices(count, random) {
+    const indices = Array.from({ length: count }, (_, i) => i);
+    if (count <= MAX_ML_ROWS) return indices;
+
+    for (let i = 0; i < MAX_ML_ROWS; i++) {
+      const j = i + Math.floor(random() * (count - i));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, MAX_ML_ROWS).sort((a, b) => a - b);
+  }
+
+  /**
+   * Feature vectors as z-scores against the column statistics, with
+   * missing values at the mean so they neither isolate nor pull clusters
+   */
+  standardize(rows, features, columnStats) {
+    return rows.map(row => features.map(key => {
+      const value = row[key];
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 0;
+      return (value - columnStats[key].mean) / columnStats[key].stdDev;
+    }));
+  }
+
+  /**
+   * Rows scoring at or above ANOMALY_SCORE, keeping at most the
+   * `contamination` share of rows with the highest scores
+   * @returns {Object} - { count, percent, threshold, contamination, capped,
+   *   top: [{ row, score, severity }] }
+   */
+  detectAnomalies(points, rowIndices, random, contamination = DEFAULT_CONTAMINATION) {
+    const forest = new IsolationForest({ random }).fit(points);
+
+    const anomalies = [];
+    points.forEach((point, i) => {
+      const score = forest.score(point);
+      if (score >= ANOMALY_SCORE) {
+        anomalies.push({
+          row: rowIndices[i],
+          score,
+          severity: score >= HIGH_ANOMALY_SCORE ? 'high' : 'medium'
+        });
+      }
+    });
+
+    anomalies.sort((a, b) => b.score - a.score || a.row - b.row);
+    const limit = Math.floor(contamination * points.length);
+    const flagged = anomalies.slice(0, limit);
+
+    return {
+      count: flagged.length,
+      percent: (flagged.length / points.length) * 100,
+      threshold: ANOMALY_SCORE,
+      contamination,
+      capped: anomalies.length > limit,
+      top: flagged.slice(0, MAX_LISTED_ANOMALIES)
+    };
+  }
+
+  /**
+   * @returns {Object|null} - { k, assignments, rowIndices (when sampled),
+   *   clusters, silhouette, inertia, iterations, converged }
+   */
+  cluster(points, rowIndices, features, columnStats, clusterCount, random, sampled) {
+    const fit = new KMeans({ random, k: clusterCount }).fit(points);
+    if (!fit) return null;
+
+    const sizes = new Array(fit.k).fill(0);
+    const spreads = new Array(fit.k).fill(0);
+    points.forEach((point, i) => {
+      const cluster = fit.assignments[i];
+      sizes[cluster]++;
+      point.forEach((value, d) => {
+        const diff = value - fit.centroids[cluster][d];
+        spreads[cluster] += diff * diff;
+      });
+    });
+
+    const clusters = fit.centroids.map((centroid, id) => {
+      const distinguishing = centroid
+        .map((z, d) => ({ feature: features[d], z }))
+        .filter(({ z }) => Math.abs(z) >= DISTINGUISHING_Z)
+        .sort((a, b) => Math.abs(b.z) - Math.abs(a.z))
+        .slice(0, MAX_DISTINGUISHING_FEATURES)
+        .map(({ feature, z }) => ({ feature, z, direction: z > 0 ? 'higher' : 'lower' }));
+
+      const original = {};
+      centroid.forEach((z, d) => {
+        const stats = columnStats[features[d]];
+        original[features[d]] = stats.mean + z * stats.stdDev;
+      });
+
+      return {
+        id,
+        size: sizes[id],
+        share: sizes[id] / points.length,
+        centroid: original,
+        // Root mean squared distance of members from the centroid, in standard deviations
+        spread: sizes[id] > 0 ? Math.sqrt(spreads[id] / sizes[id]) : 0,
+        distinguishing
+      };
+    });
+
+    return {
+      k: fit.k,
+      assignments: fit.assignments,
+      ...(sampled ? { rowIndices } : {}),
+      clusters,
+      silhouette: fit.silhouette,
+      inertia: fit.inertia,
+      iterations: fit.iterations,
+      converged: fit.converged
+    };
+  }
+}
+
+module.exports = MachineLearningService;
+module.exports.resolveMachineLearningOptions = resolveMachineLearningOptions;
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MachineLearningService = require('./machineLearningService');
+const { resolveMachineLearningOptions } = MachineLearningService;
+const SamplingService = require('./samplingService');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function numericStats(data, key) {
+  const values = data.map(row => row[key]);
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  return { type: 'numeric', mean, stdDev: Math.sqrt(variance) };
+}
+
+// A tight cloud with a handful of far-away rows at the end
+function cloudWithOutliers(count, outliers) {
+  const random = new SamplingService().seededRandom(7);
+  const data = Array.from({ length: count }, () => ({ x: random(), y: random() }));
+  for (let i = 0; i < outliers; i++) {
+    data.push({ x: 50 + i * 10, y: -40 - i * 10 });
+  }
+  return data;
+}
+
+function analyze(data, options = {}) {
+  const columnStats = { x: numericStats(data, 'x'), y: numericStats(data, 'y') };
+  return new MachineLearningService(quietLogger, 'test').analyze(data, columnStats, options);
+}
+
+test('anomaly detection is skipped below the minimum row count', () => {
+  const result = analyze(cloudWithOutliers(30, 2));
+
+  assert.strictEqual(result.anomalies.skipped, true);
+  assert.strictEqual(result.anomalies.count, 0);
+  assert.match(result.anomalies.reason, /at least 50 rows; 32 were analysed/);
+  assert.ok(result.clustering, 'clustering still runs on small datasets');
+});
+
+test('flags the far-away rows on a large enough dataset', () => {
+  const result = analyze(cloudWithOutliers(200, 3));
+  const flagged = result.anomalies.top.map(anomaly => anomaly.row);
+
+  assert.ok([200, 201, 202].every(row => flagged.includes(row)));
+  assert.strictEqual(result.anomalies.contamination, 0.1);
+});
+
+test('flagged rows never exceed the contamination share', () => {
+  const data = cloudWithOutliers(200, 10);
+  const result = analyze(data, { contamination: 0.01 });
+
+  assert.strictEqual(result.anomalies.count, Math.floor(0.01 * data.length));
+  assert.strictEqual(result.anomalies.capped, true);
+  // The most anomalous rows are the ones kept
+  assert.ok(result.anomalies.top.every(anomaly => anomaly.row >= 200));
+});
+
+test('contamination must be above 0 and at most 0.5', () => {
+  [0, -0.1, 0.6, '0.1'].forEach(contamination => {
+    assert.throws(
+      () => resolveMachineLearningOptions({ contamination }),
+      error => error.status === 400 && /contamination/.test(error.message)
+    );
+  });
+  assert.strictEqual(resolveMachineLearningOptions({ contamination: 0.5 }).contamination, 0.5);
+});
+
+test('results on real rows are reproducible from the seed', () => {
+  const data = cloudWithOutliers(120, 3);
+
+  const first = analyze(data, { randomSeed: 11 });
+  const second = analyze(data, { randomSeed: 11 });
+
+  assert.strictEqual(first.seed, 11);
+  assert.strictEqual(first.rowsAnalyzed, 123);
+  assert.deepStrictEqual(first, second);
+  assert.strictEqual(first.clustering.assignments.length, 123);
+  assert.strictEqual(first.clustering.clusters.reduce((sum, cluster) => sum + cluster.size, 0), 123);
+});
@@ -0,0 +1,576 @@
+const fs = require('fs');
+const { performance } = require('perf_hooks');
+const ProfilerService = require('./profilerService');
+const SamplingService = require('./samplingService');
+const CacheService = require('./cacheService');
+const CsvParserService = require('./csvParserService');
+const { throwIfAborted } = require('../lib/cancellation');
+
+// Share of overall progress reported at the start of each phase
+const PHASE_PROGRESS = {
+  queued: 0,
+  parsing: 5,
+  sampling: 40,
+  profiling: 45,
+  tests: 72,
+  duplicates: 76,
+  missingness: 78,
+  correlations: 80,
+  patterns: 86,
+  insights: 90,
+  caching: 97,
+  completed: 100
+};
+
+// Datasets of a comparison, in the order they are profiled
+const COMPARISON_DATASETS = ['dataset1', 'dataset2'];
+const FINGERPRINT_PATTERN = /^[a-f0-9]{64}$/;
+
+let sharedInstance = null;
+
+/**
+ * ProfilePipeline runs the parse → sample → cache → profile flow shared by
+ * POST /api/profile, POST /api/compare and background jobs. It has no
+ * knowledge of HTTP: input errors are thrown with a `status` (and optional
+ * `details`) for the caller to turn into a response.
+ */
+class ProfilePipeline {
+  constructor(services = {}) {
+    this.samplingService = services.samplingService || new SamplingService();
+    this.cacheService = services.cacheService || new CacheService(console); // Temporary logger until proper injection
+    this.csvParserService = services.csvParserService || new CsvParserService(this.samplingService, {
+      maxUploadBytes: Number(process.env.MAX_UPLOAD_BYTES) || undefined
+    });
+  }
+
+  /**
+   * Shared pipeline so every route uses the same cache and parser
+   * @returns {ProfilePipeline}
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new ProfilePipeline();
+    }
+    return sharedInstance;
+  }
+
+  /**
+   * Build an error for the caller to report with the given HTTP status
+   */
+  static inputError(message, status = 400, details = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+  }
+
+  /**
+   * Run the full pipeline
+   * @param {Object} input - One of { csv, options }, { request } (a streamed
+   *   multipart/raw HTTP request) or { filePath, options, fileName }
+   * @param {Object} context - { logger, requestId, signal, onProgress }
+   * @returns {Promise<Object>} - { fromCache, data }
+   */
+  async run(input, context = {}) {
+    const startTime = performance.now();
+    const tracker = { ...context, startTime };
+
+    this.reportProgress(tracker, 'parsing');
+
+    if (typeof input.csv === 'string') {
+      return this.runFromString(input.csv, input.options || {}, tracker);
+    }
+
+    const parseStartTime = performance.now();
+    const parseContext = {
+      signal: context.signal,
+      onProgress: this.parseProgressReporter(tracker, this.getUploadSize(input))
+    };
+    const upload = input.request
+      ? await this.csvParserService.parseRequest(input.request, parseContext)
+      : await this.parseFile(input, parseContext);
+    const parseTime = performance.now() - parseStartTime;
+
+    return this.runFromUpload({ fileName: input.fileName, ...upload }, parseTime, tracker);
+  }
+
+  /**
+   * Profile the two datasets of a comparison through the same flow as
+   * run(). Each JSON dataset is a CSV string, { csv } or { fingerprint } of
+   * a cached profile; a streamed request carries them as dataset1 and
+   * dataset2 file fields. Progress events name the dataset being profiled,
+   * and each dataset takes an equal share of the percentage.
+   * @param {Object} input - { dataset1, dataset2, options } or { request }
+   * @param {Object} context - { logger, requestId, signal, onProgress }
+   * @returns {Promise<Object>} - { dataset1, dataset2, options }, each dataset
+   *   { fromCache, data }, with the options that were sent
+   */
+  async runComparison(input, context = {}) {
+    const results = {};
+    let options;
+
+    this.reportProgress(context, 'parsing');
+
+    if (input.request) {
+      // Both files are parsed as they stream in, before either is profiled
+      const { options: uploadOptions, files } = await this.csvParserService.parseRequestFiles(input.request, COMPARISON_DATASETS, {
+        signal: context.signal,
+        onProgress: (dataset, { rowsParsed, bytesRead }) => {
+          this.reportProgress(context, 'parsing', { dataset, rowsParsed, bytesRead });
+        }
+      });
+      options = uploadOptions;
+
+      for (const [index, dataset] of COMPARISON_DATASETS.entries()) {
+        const { parseTime, ...parsed } = files[dataset];
+        const tracker = this.datasetTracker(context, dataset, index, parseTime);
+        results[dataset] = await this.runFromUpload({ ...parsed, options }, parseTime, tracker);
+      }
+    } else {
+      options = input.options || {};
+      const datasets = COMPARISON_DATASETS.map(dataset => ProfilePipeline.resolveDataset(input[dataset], dataset));
+
+      for (const [index, dataset] of COMPARISON_DATASETS.entries()) {
+        const tracker = this.datasetTracker(context, dataset, index);
+        const { csv, fingerprint } = datasets[index];
+        results[dataset] = fingerprint
+          ? this.runFromCache(fingerprint, tracker)
+          : await this.runFromString(csv, options, tracker);
+      }
+    }
+
+    this.reportProgress(context, 'completed');
+    return { ...results, options };
+  }
+
+  /**
+   * Validate one dataset of a JSON comparison request
+   * @param {*} value - CSV string, { csv } or { fingerprint }
+   * @param {String} name - Dataset name for error messages
+   * @returns {Object} - { csv } or { fingerprint }
+   */
+  static resolveDataset(value, name) {
+    const dataset = typeof value === 'string' ? { csv: value } : value;
+
+    if (!dataset || typeof dataset !== 'object' || Array.isArray(dataset)) {
+      throw ProfilePipeline.inputError(`${name} must be a CSV string, { csv } or { fingerprint } of a cached profile`);
+    }
+
+    if (dataset.fingerprint !== undefined) {
+      if (typeof dataset.fingerprint !== 'string' || !FINGERPRINT_PATTERN.test(dataset.fingerprint)) {
+        throw ProfilePipeline.inputError(`${name}.fingerprint must be a 64-character hex fingerprint`);
+      }
+      return { fingerprint: dataset.fingerprint };
+    }
+
+    if (typeof dataset.csv !== 'string' || dataset.csv.trim() === '') {
+      throw ProfilePipeline.inputError(`${name}.csv must be a non-empty CSV string`);
+    }
+    return { csv: dataset.csv };
+  }
+
+  /**
+   * Tracker for one dataset of a comparison. Its progress is scaled into the
+   * dataset's share and its completion is held back until both are done.
+   * @param {Number} elapsed - Time already spent on the dataset, in ms
+   */
+  datasetTracker(context, dataset, index, elapsed = 0) {
+    const share = 100 / COMPARISON_DATASETS.length;
+    const { onProgress } = context;
+
+    return {
+      ...context,
+      startTime: performance.now() - elapsed,
+      onProgress: typeof onProgress === 'function'
+        ? (progress) => {
+          if (progress.phase === 'completed') return;
+          const percent = index * share + (progress.percent * share) / 100;
+          onProgress({ ...progress, dataset, percent: Math.round(percent * 10) / 10 });
+        }
+        : undefined
+    };
+  }
+
+  /**
+   * Respond with a profile cached under a fingerprint
+   */
+  runFromCache(fingerprint, tracker) {
+    const cachedResult = this.cacheService.getCachedResult(fingerprint);
+
+    if (!cachedResult) {
+      throw ProfilePipeline.inputError('No cached profile matches the fingerprint; it may have expired', 404, { fingerprint });
+    }
+
+    return this.cachedResponse(cachedResult, fingerprint, tracker);
+  }
+
+  async parseFile(input, parseContext) {
+    const options = input.options || {};
+    const result = await this.csvParserService.parseStream(fs.createReadStream(input.filePath), options, parseContext);
+    return { ...result, options };
+  }
+
+  /**
+   * Size of a streamed input in bytes, when known up front. For multipart
+   * requests this includes the form overhead, which is small next to the file.
+   */
+  getUploadSize(input) {
+    if (input.request) {
+      return Number(input.request.headers['content-length']) || null;
+    }
+    try {
+      return fs.statSync(input.filePath).size;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  parseProgressReporter(tracker, totalBytes) {
+    return ({ rowsParsed, bytesRead }) => {
+      this.reportProgress(tracker, 'parsing', {
+        rowsParsed,
+        bytesRead,
+        totalBytes,
+        ...(totalBytes && { fraction: Math.min(1, bytesRead / totalBytes) })
+      });
+    };
+  }
+
+  async runFromString(csv, options, tracker) {
+    const { logger, requestId } = tracker;
+
+    // Extract cache and sampling options
+    const {
+      useCache = true,
+      enableSampling = true,
+      sampleSize = 5000,
+      fullAnalysis = false,
+      randomSeed
+    } = options;
+
+    logger.profileRequest(requestId, { csv, options });
+
+    // Generate a fingerprint for caching
+    let fingerprint = null;
+
+    if (useCache) {
+      fingerprint = this.cacheService.generateFingerprint(csv, options);
+
+      // Check if we have a cached result
+      const cachedResult = this.cacheService.getCachedResult(fingerprint);
+
+      if (cachedResult) {
+        return this.cachedResponse(cachedResult, fingerprint, tracker);
+      }
+    }
+
+    // Step 1: Parse CSV with enhanced options
+    const parseStartTime = performance.now();
+    const parsed = this.csvParserService.parseString(csv, options);
+    const parseTime = performance.now() - parseStartTime;
+
+    this.checkParseErrors(parsed.errors, tracker);
+
+    let data = parsed.data;
+
+    if (!data || data.length === 0) {
+      throw ProfilePipeline.inputError('No data found in CSV');
+    }
+
+    throwIfAborted(tracker.signal);
+
+    // Sampling for large datasets
+    let samplingMetadata = { isSampled: false };
+
+    if (enableSampling && data.length > sampleSize && !fullAnalysis) {
+      this.reportProgress(tracker, 'sampling');
+
+      logger.info('Sampling large dataset', {
+        requestId,
+        originalRowCount: data.length,
+        targetSampleSize: sampleSize
+      });
+
+      const samplingStartTime = performance.now();
+      const { sample, metadata } = this.samplingService.createSample(data, {
+        maxSampleSize: sampleSize,
+        stratify: true,
+        randomSeed
+      });
+      const samplingTime = performance.now() - samplingStartTime;
+
+      data = sample;
+      samplingMetadata = {
+        ...metadata,
+        samplingTime: `${samplingTime.toFixed(2)}ms`
+      };
+
+      logger.info('Dataset sampled', {
+        requestId,
+        sampleSize: data.length,
+        samplingRate: samplingMetadata.samplingRate,
+        samplingTime: samplingMetadata.samplingTime
+      });
+    }
+
+    // Log parsing success
+    logger.info('CSV parsing completed', {
+      requestId,
+      rowCount: data.length,
+      columnCount: data.length > 0 ? Object.keys(data[0]).length : 0,
+      parseTime: `${parseTime.toFixed(2)}ms`,
+      parseErrors: parsed.errors?.length || 0
+    });
+
+    return this.profileParsed({
+      data,
+      options,
+      fingerprint,
+      useCache,
+      samplingMetadata,
+      parseTime,
+      parseErrorCount: parsed.errors?.length || 0
+    }, tracker);
+  }
+
+  /**
+   * Continue the pipeline for a streamed upload. Cache lookup happens after
+   * parsing because the fingerprint is computed from the streamed bytes.
+   */
+  async runFromUpload(upload, parseTime, tracker) {
+    const { logger, requestId } = tracker;
+    const { options } = upload;
+    const { useCache = true } = options;
+
+    logger.profileRequest(requestId, { fileSize: upload.bytesRead, options });
+
+    logger.info('Streamed CSV upload parsed', {
+      requestId,
+      fileName: upload.fileName,
+      bytesRead: upload.bytesRead,
+      totalRows: upload.totalRows,
+      retainedRows: upload.data.length,
+      parseTime: `${parseTime.toFixed(2)}ms`,
+      parseErrors: upload.errors.length
+    });
+
+    if (upload.samplingMetadata?.isSampled) {
+      // Rows were reservoir-sampled while streaming
+      this.reportProgress(tracker, 'sampling', {
+        totalRows: upload.totalRows,
+        sampleSize: upload.data.length
+      });
+    }
+
+    let fingerprint = null;
+
+    if (useCache) {
+      fingerprint = this.cacheService.generateFingerprintFromHash(upload.contentHash, options);
+
+      const cachedResult = this.cacheService.getCachedResult(fingerprint);
+
+      if (cachedResult) {
+        return this.cachedResponse(cachedResult, fingerprint, tracker);
+      }
+    }
+
+    this.checkParseErrors(upload.errors, tracker);
+
+    if (upload.data.length === 0) {
+      throw ProfilePipeline.inputError('No data found in CSV');
+    }
+
+    return this.profileParsed({
+      data: upload.data,
+      options,
+      fingerprint,
+      useCache,
+      samplingMetadata: upload.samplingMetadata,
+      parseTime,
+      parseErrorCount: upload.errors.length
+    }, tracker);
+  }
+
+  /**
+   * Log parse errors and throw when any of them is fatal
+   */
+  checkParseErrors(errors, tracker) {
+    if (!errors || errors.length === 0) return;
+
+    tracker.logger.warn('CSV parsing had errors', {
+      requestId: tracker.requestId,
+      errors: errors.slice(0, 5),
+      totalErrors: errors.length
+    });
+
+    const criticalErrors = errors.filter(err => err.type === 'Delimiter');
+    if (criticalErrors.length > 0) {
+      throw ProfilePipeline.inputError('CSV parsing failed', 400, {
+        details: 'Invalid CSV format or delimiter',
+        parseErrors: criticalErrors
+      });
+    }
+  }
+
+  /**
+   * Build the response for a cached analysis result, with cache hit metrics.
+   * The cache holds the raw profile result, so it goes through the same
+   * responseData contract as a fresh profile.
+   */
+  cachedResponse(cachedResult, fingerprint, tracker) {
+    const { logger, requestId } = tracker;
+
+    logger.info('Using cached analysis result', {
+      requestId,
+      fingerprint: fingerprint.substring(0, 8) // Just log a prefix for privacy
+    });
+
+    const cacheHitTime = performance.now() - tracker.startTime;
+
+    // Add cache metrics to the result
+    const data = ProfilePipeline.responseData(cachedResult, {
+      ...cachedResult.summary,
+      cache: {
+        hit: true,
+        fingerprint,
+        retrievalTime: `${cacheHitTime.toFixed(2)}ms`
+      }
+    });
+
+    logger.profileComplete(requestId, data, cacheHitTime);
+    this.reportProgress(tracker, 'completed');
+
+    return {
+      fromCache: true,
+      data
+    };
+  }
+
+  /**
+   * Profile parsed rows, cache the result and build the response payload
+   */
+  async profileParsed(parsed, tracker) {
+    const { logger, requestId, signal } = tracker;
+    const {
+      data,
+      options,
+      fingerprint,
+      useCache,
+      samplingMetadata,
+      parseTime,
+      parseErrorCount
+    } = parsed;
+
+    let cacheUsed = false;
+
+    throwIfAborted(signal);
+
+    // Step 2: Profile the data
+    const profileStartTime = performance.now();
+    const profilerService = new ProfilerService(logger, requestId, {
+      signal,
+      onPhase: (phase, detail) => this.reportProgress(tracker, phase, detail)
+    });
+    const profileResult = await profilerService.profileData(data, options);
+    const profileTime = performance.now() - profileStartTime;
+    // Kept with the cached result, so comparisons know the size before sampling
+    profileResult.summary.sampling = samplingMetadata;
+
+    throwIfAborted(signal);
+
+    const totalTime = performance.now() - tracker.startTime;
+
+    // Cache the result if caching is enabled
+    if (useCache && fingerprint) {
+      this.reportProgress(tracker, 'caching');
+
+      const cacheStartTime = performance.now();
+      const cached = this.cacheService.cacheResult(fingerprint, profileResult);
+      const cacheTime = performance.now() - cacheStartTime;
+
+      cacheUsed = true;
+
+      logger.info('Cached analysis result', {
+        requestId,
+        fingerprint: fingerprint.substring(0, 8),
+        cacheTime: `${cacheTime.toFixed(2)}ms`,
+        success: cached
+      });
+
+      // Add cache metrics to the result
+      profileResult.summary.cache = {
+        hit: false,
+        stored: cached,
+        ...(cached && { fingerprint }),
+        storageTime: `${cacheTime.toFixed(2)}ms`
+      };
+    }
+
+    logger.profileComplete(requestId, profileResult, totalTime);
+    this.reportProgress(tracker, 'completed');
+
+    // Step 3: Build comprehensive response with enhanced metadata
+    return {
+      fromCache: false,
+      data: ProfilePipeline.responseData(profileResult, {
+        ...profileResult.summary,
+        processingTime: {
+          total: `${totalTime.toFixed(2)}ms`,
+          parsing: `${parseTime.toFixed(2)}ms`,
+          profiling: `${profileTime.toFixed(2)}ms`
+        },
+        performance: {
+          rowsPerSecond: Math.round((profileResult.summary.totalRows / totalTime) * 1000),
+          columnsPerSecond: Math.round((profileResult.summary.totalColumns / totalTime) * 1000),
+          efficiency: totalTime < 1000 ? 'excellent' : totalTime < 5000 ? 'good' : 'needs optimization'
+        },
+        sampling: samplingMetadata,
+        cache: profileResult.summary.cache || { enabled: useCache, used: cacheUsed }
+      }, { parseErrors: parseErrorCount })
+    };
+  }
+
+  /**
+   * The response payload for a profile result, shared by fresh and cached
+   * profiles: column statistics are listed under `columns`
+   * @param {Object} profileResult - Result of ProfilerService.profileData
+   * @param {Object} summary - Summary with the request's timing and cache details
+   * @param {Object} metadata - Extra metadata, such as parseErrors
+   */
+  static responseData(profileResult, summary, metadata = {}) {
+    return {
+      summary,
+      columns: profileResult.columnStats,
+      correlations: profileResult.correlations,
+      machineLearning: profileResult.machineLearning,
+      missingness: profileResult.missingness,
+      insights: profileResult.insights,
+      metadata: {
+        ...metadata,
+        timestamp: new Date().toISOString(),
+        version: '2.1.0' // Bump version for enhanced logging
+      }
+    };
+  }
+
+  /**
+   * Report progress to the caller. `fraction` in detail places the event
+   * between the start of this phase and the start of the next one.
+   */
+  reportProgress(tracker, phase, detail = {}) {
+    if (typeof tracker.onProgress !== 'function') return;
+
+    const { fraction, ...rest } = detail;
+    const phases = Object.keys(PHASE_PROGRESS);
+    const start = PHASE_PROGRESS[phase];
+    const next = PHASE_PROGRESS[phases[phases.indexOf(phase) + 1]] ?? start;
+    const percent = fraction === undefined
+      ? start
+      : start + (next - start) * fraction;
+
+    tracker.onProgress({ phase, percent: Math.round(percent * 10) / 10, ...rest });
+  }
+}
+
+module.exports = ProfilePipeline;
+module.exports.PHASE_PROGRESS = PHASE_PROGRESS;
@@ -0,0 +1,194 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const ProfilePipeline = require('./profilePipeline');
+const { PHASE_PROGRESS } = ProfilePipeline;
+const { compareProfiles } = require('../lib/profileComparison');
+
+const quietLogger = {
+  info() {}, warn() {}, error() {},
+  profileRequest() {}, profileComplete() {}, profileError() {}
+};
+
+// In-memory stand-in for CacheService, so tests leave the cache directory alone
+class MemoryCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  generateFingerprint(csv, options) {
+    const contentHash = crypto.createHash('sha256').update(csv).digest('hex');
+    return this.generateFingerprintFromHash(contentHash, options);
+  }
+
+  generateFingerprintFromHash(contentHash, options) {
+    return crypto.createHash('sha256').update(`${contentHash}|${JSON.stringify(options)}`).digest('hex');
+  }
+
+  getCachedResult(fingerprint) {
+    const entry = this.entries.get(fingerprint);
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  cacheResult(fingerprint, result) {
+    this.entries.set(fingerprint, JSON.stringify(result));
+    return true;
+  }
+}
+
+const CSV = [
+  'region,units,price',
+  ...Array.from({ length: 60 }, (_, i) => `${['north', 'south', 'east'][i % 3]},${i % 7},${(i * 1.5).toFixed(2)}`)
+].join('\n');
+
+function pipeline() {
+  return new ProfilePipeline({ cacheService: new MemoryCache() });
+}
+
+test('cache hits return the same response shape as fresh profiles', async () => {
+  const profilePipeline = pipeline();
+  const context = { logger: quietLogger, requestId: 'test' };
+
+  const fresh = await profilePipeline.run({ csv: CSV, options: {} }, context);
+  const cached = await profilePipeline.run({ csv: CSV, options: {} }, context);
+
+  assert.strictEqual(fresh.fromCache, false);
+  assert.strictEqual(cached.fromCache, true);
+  assert.deepStrictEqual(Object.keys(cached.data), Object.keys(fresh.data));
+  assert.deepStrictEqual(cached.data.columns, fresh.data.columns);
+  assert.deepStrictEqual(Object.keys(cached.data.columns), ['region', 'units', 'price']);
+  assert.strictEqual(cached.data.columnStats, undefined);
+  assert.strictEqual(cached.data.summary.cache.hit, true);
+  assert.strictEqual(cached.data.summary.cache.fingerprint, fresh.data.summary.cache.fingerprint);
+});
+
+test('comparison by fingerprint returns the cached profile in the response shape', async () => {
+  const profilePipeline = pipeline();
+  const context = { logger: quietLogger, requestId: 'test' };
+
+  const fresh = await profilePipeline.run({ csv: CSV, options: {} }, context);
+  const { fingerprint } = fresh.data.summary.cache;
+
+  const results = await profilePipeline.runComparison({
+    dataset1: { fingerprint },
+    dataset2: CSV,
+    options: {}
+  }, context);
+
+  assert.strictEqual(results.dataset1.fromCache, true);
+  assert.strictEqual(results.dataset2.fromCache, true);
+  assert.deepStrictEqual(results.dataset1.data.columns, fresh.data.columns);
+});
+
+test('comparison with an unknown fingerprint is a 404', async () => {
+  await assert.rejects(
+    pipeline().runComparison({
+      dataset1: { fingerprint: 'a'.repeat(64) },
+      dataset2: CSV
+    }, { logger: quietLogger, requestId: 'test' }),
+    error => error.status === 404 && error.details.fingerprint === 'a'.repeat(64)
+  );
+});
+
+test('comparison parses and profiles two raw CSV datasets', async () => {
+  const dataset2 = CSV.replace(/north/g, 'west');
+
+  const results = await pipeline().runComparison({
+    dataset1: CSV,
+    dataset2: { csv: dataset2 },
+    options: { enableSampling: false }
+  }, { logger: quietLogger, requestId: 'test' });
+
+  assert.deepStrictEqual(results.options, { enableSampling: false });
+  assert.strictEqual(results.dataset1.fromCache, false);
+  assert.strictEqual(results.dataset2.fromCache, false);
+  assert.strictEqual(results.dataset1.data.summary.totalRows, 60);
+  assert.deepStrictEqual(
+    results.dataset2.data.columns.region.topValues.map(([value]) => value).sort(),
+    ['east', 'south', 'west']
+  );
+});
+
+test('sampled profiles keep the size before sampling, also when served from the cache', async () => {
+  const profilePipeline = pipeline();
+  const context = { logger: quietLogger, requestId: 'test' };
+  const csv = (rows) => [
+    'region,price',
+    ...Array.from({ length: rows }, (_, i) => `${['north', 'south'][i % 2]},${(i * 0.75).toFixed(2)}`)
+  ].join('\n');
+
+  const results = await profilePipeline.runComparison({
+    dataset1: csv(300),
+    dataset2: csv(1200),
+    options: { sampleSize: 500 }
+  }, context);
+  const { fingerprint } = results.dataset2.data.summary.cache;
+  const cached = await profilePipeline.runComparison({
+    dataset1: { fingerprint },
+    dataset2: csv(300),
+    options: { sampleSize: 500 }
+  }, context);
+
+  assert.strictEqual(results.dataset1.data.summary.sampling.isSampled, false);
+  // Stratified sampling keeps about, not exactly, sampleSize rows
+  const { totalRows, sampling } = results.dataset2.data.summary;
+  assert.strictEqual(totalRows, sampling.sampleSize);
+  assert.ok(totalRows < 600, `${totalRows} sampled rows`);
+  assert.strictEqual(sampling.originalSize, 1200);
+  assert.strictEqual(compareProfiles(results.dataset1.data, results.dataset2.data).summary.rowCountDiff, 900);
+  assert.strictEqual(cached.dataset1.fromCache, true);
+  assert.strictEqual(compareProfiles(cached.dataset1.data, cached.dataset2.data).summary.rowCountDiff, -900);
+});
+
+test('comparison datasets must be CSV strings, { csv } or { fingerprint }', () => {
+  const rejects = (value, pattern) => assert.throws(
+    () => ProfilePipeline.resolveDataset(value, 'dataset1'),
+    error => error.status === 400 && pattern.test(error.message)
+  );
+
+  assert.deepStrictEqual(ProfilePipeline.resolveDataset(CSV, 'dataset1'), { csv: CSV });
+  assert.deepStrictEqual(ProfilePipeline.resolveDataset({ fingerprint: 'a'.repeat(64) }, 'dataset1'), { fingerprint: 'a'.repeat(64) });
+  // Already-parsed rows are no longer accepted
+  rejects([{ region: 'north' }], /^dataset1 must be a CSV string, \{ csv \} or \{ fingerprint \}/);
+  rejects(undefined, /^dataset1 must be a CSV string/);
+  rejects({ csv: '  ' }, /^dataset1\.csv must be a non-empty CSV string$/);
+  rejects({ fingerprint: 'abc' }, /^dataset1\.fingerprint must be a 64-character hex fingerprint$/);
+});
+
+test('progress runs through the pipeline phases and never goes backwards', async () => {
+  const events = [];
+  await pipeline().run({ csv: CSV, options: {} }, {
+    logger: quietLogger,
+    requestId: 'test',
+    onProgress: progress => events.push(progress)
+  });
+
+  const phases = [...new Set(events.map(event => event.phase))];
+  // Sampling is only reported when the rows exceed the sample size
+  assert.deepStrictEqual(phases.slice(0, 2), ['parsing', 'profiling']);
+  assert.ok(phases.includes('correlations') && phases.includes('insights'));
+  assert.strictEqual(phases[phases.length - 1], 'completed');
+  phases.forEach(phase => assert.ok(phase in PHASE_PROGRESS, `unknown phase ${phase}`));
+
+  const percents = events.map(event => event.percent);
+  percents.slice(1).forEach((percent, i) => assert.ok(percent >= percents[i], `${percent} after ${percents[i]}`));
+  assert.strictEqual(percents[percents.length - 1], 100);
+});
+
+test('comparison progress splits the bar between the two datasets', async () => {
+  const events = [];
+  // A distinct second dataset, so it is profiled rather than served from the cache
+  const dataset2 = CSV.replace(/north/g, 'west');
+  await pipeline().runComparison({ dataset1: CSV, dataset2, options: {} }, {
+    logger: quietLogger,
+    requestId: 'test',
+    onProgress: progress => events.push(progress)
+  });
+
+  const first = events.filter(event => event.dataset === 'dataset1');
+  const second = events.filter(event => event.dataset === 'dataset2');
+  assert.ok(first.length && second.length);
+  assert.ok(first.every(event => event.percent <= 50));
+  assert.ok(second.every(event => event.percent >= 50));
+  assert.deepStrictEqual(events.filter(event => event.phase === 'completed').map(event => event.percent), [100]);
+});
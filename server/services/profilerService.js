@@ -1,9 +1,106 @@
-const Papa = require('papaparse');
+const os = require('os');
+const ColumnAccumulator = require('../lib/columnAccumulator');
+const PairAccumulator = require('../lib/pairAccumulator');
+const ContingencyTable = require('../lib/contingencyTable');
+const GroupMoments = require('../lib/groupMoments');
+const WorkerService = require('./workerService');
+const { addAssociationRow, hashRow } = require('./workerTasks');
+const SemanticDetectorRegistry = require('../lib/semanticDetectors');
+const PiiProtector = require('../lib/piiProtector');
+const { validateHistogramOptions, binSpecFor } = require('../lib/histogramBins');
+const {
+  resolveMethods,
+  resolveConfidenceLevel,
+  significance,
+  rankCorrelations
+} = require('../lib/correlationMethods');
+const { testNormality } = require('../lib/normalityTests');
+const { resolveOutlierOptions, detectOutliers } = require('../lib/outlierDetection');
+const {
+  MAX_ROWS_PER_GROUP,
+  resolveDuplicateOptions,
+  summarizeDuplicateGroups,
+  findNearDuplicates
+} = require('../lib/duplicateDetection');
+const { resolveMaxKeyWidth, discoverKeys } = require('../lib/keyDiscovery');
+const { resolveDependencyThreshold, pairDependencies } = require('../lib/functionalDependencies');
+const { resolveNullValues, NullValueNormalizer } = require('../lib/nullValues');
+const MissingnessAccumulator = require('../lib/missingnessAccumulator');
+const MachineLearningService = require('./machineLearningService');
+const { resolveMachineLearningOptions } = MachineLearningService;
+const { throwIfAborted, isCancelledError } = require('../lib/cancellation');
+
+// Below this many rows the cost of spawning workers outweighs the gain
+const DEFAULT_PARALLEL_THRESHOLD = 50000;
+const MAX_WORKERS = 16;
+
+// Rows accumulated between progress reports in single-threaded mode
+const PROGRESS_BATCH_ROWS = 10000;
+// Share of the profiling phase spent accumulating rows; the rest is finalising columns
+const ACCUMULATION_SHARE = 0.8;
+
+// Rows where both columns are present needed before a correlation is reported
+const DEFAULT_MIN_CORRELATION_OVERLAP = 3;
+
+// Categorical columns with more distinct values than this are left out of
+// association measures; their tables would be mostly empty cells
+const DEFAULT_MAX_ASSOCIATION_CATEGORIES = 50;
+// Cramér's V or η at or above this, when significant, is reported as an insight
+const STRONG_ASSOCIATION = 0.5;
+// Categorical columns checked pairwise for functional dependencies
+const MAX_DEPENDENCY_COLUMNS = 30;
+// Columns whose missing flag is tested against other columns, and the
+// categorical and numeric columns each is tested against
+const MAX_MISSINGNESS_TESTED = 30;
+const MAX_MISSINGNESS_CONTEXT = 20;
+
+// Semantic types that look numeric but must not be used as quantities
+const CODE_TYPE_LABELS = {
+  zip: 'postal codes',
+  phone: 'phone numbers',
+  identifier: 'identifiers'
+};
+
+// Share of text values sharing one shape before the others count as malformed
+const PATTERN_CONFORMANCE_THRESHOLD = 80;
+// Above this many distinct values, mixed case is expected (names, free text)
+const MAX_CASE_CHECK_UNIQUE = 100;
+
+const OUTLIER_METHOD_LABELS = {
+  iqr: 'the IQR method',
+  zscore: 'z-scores',
+  modifiedZscore: 'modified z-scores',
+  percentile: 'percentile caps'
+};
+
+// Let pending I/O (progress events, abort requests) run between batches
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Validate the `maxAssociationCategories` option
+ * @param {Number} value - Most distinct values a categorical column may have
+ * @returns {Number}
+ */
+function resolveMaxAssociationCategories(value = DEFAULT_MAX_ASSOCIATION_CATEGORIES) {
+  if (!Number.isInteger(value) || value < 2) {
+    const error = new Error('maxAssociationCategories must be an integer of at least 2');
+    error.status = 400;
+    throw error;
+  }
+  return value;
+}
 
 class ProfilerService {
-  constructor(logger, requestId) {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {String} requestId - Request or job id for log correlation
+   * @param {Object} context - { signal } to cancel, { onPhase(phase, detail) } to report progress
+   */
+  constructor(logger, requestId, context = {}) {
     this.logger = logger;
     this.requestId = requestId;
+    this.signal = context.signal;
+    this.onPhase = context.onPhase || (() => {});
   }
 
   async profileData(data, options = {}) {
@@ -16,8 +113,19 @@ class ProfilerService {
       throw new Error('No data to profile');
     }
 
+    const piiProtector = new PiiProtector(options);
+    validateHistogramOptions(options);
+    resolveMethods(options.correlationMethod);
+    resolveConfidenceLevel(options.confidenceLevel);
+    resolveMaxAssociationCategories(options.maxAssociationCategories);
+    const outlierSettings = resolveOutlierOptions(options);
+    resolveMachineLearningOptions(options);
     const columnStats = {};
     const keys = Object.keys(data[0]);
+    const duplicateSettings = resolveDuplicateOptions(options, keys);
+    const maxKeyWidth = resolveMaxKeyWidth(options.maxKeyWidth);
+    resolveDependencyThreshold(options.dependencyThreshold);
+    const nullValueNormalizer = new NullValueNormalizer(resolveNullValues(options.nullValues, keys));
     
     this.logger.info('Analyzing columns', { 
       requestId: this.requestId,
@@ -25,14 +133,31 @@ class ProfilerService {
       columnCount: keys.length 
     });
 
-// Profile each column
-for (const key of keys) {
+// Profile all columns in a single pass over the rows, fanned out across
+// worker threads for large datasets
+await this.enterPhase('profiling', { totalRows: data.length, totalColumns: keys.length });
+// Placeholders such as "N/A" or -999 become missing before any analysis sees them
+data = await this.normalizeNullValues(data, nullValueNormalizer);
+const { accumulators, execution } = await this.accumulateColumnsWithWorkers(data, keys, options);
+
+for (const [columnIndex, key] of keys.entries()) {
+  await this.enterPhase('profiling', {
+    column: key,
+    columnIndex,
+    totalColumns: keys.length,
+    fraction: ACCUMULATION_SHARE + (1 - ACCUMULATION_SHARE) * columnIndex / keys.length
+  });
+  throwIfAborted(this.signal);
+
   try {
-    console.log(`Profiling column: ${key}`);
-    columnStats[key] = await this.profileColumn(data, key);
-    console.log(`Column ${key} stats:`, columnStats[key]);
+    const stats = accumulators[key].finalize(this.finalizeOptions(key, options));
+    const replaced = nullValueNormalizer.replacedIn(key);
+    if (replaced) stats.nullValues = replaced;
+    const suggested = nullValueNormalizer.suggestionsFor(key, stats);
+    if (suggested.length > 0) stats.suggestedNullValues = suggested;
+    stats.pii = piiProtector.classify(key, stats);
+    columnStats[key] = stats;
   } catch (error) {
-    console.log(`ERROR profiling column ${key}:`, error);
     this.logger.warn('Failed to profile column', {
       requestId: this.requestId,
       column: key,
@@ -48,29 +173,109 @@ for (const key of keys) {
   }
 }
 
-console.log('Final columnStats before return:', columnStats);
-
     // Calculate correlations for numeric columns
     const numericColumns = Object.keys(columnStats).filter(
       key => columnStats[key].type === 'numeric'
     );
+
+    await this.runColumnTests(data, columnStats, numericColumns, outlierSettings);
+
+    // Mask sample values before anything is logged, cached or returned
+    Object.keys(columnStats).forEach(key => {
+      columnStats[key] = piiProtector.protect(columnStats[key]);
+    });
+
+    throwIfAborted(this.signal);
+    await this.enterPhase('duplicates');
+    const duplicates = await this.detectDuplicates(data, keys, columnStats, duplicateSettings, options);
+
+    // Single-column and minimal composite key candidates
+    await this.enterPhase('duplicates', { keyCandidates: true, fraction: 0.75 });
+    throwIfAborted(this.signal);
+    const keyCandidates = discoverKeys(data, columnStats, maxKeyWidth);
+
+    // Columns missing together, and whether gaps follow other columns or
+    // row order; masked PII columns are not tested against
+    throwIfAborted(this.signal);
+    await this.enterPhase('missingness');
+    const missingness = await this.analyzeMissingness(data, columnStats, piiProtector.handling, options);
     
     this.logger.info('Calculating correlations', {
       requestId: this.requestId,
       numericColumnCount: numericColumns.length
     });
 
-    const correlations = this.calculateCorrelations(data, numericColumns);
-    const insights = this.generateInsights(columnStats, correlations);
+    throwIfAborted(this.signal);
+    await this.enterPhase('correlations', { numericColumns: numericColumns.length });
+    const pairs = await this.accumulatePairsWithWorkers(data, numericColumns, options);
+    const correlations = await this.calculateCorrelations(data, pairs, numericColumns, options);
+
+    // Associations between categorical columns, and with numeric columns
+    const associationColumns = this.associationColumns(columnStats, options);
+    const associationState = await this.accumulateAssociationsWithWorkers(
+      data, associationColumns, numericColumns, options
+    );
+    correlations.associations = this.calculateAssociations(
+      associationState, associationColumns, numericColumns, options
+    );
+
+    // Functional dependencies between categorical columns; masked PII
+    // columns stay out so their values cannot surface in violations
+    correlations.dependencies = await this.calculateDependencies(
+      data, this.dependencyColumns(columnStats, piiProtector.handling), options
+    );
+
+    // Anomalous rows, clusters and sequential patterns; masked PII columns
+    // stay out so their values cannot surface in centroids or patterns
+    throwIfAborted(this.signal);
+    await this.enterPhase('patterns');
+    const machineLearning = new MachineLearningService(this.logger, this.requestId, { signal: this.signal })
+      .analyze(data, columnStats, {
+        ...options,
+        excludeColumns: piiProtector.handling === 'none'
+          ? []
+          : Object.keys(columnStats).filter(key => columnStats[key].pii)
+      });
+
+    throwIfAborted(this.signal);
+    await this.enterPhase('insights');
+    const insights = this.generateInsights(columnStats, correlations, {
+      machineLearning, duplicates, keyCandidates, missingness
+    });
+    const piiColumns = Object.keys(columnStats).filter(key => columnStats[key].pii);
+    if (piiColumns.length > 0) {
+      insights.unshift(this.generatePrivacyInsight(columnStats, piiColumns, piiProtector.handling));
+    }
+
+    const temporalColumns = Object.keys(columnStats).filter(key => columnStats[key].temporal);
+
+    const semanticTypes = {};
+    Object.values(columnStats).forEach(stats => {
+      const semanticType = stats.semanticType || stats.type;
+      semanticTypes[semanticType] = (semanticTypes[semanticType] || 0) + 1;
+    });
 
     const summary = {
       totalRows: data.length,
       totalColumns: keys.length,
       numericColumns: numericColumns.length,
-      categoricalColumns: keys.length - numericColumns.length,
+      categoricalColumns: keys.length - numericColumns.length - temporalColumns.length,
+      temporalColumns: temporalColumns.length,
+      semanticTypes,
+      pii: {
+        columns: piiColumns,
+        handling: piiProtector.handling
+      },
       totalMissingValues: Object.values(columnStats).reduce(
         (sum, col) => sum + (col.missingCount || 0), 0
-      )
+      ),
+      rowsWithMissing: missingness.rowsWithMissing,
+      replacedNullValues: Object.values(columnStats).reduce(
+        (sum, col) => sum + (col.nullValues?.count || 0), 0
+      ),
+      duplicates,
+      keyCandidates,
+      execution
     };
 
     this.logger.info('Profiling completed', {
@@ -78,227 +283,663 @@ console.log('Final columnStats before return:', columnStats);
       summary
     });
 
-console.log('=== PROFILER SERVICE FINAL RESULT ===');
-console.log('columnStats keys:', Object.keys(columnStats));
-console.log('columnStats:', columnStats);
-
 return {
   columnStats,
   correlations,
+  machineLearning,
+  missingness,
   insights,
   summary
 };
   }
 
-  async profileColumn(data, columnName) {
-    const allValues = data.map(row => row[columnName]);
-    const nonNullValues = allValues.filter(v => 
-      v !== null && v !== undefined && v !== ''
-    );
-    const numericValues = nonNullValues.filter(v => 
-      typeof v === 'number' && !isNaN(v)
-    );
-    
-    const isNumeric = numericValues.length > 0 && 
-                     numericValues.length / nonNullValues.length > 0.5;
-    
-    const missingCount = allValues.length - nonNullValues.length;
-    const missingPercent = (missingCount / allValues.length) * 100;
-    const uniqueValues = new Set(nonNullValues);
-
-    const baseStats = {
-      type: isNumeric ? 'numeric' : 'categorical',
-      totalCount: allValues.length,
-      validCount: nonNullValues.length,
-      missingCount,
-      missingPercent,
-      unique: uniqueValues.size,
-      uniquePercent: nonNullValues.length > 0 ? (uniqueValues.size / nonNullValues.length) * 100 : 0
+  /**
+   * Report a phase and yield, so the event reaches listeners before the
+   * synchronous work of that phase starts
+   * @param {String} phase - Pipeline phase
+   * @param {Object} detail - Extra progress detail; `fraction` is progress within the phase
+   */
+  async enterPhase(phase, detail = {}) {
+    this.onPhase(phase, detail);
+    await yieldToEventLoop();
+  }
+
+  /**
+   * Replace configured placeholders with null, and count the cells that
+   * look like placeholders, in batches between cancellation checks
+   * @param {Array} data - Parsed rows
+   * @param {NullValueNormalizer} normalizer - Built from the nullValues option
+   * @returns {Promise<Array>} - Rows, copied only where a placeholder was replaced
+   */
+  async normalizeNullValues(data, normalizer) {
+    const normalized = new Array(data.length);
+    for (let start = 0; start < data.length; start += PROGRESS_BATCH_ROWS) {
+      const end = Math.min(start + PROGRESS_BATCH_ROWS, data.length);
+      for (let r = start; r < end; r++) {
+        normalized[r] = normalizer.normalize(data[r]);
+      }
+
+      if (end < data.length) {
+        await yieldToEventLoop();
+        throwIfAborted(this.signal);
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Build one mergeable accumulator per column from a single pass over rows.
+   * Rows are processed in batches, reporting progress and checking for
+   * cancellation between them.
+   * @param {Array} data - Parsed rows
+   * @param {Array<String>} keys - Column names
+   * @param {Object} options - Profiling options
+   * @returns {Promise<Object>} - Column name to ColumnAccumulator
+   */
+  async accumulateColumns(data, keys, options = {}) {
+    const accumulatorOptions = this.getAccumulatorOptions(options);
+    const accumulators = {};
+    keys.forEach(key => {
+      accumulators[key] = ColumnAccumulator.forColumn(key, accumulatorOptions);
+    });
+
+    for (let start = 0; start < data.length; start += PROGRESS_BATCH_ROWS) {
+      const end = Math.min(start + PROGRESS_BATCH_ROWS, data.length);
+      for (let i = start; i < end; i++) {
+        const row = data[i];
+        for (const key of keys) {
+          accumulators[key].add(row[key]);
+        }
+      }
+
+      if (end < data.length) {
+        await this.enterPhase('profiling', {
+          rowsProfiled: end,
+          totalRows: data.length,
+          fraction: ACCUMULATION_SHARE * end / data.length
+        });
+        throwIfAborted(this.signal);
+      }
+    }
+
+    return accumulators;
+  }
+
+  getAccumulatorOptions(options = {}) {
+    return {
+      maxTrackedValues: options.maxTrackedValues,
+      sketchSize: options.sketchSize,
+      // Shared by every chunk so future-date checks agree across workers
+      referenceTime: this.referenceTime || (this.referenceTime = Date.now())
     };
+  }
 
-    if (isNumeric && numericValues.length > 0) {
-      return {
-        ...baseStats,
-        ...this.calculateNumericStats(numericValues)
-      };
-    } else {
-      return {
-        ...baseStats,
-        ...this.calculateCategoricalStats(nonNullValues)
+  /**
+   * Decide how many worker threads to use for a dataset
+   * @param {Number} rowCount - Rows to profile
+   * @param {Object} options - Profiling options (workers, parallelThreshold)
+   * @returns {Number} - Worker count; 1 means single-threaded
+   */
+  resolveWorkerCount(rowCount, options = {}) {
+    const {
+      workers = 'auto',
+      parallelThreshold = DEFAULT_PARALLEL_THRESHOLD
+    } = options;
+
+    if (workers === 'auto') {
+      return rowCount >= parallelThreshold
+        ? Math.max(1, os.cpus().length - 1)
+        : 1;
+    }
+
+    const requested = parseInt(workers, 10);
+    if (!Number.isFinite(requested) || requested <= 1) return 1;
+
+    return Math.min(requested, MAX_WORKERS, rowCount);
+  }
+
+  /**
+   * Accumulate column statistics, splitting rows across worker threads when
+   * the dataset is large enough. Falls back to single-threaded profiling if
+   * any worker fails.
+   * @returns {Promise<Object>} - { accumulators, execution }
+   */
+  async accumulateColumnsWithWorkers(data, keys, options = {}) {
+    const workerCount = this.resolveWorkerCount(data.length, options);
+
+    if (workerCount > 1) {
+      try {
+        const workerService = new WorkerService(this.logger, { maxWorkers: workerCount });
+        const accumulators = await workerService.processInParallel(data, 'profileChunk', {
+          maxWorkers: workerCount,
+          signal: this.signal,
+          taskOptions: {
+            keys,
+            accumulatorOptions: this.getAccumulatorOptions(options)
+          },
+          timeout: options.workerTimeout || 5 * 60 * 1000,
+          onChunkComplete: (completedChunks, totalChunks) => this.onPhase('profiling', {
+            chunksCompleted: completedChunks,
+            totalChunks,
+            fraction: ACCUMULATION_SHARE * completedChunks / totalChunks
+          })
+        });
+
+        return {
+          accumulators,
+          execution: { mode: 'parallel', workers: workerCount }
+        };
+      } catch (error) {
+        if (isCancelledError(error)) throw error;
+
+        this.logger.warn('Parallel profiling failed, falling back to single-threaded mode', {
+          requestId: this.requestId,
+          workers: workerCount,
+          error: error.message
+        });
+
+        return {
+          accumulators: await this.accumulateColumns(data, keys, options),
+          execution: { mode: 'single-threaded', workers: 1, fallbackReason: error.message }
+        };
+      }
+    }
+
+    return {
+      accumulators: await this.accumulateColumns(data, keys, options),
+      execution: { mode: 'single-threaded', workers: 1 }
+    };
+  }
+
+  async profileColumn(data, columnName, options = {}) {
+    validateHistogramOptions(options);
+    const accumulators = await this.accumulateColumns(data, [columnName], options);
+    return accumulators[columnName].finalize(this.finalizeOptions(columnName, options));
+  }
+
+  /**
+   * Per-column output options for ColumnAccumulator.finalize
+   * @param {String} column - Column name
+   * @param {Object} options - Profiling options
+   * @returns {Object} - { bins, frequencyThreshold }
+   */
+  finalizeOptions(column, options = {}) {
+    return {
+      bins: binSpecFor(options.histogramBins, column),
+      frequencyThreshold: options.frequencyThreshold
+    };
+  }
+
+  /**
+   * Run the tests that need a numeric column's actual values: normality
+   * tests and outlier detection. Results go on the column statistics as
+   * `normality` and `outlierDetection`.
+   * @param {Array} data - Parsed rows
+   * @param {Object} columnStats - Finalised column statistics, updated in place
+   * @param {Array<String>} numericColumns - Numeric column names
+   * @param {Object} outlierSettings - From resolveOutlierOptions
+   */
+  async runColumnTests(data, columnStats, numericColumns, outlierSettings) {
+    for (const [columnIndex, key] of numericColumns.entries()) {
+      await this.enterPhase('tests', {
+        column: key,
+        columnIndex,
+        totalColumns: numericColumns.length,
+        fraction: columnIndex / numericColumns.length
+      });
+      throwIfAborted(this.signal);
+
+      columnStats[key].normality = testNormality(data, key);
+      columnStats[key].outlierDetection = detectOutliers(data, key, outlierSettings);
+    }
+  }
+
+  /**
+   * Exact duplicate rows over every column and, when `duplicateKeys` is
+   * set, over that column subset; near-duplicates when `nearDuplicates`
+   * is set. Row indices refer to the profiled rows.
+   * @param {Array} data - Parsed rows
+   * @param {Array<String>} keys - Column names
+   * @param {Object} columnStats - Finalised column statistics
+   * @param {Object} settings - From resolveDuplicateOptions
+   * @param {Object} options - Profiling options
+   * @returns {Promise<Object>} - { exact, keys, nearDuplicates }
+   */
+  async detectDuplicates(data, keys, columnStats, settings, options = {}) {
+    const exact = summarizeDuplicateGroups(await this.hashRowsWithWorkers(data, keys, options), data.length);
+
+    let keyDuplicates = null;
+    if (settings.keys) {
+      throwIfAborted(this.signal);
+      keyDuplicates = {
+        columns: settings.keys,
+        ...summarizeDuplicateGroups(await this.hashRowsWithWorkers(data, settings.keys, options), data.length)
       };
     }
+
+    let nearDuplicates = null;
+    if (settings.nearDuplicates) {
+      const textColumns = settings.nearDuplicateColumns ||
+        keys.filter(key => columnStats[key].type === 'categorical');
+      if (textColumns.length > 0) {
+        await this.enterPhase('duplicates', { nearDuplicateColumns: textColumns.length, fraction: 0.5 });
+        throwIfAborted(this.signal);
+        nearDuplicates = findNearDuplicates(data, keys, textColumns, settings.threshold);
+      }
+    }
+
+    return { exact, keys: keyDuplicates, nearDuplicates };
   }
 
-  calculateNumericStats(values) {
-    const sorted = [...values].sort((a, b) => a - b);
-    const sum = values.reduce((a, b) => a + b, 0);
-    const mean = sum / values.length;
-    
-    // Calculate variance and standard deviation
-    const variance = values.reduce((sum, val) => 
-      sum + Math.pow(val - mean, 2), 0
-    ) / values.length;
-    const stdDev = Math.sqrt(variance);
-    
-    // Calculate percentiles
-    const getPercentile = (arr, p) => {
-      const index = (p / 100) * (arr.length - 1);
-      const lower = Math.floor(index);
-      const upper = Math.ceil(index);
-      const weight = index % 1;
-      
-      if (upper >= arr.length) return arr[arr.length - 1];
-      return arr[lower] * (1 - weight) + arr[upper] * weight;
+  /**
+   * Group rows by the hash of their values in the given columns
+   * @param {Array} data - Parsed rows
+   * @param {Array<String>} columns - Columns hashed
+   * @returns {Promise<Object>} - Hash to { count, rows }
+   */
+  async hashRows(data, columns) {
+    const groups = {};
+    for (let start = 0; start < data.length; start += PROGRESS_BATCH_ROWS) {
+      const end = Math.min(start + PROGRESS_BATCH_ROWS, data.length);
+      for (let i = start; i < end; i++) {
+        const hash = hashRow(data[i], columns);
+        const group = groups[hash] || (groups[hash] = { count: 0, rows: [] });
+        group.count++;
+        if (group.rows.length < MAX_ROWS_PER_GROUP) group.rows.push(i);
+      }
+
+      if (end < data.length) {
+        await yieldToEventLoop();
+        throwIfAborted(this.signal);
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Hash rows, splitting them across worker threads under the same rules
+   * as column profiling
+   * @returns {Promise<Object>} - Hash to { count, rows }
+   */
+  async hashRowsWithWorkers(data, columns, options = {}) {
+    const workerCount = this.resolveWorkerCount(data.length, options);
+    if (workerCount > 1) {
+      try {
+        const workerService = new WorkerService(this.logger, { maxWorkers: workerCount });
+        return await workerService.processInParallel(data, 'duplicateHashes', {
+          maxWorkers: workerCount,
+          signal: this.signal,
+          taskOptions: { keys: columns, maxRowsPerGroup: MAX_ROWS_PER_GROUP },
+          timeout: options.workerTimeout || 5 * 60 * 1000
+        });
+      } catch (error) {
+        if (isCancelledError(error)) throw error;
+
+        this.logger.warn('Parallel duplicate detection failed, falling back to single-threaded mode', {
+          requestId: this.requestId,
+          workers: workerCount,
+          error: error.message
+        });
+      }
+    }
+
+    return this.hashRows(data, columns);
+  }
+
+  /**
+   * Missing-value patterns, nullity correlations and a structural or
+   * random classification of every column with gaps
+   * @param {Array} data - Parsed rows
+   * @param {Object} columnStats - Finalised column statistics
+   * @param {String} piiHandling - Masked PII columns are not tested against
+   * @param {Object} options - Profiling options
+   * @returns {Promise<Object>} - MissingnessAccumulator summary
+   */
+  async analyzeMissingness(data, columnStats, piiHandling, options = {}) {
+    const columns = Object.keys(columnStats).filter(key => columnStats[key].missingCount > 0);
+    const usable = (key) => !(columnStats[key].pii && piiHandling !== 'none');
+    const settings = {
+      columns,
+      tested: columns
+        .filter(key => columnStats[key].missingCount < data.length)
+        .slice(0, MAX_MISSINGNESS_TESTED),
+      categorical: this.associationColumns(columnStats, options)
+        .filter(usable)
+        .slice(0, MAX_MISSINGNESS_CONTEXT),
+      numeric: Object.keys(columnStats)
+        .filter(key => columnStats[key].type === 'numeric' && usable(key))
+        .slice(0, MAX_MISSINGNESS_CONTEXT)
     };
 
-    // Detect outliers using IQR method
-    const q1 = getPercentile(sorted, 25);
-    const q3 = getPercentile(sorted, 75);
-    const iqr = q3 - q1;
-    const lowerBound = q1 - 1.5 * iqr;
-    const upperBound = q3 + 1.5 * iqr;
-    const outliers = values.filter(v => v < lowerBound || v > upperBound).length;
+    const accumulator = columns.length > 0
+      ? await this.accumulateMissingnessWithWorkers(data, settings, options)
+      : await this.accumulateMissingness(data, settings);
+    return accumulator.finalize();
+  }
+
+  /**
+   * Accumulate missingness in one pass over the rows
+   * @param {Array} data - Parsed rows
+   * @param {Object} settings - { columns, tested, categorical, numeric }
+   * @returns {Promise<MissingnessAccumulator>}
+   */
+  async accumulateMissingness(data, settings) {
+    const { columns, ...testColumns } = settings;
+    const accumulator = new MissingnessAccumulator(columns, testColumns);
+
+    for (let start = 0; start < data.length; start += PROGRESS_BATCH_ROWS) {
+      const end = Math.min(start + PROGRESS_BATCH_ROWS, data.length);
+      for (let r = start; r < end; r++) {
+        accumulator.add(data[r], r);
+      }
+
+      if (end < data.length) {
+        await yieldToEventLoop();
+        throwIfAborted(this.signal);
+      }
+    }
+
+    return accumulator;
+  }
+
+  /**
+   * Accumulate missingness, splitting rows across worker threads under the
+   * same rules as column profiling
+   * @returns {Promise<MissingnessAccumulator>}
+   */
+  async accumulateMissingnessWithWorkers(data, settings, options = {}) {
+    const workerCount = this.resolveWorkerCount(data.length, options);
+    if (workerCount > 1) {
+      try {
+        const workerService = new WorkerService(this.logger, { maxWorkers: workerCount });
+        return await workerService.processInParallel(data, 'missingness', {
+          maxWorkers: workerCount,
+          signal: this.signal,
+          taskOptions: settings,
+          timeout: options.workerTimeout || 5 * 60 * 1000
+        });
+      } catch (error) {
+        if (isCancelledError(error)) throw error;
+
+        this.logger.warn('Parallel missingness analysis failed, falling back to single-threaded mode', {
+          requestId: this.requestId,
+          workers: workerCount,
+          error: error.message
+        });
+      }
+    }
+
+    return this.accumulateMissingness(data, settings);
+  }
+
+  /**
+   * Categorical columns that can take part in a functional dependency:
+   * at least two values, each repeated on average
+   * @param {Object} columnStats - Finalised column statistics
+   * @param {String} piiHandling - Masked PII columns are left out
+   * @returns {Array<String>} - Column names
+   */
+  dependencyColumns(columnStats, piiHandling) {
+    return Object.keys(columnStats)
+      .filter(key => {
+        const stats = columnStats[key];
+        return stats.type === 'categorical' && stats.unique >= 2 && stats.unique <= stats.validCount / 2 &&
+          !(stats.pii && piiHandling !== 'none');
+      })
+      .slice(0, MAX_DEPENDENCY_COLUMNS);
+  }
+
+  /**
+   * Approximate functional dependencies between every pair of columns, in
+   * both directions, strongest first
+   * @param {Array} data - Parsed rows
+   * @param {Array<String>} columns - From dependencyColumns
+   * @param {Object} options - Profiling options
+   * @returns {Promise<Object>} - { dependencies, columns, threshold }
+   */
+  async calculateDependencies(data, columns, options = {}) {
+    const threshold = resolveDependencyThreshold(options.dependencyThreshold);
+    const dependencies = [];
+
+    for (let i = 0; i < columns.length; i++) {
+      for (let j = i + 1; j < columns.length; j++) {
+        dependencies.push(...pairDependencies(data, columns[i], columns[j], threshold));
+      }
+      await yieldToEventLoop();
+      throwIfAborted(this.signal);
+    }
 
     return {
-      min: Math.min(...values),
-      max: Math.max(...values),
-      mean,
-      median: getPercentile(sorted, 50),
-      mode: this.calculateMode(values),
-     stdDev,
-     variance,
-     q1,
-     q3,
-     iqr,
-     outliers,
-     skewness: this.calculateSkewness(values, mean, stdDev),
-     kurtosis: this.calculateKurtosis(values, mean, stdDev)
-   };
- }
+      dependencies: dependencies.sort((a, b) =>
+        b.strength - a.strength || a.determinant.localeCompare(b.determinant)
+      ),
+      columns,
+      threshold
+    };
+  }
 
- calculateCategoricalStats(values) {
-   const valueCounts = {};
-   values.forEach(v => {
-     const key = String(v);
-     valueCounts[key] = (valueCounts[key] || 0) + 1;
-   });
-   
-   const sortedValues = Object.entries(valueCounts)
-     .sort(([,a], [,b]) => b - a);
-   
-   const entropy = this.calculateEntropy(Object.values(valueCounts));
-   
-   return {
-     topValues: sortedValues.slice(0, 10),
-     entropy,
-     mode: sortedValues[0]?.[0],
-     modeCount: sortedValues[0]?.[1] || 0,
-     modePercent: sortedValues[0] && values.length > 0 ? 
-       (sortedValues[0][1] / values.length) * 100 : 0
-   };
- }
+  /**
+   * Categorical columns with few enough distinct values for association
+   * measures
+   * @param {Object} columnStats - Finalised column statistics
+   * @param {Object} options - Profiling options
+   * @returns {Array<String>} - Column names
+   */
+  associationColumns(columnStats, options = {}) {
+    const maxCategories = resolveMaxAssociationCategories(options.maxAssociationCategories);
+    return Object.keys(columnStats).filter(key => {
+      const stats = columnStats[key];
+      return stats.type === 'categorical' && stats.unique >= 2 && stats.unique <= maxCategories;
+    });
+  }
 
- calculateMode(values) {
-   const counts = {};
-   values.forEach(v => counts[v] = (counts[v] || 0) + 1);
-   
-   let maxCount = 0;
-   let mode = null;
-   
-   Object.entries(counts).forEach(([value, count]) => {
-     if (count > maxCount) {
-       maxCount = count;
-       mode = parseFloat(value);
-     }
-   });
-   
-   return mode;
- }
+  /**
+   * Accumulate contingency tables for every pair of categorical columns and
+   * per-category moments for every categorical-numeric pair, in one pass
+   * over the rows
+   * @param {Array} data - Parsed rows
+   * @param {Array<String>} categorical - Categorical column names
+   * @param {Array<String>} numeric - Numeric column names
+   * @returns {Promise<Object>} - { tables, groups } keyed by `${i}:${j}` column index pair
+   */
+  async accumulateAssociations(data, categorical, numeric) {
+    const tables = {};
+    const groups = {};
+    for (let i = 0; i < categorical.length; i++) {
+      for (let j = i + 1; j < categorical.length; j++) {
+        tables[`${i}:${j}`] = new ContingencyTable();
+      }
+      for (let j = 0; j < numeric.length; j++) {
+        groups[`${i}:${j}`] = new GroupMoments();
+      }
+    }
 
- calculateSkewness(values, mean, stdDev) {
-   if (stdDev === 0) return 0;
-   
-   const n = values.length;
-   const skewness = values.reduce((sum, val) => {
-     return sum + Math.pow((val - mean) / stdDev, 3);
-   }, 0) / n;
-   
-   return skewness;
- }
+    for (let start = 0; start < data.length; start += PROGRESS_BATCH_ROWS) {
+      const end = Math.min(start + PROGRESS_BATCH_ROWS, data.length);
+      for (let r = start; r < end; r++) {
+        addAssociationRow(data[r], categorical, numeric, tables, groups);
+      }
 
- calculateKurtosis(values, mean, stdDev) {
-   if (stdDev === 0) return 0;
-   
-   const n = values.length;
-   const kurtosis = values.reduce((sum, val) => {
-     return sum + Math.pow((val - mean) / stdDev, 4);
-   }, 0) / n;
-   
-   return kurtosis - 3; // Excess kurtosis
- }
+      if (end < data.length) {
+        await yieldToEventLoop();
+        throwIfAborted(this.signal);
+      }
+    }
 
- calculateEntropy(counts) {
-   const total = counts.reduce((a, b) => a + b, 0);
-   if (total === 0) return 0;
-   
-   return -counts.reduce((entropy, count) => {
-     if (count === 0) return entropy;
-     const p = count / total;
-     return entropy + p * Math.log2(p);
-   }, 0);
- }
+    return { tables, groups };
+  }
+
+  /**
+   * Accumulate association tables, splitting rows across worker threads
+   * under the same rules as column profiling
+   * @returns {Promise<Object>} - { tables, groups }
+   */
+  async accumulateAssociationsWithWorkers(data, categorical, numeric, options = {}) {
+    if (categorical.length === 0) return { tables: {}, groups: {} };
+
+    const workerCount = this.resolveWorkerCount(data.length, options);
+    if (workerCount > 1) {
+      try {
+        const workerService = new WorkerService(this.logger, { maxWorkers: workerCount });
+        return await workerService.processInParallel(data, 'associationBlock', {
+          maxWorkers: workerCount,
+          signal: this.signal,
+          taskOptions: { categorical, numeric },
+          timeout: options.workerTimeout || 5 * 60 * 1000
+        });
+      } catch (error) {
+        if (isCancelledError(error)) throw error;
+
+        this.logger.warn('Parallel association analysis failed, falling back to single-threaded mode', {
+          requestId: this.requestId,
+          workers: workerCount,
+          error: error.message
+        });
+      }
+    }
 
- calculateCorrelations(data, numericColumns) {
+    return this.accumulateAssociations(data, categorical, numeric);
+  }
+
+  /**
+   * Accumulate co-moments for every pair of numeric columns over the rows
+   * where both values are present, in one pass over the rows
+   * @param {Array} data - Parsed rows
+   * @param {Array<String>} columns - Numeric column names
+   * @returns {Promise<Object>} - `${i}:${j}` column index pair to PairAccumulator
+   */
+  async accumulatePairs(data, columns) {
+    const pairs = {};
+    for (let i = 0; i < columns.length; i++) {
+      for (let j = i + 1; j < columns.length; j++) {
+        pairs[`${i}:${j}`] = new PairAccumulator();
+      }
+    }
+
+    for (let start = 0; start < data.length; start += PROGRESS_BATCH_ROWS) {
+      const end = Math.min(start + PROGRESS_BATCH_ROWS, data.length);
+      for (let r = start; r < end; r++) {
+        const row = data[r];
+        for (let i = 0; i < columns.length; i++) {
+          const x = row[columns[i]];
+          if (typeof x !== 'number' || !Number.isFinite(x)) continue;
+
+          for (let j = i + 1; j < columns.length; j++) {
+            const y = row[columns[j]];
+            if (typeof y !== 'number' || !Number.isFinite(y)) continue;
+            pairs[`${i}:${j}`].add(x, y);
+          }
+        }
+      }
+
+      if (end < data.length) {
+        await yieldToEventLoop();
+        throwIfAborted(this.signal);
+      }
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Accumulate pairwise co-moments, splitting rows across worker threads
+   * under the same rules as column profiling
+   * @returns {Promise<Object>} - `${i}:${j}` column index pair to PairAccumulator
+   */
+  async accumulatePairsWithWorkers(data, columns, options = {}) {
+    const workerCount = this.resolveWorkerCount(data.length, options);
+
+    if (workerCount > 1 && columns.length > 1) {
+      try {
+        const workerService = new WorkerService(this.logger, { maxWorkers: workerCount });
+        return await workerService.processInParallel(data, 'correlationBlock', {
+          maxWorkers: workerCount,
+          signal: this.signal,
+          taskOptions: { columns },
+          timeout: options.workerTimeout || 5 * 60 * 1000
+        });
+      } catch (error) {
+        if (isCancelledError(error)) throw error;
+
+        this.logger.warn('Parallel correlation failed, falling back to single-threaded mode', {
+          requestId: this.requestId,
+          workers: workerCount,
+          error: error.message
+        });
+      }
+    }
+
+    return this.accumulatePairs(data, columns);
+  }
+
+ /**
+  * Correlations over pairwise-complete rows: each pair uses only the rows
+  * where both columns have a value, and reports that row count as its
+  * sampleSize. `correlationMethod` picks pearson (default), spearman,
+  * kendall or all; every method carries a p-value and a confidence
+  * interval, and the first one fills the top-level fields. Pairs with fewer
+  * rows than `minCorrelationOverlap` are listed under `insufficientOverlap`.
+  * @param {Array} data - Parsed rows, for the rank methods
+  * @param {Object} pairs - `${i}:${j}` column index pair to PairAccumulator
+  * @param {Array<String>} numericColumns - Numeric column names
+  * @param {Object} options - Profiling options
+  * @returns {Promise<Object>} - Correlations grouped by strength and sign
+  */
+ async calculateCorrelations(data, pairs, numericColumns, options = {}) {
+   const minOverlap = Math.max(2, options.minCorrelationOverlap || DEFAULT_MIN_CORRELATION_OVERLAP);
+   const methods = resolveMethods(options.correlationMethod);
+   const rankMethods = methods.filter(method => method !== 'pearson');
+   const confidenceLevel = resolveConfidenceLevel(options.confidenceLevel);
    const correlations = [];
-   
-   const pearsonCorrelation = (x, y) => {
-     const n = x.length;
-     if (n === 0) return 0;
-     
-     const avgX = x.reduce((a, b) => a + b, 0) / n;
-     const avgY = y.reduce((a, b) => a + b, 0) / n;
-     
-     const numerator = x.reduce((sum, xi, i) => 
-       sum + (xi - avgX) * (y[i] - avgY), 0
-     );
-     const denomX = Math.sqrt(x.reduce((sum, xi) => 
-       sum + Math.pow(xi - avgX, 2), 0
-     ));
-     const denomY = Math.sqrt(y.reduce((sum, yi) => 
-       sum + Math.pow(yi - avgY, 2), 0
-     ));
-     
-     return denomX && denomY ? numerator / (denomX * denomY) : 0;
-   };
+   const insufficientOverlap = [];
 
-   // Calculate all pairwise correlations
    for (let i = 0; i < numericColumns.length; i++) {
      for (let j = i + 1; j < numericColumns.length; j++) {
        const colA = numericColumns[i];
        const colB = numericColumns[j];
-       
-       const valuesA = data.map(row => row[colA])
-         .filter(v => typeof v === 'number' && !isNaN(v));
-       const valuesB = data.map(row => row[colB])
-         .filter(v => typeof v === 'number' && !isNaN(v));
-       
-       if (valuesA.length > 2 && valuesB.length > 2) {
-         const minLength = Math.min(valuesA.length, valuesB.length);
-         const corr = pearsonCorrelation(
-           valuesA.slice(0, minLength), 
-           valuesB.slice(0, minLength)
-         );
-         
-         if (!isNaN(corr)) {
-           correlations.push({
-             pair: `${colA} & ${colB}`,
-             colA,
-             colB,
-             correlation: corr,
-             strength: Math.abs(corr),
-             sampleSize: minLength
-           });
-         }
+       const pair = pairs[`${i}:${j}`];
+       const sampleSize = pair ? pair.n : 0;
+
+       if (sampleSize < minOverlap) {
+         insufficientOverlap.push({ pair: `${colA} & ${colB}`, colA, colB, sampleSize });
+         continue;
+       }
+
+       const coefficients = {};
+       if (methods.includes('pearson')) {
+         coefficients.pearson = { correlation: pair.correlation, sampleSize, sampled: false };
+       }
+       if (rankMethods.length > 0) {
+         // Ranking re-reads the rows, so let progress and cancellation through
+         await yieldToEventLoop();
+         throwIfAborted(this.signal);
+         Object.assign(coefficients, rankCorrelations(data, colA, colB, rankMethods));
+       }
+
+       const results = {};
+       methods.forEach(method => {
+         const { correlation, sampleSize: n, sampled } = coefficients[method];
+         results[method] = {
+           correlation,
+           ...significance(method, correlation, n, confidenceLevel),
+           ...(sampled ? { sampleSize: n } : {})
+         };
+       });
+
+       const primary = results[methods[0]];
+       if (!isNaN(primary.correlation)) {
+         correlations.push({
+           pair: `${colA} & ${colB}`,
+           colA,
+           colB,
+           method: methods[0],
+           correlation: primary.correlation,
+           strength: Math.abs(primary.correlation),
+           pValue: primary.pValue,
+           confidenceInterval: primary.confidenceInterval,
+           sampleSize,
+           methods: results
+         });
        }
      }
    }
@@ -315,12 +956,88 @@ return {
      ),
      weak: sortedCorrelations.filter(c => c.strength <= 0.3),
      positive: sortedCorrelations.filter(c => c.correlation > 0).slice(0, 5),
-     negative: sortedCorrelations.filter(c => c.correlation < 0).slice(0, 5)
+     negative: sortedCorrelations.filter(c => c.correlation < 0).slice(0, 5),
+     insufficientOverlap,
+     minOverlap,
+     methods,
+     confidenceLevel
    };
  }
 
- generateInsights(columnStats, correlations) {
+ /**
+  * Association measures for columns that Pearson-style correlation cannot
+  * handle: Cramér's V (with a chi-square test) and Theil's U between
+  * categorical columns, and the correlation ratio η (with a one-way ANOVA
+  * F test) between a categorical and a numeric column. Every entry carries
+  * an `association` in [0, 1] so they can share a heatmap scale.
+  * @param {Object} state - { tables, groups } from accumulateAssociations
+  * @param {Array<String>} categorical - Categorical column names
+  * @param {Array<String>} numeric - Numeric column names
+  * @param {Object} options - Profiling options
+  * @returns {Object} - { categorical, mixed, columns, maxCategories }
+  */
+ calculateAssociations(state, categorical, numeric, options = {}) {
+   const maxCategories = resolveMaxAssociationCategories(options.maxAssociationCategories);
+   const categoricalAssociations = [];
+   const mixedAssociations = [];
+
+   for (let i = 0; i < categorical.length; i++) {
+     for (let j = i + 1; j < categorical.length; j++) {
+       const colA = categorical[i];
+       const colB = categorical[j];
+       const table = state.tables[`${i}:${j}`];
+       const test = table && table.cramersV();
+       if (!test) continue;
+
+       const uncertainty = table.theilsU();
+       categoricalAssociations.push({
+         pair: `${colA} & ${colB}`,
+         colA,
+         colB,
+         method: 'cramersV',
+         association: test.cramersV,
+         ...test,
+         // U(column | other column): how much the other column tells about this one
+         theilsU: { [colA]: uncertainty.first, [colB]: uncertainty.second },
+         sampleSize: table.n
+       });
+     }
+
+     for (let j = 0; j < numeric.length; j++) {
+       const colA = categorical[i];
+       const colB = numeric[j];
+       const moments = state.groups[`${i}:${j}`];
+       const test = moments && moments.correlationRatio();
+       if (!test) continue;
+
+       mixedAssociations.push({
+         pair: `${colA} & ${colB}`,
+         colA,
+         colB,
+         method: 'eta',
+         association: test.eta,
+         ...test,
+         sampleSize: moments.n
+       });
+     }
+   }
+
+   const byStrength = (a, b) => b.association - a.association;
+   return {
+     categorical: categoricalAssociations.sort(byStrength),
+     mixed: mixedAssociations.sort(byStrength),
+     columns: categorical,
+     maxCategories
+   };
+ }
+
+ generateInsights(columnStats, correlations, {
+   machineLearning = null, duplicates = null, keyCandidates = null, missingness = null
+ } = {}) {
    const insights = [];
+   const keyColumns = new Set(
+     (keyCandidates?.candidates || []).filter(c => c.width === 1).map(c => c.columns[0])
+   );
    
    // Data Quality Analysis
    Object.entries(columnStats).forEach(([col, stats]) => {
@@ -333,7 +1050,18 @@ return {
        });
      }
      
-     if (stats.type === 'numeric' && stats.outliers > 0) {
+     if (stats.outlierDetection) {
+       const [method, result] = Object.entries(stats.outlierDetection)[0];
+       if (result.count > 0) {
+         insights.push({
+           type: 'info',
+           category: 'Outliers',
+           message: `${col} contains ${result.count} potential outliers outside ` +
+             `[${result.lowerBound.toPrecision(4)}, ${result.upperBound.toPrecision(4)}] using ${OUTLIER_METHOD_LABELS[method]}`,
+           severity: 'medium'
+         });
+       }
+     } else if (stats.type === 'numeric' && stats.outliers > 0) {
        insights.push({
          type: 'info',
          category: 'Outliers',
@@ -351,11 +1079,11 @@ return {
        });
      }
 
-     if (stats.type === 'categorical' && stats.unique === stats.validCount) {
+     if (keyColumns.has(col) && !CODE_TYPE_LABELS[stats.semanticType]) {
        insights.push({
          type: 'info',
          category: 'Feature Engineering',
-         message: `${col} appears to be an identifier (all unique values)`,
+         message: `${col} appears to be an identifier (all unique values) - exclude it from modelling features`,
          severity: 'low'
        });
      }
@@ -368,6 +1096,16 @@ return {
          severity: 'high'
        });
      }
+
+     if (stats.temporal) {
+       insights.push(...this.generateTemporalInsights(col, stats));
+     } else if (stats.typeInference) {
+       insights.push(...this.generateTypeInsights(col, stats));
+     }
+
+     if (stats.strings) {
+       insights.push(...this.generateStringInsights(col, stats));
+     }
    });
 
    // Correlation Analysis
@@ -380,6 +1118,39 @@ return {
      });
    }
 
+   if (correlations.associations) {
+     const { categorical = [], mixed = [] } = correlations.associations;
+     const strong = [...categorical, ...mixed]
+       .filter(a => a.association >= STRONG_ASSOCIATION && a.pValue < 0.05)
+       .sort((a, b) => b.association - a.association);
+     if (strong.length > 0) {
+       const listed = strong.slice(0, 3)
+         .map(a => `${a.pair} (${a.method === 'eta' ? 'η' : 'V'} = ${a.association.toFixed(2)})`)
+         .join(', ');
+       insights.push({
+         type: 'insight',
+         category: 'Association',
+         message: `Found ${strong.length} strong associations involving categorical columns: ${listed}`,
+         severity: 'medium'
+       });
+     }
+   }
+
+   if (correlations.dependencies) {
+     insights.push(...this.generateDependencyInsights(correlations.dependencies.dependencies));
+   }
+
+   if (correlations.insufficientOverlap && correlations.insufficientOverlap.length > 0) {
+     const listed = correlations.insufficientOverlap.slice(0, 3).map(c => c.pair).join(', ');
+     insights.push({
+       type: 'info',
+       category: 'Correlation',
+       message: `${correlations.insufficientOverlap.length} numeric column pairs share fewer than ` +
+         `${correlations.minOverlap} complete rows and have no correlation reported (e.g. ${listed})`,
+       severity: 'low'
+     });
+   }
+
    // Advanced Pattern Detection
    const numericColumns = Object.values(columnStats).filter(col => col.type === 'numeric');
    if (numericColumns.length > 0) {
@@ -395,8 +1166,10 @@ return {
      }
    }
 
-   // High cardinality detection
+   // High cardinality detection; codes (identifiers, postal codes, phone
+   // numbers) and keys are many-valued labels, not features to bin
    Object.entries(columnStats).forEach(([col, stats]) => {
+     if (CODE_TYPE_LABELS[stats.semanticType] || keyColumns.has(col)) return;
      if (stats.type === 'categorical' && stats.uniquePercent > 90 && stats.unique > 100) {
        insights.push({
          type: 'info',
@@ -407,11 +1180,537 @@ return {
      }
    });
 
+   if (machineLearning) {
+     insights.push(...this.generateMachineLearningInsights(machineLearning));
+   }
+
+   if (duplicates) {
+     insights.push(...this.generateDuplicateInsights(duplicates));
+   }
+
+   if (keyCandidates) {
+     insights.push(...this.generateKeyInsights(keyCandidates));
+   }
+
+   if (missingness) {
+     insights.push(...this.generateMissingnessInsights(missingness));
+   }
+
+   const nullValueInsight = this.generateNullValueInsight(columnStats);
+   if (nullValueInsight) {
+     insights.push(nullValueInsight);
+   }
+
    return insights.sort((a, b) => {
      const severityOrder = { high: 3, medium: 2, low: 1 };
      return severityOrder[b.severity] - severityOrder[a.severity];
    });
  }
+
+  /**
+   * Insights on exact, key and near-duplicate rows, citing the rows of the
+   * largest group
+   * @param {Object} duplicates - Result of detectDuplicates
+   * @returns {Array} - Insights
+   */
+  generateDuplicateInsights(duplicates) {
+    const insights = [];
+    const example = (report) => report.groups[0].rows.join(', ');
+    const { exact, keys, nearDuplicates } = duplicates;
+
+    if (exact.count > 0) {
+      insights.push({
+        type: 'warning',
+        category: 'Data Quality',
+        message: `${exact.count} rows (${exact.percent.toFixed(1)}%) exactly duplicate an earlier row across ` +
+          `${exact.groupCount} groups - e.g. rows ${example(exact)}`,
+        severity: exact.percent > 5 ? 'high' : 'medium'
+      });
+    }
+
+    if (keys && keys.count > 0) {
+      insights.push({
+        type: 'warning',
+        category: 'Data Quality',
+        message: `${keys.count} rows repeat an earlier (${keys.columns.join(', ')}) combination across ` +
+          `${keys.groupCount} groups - e.g. rows ${example(keys)}`,
+        severity: 'high'
+      });
+    }
+
+    if (nearDuplicates && nearDuplicates.count > 0) {
+      insights.push({
+        type: 'info',
+        category: 'Data Quality',
+        message: `${nearDuplicates.count} rows nearly duplicate another row, differing only in the formatting or ` +
+          `spelling of ${nearDuplicates.columns.join(', ')} - e.g. rows ${example(nearDuplicates)}`,
+        severity: 'medium'
+      });
+    }
+
+    return insights;
+  }
+
+  /**
+   * Insights on functional dependencies: exact ones as structure, and
+   * approximate ones with the values that break them, which are usually
+   * data entry errors
+   * @param {Array} dependencies - From calculateDependencies, strongest first
+   * @returns {Array} - Insights
+   */
+  generateDependencyInsights(dependencies) {
+    const insights = [];
+    const arrow = (d) => `${d.determinant} → ${d.dependent}`;
+
+    const exact = dependencies.filter(d => d.exact && d.relationship !== 'oneToOne');
+    if (exact.length > 0) {
+      insights.push({
+        type: 'insight',
+        category: 'Dependencies',
+        message: `Found ${exact.length} exact functional dependencies: ${exact.slice(0, 3).map(arrow).join(', ')}` +
+          `${exact.some(d => d.relationship === 'hierarchy') ? ' - hierarchies that could be normalised into lookup tables' : ''}`,
+        severity: 'low'
+      });
+    }
+
+    const oneToOne = dependencies.filter(d => d.relationship === 'oneToOne' && d.determinant < d.dependent);
+    if (oneToOne.length > 0) {
+      insights.push({
+        type: 'info',
+        category: 'Dependencies',
+        message: `${oneToOne.slice(0, 3).map(d => `${d.determinant} and ${d.dependent}`).join(', ')} map one-to-one - ` +
+          'one column of each pair is redundant',
+        severity: 'low'
+      });
+    }
+
+    dependencies.filter(d => !d.exact).slice(0, 3).forEach(d => {
+      const [worst] = d.violations;
+      const conflicting = worst.conflicting.slice(0, 2).map(c => `"${c.value}" (${c.count})`).join(', ');
+      insights.push({
+        type: 'warning',
+        category: 'Dependencies',
+        message: `${arrow(d)} holds for ${(d.strength * 100).toFixed(1)}% of rows; ${d.violatingRows} rows across ` +
+          `${d.violatingValues} ${d.determinant} values break it - e.g. ${d.determinant} "${worst.value}" maps to ` +
+          `"${worst.expected}" (${worst.expectedCount}) but also ${conflicting}`,
+        severity: d.violatingRows > d.sampleSize * 0.01 ? 'high' : 'medium'
+      });
+    });
+
+    return insights;
+  }
+
+  /**
+   * Suggest likely placeholders for the nullValues option, with the option
+   * value that would read them as missing
+   * @param {Object} columnStats - Finalised column statistics
+   * @returns {Object|null} - Insight, null without suggestions
+   */
+  generateNullValueInsight(columnStats) {
+    const columns = Object.keys(columnStats).filter(key => columnStats[key].suggestedNullValues);
+    if (columns.length === 0) return null;
+
+    const nullValues = {};
+    const listed = columns.map(key => {
+      const suggestions = columnStats[key].suggestedNullValues;
+      nullValues[key] = suggestions.map(s => s.value);
+      return `${key} (${suggestions.slice(0, 3).map(s => `${JSON.stringify(s.value)} ×${s.count}`).join(', ')})`;
+    });
+    const cells = columns.reduce(
+      (sum, key) => sum + columnStats[key].suggestedNullValues.reduce((total, s) => total + s.count, 0), 0
+    );
+
+    return {
+      type: 'recommendation',
+      category: 'Missing Data',
+      message: `${cells} cells look like missing-value placeholders: ${listed.slice(0, 5).join(', ')}` +
+        `${columns.length > 5 ? ` and ${columns.length - 5} more columns` : ''} - ` +
+        'add them to the nullValues option so they count as missing',
+      severity: 'medium',
+      suggestion: { nullValues }
+    };
+  }
+
+  /**
+   * Insights on how gaps are spread over rows, telling structural gaps
+   * (columns missing together, depending on another column's values or in
+   * blocks of rows) from gaps with no pattern, which are safer to impute
+   * @param {Object} missingness - Result of analyzeMissingness
+   * @returns {Array} - Insights
+   */
+  generateMissingnessInsights(missingness) {
+    const insights = [];
+    if (missingness.rowsWithMissing === 0) return insights;
+
+    const percent = missingness.rowsWithMissingPercent;
+    insights.push({
+      type: percent > 10 ? 'warning' : 'info',
+      category: 'Missing Data',
+      message: `${missingness.rowsWithMissing} rows (${percent.toFixed(1)}%) have at least one missing value, ` +
+        `in ${missingness.patternCount} distinct patterns; ${missingness.completeRows} rows are complete`,
+      severity: percent > 50 ? 'high' : percent > 10 ? 'medium' : 'low'
+    });
+
+    missingness.groups.slice(0, 3).forEach(group => {
+      insights.push({
+        type: 'insight',
+        category: 'Missing Data',
+        message: `${group.columns.join(', ')} are missing in the same rows (all missing in ${group.rowsAllMissing} ` +
+          'rows) - a structural gap such as an optional section or an unmatched join, not random loss',
+        severity: 'medium'
+      });
+    });
+
+    const reasonsOf = (type) => Object.entries(missingness.columns)
+      .map(([column, report]) => ({ column, reason: report.reasons.find(r => r.type === type) }))
+      .filter(entry => entry.reason);
+
+    reasonsOf('dependsOn').slice(0, 5).forEach(({ column, reason }) => {
+      const detail = reason.method === 'cramersV'
+        ? `for ${(reason.missingRate * 100).toFixed(1)}% of rows where ${reason.column} is "${reason.value}" ` +
+          `versus ${(reason.otherMissingRate * 100).toFixed(1)}% otherwise (V = ${reason.association.toFixed(2)})`
+        : `with a mean ${reason.column} of ${reason.meanWhenMissing.toPrecision(4)} versus ` +
+          `${reason.meanWhenPresent.toPrecision(4)} where present (η = ${reason.association.toFixed(2)})`;
+      insights.push({
+        type: 'warning',
+        category: 'Missing Data',
+        message: `${column} is missing ${detail} - gaps depend on ${reason.column}, ` +
+          'so dropping or mean-imputing these rows would bias results',
+        severity: 'medium'
+      });
+    });
+
+    reasonsOf('clustered').slice(0, 5).forEach(({ column, reason }) => {
+      insights.push({
+        type: 'warning',
+        category: 'Missing Data',
+        message: `${column} is missing in blocks of consecutive rows (${reason.runs} runs where ` +
+          `${reason.expectedRuns.toFixed(0)} are expected at random; longest ${reason.longestRun.length} rows ` +
+          `from row ${reason.longestRun.start}) - likely a collection or load outage`,
+        severity: 'medium'
+      });
+    });
+
+    const random = Object.entries(missingness.columns)
+      .filter(([, report]) => report.classification === 'random' && report.tested)
+      .map(([column]) => column);
+    if (random.length > 0) {
+      const listed = random.slice(0, 5).join(', ') + (random.length > 5 ? ` and ${random.length - 5} more` : '');
+      insights.push({
+        type: 'info',
+        category: 'Missing Data',
+        message: `Gaps in ${listed} follow no pattern across other columns or row order - consistent with ` +
+          'values missing at random, so imputing or dropping them is unlikely to bias results',
+        severity: 'low'
+      });
+    }
+
+    return insights;
+  }
+
+  /**
+   * Insights on primary key candidates, or their absence, and on columns
+   * that are almost but not quite unique
+   * @param {Object} keyCandidates - Result of discoverKeys
+   * @returns {Array} - Insights
+   */
+  generateKeyInsights(keyCandidates) {
+    const insights = [];
+    const format = (candidate) => (candidate.width === 1 ? candidate.columns[0] : `(${candidate.columns.join(', ')})`);
+    const primaryKeys = keyCandidates.candidates.filter(c => c.primaryKey);
+
+    if (primaryKeys.length > 0) {
+      const composite = primaryKeys[0].width > 1;
+      insights.push({
+        type: 'info',
+        category: 'Keys',
+        message: `${composite ? 'No single column identifies rows; minimal composite primary key candidates' : 'Primary key candidates'}: ` +
+          `${primaryKeys.slice(0, 3).map(format).join(', ')} (unique with no missing values)`,
+        severity: 'low'
+      });
+    } else if (keyCandidates.candidates.length > 0) {
+      const candidate = keyCandidates.candidates[0];
+      insights.push({
+        type: 'info',
+        category: 'Keys',
+        message: `${format(candidate)} is unique but missing in ${(candidate.nullRate * 100).toFixed(1)}% of rows - ` +
+          'usable as a unique constraint but not as a primary key',
+        severity: 'medium'
+      });
+    } else if (!keyCandidates.truncated) {
+      insights.push({
+        type: 'warning',
+        category: 'Keys',
+        message: `${keyCandidates.maxWidth === 1 ? 'No single column' : `No combination of up to ${keyCandidates.maxWidth} columns`} ` +
+          'uniquely identifies rows - deduplicate or add a surrogate key before joining',
+        severity: 'medium'
+      });
+    }
+
+    keyCandidates.nearKeys.slice(0, 3).forEach(nearKey => {
+      insights.push({
+        type: 'warning',
+        category: 'Keys',
+        message: `${nearKey.columns[0]} is ${(nearKey.uniqueness * 100).toFixed(2)}% unique with ${nearKey.duplicateCount} ` +
+          'repeated values - check for duplicates before using it as a join key',
+        severity: 'medium'
+      });
+    });
+
+    return insights;
+  }
+
+  /**
+   * Insights on anomalous rows and clusters found by the machine learning
+   * analysis, citing row indices so the records can be looked up
+   * @param {Object} machineLearning - Result of MachineLearningService.analyze
+   * @returns {Array} - Insights
+   */
+  generateMachineLearningInsights(machineLearning) {
+    const insights = [];
+    const { anomalies, clustering, sampled, rowsAnalyzed } = machineLearning;
+    const scope = sampled ? ` in a sample of ${rowsAnalyzed} rows` : '';
+
+    if (anomalies && anomalies.count > 0) {
+      const rows = anomalies.top.slice(0, 5).map(a => a.row).join(', ');
+      const high = anomalies.top.some(a => a.severity === 'high');
+      insights.push({
+        type: 'warning',
+        category: 'Anomaly Detection',
+        message: `Isolation forest flagged ${anomalies.count} anomalous rows${scope} ` +
+          `(${anomalies.percent.toFixed(1)}%), most anomalous: rows ${rows}`,
+        severity: high ? 'high' : 'medium'
+      });
+    }
+
+    if (clustering && clustering.silhouette >= 0.25) {
+      const described = clustering.clusters
+        .filter(c => c.distinguishing.length > 0)
+        .slice(0, 3)
+        .map(c => `cluster ${c.id + 1} (${(c.share * 100).toFixed(0)}%): ` +
+          c.distinguishing.map(f => `${f.direction} ${f.feature}`).join(', '))
+        .join('; ');
+      insights.push({
+        type: 'insight',
+        category: 'Pattern Recognition',
+        message: `Rows form ${clustering.k} clusters${scope} (silhouette ${clustering.silhouette.toFixed(2)})` +
+          (described ? ` - ${described}` : ''),
+        severity: 'low'
+      });
+    }
+
+    return insights;
+  }
+
+  /**
+   * High-severity insight listing the columns that hold personal data
+   * @param {Object} columnStats - Column statistics with `pii` classifications
+   * @param {Array<String>} piiColumns - Columns classified as PII
+   * @param {String} handling - How sample values were treated: none, redact or hash
+   * @returns {Object} - Insight
+   */
+  generatePrivacyInsight(columnStats, piiColumns, handling) {
+    const listed = piiColumns
+      .map(col => `${col} (${columnStats[col].pii.category})`)
+      .join(', ');
+    const action = handling === 'none'
+      ? 'sample values are shown as-is - profile with piiHandling "redact" or "hash" before sharing results'
+      : `sample values were ${handling === 'hash' ? 'hashed' : 'redacted'}`;
+
+    return {
+      type: 'warning',
+      category: 'Privacy',
+      message: `${piiColumns.length} column${piiColumns.length === 1 ? '' : 's'} may contain personal data: ${listed} - ${action}`,
+      severity: 'high'
+    };
+  }
+
+  /**
+   * Insights on a column's inferred semantic type: values that contradict
+   * it, and codes that would lose meaning if treated as numbers
+   * @param {String} col - Column name
+   * @param {Object} stats - Column statistics with `semanticType` and `typeInference`
+   * @returns {Array} - Insights
+   */
+  generateTypeInsights(col, stats) {
+    const insights = [];
+    const { semanticType, typeInference } = stats;
+    const samples = typeInference.conflictingSamples.map(value => `"${value}"`).join(', ');
+    const detector = SemanticDetectorRegistry.getInstance().get(semanticType);
+
+    if (detector) {
+      insights.push({
+        type: 'info',
+        category: 'Semantic Types',
+        message: `${col} contains ${detector.label} (${typeInference.confidence}% of values conform)` +
+          (detector.advice ? ` - ${detector.advice}` : ''),
+        severity: 'low'
+      });
+
+      if (typeInference.conflictingCount > 0) {
+        insights.push({
+          type: 'warning',
+          category: 'Semantic Types',
+          message: `${col} has ${typeInference.conflictingCount} values that are not valid ${detector.label}, e.g. ${samples}`,
+          severity: typeInference.confidence < 95 ? 'medium' : 'low'
+        });
+      }
+    } else if (semanticType !== 'string' && typeInference.conflictingCount > 0) {
+      insights.push({
+        type: 'warning',
+        category: 'Type Consistency',
+        message: `${col} is inferred as ${semanticType} (${typeInference.confidence}% confidence) but ` +
+          `${typeInference.conflictingCount} values do not fit, e.g. ${samples}`,
+        severity: typeInference.confidence < 95 ? 'medium' : 'low'
+      });
+    }
+
+    if (CODE_TYPE_LABELS[semanticType]) {
+      insights.push({
+        type: 'info',
+        category: 'Feature Engineering',
+        message: `${col} holds ${CODE_TYPE_LABELS[semanticType]} - treat it as a label rather than a numeric feature`,
+        severity: 'low'
+      });
+    }
+
+    return insights;
+  }
+
+  /**
+   * Insights on the text form of a column: surrounding whitespace, values
+   * that break the column's dominant shape, inconsistent letter case and
+   * non-ASCII characters
+   * @param {String} col - Column name
+   * @param {Object} stats - Column statistics with a `strings` section
+   * @returns {Array} - Insights
+   */
+  generateStringInsights(col, stats) {
+    const { strings } = stats;
+    const insights = [];
+
+    if (strings.leadingWhitespaceCount > 0 || strings.trailingWhitespaceCount > 0) {
+      insights.push({
+        type: 'warning',
+        category: 'Data Quality',
+        message: `${col} has ${strings.leadingWhitespaceCount} values with leading and ` +
+          `${strings.trailingWhitespaceCount} with trailing whitespace - trim before grouping or joining`,
+        severity: 'medium'
+      });
+    }
+
+    // Plain digit runs vary in length naturally, and truncated shapes are free text
+    const { dominantPattern } = strings;
+    const isCodePattern = !/^9+$/.test(dominantPattern.pattern) && !dominantPattern.pattern.endsWith('…');
+    if (isCodePattern && dominantPattern.conformance >= PATTERN_CONFORMANCE_THRESHOLD &&
+        dominantPattern.conflictingCount > 0) {
+      const others = strings.patterns.slice(1, 4).map(p => `"${p.pattern}"`).join(', ');
+      insights.push({
+        type: 'warning',
+        category: 'Data Quality',
+        message: `${col} mostly follows the pattern "${dominantPattern.pattern}" (${dominantPattern.conformance}% of values) ` +
+          `but ${dominantPattern.conflictingCount} values deviate, e.g. ${others}`,
+        severity: 'medium'
+      });
+    }
+
+    const { caseStyles } = strings;
+    if (strings.mixedCase && stats.unique <= MAX_CASE_CHECK_UNIQUE) {
+      const styles = Object.entries(caseStyles)
+        .filter(([, count]) => count > 0)
+        .map(([style, count]) => `${count} ${style}`)
+        .join(', ');
+      insights.push({
+        type: 'info',
+        category: 'Data Quality',
+        message: `${col} mixes letter case (${styles}) - normalise case before grouping`,
+        severity: 'low'
+      });
+    }
+
+    if (strings.nonAsciiCount > 0) {
+      insights.push({
+        type: 'info',
+        category: 'Data Quality',
+        message: `${col} has ${strings.nonAsciiCount} values with non-ASCII characters - check the file encoding`,
+        severity: 'low'
+      });
+    }
+
+    return insights;
+  }
+
+  /**
+   * Insights for a date or datetime column: format consistency, values
+   * that are not dates, future or implausible dates and calendar gaps
+   * @param {String} col - Column name
+   * @param {Object} stats - Column statistics with a `temporal` section
+   * @returns {Array} - Insights
+   */
+  generateTemporalInsights(col, stats) {
+    const { temporal } = stats;
+    const insights = [];
+
+    insights.push({
+      type: 'info',
+      category: 'Temporal',
+      message: `${col} is a ${stats.type} column spanning ${temporal.span.description} ` +
+        `(${temporal.min.slice(0, 10)} to ${temporal.max.slice(0, 10)}) at ${temporal.granularity} granularity`,
+      severity: 'low'
+    });
+
+    if (temporal.mixedFormats) {
+      const formats = temporal.formats.slice(0, 3).map(f => `${f.format} ${f.percent.toFixed(0)}%`).join(', ');
+      insights.push({
+        type: 'warning',
+        category: 'Data Quality',
+        message: `${col} mixes ${temporal.formats.length} date formats (${formats}) - standardise before analysis`,
+        severity: 'medium'
+      });
+    }
+
+    if (temporal.unparsedCount > 0) {
+      insights.push({
+        type: 'warning',
+        category: 'Data Quality',
+        message: `${col} has ${temporal.unparsedCount} values that are not valid dates (e.g. "${temporal.unparsedExamples[0]}")`,
+        severity: 'medium'
+      });
+    }
+
+    if (temporal.implausibleCount > 0) {
+      insights.push({
+        type: 'warning',
+        category: 'Data Quality',
+        message: `${col} has ${temporal.implausibleCount} implausible dates outside ` +
+          `${temporal.plausibleRange[0]}-${temporal.plausibleRange[1]} (e.g. ${temporal.implausibleExamples[0]})`,
+        severity: 'high'
+      });
+    }
+
+    if (temporal.futureCount > 0) {
+      insights.push({
+        type: 'warning',
+        category: 'Data Quality',
+        message: `${col} has ${temporal.futureCount} future-dated values (e.g. ${temporal.futureExamples[0]})`,
+        severity: 'medium'
+      });
+    }
+
+    const { gaps } = temporal;
+    if (gaps && gaps.missingPeriods > 0 && gaps.largestGap) {
+      insights.push({
+        type: 'info',
+        category: 'Temporal',
+        message: `${col} covers ${gaps.coveragePercent.toFixed(1)}% of ${gaps.unit}s in its range; ` +
+          `the largest gap is ${gaps.largestGap.length} ${gaps.unit}${gaps.largestGap.length === 1 ? '' : 's'} ` +
+          `(${gaps.largestGap.from} to ${gaps.largestGap.to})`,
+        severity: gaps.coveragePercent < 50 ? 'medium' : 'low'
+      });
+    }
+
+    return insights;
+  }
 }
 
 module.exports = ProfilerService;
\ No newline at end of file
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ProfilerService = require('./profilerService');
+const { assertApproxEqual } = require('../utils/assertApprox');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function cardinalityInsights(profile) {
+  return profile.insights.filter(insight => /very high cardinality/.test(insight.message));
+}
+
+test('high-cardinality insight skips key and identifier columns', async () => {
+  // order_ref is unique (a key); note repeats every 50th value, so it is
+  // high-cardinality without being a key
+  const data = Array.from({ length: 300 }, (_, i) => ({
+    order_ref: `ORD-${String(i).padStart(6, '0')}`,
+    note: i % 50 === 0 ? 'see attached' : `note ${i}`
+  }));
+
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(data);
+  const flagged = cardinalityInsights(profile).map(insight => insight.message.split(' ')[0]);
+
+  assert.deepStrictEqual(flagged, ['note']);
+});
+
+test('high-cardinality insight skips columns typed as codes', () => {
+  const profiler = new ProfilerService(quietLogger, 'test');
+  const stats = (semanticType) => ({ type: 'categorical', semanticType, uniquePercent: 95, unique: 950, missingPercent: 0 });
+
+  const insights = profiler.generateInsights({
+    customer_id: stats('identifier'),
+    postcode: stats('zip'),
+    mobile: stats('phone'),
+    comment: stats('text')
+  }, {});
+
+  assert.deepStrictEqual(cardinalityInsights({ insights }).map(insight => insight.message.split(' ')[0]), ['comment']);
+});
+
+test('zip and phone columns get no binning advice in a profile', async () => {
+  const data = Array.from({ length: 300 }, (_, i) => ({
+    zip: String(10000 + ((i * 7919) % 89999)).padStart(5, '0'),
+    phone: `(555) ${String(100 + (i % 800)).padStart(3, '0')}-${String((i * 37) % 10000).padStart(4, '0')}`,
+    // Repeats every 50th value, so it is neither a key nor a code
+    note: i % 50 === 0 ? 'see attached' : `note ${i}`
+  }));
+
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(data);
+
+  assert.strictEqual(profile.columnStats.zip.semanticType, 'zip');
+  assert.strictEqual(profile.columnStats.phone.semanticType, 'phone');
+  assert.deepStrictEqual(cardinalityInsights(profile).map(insight => insight.message.split(' ')[0]), ['note']);
+});
+
+function mixedRows(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    amount: i % 17 === 0 ? null : Math.round((Math.sin(i) * 100 + i / 10) * 100) / 100,
+    quantity: (i * 7) % 23,
+    region: ['north', 'south', 'east', 'west'][i % 4],
+    status: i % 9 === 0 ? '' : ['open', 'closed'][i % 2],
+    created: new Date(Date.UTC(2024, 0, 1 + (i % 200))).toISOString().slice(0, 10)
+  }));
+}
+
+test('parallel profiling matches single-threaded profiling', async () => {
+  // Below the quantile sketch capacity, so percentiles are exact on both paths
+  const data = mixedRows(1800);
+  const options = { randomSeed: 7 };
+
+  const single = await new ProfilerService(quietLogger, 'test').profileData(data, { ...options, workers: 1 });
+  const parallel = await new ProfilerService(quietLogger, 'test').profileData(data, { ...options, workers: 3 });
+
+  assert.deepStrictEqual(single.summary.execution, { mode: 'single-threaded', workers: 1 });
+  assert.deepStrictEqual(parallel.summary.execution, { mode: 'parallel', workers: 3 });
+
+  const { execution: singleExecution, ...singleSummary } = single.summary;
+  const { execution: parallelExecution, ...parallelSummary } = parallel.summary;
+  assertApproxEqual(parallelSummary, singleSummary, 'summary');
+  ['columnStats', 'correlations', 'missingness', 'insights'].forEach(key => {
+    assertApproxEqual(parallel[key], single[key], key);
+  });
+});
+
+test('worker count follows the workers and parallelThreshold options', () => {
+  const profiler = new ProfilerService(quietLogger, 'test');
+
+  assert.strictEqual(profiler.resolveWorkerCount(100, { workers: 'auto' }), 1);
+  assert.ok(profiler.resolveWorkerCount(100, { workers: 'auto', parallelThreshold: 50 }) >= 1);
+  assert.strictEqual(profiler.resolveWorkerCount(100, { workers: 4 }), 4);
+  assert.strictEqual(profiler.resolveWorkerCount(3, { workers: 8 }), 3);
+  assert.strictEqual(profiler.resolveWorkerCount(100000, { workers: 64 }), 16);
+  assert.strictEqual(profiler.resolveWorkerCount(100, { workers: 'none' }), 1);
+});
+
+test('date columns are typed as dates and their problems become insights', async () => {
+  const data = Array.from({ length: 120 }, (_, i) => ({
+    shipped: i === 5 ? '12/03/2024' : i === 6 ? '2999-01-01' : new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10)
+  }));
+
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(data);
+  const stats = profile.columnStats.shipped;
+  const messages = profile.insights.map(insight => insight.message).join('\n');
+
+  assert.strictEqual(stats.type, 'date');
+  assert.strictEqual(stats.temporal.granularity, 'day');
+  assert.strictEqual(profile.summary.temporalColumns, 1);
+  assert.match(messages, /shipped mixes 2 date formats/);
+  assert.match(messages, /shipped has 1 implausible dates/);
+});
+
+test('correlations only pair values from the same row', async () => {
+  // y tracks x exactly, but x is missing in rows where y is not and vice
+  // versa, so pairing by position after dropping nulls would misalign them
+  const data = Array.from({ length: 120 }, (_, i) => {
+    const x = Math.sin(i) * 10 + i / 4;
+    return {
+      x: i % 5 === 0 ? null : x,
+      y: i % 7 === 0 ? null : 3 * x + 1,
+      z: i < 100 ? null : x
+    };
+  });
+  const complete = data.filter(row => row.x !== null && row.y !== null).length;
+
+  const profile = await new ProfilerService(quietLogger, 'test').profileData(data, { minCorrelationOverlap: 30 });
+  const xy = profile.correlations.all.find(entry => entry.pair === 'x & y');
+
+  assert.ok(Math.abs(xy.correlation - 1) < 1e-12, `x & y correlation ${xy.correlation}`);
+  assert.strictEqual(xy.sampleSize, complete);
+  assert.strictEqual(profile.correlations.minOverlap, 30);
+  assert.deepStrictEqual(
+    profile.correlations.insufficientOverlap.map(({ pair, sampleSize }) => [pair, sampleSize]),
+    [['x & z', 16], ['y & z', 17]]
+  );
+});
@@ -0,0 +1,88 @@
+const { EventEmitter } = require('events');
+
+const TERMINAL_PHASES = ['completed', 'failed', 'cancelled'];
+
+let sharedInstance = null;
+
+/**
+ * ProgressService relays progress events from a profiling run to any number
+ * of listeners, keyed by request or job id. The latest event is kept so a
+ * listener that subscribes late starts from the current state; ids are
+ * forgotten a while after they reach a terminal phase.
+ */
+class ProgressService {
+  /**
+   * @param {Object} options - Progress options
+   * @param {Number} options.retentionMs - How long the final event of a run is kept
+   */
+  constructor(options = {}) {
+    this.retentionMs = options.retentionMs || 60 * 1000; // 1 minute
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.latest = new Map();
+  }
+
+  /**
+   * Shared hub so the routes publishing progress and the SSE route agree
+   * @returns {ProgressService}
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new ProgressService();
+    }
+    return sharedInstance;
+  }
+
+  static isTerminal(event) {
+    return Boolean(event && TERMINAL_PHASES.includes(event.phase));
+  }
+
+  /**
+   * Publish a progress event for an id
+   * @param {String} id - Request or job id
+   * @param {Object} progress - { phase, percent, ...detail }
+   */
+  publish(id, progress) {
+    if (!id) return;
+
+    const event = {
+      id,
+      ...progress,
+      timestamp: new Date().toISOString()
+    };
+
+    this.latest.set(id, event);
+    this.emitter.emit(id, event);
+
+    if (ProgressService.isTerminal(event)) {
+      const timer = setTimeout(() => {
+        if (this.latest.get(id) === event) {
+          this.latest.delete(id);
+        }
+      }, this.retentionMs);
+      timer.unref();
+    }
+  }
+
+  /**
+   * Listen to progress events for an id. The latest known event, if any,
+   * is delivered immediately.
+   * @param {String} id - Request or job id
+   * @param {Function} listener - Called with each event
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(id, listener) {
+    this.emitter.on(id, listener);
+
+    const current = this.latest.get(id);
+    if (current) listener(current);
+
+    return () => this.emitter.off(id, listener);
+  }
+
+  getLatest(id) {
+    return this.latest.get(id) || null;
+  }
+}
+
+module.exports = ProgressService;
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ProgressService = require('./progressService');
+
+test('listeners receive the events published under their id', () => {
+  const progress = new ProgressService();
+  const received = [];
+  const unsubscribe = progress.subscribe('job-1', event => received.push(event));
+
+  progress.publish('job-1', { phase: 'parsing', percent: 5 });
+  progress.publish('job-2', { phase: 'parsing', percent: 5 });
+  unsubscribe();
+  progress.publish('job-1', { phase: 'sampling', percent: 40 });
+
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].id, 'job-1');
+  assert.strictEqual(received[0].phase, 'parsing');
+  assert.ok(received[0].timestamp);
+});
+
+test('a late subscriber starts from the latest event', () => {
+  const progress = new ProgressService();
+  progress.publish('job-1', { phase: 'parsing', percent: 5 });
+  progress.publish('job-1', { phase: 'profiling', percent: 50 });
+
+  const received = [];
+  progress.subscribe('job-1', event => received.push(event.phase));
+
+  assert.deepStrictEqual(received, ['profiling']);
+});
+
+test('events without an id are dropped', () => {
+  const progress = new ProgressService();
+  progress.publish(undefined, { phase: 'parsing', percent: 5 });
+
+  assert.strictEqual(progress.latest.size, 0);
+});
+
+test('the final event is forgotten after the retention period', async () => {
+  const progress = new ProgressService({ retentionMs: 10 });
+  progress.publish('job-1', { phase: 'completed', percent: 100 });
+
+  assert.ok(ProgressService.isTerminal(progress.getLatest('job-1')));
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(progress.getLatest('job-1'), null);
+});
+
+test('only completed, failed and cancelled are terminal phases', () => {
+  ['completed', 'failed', 'cancelled'].forEach(phase => {
+    assert.strictEqual(ProgressService.isTerminal({ phase }), true);
+  });
+  ['queued', 'parsing', 'profiling', 'insights'].forEach(phase => {
+    assert.strictEqual(ProgressService.isTerminal({ phase }), false);
+  });
+  assert.strictEqual(ProgressService.isTerminal(null), false);
+});
@@ -187,6 +187,56 @@ class SamplingService {
     return sample;
   }
   
+  /**
+   * Create a reservoir sampler for data that arrives row by row
+   * (e.g. a streamed upload) and cannot be held in memory in full
+   * @param {Object} options - Sampling options
+   * @returns {Object} - Sampler with add(row) and getResult()
+   */
+  createReservoirSampler(options = {}) {
+    const {
+      maxSampleSize = 5000,
+      randomSeed = 42
+    } = options;
+
+    const random = this.seededRandom(randomSeed);
+    const reservoir = [];
+    let seen = 0;
+
+    return {
+      add(row) {
+        seen++;
+
+        if (reservoir.length < maxSampleSize) {
+          reservoir.push(row);
+          return;
+        }
+
+        // Algorithm R: keep the new row with probability maxSampleSize / seen
+        const slot = Math.floor(random() * seen);
+        if (slot < maxSampleSize) {
+          reservoir[slot] = row;
+        }
+      },
+
+      getResult() {
+        const isSampled = seen > maxSampleSize;
+
+        return {
+          sample: reservoir,
+          metadata: {
+            samplingRate: seen > 0 ? reservoir.length / seen : 0,
+            originalSize: seen,
+            isSampled,
+            sampleSize: reservoir.length,
+            stratified: false,
+            method: isSampled ? 'reservoir' : 'none'
+          }
+        };
+      }
+    };
+  }
+
   /**
    * Create a seeded random number generator
    * @param {Number} seed - Random seed
@@ -1,28 +1,39 @@
 const { parentPort, workerData } = require('worker_threads');
+const { getTask } = require('./workerTasks');
 
 // Extract worker data
-const { chunk, taskFnString, options } = workerData;
+const { chunk, taskName, options, context } = workerData;
 
-// Convert the function string back to a function
-const taskFn = new Function('return ' + taskFnString)();
+/**
+ * Serialise an error so the main thread can rebuild it with its name,
+ * code and stack intact
+ */
+const serializeError = (error) => ({
+  name: error && error.name ? error.name : 'Error',
+  message: error && error.message ? error.message : String(error),
+  code: error && error.code,
+  stack: error && error.stack
+});
 
-// Execute the task function
-try {
-  const result = taskFn(chunk, options);
-  
-  // Handle both synchronous and promise-based results
-  if (result instanceof Promise) {
-    result.then(
-      (resolvedResult) => parentPort.postMessage(resolvedResult),
-      (error) => {
-        console.error('Worker error:', error);
-        parentPort.postMessage({ error: error.message });
-      }
+const fail = (error) => {
+  parentPort.postMessage({ ok: false, error: serializeError(error) });
+};
+
+// Resolve the task from the registered catalog
+const taskFn = getTask(taskName);
+
+if (!taskFn) {
+  const error = new Error(`Unknown worker task "${taskName}"`);
+  error.code = 'UNKNOWN_TASK';
+  fail(error);
+} else {
+  // Execute the task function
+  try {
+    Promise.resolve(taskFn(chunk, options, context)).then(
+      (result) => parentPort.postMessage({ ok: true, result }),
+      fail
     );
-  } else {
-    parentPort.postMessage(result);
+  } catch (error) {
+    fail(error);
   }
-} catch (error) {
-  console.error('Worker execution error:', error);
-  parentPort.postMessage({ error: error.message });
-}
\ No newline at end of file
+}
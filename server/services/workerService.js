@@ -1,15 +1,37 @@
-const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { Worker } = require('worker_threads');
 const path = require('path');
 const os = require('os');
+const ColumnAccumulator = require('../lib/columnAccumulator');
+const PairAccumulator = require('../lib/pairAccumulator');
+const ContingencyTable = require('../lib/contingencyTable');
+const GroupMoments = require('../lib/groupMoments');
+const MissingnessAccumulator = require('../lib/missingnessAccumulator');
+const { getTask } = require('./workerTasks');
+const { cancelledError, throwIfAborted } = require('../lib/cancellation');
+
+/**
+ * Error raised when a worker task fails, carrying the task name, the chunk
+ * it was processing and the original error details from the worker
+ */
+class WorkerTaskError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WorkerTaskError';
+    this.taskName = details.taskName;
+    this.chunkIndex = details.chunkIndex;
+    this.code = details.code;
+    this.cause = details.cause;
+  }
+}
 
 /**
  * WorkerService provides parallel processing capabilities
  * for handling large CSV datasets efficiently
  */
 class WorkerService {
-  constructor(logger) {
+  constructor(logger, options = {}) {
     this.logger = logger;
-    this.maxWorkers = Math.max(1, os.cpus().length - 1); // Leave one CPU for main thread
+    this.maxWorkers = options.maxWorkers || Math.max(1, os.cpus().length - 1); // Leave one CPU for main thread
     this.activeWorkers = 0;
     this.workerPool = [];
     this.taskQueue = [];
@@ -18,21 +40,33 @@ class WorkerService {
   /**
    * Process data in parallel across worker threads
    * @param {Array} data - The CSV data array
-   * @param {Function} taskFn - The processing function
-   * @param {Object} options - Processing options
+   * @param {String} taskName - Name of a task registered in workerTasks
+   * @param {Object} options - Processing options; taskOptions is passed to the task,
+   *   onChunkComplete(completed, total) is called as each chunk finishes
    * @returns {Promise<Object>} - Combined results
    */
-  async processInParallel(data, taskFn, options = {}) {
+  async processInParallel(data, taskName, options = {}) {
     if (!data || data.length === 0) {
       return { error: 'No data to process' };
     }
+
+    if (!getTask(taskName)) {
+      throw new WorkerTaskError(`Unknown worker task "${taskName}"`, {
+        taskName,
+        code: 'UNKNOWN_TASK'
+      });
+    }
     
     const {
       maxWorkers = this.maxWorkers,
       chunkSize = Math.ceil(data.length / maxWorkers),
       timeout = 60000, // 1 minute timeout
-      taskName = 'process'
+      taskOptions = {},
+      signal = null,
+      onChunkComplete = null
     } = options;
+
+    throwIfAborted(signal);
     
     // Create data chunks
     const chunks = this.chunkArray(data, chunkSize);
@@ -44,62 +78,76 @@ class WorkerService {
       workers: Math.min(chunks.length, maxWorkers)
     });
     
-    // Convert task function to string for worker execution
-    const taskFnString = taskFn.toString();
+    const runId = Symbol(taskName);
     
     // Create a promise for the overall result
     return new Promise((resolve, reject) => {
       const results = [];
       let completedWorkers = 0;
       let hasError = false;
+      let timeoutId = null;
+
+      // Every settle path clears the timer and detaches from the signal, so
+      // a long-lived signal does not keep this run's closure alive
+      const settle = (fn, value) => {
+        clearTimeout(timeoutId);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+      const fail = (error) => {
+        hasError = true;
+        this.abortRun(runId);
+        settle(reject, error);
+      };
+
+      // Cancelling terminates every worker of this run immediately
+      const onAbort = () => {
+        if (hasError) return;
+        fail(cancelledError());
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
       
       // Set a timeout for the entire operation
-      const timeoutId = setTimeout(() => {
+      timeoutId = setTimeout(() => {
         if (completedWorkers < chunks.length) {
-          hasError = true;
-          reject(new Error(`Parallel processing timed out after ${timeout}ms`));
-          
           // Terminate any active workers
-          this.workerPool.forEach(worker => {
-            if (worker.active) {
-              worker.terminate();
-            }
-          });
+          fail(new WorkerTaskError(`Parallel processing timed out after ${timeout}ms`, {
+            taskName,
+            code: 'TIMEOUT'
+          }));
         }
       }, timeout);
       
       // Process each chunk in a worker
       chunks.forEach((chunk, index) => {
         this.queueTask({
+          runId,
           chunk,
-          index,
-          taskFnString,
           taskName,
-          options
+          options: taskOptions,
+          context: { index, offset: index * chunkSize }
         }, (error, result) => {
           if (hasError) return; // Skip if already errored
           
           if (error) {
-            hasError = true;
-            clearTimeout(timeoutId);
-            reject(error);
+            fail(error);
             return;
           }
           
           // Store this chunk's result
           results[index] = result;
           completedWorkers++;
+
+          if (onChunkComplete) onChunkComplete(completedWorkers, chunks.length);
           
           // Check if all workers have completed
           if (completedWorkers === chunks.length) {
-            clearTimeout(timeoutId);
-            
             // Combine results
             try {
-              const combinedResult = this.combineResults(results, taskName);
-              resolve(combinedResult);
+              const combinedResult = this.combineResults(results, taskName, taskOptions);
+              settle(resolve, combinedResult);
             } catch (err) {
-              reject(err);
+              settle(reject, err);
             }
           }
         });
@@ -121,6 +169,17 @@ class WorkerService {
     return chunks;
   }
   
+  /**
+   * Drop queued tasks and terminate running workers for one run
+   * @param {Symbol} runId - Run identifier
+   */
+  abortRun(runId) {
+    this.taskQueue = this.taskQueue.filter(({ task }) => task.runId !== runId);
+    this.workerPool
+      .filter(entry => entry.runId === runId)
+      .forEach(entry => entry.worker.terminate());
+  }
+
   /**
    * Queue a task for processing
    * @param {Object} task - Task data
@@ -152,18 +211,36 @@ class WorkerService {
   runWorker(task, callback) {
     this.activeWorkers++;
     
-    // Create a new worker
+    // Create a new worker (the run id is a Symbol and cannot be cloned)
+    const { runId, ...workerData } = task;
     const worker = new Worker(path.join(__dirname, 'workerRunner.js'), {
-      workerData: task
+      workerData
     });
+    const poolEntry = { runId, worker };
+    this.workerPool.push(poolEntry);
     
     let workerCompleted = false;
     
+    const errorDetails = (extra = {}) => ({
+      taskName: task.taskName,
+      chunkIndex: task.context.index,
+      ...extra
+    });
+    
     // Handle worker messages
-    worker.on('message', (result) => {
+    worker.on('message', (message) => {
       workerCompleted = true;
       this.activeWorkers--;
-      callback(null, result);
+
+      if (message.ok) {
+        callback(null, message.result);
+      } else {
+        const remote = message.error || {};
+        callback(new WorkerTaskError(
+          `Worker task "${task.taskName}" failed on chunk ${task.context.index}: ${remote.message}`,
+          errorDetails({ code: remote.code, cause: remote })
+        ));
+      }
       
       // Process next task
       this.processQueue();
@@ -174,7 +251,10 @@ class WorkerService {
       if (!workerCompleted) {
         workerCompleted = true;
         this.activeWorkers--;
-        callback(error);
+        callback(new WorkerTaskError(
+          `Worker task "${task.taskName}" crashed on chunk ${task.context.index}: ${error.message}`,
+          errorDetails({ code: error.code, cause: { name: error.name, message: error.message, stack: error.stack } })
+        ));
         
         // Process next task
         this.processQueue();
@@ -183,10 +263,15 @@ class WorkerService {
     
     // Handle worker exit
     worker.on('exit', (code) => {
+      this.workerPool = this.workerPool.filter(entry => entry !== poolEntry);
+
       if (!workerCompleted && code !== 0) {
         workerCompleted = true;
         this.activeWorkers--;
-        callback(new Error(`Worker stopped with exit code ${code}`));
+        callback(new WorkerTaskError(
+          `Worker stopped with exit code ${code}`,
+          errorDetails({ code: 'WORKER_EXIT' })
+        ));
         
         // Process next task
         this.processQueue();
@@ -198,25 +283,102 @@ class WorkerService {
    * Combine results from worker threads
    * @param {Array} results - Results from each worker
    * @param {String} taskName - Task name for specific combining logic
+   * @param {Object} taskOptions - Options the task ran with
    * @returns {Object} - Combined result
    */
-  combineResults(results, taskName) {
+  combineResults(results, taskName, taskOptions = {}) {
     if (!results || results.length === 0) {
       return {};
     }
     
     switch (taskName) {
-      case 'profileColumns':
-        // Combine column statistics
-        return results.reduce((combined, result) => {
-          return { ...combined, ...result };
-        }, {});
+      case 'profileChunk': {
+        // Each chunk holds every column for a slice of rows, so column
+        // accumulators are merged rather than overwritten
+        const combined = {};
+        results.forEach(result => {
+          Object.entries(result).forEach(([column, state]) => {
+            const accumulator = ColumnAccumulator.fromJSON(state);
+            if (combined[column]) {
+              combined[column].merge(accumulator);
+            } else {
+              combined[column] = accumulator;
+            }
+          });
+        });
+        return combined;
+      }
         
-      case 'calculateCorrelations':
-        // Combine correlation arrays
-        return {
-          all: results.flatMap(result => result.all || [])
-        };
+      case 'correlationBlock': {
+        // Co-moments are additive over disjoint row chunks
+        const combined = {};
+        results.forEach(result => {
+          Object.entries(result).forEach(([pairKey, state]) => {
+            const pair = PairAccumulator.fromJSON(state);
+            combined[pairKey] = combined[pairKey] ? combined[pairKey].merge(pair) : pair;
+          });
+        });
+        return combined;
+      }
+
+      case 'associationBlock': {
+        // Contingency counts and group moments are additive like co-moments
+        const combined = { tables: {}, groups: {} };
+        results.forEach(result => {
+          Object.entries(result.tables).forEach(([pairKey, state]) => {
+            const table = ContingencyTable.fromJSON(state);
+            combined.tables[pairKey] = combined.tables[pairKey] ? combined.tables[pairKey].merge(table) : table;
+          });
+          Object.entries(result.groups).forEach(([pairKey, state]) => {
+            const moments = GroupMoments.fromJSON(state);
+            combined.groups[pairKey] = combined.groups[pairKey] ? combined.groups[pairKey].merge(moments) : moments;
+          });
+        });
+        return combined;
+      }
+
+      case 'histogram': {
+        // Bin edges are shared by every chunk, so counts simply add up
+        const combined = {};
+        results.forEach(result => {
+          Object.entries(result).forEach(([column, partial]) => {
+            const target = combined[column];
+            if (!target) {
+              combined[column] = { ...partial, counts: [...partial.counts] };
+              return;
+            }
+            partial.counts.forEach((count, i) => { target.counts[i] += count; });
+            target.underflow += partial.underflow;
+            target.overflow += partial.overflow;
+          });
+        });
+        return combined;
+      }
+
+      case 'duplicateHashes': {
+        // Results arrive in chunk order, so row indices stay sorted
+        const { maxRowsPerGroup = 5 } = taskOptions;
+        const combined = {};
+        results.forEach(result => {
+          Object.entries(result).forEach(([hash, group]) => {
+            const target = combined[hash];
+            if (!target) {
+              combined[hash] = { count: group.count, rows: [...group.rows] };
+              return;
+            }
+            target.count += group.count;
+            target.rows = target.rows.concat(group.rows).slice(0, maxRowsPerGroup);
+          });
+        });
+        return combined;
+      }
+
+      case 'missingness': {
+        // Runs join at chunk boundaries, so chunks merge in row order
+        return results
+          .map(state => MissingnessAccumulator.fromJSON(state))
+          .reduce((combined, accumulator) => combined.merge(accumulator));
+      }
         
       default:
         // Default combining logic
@@ -232,4 +394,5 @@ class WorkerService {
   }
 }
 
-module.exports = WorkerService;
\ No newline at end of file
+module.exports = WorkerService;
+module.exports.WorkerTaskError = WorkerTaskError;
\ No newline at end of file
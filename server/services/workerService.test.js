@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getEventListeners } = require('events');
+const WorkerService = require('./workerService');
+const { WorkerTaskError } = require('./workerService');
+const { getTask } = require('./workerTasks');
+const { assertApproxEqual } = require('../utils/assertApprox');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function rows(count) {
+  return Array.from({ length: count }, (_, i) => ({ id: i, group: i % 3 === 0 ? 'a' : 'b' }));
+}
+
+test('abort listener is removed once the run succeeds', async () => {
+  const service = new WorkerService(quietLogger, { maxWorkers: 2 });
+  const controller = new AbortController();
+
+  await service.processInParallel(rows(40), 'profileChunk', {
+    signal: controller.signal,
+    taskOptions: { keys: ['id', 'group'] }
+  });
+
+  assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('abort listener is removed when the run times out', async () => {
+  const service = new WorkerService(quietLogger, { maxWorkers: 1 });
+  const controller = new AbortController();
+
+  await assert.rejects(
+    service.processInParallel(rows(40), 'profileChunk', {
+      signal: controller.signal,
+      timeout: 1,
+      taskOptions: { keys: ['id', 'group'] }
+    }),
+    error => error instanceof WorkerTaskError && error.code === 'TIMEOUT'
+  );
+
+  assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('abort listener is removed when a worker task fails', async () => {
+  const service = new WorkerService(quietLogger, { maxWorkers: 1 });
+  const controller = new AbortController();
+
+  // correlationBlock reads columns.length, so null makes the task throw
+  await assert.rejects(
+    service.processInParallel(rows(10), 'correlationBlock', {
+      signal: controller.signal,
+      taskOptions: { columns: null }
+    }),
+    WorkerTaskError
+  );
+
+  assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('aborting rejects with a cancellation error and terminates the run', async () => {
+  const service = new WorkerService(quietLogger, { maxWorkers: 1 });
+  const controller = new AbortController();
+
+  const run = service.processInParallel(rows(40), 'profileChunk', {
+    signal: controller.signal,
+    chunkSize: 10,
+    taskOptions: { keys: ['id', 'group'] }
+  });
+  controller.abort();
+
+  await assert.rejects(run, error => error.code === 'CANCELLED');
+  assert.strictEqual(service.taskQueue.length, 0);
+  assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('combined chunk results match a single chunk for every mergeable task', async () => {
+  const service = new WorkerService(quietLogger);
+  const data = Array.from({ length: 90 }, (_, i) => ({
+    x: i % 10 === 0 ? null : i * 1.5,
+    y: (i * 7) % 13,
+    g: ['a', 'b', 'c'][i % 3]
+  }));
+
+  [
+    ['correlationBlock', { columns: ['x', 'y'] }],
+    ['associationBlock', { categorical: ['g'], numeric: ['x', 'y'] }],
+    ['histogram', { columns: { x: [0, 50, 100, 150] } }],
+    ['duplicateHashes', { keys: ['g'], maxRowsPerGroup: 5 }],
+    ['missingness', { columns: ['x', 'y', 'g'] }]
+  ].forEach(([name, options]) => {
+    const whole = service.combineResults([getTask(name)(data, options, { index: 0, offset: 0 })], name, options);
+    const chunks = [0, 30, 60].map((offset, index) =>
+      structuredClone(getTask(name)(data.slice(offset, offset + 30), options, { index, offset }))
+    );
+    const combined = service.combineResults(chunks, name, options);
+
+    assertApproxEqual(JSON.parse(JSON.stringify(combined)), JSON.parse(JSON.stringify(whole)), name);
+  });
+});
+
+test('profileChunk runs in worker threads and merges into column accumulators', async () => {
+  const service = new WorkerService(quietLogger, { maxWorkers: 2 });
+  const data = rows(40);
+
+  const combined = await service.processInParallel(data, 'profileChunk', {
+    chunkSize: 15,
+    taskOptions: { keys: ['id', 'group'] }
+  });
+
+  assert.deepStrictEqual(Object.keys(combined), ['id', 'group']);
+  assert.strictEqual(combined.group.finalize().totalCount, 40);
+  assert.deepStrictEqual(combined.group.finalize().topValues, [['b', 26], ['a', 14]]);
+});
+
+test('unknown tasks are rejected before any worker starts', async () => {
+  const service = new WorkerService(quietLogger);
+
+  await assert.rejects(
+    service.processInParallel(rows(5), 'process.exit', {}),
+    error => error instanceof WorkerTaskError && error.code === 'UNKNOWN_TASK'
+  );
+});
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const ColumnAccumulator = require('../lib/columnAccumulator');
+const PairAccumulator = require('../lib/pairAccumulator');
+const ContingencyTable = require('../lib/contingencyTable');
+const GroupMoments = require('../lib/groupMoments');
+const MissingnessAccumulator = require('../lib/missingnessAccumulator');
+
+/**
+ * Catalog of tasks that worker threads can run. Workers look tasks up by
+ * name, so only code registered here ever executes in a worker. Every task
+ * receives a chunk of rows, its options and a context ({ index, offset } of
+ * the chunk within the full dataset), and returns a structured-clone
+ * friendly partial result that WorkerService.combineResults merges.
+ */
+
+/**
+ * Accumulate column statistics for a chunk of rows
+ * @param {Array} chunk - Rows in this chunk
+ * @param {Object} options - { keys, accumulatorOptions }
+ * @returns {Object} - Column name to serialised ColumnAccumulator state
+ */
+function profileChunk(chunk, options = {}) {
+  const accumulators = ColumnAccumulator.accumulateRows(chunk, options.keys, options.accumulatorOptions);
+
+  const states = {};
+  Object.entries(accumulators).forEach(([key, accumulator]) => {
+    states[key] = accumulator.toJSON();
+  });
+  return states;
+}
+
+/**
+ * Accumulate pairwise co-moments for numeric columns over rows where both
+ * values are present
+ * @param {Array} chunk - Rows in this chunk
+ * @param {Object} options - { columns }
+ * @returns {Object} - `${i}:${j}` column index pair to PairAccumulator state
+ */
+function correlationBlock(chunk, options = {}) {
+  const { columns = [] } = options;
+  const pairs = {};
+
+  for (let i = 0; i < columns.length; i++) {
+    for (let j = i + 1; j < columns.length; j++) {
+      pairs[`${i}:${j}`] = new PairAccumulator();
+    }
+  }
+
+  for (const row of chunk) {
+    for (let i = 0; i < columns.length; i++) {
+      const x = row[columns[i]];
+      if (typeof x !== 'number' || !Number.isFinite(x)) continue;
+
+      for (let j = i + 1; j < columns.length; j++) {
+        const y = row[columns[j]];
+        if (typeof y !== 'number' || !Number.isFinite(y)) continue;
+        pairs[`${i}:${j}`].add(x, y);
+      }
+    }
+  }
+
+  const states = {};
+  Object.entries(pairs).forEach(([key, pair]) => {
+    states[key] = pair.toJSON();
+  });
+  return states;
+}
+
+/**
+ * Accumulate contingency tables for pairs of categorical columns and
+ * per-category moments for categorical-numeric pairs, over rows where both
+ * values are present
+ * @param {Array} chunk - Rows in this chunk
+ * @param {Object} options - { categorical, numeric } column names
+ * @returns {Object} - { tables, groups } keyed by `${i}:${j}` column index pair
+ */
+function associationBlock(chunk, options = {}) {
+  const { categorical = [], numeric = [] } = options;
+  const tables = {};
+  const groups = {};
+
+  for (let i = 0; i < categorical.length; i++) {
+    for (let j = i + 1; j < categorical.length; j++) {
+      tables[`${i}:${j}`] = new ContingencyTable();
+    }
+    for (let j = 0; j < numeric.length; j++) {
+      groups[`${i}:${j}`] = new GroupMoments();
+    }
+  }
+
+  for (const row of chunk) {
+    addAssociationRow(row, categorical, numeric, tables, groups);
+  }
+
+  const states = { tables: {}, groups: {} };
+  Object.entries(tables).forEach(([key, table]) => {
+    states.tables[key] = table.toJSON();
+  });
+  Object.entries(groups).forEach(([key, moments]) => {
+    states.groups[key] = moments.toJSON();
+  });
+  return states;
+}
+
+/**
+ * Add one row to the association accumulators
+ * @param {Object} row - Parsed row
+ * @param {Array<String>} categorical - Categorical column names
+ * @param {Array<String>} numeric - Numeric column names
+ * @param {Object} tables - `${i}:${j}` categorical pair to ContingencyTable
+ * @param {Object} groups - `${i}:${j}` categorical-numeric pair to GroupMoments
+ */
+function addAssociationRow(row, categorical, numeric, tables, groups) {
+  for (let i = 0; i < categorical.length; i++) {
+    const a = row[categorical[i]];
+    if (a === null || a === undefined || a === '') continue;
+
+    for (let j = i + 1; j < categorical.length; j++) {
+      const b = row[categorical[j]];
+      if (b === null || b === undefined || b === '') continue;
+      tables[`${i}:${j}`].add(a, b);
+    }
+
+    for (let j = 0; j < numeric.length; j++) {
+      const value = row[numeric[j]];
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+      groups[`${i}:${j}`].add(a, value);
+    }
+  }
+}
+
+/**
+ * Count numeric values into fixed bins
+ * @param {Array} chunk - Rows in this chunk
+ * @param {Object} options - { columns: { [column]: ascending bin edges } }
+ * @returns {Object} - Column name to { counts, underflow, overflow }
+ */
+function histogram(chunk, options = {}) {
+  const { columns = {} } = options;
+  const result = {};
+
+  Object.entries(columns).forEach(([column, edges]) => {
+    const counts = new Array(Math.max(0, edges.length - 1)).fill(0);
+    let underflow = 0;
+    let overflow = 0;
+
+    for (const row of chunk) {
+      const value = row[column];
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+
+      const bin = findBin(edges, value);
+      if (bin === -1) underflow++;
+      else if (bin === counts.length) overflow++;
+      else counts[bin]++;
+    }
+
+    result[column] = { counts, underflow, overflow };
+  });
+
+  return result;
+}
+
+/**
+ * Hash rows (optionally restricted to a key subset) to find duplicates
+ * @param {Array} chunk - Rows in this chunk
+ * @param {Object} options - { keys, maxRowsPerGroup }
+ * @param {Object} context - { offset } of the chunk in the full dataset
+ * @returns {Object} - Row hash to { count, rows } with global row indices
+ */
+function duplicateHashes(chunk, options = {}, context = {}) {
+  const { keys, maxRowsPerGroup = 5 } = options;
+  const offset = context.offset || 0;
+  const groups = {};
+
+  chunk.forEach((row, i) => {
+    const hash = hashRow(row, keys || Object.keys(row));
+    const group = groups[hash] || (groups[hash] = { count: 0, rows: [] });
+
+    group.count++;
+    if (group.rows.length < maxRowsPerGroup) {
+      group.rows.push(offset + i);
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Record which columns are missing together in a chunk of rows
+ * @param {Array} chunk - Rows in this chunk
+ * @param {Object} options - { columns, tested, categorical, numeric }
+ * @param {Object} context - { offset } of the chunk in the full dataset
+ * @returns {Object} - Serialised MissingnessAccumulator state
+ */
+function missingness(chunk, options = {}, context = {}) {
+  const { columns = [], ...testColumns } = options;
+  const offset = context.offset || 0;
+  const accumulator = new MissingnessAccumulator(columns, testColumns);
+  chunk.forEach((row, i) => accumulator.add(row, offset + i));
+  return accumulator.toJSON();
+}
+
+/**
+ * Stable hash of the selected values of a row
+ * @param {Object} row - Parsed row
+ * @param {Array<String>} keys - Columns to include
+ * @returns {String} - Hex digest
+ */
+function hashRow(row, keys) {
+  const values = keys.map(key => {
+    const value = row[key];
+    return value === undefined ? null : value;
+  });
+  return crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex');
+}
+
+/**
+ * Binary search for the bin holding value. The last bin is closed on the
+ * right so the maximum lands inside it.
+ * @returns {Number} - Bin index, -1 below the first edge, edges.length - 1 above the last
+ */
+function findBin(edges, value) {
+  const last = edges.length - 1;
+  if (value < edges[0]) return -1;
+  if (value > edges[last]) return last;
+  if (value === edges[last]) return last - 1;
+
+  let low = 0;
+  let high = last - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (edges[mid] <= value) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+const TASKS = {
+  profileChunk,
+  correlationBlock,
+  associationBlock,
+  histogram,
+  duplicateHashes,
+  missingness
+};
+
+/**
+ * Look up a registered task
+ * @param {String} name - Task name
+ * @returns {Function|null}
+ */
+function getTask(name) {
+  return Object.prototype.hasOwnProperty.call(TASKS, name) ? TASKS[name] : null;
+}
+
+module.exports = {
+  TASKS,
+  getTask,
+  addAssociationRow,
+  hashRow,
+  findBin
+};
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TASKS, getTask, hashRow, findBin } = require('./workerTasks');
+
+test('only registered tasks can be looked up', () => {
+  Object.keys(TASKS).forEach(name => assert.strictEqual(getTask(name), TASKS[name]));
+
+  ['eval', 'constructor', 'toString', '__proto__', 'hasOwnProperty', ''].forEach(name => {
+    assert.strictEqual(getTask(name), null, name);
+  });
+});
+
+test('findBin uses half-open bins with a closed last bin', () => {
+  const edges = [0, 10, 20, 30];
+
+  assert.strictEqual(findBin(edges, -0.1), -1);
+  assert.strictEqual(findBin(edges, 0), 0);
+  assert.strictEqual(findBin(edges, 9.99), 0);
+  assert.strictEqual(findBin(edges, 10), 1);
+  assert.strictEqual(findBin(edges, 30), 2);
+  assert.strictEqual(findBin(edges, 30.1), 3);
+});
+
+test('hashRow depends on the selected values only', () => {
+  const row = { a: 1, b: 'x', c: null };
+
+  assert.strictEqual(hashRow(row, ['a', 'b']), hashRow({ b: 'x', a: 1, c: 5 }, ['a', 'b']));
+  assert.notStrictEqual(hashRow(row, ['a', 'b']), hashRow({ a: '1', b: 'x' }, ['a', 'b']));
+  // A missing key hashes like an explicit null
+  assert.strictEqual(hashRow({ a: 1 }, ['a', 'c']), hashRow(row, ['a', 'c']));
+});
+
+test('duplicateHashes reports global row indices from the chunk offset', () => {
+  const chunk = [{ id: 1 }, { id: 2 }, { id: 1 }];
+  const groups = getTask('duplicateHashes')(chunk, { keys: ['id'] }, { offset: 100 });
+  const ones = groups[hashRow({ id: 1 }, ['id'])];
+
+  assert.deepStrictEqual(ones, { count: 2, rows: [100, 102] });
+});
+
+test('histogram counts under and overflow outside the edges', () => {
+  const chunk = [{ v: -1 }, { v: 0 }, { v: 5 }, { v: 10 }, { v: 11 }, { v: 'x' }, { v: null }];
+  const result = getTask('histogram')(chunk, { columns: { v: [0, 5, 10] } });
+
+  assert.deepStrictEqual(result.v, { counts: [1, 2], underflow: 1, overflow: 1 });
+});
+
+test('task results survive structured cloning', () => {
+  const chunk = [{ x: 1, y: 2, g: 'a' }, { x: 2, y: 4, g: 'b' }, { x: 3, y: 7, g: 'a' }];
+
+  [
+    ['profileChunk', { keys: ['x', 'y', 'g'] }],
+    ['correlationBlock', { columns: ['x', 'y'] }],
+    ['associationBlock', { categorical: ['g'], numeric: ['x'] }],
+    ['missingness', { columns: ['x', 'g'] }]
+  ].forEach(([name, options]) => {
+    const result = getTask(name)(chunk, options, { index: 0, offset: 0 });
+    // Loose equality: cloning drops the null prototype of lookup objects
+    assert.deepEqual(structuredClone(result), result, name);
+  });
+});
@@ -114,9 +114,10 @@ class AdvancedLogger {
     this.sessionMetrics.totalFilesProcessed++;
     
     const message = `🔍 Starting CSV Analysis`;
+    const byteCount = data.csv ? data.csv.length : data.fileSize;
     const meta = {
       requestId,
-      fileSize: data.csv ? `${(data.csv.length / 1024).toFixed(1)}KB` : 'unknown',
+      fileSize: byteCount ? `${(byteCount / 1024).toFixed(1)}KB` : 'unknown',
       timestamp: new Date().toISOString()
     };
     
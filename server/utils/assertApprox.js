@@ -0,0 +1,28 @@
+const assert = require('node:assert');
+
+/**
+ * Test helper: deep equality with a relative tolerance for numbers. Merged
+ * accumulators add up floating-point moments in a different order than a
+ * single pass, so results agree only to the last few bits.
+ * @param {*} actual - Value under test
+ * @param {*} expected - Reference value
+ * @param {String} path - Location reported when a value differs
+ * @param {Number} tolerance - Relative tolerance for numbers
+ */
+function assertApproxEqual(actual, expected, path = 'value', tolerance = 1e-9) {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    const allowed = tolerance * Math.max(1, Math.abs(expected));
+    assert.ok(actual === expected || Math.abs(actual - expected) <= allowed,
+      `${path}: expected ${expected}, got ${actual}`);
+    return;
+  }
+  if (expected && typeof expected === 'object') {
+    assert.ok(actual && typeof actual === 'object', `${path}: expected an object`);
+    assert.deepStrictEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${path}: keys differ`);
+    Object.keys(expected).forEach(key => assertApproxEqual(actual[key], expected[key], `${path}.${key}`, tolerance));
+    return;
+  }
+  assert.strictEqual(actual, expected, path);
+}
+
+module.exports = { assertApproxEqual };